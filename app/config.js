@@ -1,4 +1,57 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const idosell = {
+	shopId: process.env.IDOSELL_SHOP_ID || 'default',
+	shopUrl: process.env.IDOSELL_SHOP_URL,
+	apiKey: process.env.IDOSELL_API_KEY,
+	apiVersion: process.env.IDOSELL_API_VERSION,
+};
+
+/**
+ * Load the IdoSell shops to sync
+ * Reads the JSON array from IDOSELL_SHOPS_FILE ({id, name, shopUrl, apiKey, apiVersion} per shop),
+ * otherwise falls back to the single shop configured with the IDOSELL_* variables
+ * @returns {Array<Object>} Shop configurations
+ */
+function loadShops() {
+	if (!process.env.IDOSELL_SHOPS_FILE) {
+		return [{id: idosell.shopId, ...idosell}];
+	}
+
+	const shopsFile = path.resolve(__dirname, process.env.IDOSELL_SHOPS_FILE);
+	const shops = JSON.parse(fs.readFileSync(shopsFile, 'utf8'));
+
+	const ids = shops.map(shop => shop.id);
+	if (ids.some(id => !/^[a-z0-9-_]+$/i.test(id || '')) || new Set(ids).size !== ids.length) {
+		throw new Error(`Every shop in ${shopsFile} needs a unique id (letters, numbers, - and _)`);
+	}
+
+	return shops.map(shop => ({apiVersion: idosell.apiVersion, ...shop}));
+}
+
+/**
+ * Load the settings of the scheduled jobs
+ * Reads the JSON object from SCHEDULER_JOBS_FILE, keyed by job name, with
+ * {cron, timezone, timeoutMs, enabled, options} per job (see scheduler-jobs.example.json)
+ * @returns {Object} Job settings keyed by job name
+ */
+function loadJobSettings() {
+	if (!process.env.SCHEDULER_JOBS_FILE) {
+		return {};
+	}
+
+	const jobsFile = path.resolve(__dirname, process.env.SCHEDULER_JOBS_FILE);
+	const jobs = JSON.parse(fs.readFileSync(jobsFile, 'utf8'));
+
+	if (!jobs || typeof jobs !== 'object' || Array.isArray(jobs)) {
+		throw new Error(`${jobsFile} must contain an object with the settings of each job`);
+	}
+
+	return jobs;
+}
+
 module.exports = {
 	port: process.env.PORT,
 	env: process.env.NODE_ENV,
@@ -8,13 +61,69 @@ module.exports = {
 		uri: process.env.MONGODB_URI,
 		dbName: process.env.MONGODB_DB_NAME,
 	},
-	idosell: {
-		shopUrl: process.env.IDOSELL_SHOP_URL,
-		apiKey: process.env.IDOSELL_API_KEY,
-		apiVersion: process.env.IDOSELL_API_VERSION,
+	idosell,
+	shops: loadShops(),
+	auth: {
+		jwtSecret: process.env.AUTH_JWT_SECRET, // Session tokens are disabled when unset
+		tokenTtlMinutes: +process.env.AUTH_TOKEN_TTL_MINUTES,
+	},
+	idosellResilience: {
+		retries: +process.env.IDOSELL_RETRIES,
+		baseDelayMs: +process.env.IDOSELL_RETRY_BASE_DELAY_MS,
+		maxDelayMs: +process.env.IDOSELL_RETRY_MAX_DELAY_MS,
+		failureThreshold: +process.env.IDOSELL_CIRCUIT_FAILURE_THRESHOLD,
+		resetTimeoutMs: +process.env.IDOSELL_CIRCUIT_RESET_TIMEOUT_MS,
 	},
 	scheduler: {
 		intervalMinutes: +process.env.SCHEDULER_INTERVAL_MINUTES,
 		lookbackMinutes: +process.env.SCHEDULER_LOOKBACK_MINUTES,
+		overlapMinutes: +process.env.SCHEDULER_OVERLAP_MINUTES,
+		lockTtlSeconds: +process.env.SCHEDULER_LOCK_TTL_SECONDS,
+		timezone: process.env.SCHEDULER_TIMEZONE || 'Europe/Warsaw', // Jobs without their own timezone
+		jobs: loadJobSettings(),
+		reconciliation: {
+			maxAgeHours: +process.env.RECONCILIATION_MAX_AGE_HOURS,
+			batchSize: +process.env.RECONCILIATION_BATCH_SIZE,
+			throttleMs: +process.env.RECONCILIATION_THROTTLE_MS,
+			maxOrders: +process.env.RECONCILIATION_MAX_ORDERS,
+		},
+	},
+	exports: {
+		storageDir: path.resolve(__dirname, process.env.EXPORT_STORAGE_DIR || 'storage/exports'),
+		pollIntervalMs: +process.env.EXPORT_POLL_INTERVAL_MS,
+		linkTtlMinutes: +process.env.EXPORT_LINK_TTL_MINUTES,
+		cleanupSchedule: process.env.EXPORT_CLEANUP_SCHEDULE,
+	},
+	webhooks: {
+		pollIntervalMs: +process.env.WEBHOOK_POLL_INTERVAL_MS,
+		timeoutMs: +process.env.WEBHOOK_TIMEOUT_MS,
+		maxAttempts: +process.env.WEBHOOK_MAX_ATTEMPTS,
+		retryBaseDelayMs: +process.env.WEBHOOK_RETRY_BASE_DELAY_MS,
+		retryMaxDelayMs: +process.env.WEBHOOK_RETRY_MAX_DELAY_MS,
+		allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+	},
+	orderStream: {
+		pollIntervalMs: +process.env.ORDER_STREAM_POLL_INTERVAL_MS,
+		heartbeatIntervalMs: +process.env.ORDER_STREAM_HEARTBEAT_INTERVAL_MS,
+		overlapMs: +process.env.ORDER_STREAM_OVERLAP_MS,
+		backlogLimit: +process.env.ORDER_STREAM_BACKLOG_LIMIT,
+	},
+	currency: {
+		base: process.env.BASE_CURRENCY || 'PLN', // Currency order amounts are normalized to
+	},
+	reports: {
+		outputDir: path.resolve(__dirname, process.env.REPORT_OUTPUT_DIR || 'storage/reports'),
+	},
+	smtp: {
+		host: process.env.SMTP_HOST,
+		port: +process.env.SMTP_PORT,
+		secure: process.env.SMTP_SECURE === 'true', // Implicit TLS (port 465)
+		startTls: process.env.SMTP_STARTTLS !== 'false',
+		requireTls: process.env.SMTP_REQUIRE_TLS !== 'false', // Never send credentials unencrypted
+		rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+		user: process.env.SMTP_USER,
+		password: process.env.SMTP_PASSWORD,
+		from: process.env.SMTP_FROM,
+		timeoutMs: +process.env.SMTP_TIMEOUT_MS,
 	},
 };
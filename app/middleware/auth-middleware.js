@@ -0,0 +1,121 @@
+const AuthService = require('../services/auth-service');
+const {API_KEY_ROLES} = require('../models/api-key-model');
+
+/**
+ * Authentication and Role Middleware
+ * Accepts an API key in the X-API-Key header or either an API key or a session token
+ * as an Authorization Bearer credential. Routes browsers open without headers (EventSource)
+ * can also accept a scoped token in the access_token query parameter.
+ */
+
+const authService = new AuthService();
+
+/**
+ * Read the credential of a request
+ * @param {Object} req - Express request
+ * @param {string} [queryTokenScope] - Scope of a token accepted in the access_token query parameter
+ * @returns {Object|null} Credential ({type: 'apiKey'|'token', value, scope}) or null if there is none
+ */
+function getCredential(req, queryTokenScope) {
+	const apiKey = req.get('X-API-Key');
+	if (apiKey) {
+		return {type: 'apiKey', value: apiKey.trim()};
+	}
+
+	const [scheme, value] = (req.get('Authorization') || '').trim().split(/\s+/);
+	if (value && scheme.toLowerCase() === 'bearer') {
+		// Session tokens are JWTs (three dot-separated parts); API keys contain no dots
+		return {type: value.includes('.') ? 'token' : 'apiKey', value};
+	}
+
+	const queryToken = req.query.access_token;
+	if (queryTokenScope && typeof queryToken === 'string' && queryToken) {
+		return {type: 'token', value: queryToken, scope: queryTokenScope};
+	}
+
+	return null;
+}
+
+/**
+ * Send a 401 response that asks for credentials
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ */
+function sendUnauthorized(res, message) {
+	res.set('WWW-Authenticate', 'Bearer realm="orders"');
+	res.status(401).json({
+		success: false,
+		message,
+	});
+}
+
+/**
+ * Build the middleware that authenticates the request and attaches the principal as req.auth
+ * @param {Object} options - Authentication options
+ * @param {string} [options.queryTokenScope] - Also accept a token of this scope (one of
+ *   AuthService.TOKEN_SCOPES) in the access_token query parameter
+ * @returns {Function} Authentication middleware
+ */
+function createAuthenticate(options = {}) {
+	return async(req, res, next) => {
+		const credential = getCredential(req, options.queryTokenScope);
+		if (!credential) {
+			return sendUnauthorized(res, 'Authentication required - send an API key or session token');
+		}
+
+		try {
+			const principal = credential.type === 'token'
+				? authService.verifyToken(credential.value, credential.scope)
+				: await authService.authenticateApiKey(credential.value);
+
+			if (!principal) {
+				return sendUnauthorized(res, credential.type === 'token'
+					? `${credential.scope ? 'Access' : 'Session'} token is invalid or has expired`
+					: 'API key is invalid or has been revoked');
+			}
+
+			req.auth = principal;
+			next();
+		} catch (error) {
+			console.error('Error authenticating request:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to authenticate request',
+				error: error.message,
+			});
+		}
+	};
+}
+
+/**
+ * Authenticate the request and attach the principal as req.auth
+ */
+const authenticate = createAuthenticate();
+
+/**
+ * Middleware allowing only authenticated callers with at least the given role
+ * @param {string} role - Minimum role (one of ROLES)
+ * @param {Object} options - Authentication options (see createAuthenticate)
+ * @returns {Array<Function>} Authentication and authorization middleware
+ */
+function requireRole(role, options = {}) {
+	const authorize = (req, res, next) => {
+		if (!AuthService.hasRole(req.auth.role, role)) {
+			return res.status(403).json({
+				success: false,
+				message: `This action requires the ${role} role`,
+			});
+		}
+		next();
+	};
+
+	return [options.queryTokenScope ? createAuthenticate(options) : authenticate, authorize];
+}
+
+module.exports = {
+	ROLES: API_KEY_ROLES,
+	TOKEN_SCOPES: AuthService.TOKEN_SCOPES,
+	authService,
+	authenticate,
+	requireRole,
+};
@@ -17,7 +17,7 @@ const corsOptions = {
 		? [process.env.FRONTEND_URL || `https://${config.host}`]
 		: ['http://localhost:3000', 'http://localhost:8080', `http://${config.host}:${config.port}`],
 	methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-	allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+	allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept', 'Origin'],
 	credentials: true,
 	optionsSuccessStatus: 200,
 };
@@ -0,0 +1,145 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * API access roles, from least to most privileged - every role includes the ones before it
+ */
+const API_KEY_ROLES = {
+	VIEWER: 'viewer', // Read orders, statistics, anomalies and sync runs
+	EXPORTER: 'exporter', // Download and queue exports, manage export presets, run reports
+	ADMIN: 'admin', // Manage report schedules and acknowledge anomalies
+};
+
+/**
+ * Add the string ID to an API key document
+ * @param {Object|null} key - API key document
+ * @returns {Object|null} API key or null
+ */
+const toApiKey = key => (key ? {...key, id: key._id.toString()} : null);
+
+/**
+ * API Key Model - Hashed API keys and their roles (api_keys collection)
+ * Only the SHA-256 hash of a key is stored; the key itself is shown once when it is created
+ */
+const apiKeyModel = {
+	API_KEY_ROLES,
+
+	/**
+	 * Store a new API key
+	 * @param {Object} key - API key details
+	 * @param {string} key.name - Who or what the key is for
+	 * @param {string} key.role - One of API_KEY_ROLES
+	 * @param {string} key.keyHash - SHA-256 hash of the key
+	 * @param {string} key.keyPrefix - Public start of the key, used to tell keys apart
+	 * @returns {Promise<Object>} Stored API key
+	 */
+	async create(key) {
+		try {
+			const db = getDb();
+			const collection = db.collection('api_keys');
+
+			const newKey = {
+				name: key.name,
+				role: key.role,
+				keyHash: key.keyHash,
+				keyPrefix: key.keyPrefix,
+				createdAt: new Date(),
+				lastUsedAt: null,
+				revokedAt: null,
+			};
+
+			const result = await collection.insertOne(newKey);
+
+			return {
+				...newKey,
+				_id: result.insertedId,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error creating API key:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get an API key that has not been revoked by its hash
+	 * @param {string} keyHash - SHA-256 hash of the key
+	 * @returns {Promise<Object|null>} API key or null if unknown or revoked
+	 */
+	async getActiveByHash(keyHash) {
+		try {
+			const db = getDb();
+			const collection = db.collection('api_keys');
+
+			return toApiKey(await collection.findOne({keyHash, revokedAt: null}));
+		} catch (error) {
+			console.error('Error fetching API key:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get API keys, newest first
+	 * @param {Object} filters - Filter options
+	 * @param {boolean} filters.includeRevoked - Include revoked keys (default: false)
+	 * @returns {Promise<Array>} Array of API keys
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('api_keys');
+
+			const query = filters.includeRevoked ? {} : {revokedAt: null};
+			const keys = await collection.find(query).sort({createdAt: -1}).toArray();
+
+			return keys.map(toApiKey);
+		} catch (error) {
+			console.error('Error fetching API keys:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Revoke an API key
+	 * @param {string} idOrPrefix - API key ID or key prefix
+	 * @returns {Promise<Object|null>} Revoked API key or null if there is no active key with that ID or prefix
+	 */
+	async revoke(idOrPrefix) {
+		try {
+			const db = getDb();
+			const collection = db.collection('api_keys');
+
+			const match = ObjectId.isValid(idOrPrefix)
+				? {_id: new ObjectId(idOrPrefix)}
+				: {keyPrefix: idOrPrefix};
+
+			return toApiKey(await collection.findOneAndUpdate(
+				{...match, revokedAt: null},
+				{$set: {revokedAt: new Date()}},
+				{returnDocument: 'after'},
+			));
+		} catch (error) {
+			console.error('Error revoking API key:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Record that an API key was used
+	 * @param {string} id - API key ID
+	 * @returns {Promise<void>}
+	 */
+	async touch(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('api_keys');
+
+			await collection.updateOne({_id: new ObjectId(id)}, {$set: {lastUsedAt: new Date()}});
+		} catch (error) {
+			console.error('Error recording API key use:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = apiKeyModel;
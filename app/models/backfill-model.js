@@ -0,0 +1,131 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Backfill Model - Progress of historical order backfills so they can resume after a crash
+ * One document per backfill job, keyed by its shop, date type and start date. The end date is
+ * stored with the job, so a rerun without one resumes the same range.
+ */
+const backfillModel = {
+	/**
+	 * Get backfill progress by job key
+	 * @param {string} jobKey - Backfill job key
+	 * @returns {Promise<Object|null>} Backfill progress or null if never started
+	 */
+	async get(jobKey) {
+		try {
+			const db = getDb();
+			const collection = db.collection('backfills');
+
+			return await collection.findOne({_id: jobKey});
+		} catch (error) {
+			console.error('Error fetching backfill progress:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Create the backfill job document if it does not exist yet
+	 * @param {string} jobKey - Backfill job key
+	 * @param {Object} params - Backfill parameters (shopId, dateFrom, dateTo, dateType, chunk)
+	 * @param {Date|null} params.dateTo - End date; without one a new job ends now and an existing
+	 *   job keeps its stored end date
+	 * @returns {Promise<Object>} Backfill progress (with the end date in dateTo)
+	 */
+	async start(jobKey, params) {
+		try {
+			const db = getDb();
+			const collection = db.collection('backfills');
+			const now = new Date();
+			const {dateTo, ...jobParams} = params;
+
+			const update = {
+				$set: {status: 'running', updatedAt: now},
+				$setOnInsert: {params: jobParams, completedUntil: null, chunks: [], createdAt: now},
+			};
+
+			if (dateTo) {
+				update.$set.dateTo = dateTo;
+			} else {
+				update.$setOnInsert.dateTo = now;
+			}
+
+			return await collection.findOneAndUpdate(
+				{_id: jobKey},
+				update,
+				{upsert: true, returnDocument: 'after'},
+			);
+		} catch (error) {
+			console.error('Error starting backfill:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Record a processed chunk and optionally move the resume point forward
+	 * @param {string} jobKey - Backfill job key
+	 * @param {Object} chunkSummary - Chunk window and save counts
+	 * @param {Date|null} completedUntil - New resume point, or null to keep the current one
+	 * @returns {Promise<void>}
+	 */
+	async recordChunk(jobKey, chunkSummary, completedUntil = null) {
+		try {
+			const db = getDb();
+			const collection = db.collection('backfills');
+
+			const update = {
+				$push: {chunks: chunkSummary},
+				$set: {updatedAt: new Date()},
+			};
+
+			if (completedUntil) {
+				update.$set.completedUntil = completedUntil;
+			}
+
+			await collection.updateOne({_id: jobKey}, update);
+		} catch (error) {
+			console.error('Error recording backfill chunk:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Set the final status of a backfill job
+	 * @param {string} jobKey - Backfill job key
+	 * @param {string} status - 'completed', 'completed_with_errors' or 'failed'
+	 * @returns {Promise<void>}
+	 */
+	async finish(jobKey, status) {
+		try {
+			const db = getDb();
+			const collection = db.collection('backfills');
+
+			await collection.updateOne(
+				{_id: jobKey},
+				{$set: {status, finishedAt: new Date(), updatedAt: new Date()}},
+			);
+		} catch (error) {
+			console.error('Error finishing backfill:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Remove backfill progress so the job starts from scratch
+	 * @param {string} jobKey - Backfill job key
+	 * @returns {Promise<boolean>} True if progress was removed
+	 */
+	async reset(jobKey) {
+		try {
+			const db = getDb();
+			const collection = db.collection('backfills');
+
+			const result = await collection.deleteOne({_id: jobKey});
+			return result.deletedCount === 1;
+		} catch (error) {
+			console.error('Error resetting backfill:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = backfillModel;
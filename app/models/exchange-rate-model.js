@@ -0,0 +1,123 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Exchange Rate Model - Daily exchange rates to the base currency (exchange_rates collection)
+ * A rate is the amount of base currency one unit of the currency is worth (e.g. EUR -> PLN 4.3215)
+ * and applies from its date until the next rate of the same currency
+ */
+const exchangeRateModel = {
+	/**
+	 * Create or replace exchange rates, one per currency, base currency and day
+	 * @param {Array<Object>} rates - Exchange rates
+	 * @param {string} rates[].currency - ISO 4217 currency code
+	 * @param {string} rates[].baseCurrency - ISO 4217 code of the base currency
+	 * @param {Date} rates[].date - Day the rate applies from (UTC midnight)
+	 * @param {number} rates[].rate - Base currency amount of one unit of the currency
+	 * @param {string} source - Where the rates were loaded from (e.g. the file name)
+	 * @returns {Promise<Object>} Number of created and updated rates
+	 */
+	async upsertMany(rates, source = null) {
+		if (rates.length === 0) {
+			return {created: 0, updated: 0};
+		}
+
+		try {
+			const db = getDb();
+			const collection = db.collection('exchange_rates');
+			const now = new Date();
+
+			const writes = rates.map(({currency, baseCurrency, date, rate}) => ({
+				updateOne: {
+					filter: {currency, baseCurrency, date},
+					update: {
+						$set: {rate, source, updatedAt: now},
+						$setOnInsert: {createdAt: now},
+					},
+					upsert: true,
+				},
+			}));
+
+			const result = await collection.bulkWrite(writes, {ordered: false});
+
+			return {
+				created: result.upsertedCount,
+				updated: result.matchedCount,
+			};
+		} catch (error) {
+			console.error('Error saving exchange rates:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get the rate of a currency in effect on a date - the latest rate on or before it
+	 * @param {string} currency - ISO 4217 currency code
+	 * @param {string} baseCurrency - ISO 4217 code of the base currency
+	 * @param {Date} date - Date the rate should apply to
+	 * @returns {Promise<Object|null>} Exchange rate or null if there is none up to the date
+	 */
+	async getRateOn(currency, baseCurrency, date) {
+		try {
+			const db = getDb();
+			const collection = db.collection('exchange_rates');
+
+			const rate = await collection.findOne(
+				{currency, baseCurrency, date: {$lte: date}},
+				{sort: {date: -1}},
+			);
+
+			if (rate) {
+				return {
+					...rate,
+					id: rate._id.toString(),
+				};
+			}
+
+			return null;
+		} catch (error) {
+			console.error('Error fetching exchange rate:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get exchange rates, newest first
+	 * @param {Object} filters - Filter options
+	 * @param {string} filters.currency - ISO 4217 currency code
+	 * @param {string} filters.baseCurrency - ISO 4217 code of the base currency
+	 * @param {number} filters.limit - Maximum number of rates (default: 50)
+	 * @returns {Promise<Array>} Array of exchange rates
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('exchange_rates');
+
+			const query = {};
+
+			if (filters.currency) {
+				query.currency = filters.currency;
+			}
+
+			if (filters.baseCurrency) {
+				query.baseCurrency = filters.baseCurrency;
+			}
+
+			const rates = await collection
+				.find(query)
+				.sort({date: -1, currency: 1})
+				.limit(parseInt(filters.limit, 10) || 50)
+				.toArray();
+
+			return rates.map(rate => ({
+				...rate,
+				id: rate._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching exchange rates:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = exchangeRateModel;
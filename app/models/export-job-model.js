@@ -0,0 +1,284 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Export job lifecycle
+ */
+const EXPORT_JOB_STATUSES = {
+	QUEUED: 'queued', // Waiting for the export worker
+	RUNNING: 'running', // Being written by the export worker
+	COMPLETED: 'completed', // Artifact ready for download
+	FAILED: 'failed', // Aborted with an exception
+	EXPIRED: 'expired', // Artifact removed by the cleanup
+};
+
+/**
+ * Add the string ID to an export job document
+ * @param {Object|null} job - Export job document
+ * @returns {Object|null} Export job or null
+ */
+const toExportJob = job => (job ? {...job, id: job._id.toString()} : null);
+
+/**
+ * Export Job Model - Queued asynchronous exports and their artifacts (export_jobs collection)
+ */
+const exportJobModel = {
+	EXPORT_JOB_STATUSES,
+
+	/**
+	 * Queue an export job
+	 * @param {Object} job - Export job details
+	 * @param {string} job.format - Export format name
+	 * @param {Object} job.filters - Order filters
+	 * @param {Object} job.options - Export options (columns, delimiter, ...)
+	 * @param {string|null} job.preset - Export preset the options came from
+	 * @returns {Promise<Object>} Queued export job
+	 */
+	async create(job) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			const newJob = {
+				status: EXPORT_JOB_STATUSES.QUEUED,
+				format: job.format,
+				filters: job.filters || {},
+				options: job.options || {},
+				preset: job.preset || null,
+				progress: {processed: 0, total: null, percent: 0, etaSeconds: null},
+				file: null,
+				downloadToken: null,
+				expiresAt: null,
+				failure: null,
+				createdAt: new Date(),
+				startedAt: null,
+				heartbeatAt: null,
+				finishedAt: null,
+			};
+
+			const result = await collection.insertOne(newJob);
+
+			return {
+				...newJob,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error creating export job:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get an export job by ID
+	 * @param {string} id - Export job ID
+	 * @returns {Promise<Object|null>} Export job or null if not found
+	 */
+	async getById(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			// Validate ObjectId format
+			if (!ObjectId.isValid(id)) {
+				return null;
+			}
+
+			return toExportJob(await collection.findOne({_id: new ObjectId(id)}));
+		} catch (error) {
+			console.error('Error fetching export job:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Claim the oldest queued export job for the worker
+	 * The status switch is atomic, so a job is never claimed twice
+	 * @returns {Promise<Object|null>} Claimed export job or null if the queue is empty
+	 */
+	async claimNext() {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+			const now = new Date();
+
+			const job = await collection.findOneAndUpdate(
+				{status: EXPORT_JOB_STATUSES.QUEUED},
+				{$set: {status: EXPORT_JOB_STATUSES.RUNNING, startedAt: now, heartbeatAt: now}},
+				{sort: {createdAt: 1}, returnDocument: 'after'},
+			);
+
+			return toExportJob(job);
+		} catch (error) {
+			console.error('Error claiming export job:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Put jobs whose worker stopped (e.g. by a restart) back in the queue
+	 * @param {Date} stalledBefore - Only jobs without a heartbeat since this date are requeued, so
+	 *   jobs still running on another instance are left alone
+	 * @returns {Promise<number>} Number of requeued jobs
+	 */
+	async requeueRunning(stalledBefore) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			const result = await collection.updateMany(
+				{
+					status: EXPORT_JOB_STATUSES.RUNNING,
+					$or: [
+						{heartbeatAt: {$lt: stalledBefore}},
+						// Jobs claimed before heartbeats were recorded
+						{heartbeatAt: null, startedAt: {$lt: stalledBefore}},
+					],
+				},
+				{$set: {status: EXPORT_JOB_STATUSES.QUEUED, startedAt: null, heartbeatAt: null}},
+			);
+
+			return result.modifiedCount;
+		} catch (error) {
+			console.error('Error requeueing export jobs:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Store the progress of a running export job - also counts as a heartbeat
+	 * @param {string} id - Export job ID
+	 * @param {Object} progress - Progress ({processed, total, percent, etaSeconds})
+	 * @returns {Promise<void>}
+	 */
+	async updateProgress(id, progress) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			await collection.updateOne(
+				{_id: new ObjectId(id)},
+				{$set: {progress, heartbeatAt: new Date()}},
+			);
+		} catch (error) {
+			console.error('Error updating export job progress:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Record that the worker of a running export job is still alive
+	 * @param {string} id - Export job ID
+	 * @returns {Promise<void>}
+	 */
+	async heartbeat(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			await collection.updateOne(
+				{_id: new ObjectId(id), status: EXPORT_JOB_STATUSES.RUNNING},
+				{$set: {heartbeatAt: new Date()}},
+			);
+		} catch (error) {
+			console.error('Error recording export job heartbeat:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Mark an export job as completed
+	 * @param {string} id - Export job ID
+	 * @param {Object} result - Export result
+	 * @param {Object} result.file - Artifact ({name, path, downloadName, size})
+	 * @param {Object} result.progress - Final progress
+	 * @param {string} result.downloadToken - Secret of the download link
+	 * @param {Date} result.expiresAt - When the download link and artifact expire
+	 * @returns {Promise<void>}
+	 */
+	async complete(id, result) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			await collection.updateOne({_id: new ObjectId(id)}, {
+				$set: {
+					status: EXPORT_JOB_STATUSES.COMPLETED,
+					file: result.file,
+					progress: result.progress,
+					downloadToken: result.downloadToken,
+					expiresAt: result.expiresAt,
+					finishedAt: new Date(),
+				},
+			});
+		} catch (error) {
+			console.error('Error completing export job:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Mark an export job as failed
+	 * @param {string} id - Export job ID
+	 * @param {Object} failure - Exception that aborted the job ({message})
+	 * @returns {Promise<void>}
+	 */
+	async fail(id, failure) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			await collection.updateOne({_id: new ObjectId(id)}, {
+				$set: {
+					status: EXPORT_JOB_STATUSES.FAILED,
+					failure,
+					finishedAt: new Date(),
+				},
+			});
+		} catch (error) {
+			console.error('Error failing export job:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get completed export jobs whose artifacts have expired
+	 * @param {Date} now - Reference time
+	 * @returns {Promise<Array>} Expired export jobs
+	 */
+	async getExpired(now = new Date()) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			const jobs = await collection
+				.find({status: EXPORT_JOB_STATUSES.COMPLETED, expiresAt: {$lte: now}})
+				.toArray();
+
+			return jobs.map(toExportJob);
+		} catch (error) {
+			console.error('Error fetching expired export jobs:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Mark an export job as expired once its artifact is removed
+	 * @param {string} id - Export job ID
+	 * @returns {Promise<void>}
+	 */
+	async markExpired(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_jobs');
+
+			await collection.updateOne({_id: new ObjectId(id)}, {
+				$set: {status: EXPORT_JOB_STATUSES.EXPIRED, downloadToken: null},
+			});
+		} catch (error) {
+			console.error('Error expiring export job:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = exportJobModel;
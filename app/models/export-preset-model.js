@@ -0,0 +1,111 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Export Preset Model - Saved CSV export settings, referenced by name (export_presets collection)
+ */
+const exportPresetModel = {
+	/**
+	 * Get all export presets, sorted by name
+	 * @returns {Promise<Array>} Array of presets
+	 */
+	async getAll() {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_presets');
+
+			const presets = await collection.find({}).sort({name: 1}).toArray();
+
+			return presets.map(preset => ({
+				...preset,
+				id: preset._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching export presets:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get an export preset by name
+	 * @param {string} name - Preset name
+	 * @returns {Promise<Object|null>} Preset or null if not found
+	 */
+	async getByName(name) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_presets');
+
+			const preset = await collection.findOne({name});
+
+			if (preset) {
+				return {
+					...preset,
+					id: preset._id.toString(),
+				};
+			}
+
+			return null;
+		} catch (error) {
+			console.error('Error fetching export preset by name:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Create or replace an export preset
+	 * @param {string} name - Preset name
+	 * @param {Object} preset - Preset details
+	 * @param {string} preset.description - Optional description
+	 * @param {Object} preset.options - CSV export options (see CsvExportService.resolveFormat)
+	 * @returns {Promise<Object>} Stored preset
+	 */
+	async upsert(name, preset) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_presets');
+			const now = new Date();
+
+			const stored = await collection.findOneAndUpdate(
+				{name},
+				{
+					$set: {
+						description: preset.description || null,
+						options: preset.options || {},
+						updatedAt: now,
+					},
+					$setOnInsert: {name, createdAt: now},
+				},
+				{upsert: true, returnDocument: 'after'},
+			);
+
+			return {
+				...stored,
+				id: stored._id.toString(),
+			};
+		} catch (error) {
+			console.error('Error saving export preset:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Delete an export preset
+	 * @param {string} name - Preset name
+	 * @returns {Promise<boolean>} True if deleted, false if not found
+	 */
+	async delete(name) {
+		try {
+			const db = getDb();
+			const collection = db.collection('export_presets');
+
+			const result = await collection.deleteOne({name});
+
+			return result.deletedCount === 1;
+		} catch (error) {
+			console.error('Error deleting export preset:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = exportPresetModel;
@@ -0,0 +1,163 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Kinds of status anomalies
+ */
+const ANOMALY_TYPES = {
+	REOPENED: 'reopened', // Finished, lost or canceled order moved back to an active status
+	ILLEGAL_TRANSITION: 'illegal_transition', // Transition not allowed by the status transition map
+};
+
+/**
+ * Anomaly review states
+ */
+const ANOMALY_STATES = {
+	OPEN: 'open',
+	ACKNOWLEDGED: 'acknowledged',
+};
+
+/**
+ * Order Anomaly Model - Suspicious order status transitions awaiting review (order_anomalies collection)
+ */
+const orderAnomalyModel = {
+	ANOMALY_TYPES,
+	ANOMALY_STATES,
+
+	/**
+	 * Record a status anomaly
+	 * @param {Object} anomaly - Anomaly details
+	 * @param {string} anomaly.shopId - Shop the order belongs to
+	 * @param {string} anomaly.externalId - External order ID
+	 * @param {string} anomaly.type - One of ANOMALY_TYPES
+	 * @param {string} anomaly.oldStatus - Status before the transition
+	 * @param {string} anomaly.newStatus - Status after the transition
+	 * @param {string} anomaly.source - Where the transition was detected (see STATUS_SOURCES)
+	 * @param {Date|null} anomaly.externalChangedAt - IdoSell orderChangeDate of the transition
+	 * @returns {Promise<Object>} Stored anomaly
+	 */
+	async create(anomaly) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_anomalies');
+
+			const newAnomaly = {
+				shopId: anomaly.shopId,
+				externalId: anomaly.externalId,
+				type: anomaly.type,
+				oldStatus: anomaly.oldStatus,
+				newStatus: anomaly.newStatus,
+				source: anomaly.source,
+				externalChangedAt: anomaly.externalChangedAt || null,
+				state: ANOMALY_STATES.OPEN,
+				detectedAt: new Date(),
+				acknowledgedAt: null,
+				acknowledgedBy: null,
+				note: null,
+			};
+
+			const result = await collection.insertOne(newAnomaly);
+
+			return {
+				...newAnomaly,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error recording order anomaly:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get anomalies, newest first
+	 * @param {Object} filters - Filter options
+	 * @param {string} filters.state - Anomaly state (default: open)
+	 * @param {string|Array<string>} filters.shopId - Shop or list of shops
+	 * @param {string} filters.externalId - External order ID
+	 * @param {string} filters.type - Anomaly type
+	 * @param {number} filters.limit - Maximum number of anomalies
+	 * @returns {Promise<Array>} Array of anomalies
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_anomalies');
+
+			const query = {state: filters.state || ANOMALY_STATES.OPEN};
+
+			if (filters.shopId) {
+				query.shopId = Array.isArray(filters.shopId)
+					? {$in: filters.shopId}
+					: filters.shopId;
+			}
+
+			if (filters.externalId) {
+				query.externalId = filters.externalId;
+			}
+
+			if (filters.type) {
+				query.type = filters.type;
+			}
+
+			const anomalies = await collection
+				.find(query)
+				.sort({detectedAt: -1})
+				.limit(filters.limit || 100)
+				.toArray();
+
+			return anomalies.map(anomaly => ({
+				...anomaly,
+				id: anomaly._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching order anomalies:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Acknowledge an open anomaly
+	 * @param {string} id - Anomaly ID
+	 * @param {Object} details - Acknowledgement details
+	 * @param {string} details.acknowledgedBy - Who reviewed the anomaly
+	 * @param {string} details.note - Optional review note
+	 * @returns {Promise<Object|null>} Acknowledged anomaly or null if not found or already acknowledged
+	 */
+	async acknowledge(id, details = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_anomalies');
+
+			if (!ObjectId.isValid(id)) {
+				return null;
+			}
+
+			const anomaly = await collection.findOneAndUpdate(
+				{_id: new ObjectId(id), state: ANOMALY_STATES.OPEN},
+				{
+					$set: {
+						state: ANOMALY_STATES.ACKNOWLEDGED,
+						acknowledgedAt: new Date(),
+						acknowledgedBy: details.acknowledgedBy || null,
+						note: details.note || null,
+					},
+				},
+				{returnDocument: 'after'},
+			);
+
+			if (anomaly) {
+				return {
+					...anomaly,
+					id: anomaly._id.toString(),
+				};
+			}
+
+			return null;
+		} catch (error) {
+			console.error('Error acknowledging order anomaly:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = orderAnomalyModel;
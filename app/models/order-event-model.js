@@ -0,0 +1,219 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Where a status transition was detected
+ */
+const STATUS_SOURCES = {
+	SCHEDULER: 'scheduler', // Scheduled sync or status monitoring
+	BACKFILL: 'backfill', // CLI download/backfill commands
+	MANUAL: 'manual', // Manually triggered runs
+};
+
+/**
+ * Order Event Model - Audit trail of order lifecycle events (order_events collection)
+ */
+const orderEventModel = {
+	STATUS_SOURCES,
+
+	/**
+	 * Record an order status transition
+	 * @param {Object} event - Status transition
+	 * @param {string} event.shopId - Shop the order belongs to
+	 * @param {string} event.externalId - External order ID
+	 * @param {string|null} event.oldStatus - Previous status (null when the order was first seen)
+	 * @param {string} event.newStatus - New status
+	 * @param {string} event.source - One of STATUS_SOURCES
+	 * @param {Date|null} event.externalChangedAt - IdoSell orderChangeDate of the transition
+	 * @param {Date} event.detectedAt - When we detected the transition (default: now - the time
+	 *   the event is recorded, which orders the live order stream)
+	 * @returns {Promise<Object>} Stored event
+	 */
+	async recordStatusChange(event) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_events');
+
+			const newEvent = {
+				type: 'status_changed',
+				shopId: event.shopId,
+				externalId: event.externalId,
+				oldStatus: event.oldStatus || null,
+				newStatus: event.newStatus,
+				source: event.source || STATUS_SOURCES.SCHEDULER,
+				externalChangedAt: event.externalChangedAt || null,
+				detectedAt: event.detectedAt || new Date(),
+			};
+
+			const result = await collection.insertOne(newEvent);
+
+			return {
+				...newEvent,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error recording order status change:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get a recorded event
+	 * @param {string} id - Event ID
+	 * @returns {Promise<Object|null>} Event or null if not found
+	 */
+	async getById(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_events');
+
+			// Validate ObjectId format
+			if (!ObjectId.isValid(id)) {
+				return null;
+			}
+
+			const event = await collection.findOne({_id: new ObjectId(id)});
+			return event ? {...event, id: event._id.toString()} : null;
+		} catch (error) {
+			console.error('Error fetching order event:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get status transitions in the order they were recorded - the log behind the live order stream
+	 * The log is ordered by (detectedAt, _id). Neither grows strictly with commit order when
+	 * several processes record events, so readers look back an overlap window and skip what they sent.
+	 * @param {Object} options - Query options
+	 * @param {Object} options.after - Only events after this position ({detectedAt, id}) - pages a query
+	 * @param {Date} options.since - Only events recorded at or after this time
+	 * @param {Array<string>} options.shopIds - Only events of these shops
+	 * @param {Array<string>} options.statuses - Only events moving orders to these statuses
+	 * @param {boolean} options.created - Only first sightings (true) or only later ones (false)
+	 * @param {number} options.limit - Maximum number of events
+	 * @returns {Promise<Array>} Status transitions, oldest first
+	 */
+	async getStatusChangesAfter(options = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_events');
+
+			const query = {type: 'status_changed'};
+
+			if (options.after) {
+				const {detectedAt, id} = options.after;
+				query.$or = [
+					{detectedAt: {$gt: detectedAt}},
+					{detectedAt, _id: {$gt: new ObjectId(id)}},
+				];
+			} else if (options.since) {
+				query.detectedAt = {$gte: options.since};
+			}
+
+			if (options.shopIds) {
+				query.shopId = {$in: options.shopIds};
+			}
+
+			if (options.statuses) {
+				query.newStatus = {$in: options.statuses};
+			}
+
+			if (options.created !== undefined) {
+				query.oldStatus = options.created ? null : {$ne: null};
+			}
+
+			const events = await collection
+				.find(query)
+				.sort({detectedAt: 1, _id: 1})
+				.limit(options.limit || 500)
+				.toArray();
+
+			return events.map(event => ({...event, id: event._id.toString()}));
+		} catch (error) {
+			console.error('Error fetching order status changes:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get status history for an order, oldest first
+	 * Each entry carries durationMs - how long the order stayed in newStatus (null for the current one)
+	 * @param {string} externalId - External order ID
+	 * @param {string} [shopId] - Shop the order belongs to
+	 * @returns {Promise<Array>} Status transitions
+	 */
+	async getStatusHistory(externalId, shopId) {
+		const history = await this.getStatusHistoryForOrders([externalId], shopId);
+		return history[externalId] || [];
+	},
+
+	/**
+	 * Get status history for several orders at once
+	 * @param {Array<string>} externalIds - External order IDs
+	 * @param {string} [shopId] - Shop the orders belong to
+	 * @returns {Promise<Object>} Status transitions keyed by external ID
+	 */
+	async getStatusHistoryForOrders(externalIds, shopId) {
+		try {
+			const db = getDb();
+			const collection = db.collection('order_events');
+
+			const query = {type: 'status_changed', externalId: {$in: externalIds}};
+			if (shopId) {
+				query.shopId = shopId;
+			}
+
+			const events = await collection
+				.find(query)
+				.sort({detectedAt: 1, _id: 1})
+				.toArray();
+
+			const history = {};
+			for (const event of events) {
+				const entries = history[event.externalId] || (history[event.externalId] = []);
+				const previous = entries[entries.length - 1];
+				const changedAt = event.externalChangedAt || event.detectedAt;
+
+				if (previous) {
+					const previousChangedAt = previous.externalChangedAt || previous.detectedAt;
+					previous.durationMs = changedAt.getTime() - previousChangedAt.getTime();
+				}
+
+				entries.push({
+					...event,
+					id: event._id.toString(),
+					durationMs: null,
+				});
+			}
+
+			return history;
+		} catch (error) {
+			console.error('Error fetching order status history:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get status history for orders that may come from several shops
+	 * @param {Array<Object>} orders - Orders ({shopId, externalId})
+	 * @returns {Promise<Object>} Status transitions keyed by shopId, then externalId
+	 */
+	async getStatusHistoryByShop(orders) {
+		const externalIdsByShop = {};
+		for (const order of orders) {
+			if (order.externalId) {
+				externalIdsByShop[order.shopId] = externalIdsByShop[order.shopId] || [];
+				externalIdsByShop[order.shopId].push(order.externalId);
+			}
+		}
+
+		const history = {};
+		for (const [shopId, externalIds] of Object.entries(externalIdsByShop)) {
+			history[shopId] = await this.getStatusHistoryForOrders(externalIds, shopId);
+		}
+
+		return history;
+	},
+};
+
+module.exports = orderEventModel;
@@ -1,10 +1,330 @@
-const {ObjectId} = require('mongodb');
+const {ObjectId, MongoBulkWriteError} = require('mongodb');
 const {getDb} = require('../database/mongodb');
 
+/**
+ * Projection for multi-order reads - the raw IdoSell payload is only returned by getById
+ */
+const LIST_PROJECTION = {raw: 0};
+
+/**
+ * Currency of the amounts used by worth filters and order stats
+ */
+const CURRENCY_MODES = {
+	NATIVE: 'native', // orderProductsCost in the currency the order was placed in
+	BASE: 'base', // baseOrderProductsCost, converted with the exchange rate of the order date
+};
+
+/**
+ * Build a MongoDB range condition from optional lower/upper bounds
+ * @param {*} from - Lower bound (inclusive)
+ * @param {*} to - Upper bound (inclusive)
+ * @param {Function} cast - Value conversion applied to each bound
+ * @returns {Object|null} Range condition or null when no bound is set
+ */
+function buildRange(from, to, cast) {
+	const isSet = value => value !== undefined && value !== null && value !== '';
+
+	if (!isSet(from) && !isSet(to)) {
+		return null;
+	}
+
+	const range = {};
+	if (isSet(from)) {
+		range.$gte = cast(from);
+	}
+	if (isSet(to)) {
+		range.$lte = cast(to);
+	}
+	return range;
+}
+
+/**
+ * Scope a query to a single shop
+ * External IDs are only unique per shop, so lookups by them should always name the shop
+ * @param {Object} query - MongoDB query
+ * @param {string} [shopId] - Shop ID (query is returned unscoped when omitted)
+ * @returns {Object} MongoDB query
+ */
+function buildShopQuery(query, shopId) {
+	return shopId ? {shopId, ...query} : query;
+}
+
+/**
+ * Build the stored order document - only known order fields are kept
+ * @param {Object} orderData - Order data
+ * @param {Date} now - Timestamp used for missing createdAt/updatedAt
+ * @returns {Object} Order document
+ */
+function buildOrderDocument(orderData, now = new Date()) {
+	return {
+		shopId: orderData.shopId,
+		externalId: orderData.externalId,
+		externalSerialNumber: orderData.externalSerialNumber,
+		currency: orderData.currency,
+		status: orderData.status,
+		orderProducts: orderData.orderProducts || [],
+		orderProductsCost: orderData.orderProductsCost,
+		baseCurrency: orderData.baseCurrency,
+		baseOrderProductsCost: orderData.baseOrderProductsCost,
+		exchangeRate: orderData.exchangeRate,
+		exchangeRateDate: orderData.exchangeRateDate,
+		customer: orderData.customer,
+		delivery: orderData.delivery,
+		paymentMethod: orderData.paymentMethod,
+		orderDate: orderData.orderDate,
+		paymentDate: orderData.paymentDate,
+		dispatchDate: orderData.dispatchDate,
+		externalCreatedAt: orderData.externalCreatedAt,
+		externalUpdatedAt: orderData.externalUpdatedAt,
+		raw: orderData.raw,
+		createdAt: orderData.createdAt || now,
+		updatedAt: orderData.updatedAt || now,
+	};
+}
+
+/**
+ * Get the order fields holding the amounts of a currency mode
+ * @param {string} [currencyMode] - One of CURRENCY_MODES (default: native)
+ * @returns {Object} Cost field name plus currency, cost and exchange rate aggregation expressions
+ */
+function getAmountFields(currencyMode) {
+	if (currencyMode === CURRENCY_MODES.BASE) {
+		return {
+			costField: 'baseOrderProductsCost',
+			currency: '$baseCurrency',
+			cost: '$baseOrderProductsCost',
+			rate: '$exchangeRate',
+		};
+	}
+
+	return {
+		costField: 'orderProductsCost',
+		currency: '$currency',
+		cost: '$orderProductsCost',
+		rate: 1,
+	};
+}
+
+/**
+ * Translate order filter options into a MongoDB query
+ * @param {Object} filters - Filter options
+ * @param {string|Array<string>} [filters.shopId] - Shop or list of shops
+ * @param {string|Array<string>} [filters.status] - Status or list of statuses
+ * @param {string|Array<string>} [filters.currency] - Currency or list of currencies
+ * @param {number} [filters.minWorth] - Minimum orderProductsCost
+ * @param {number} [filters.maxWorth] - Maximum orderProductsCost
+ * @param {string} [filters.currencyMode] - Compare worth in the order currency (native, default)
+ *   or in the base currency (base - orders without an exchange rate never match)
+ * @param {Date|string} [filters.dateFrom] - Order date lower bound
+ * @param {Date|string} [filters.dateTo] - Order date upper bound
+ * @param {Date|string} [filters.createdFrom] - Creation date lower bound
+ * @param {Date|string} [filters.createdTo] - Creation date upper bound
+ * @param {Date|string} [filters.updatedFrom] - Last update lower bound
+ * @param {Date|string} [filters.updatedTo] - Last update upper bound
+ * @returns {Object} MongoDB query
+ */
+function buildOrderQuery(filters = {}) {
+	const query = {};
+	const toDate = value => new Date(value);
+
+	// Apply shop, status and currency filters (single value or list)
+	for (const field of ['shopId', 'status', 'currency']) {
+		const value = filters[field];
+		if (value) {
+			query[field] = Array.isArray(value) ? {$in: value} : value;
+		}
+	}
+
+	// Apply date range filters
+	const orderDate = buildRange(filters.dateFrom, filters.dateTo, toDate);
+	if (orderDate) {
+		query.orderDate = orderDate;
+	}
+
+	const createdAt = buildRange(filters.createdFrom, filters.createdTo, toDate);
+	if (createdAt) {
+		query.createdAt = createdAt;
+	}
+
+	const updatedAt = buildRange(filters.updatedFrom, filters.updatedTo, toDate);
+	if (updatedAt) {
+		query.updatedAt = updatedAt;
+	}
+
+	// Apply order worth filter
+	const worth = buildRange(filters.minWorth, filters.maxWorth, parseFloat);
+	if (worth) {
+		query[getAmountFields(filters.currencyMode).costField] = worth;
+	}
+
+	return query;
+}
+
+/**
+ * Build the pipeline of order count, orderProductsCost sum and average order value per currency
+ * Amounts are only summed within a currency - in base mode, orders without an exchange rate
+ * are counted under a null currency
+ * @param {Object} query - MongoDB query (see buildOrderQuery)
+ * @param {Object} amounts - Amount fields (see getAmountFields)
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+function buildCurrencyTotalsPipeline(query, amounts) {
+	return [
+		{$match: query},
+		{
+			$group: {
+				_id: amounts.currency,
+				orderCount: {$sum: 1},
+				orderProductsCost: {$sum: amounts.cost},
+				averageOrderValue: {$avg: amounts.cost},
+			},
+		},
+		{$sort: {_id: 1}},
+		{
+			$project: {
+				_id: 0,
+				currency: '$_id',
+				orderCount: 1,
+				orderProductsCost: {$round: ['$orderProductsCost', 2]},
+				averageOrderValue: {$round: [{$ifNull: ['$averageOrderValue', 0]}, 2]},
+			},
+		},
+	];
+}
+
+/**
+ * Build the pipeline of order count and orderProductsCost per period and currency
+ * Orders are bucketed by orderDate; orders without one are left out
+ * @param {Object} query - MongoDB query (see buildOrderQuery)
+ * @param {Object} amounts - Amount fields (see getAmountFields)
+ * @param {string} interval - Period length (day, week or month; weeks start on Monday)
+ * @param {string} timezone - IANA time zone the periods are aligned to
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+function buildTimeSeriesPipeline(query, amounts, interval, timezone) {
+	return [
+		{$match: {$and: [query, {orderDate: {$type: 'date'}}]}},
+		{
+			$group: {
+				_id: {
+					period: {
+						$dateTrunc: {date: '$orderDate', unit: interval, timezone, startOfWeek: 'monday'},
+					},
+					currency: amounts.currency,
+				},
+				orderCount: {$sum: 1},
+				orderProductsCost: {$sum: amounts.cost},
+			},
+		},
+		{$sort: {'_id.period': 1, '_id.currency': 1}},
+		{
+			$group: {
+				_id: '$_id.period',
+				orderCount: {$sum: '$orderCount'},
+				currencies: {
+					$push: {
+						currency: '$_id.currency',
+						orderCount: '$orderCount',
+						orderProductsCost: {$round: ['$orderProductsCost', 2]},
+					},
+				},
+			},
+		},
+		{$sort: {_id: 1}},
+		{$project: {_id: 0, period: '$_id', orderCount: 1, currencies: 1}},
+	];
+}
+
+/**
+ * Build the pipeline of order count per status (most frequent first)
+ * @param {Object} query - MongoDB query (see buildOrderQuery)
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+function buildStatusPipeline(query) {
+	return [
+		{$match: query},
+		{$group: {_id: '$status', orderCount: {$sum: 1}}},
+		{$sort: {orderCount: -1, _id: 1}},
+		{$project: {_id: 0, status: '$_id', orderCount: 1}},
+	];
+}
+
+/**
+ * Build the pipeline of the best selling products by ordered quantity
+ * A product counts once per order even if it was ordered in several sizes;
+ * revenue (quantity x unit price, times the exchange rate in base mode) is reported per currency
+ * @param {Object} query - MongoDB query (see buildOrderQuery)
+ * @param {Object} amounts - Amount fields (see getAmountFields)
+ * @param {number} limit - Number of products in the ranking
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+function buildTopProductsPipeline(query, amounts, limit) {
+	const quantity = {$ifNull: ['$orderProducts.productQuantity', 0]};
+
+	return [
+		{$match: query},
+		{$unwind: '$orderProducts'},
+		{$match: {'orderProducts.productId': {$ne: null}}},
+		{
+			$group: {
+				_id: {order: '$_id', productId: '$orderProducts.productId', currency: amounts.currency},
+				productName: {$first: '$orderProducts.productName'},
+				productSku: {$first: '$orderProducts.productSku'},
+				quantity: {$sum: quantity},
+				revenue: {
+					$sum: {
+						$multiply: [
+							quantity,
+							{$ifNull: ['$orderProducts.productUnitPrice', 0]},
+							{$ifNull: [amounts.rate, 0]},
+						],
+					},
+				},
+			},
+		},
+		{
+			$group: {
+				_id: {productId: '$_id.productId', currency: '$_id.currency'},
+				productName: {$first: '$productName'},
+				productSku: {$first: '$productSku'},
+				quantity: {$sum: '$quantity'},
+				orderCount: {$sum: 1},
+				revenue: {$sum: '$revenue'},
+			},
+		},
+		{$sort: {'_id.currency': 1}},
+		{
+			$group: {
+				_id: '$_id.productId',
+				productName: {$first: '$productName'},
+				productSku: {$first: '$productSku'},
+				quantity: {$sum: '$quantity'},
+				orderCount: {$sum: '$orderCount'},
+				revenue: {$push: {currency: '$_id.currency', amount: {$round: ['$revenue', 2]}}},
+			},
+		},
+		{$sort: {quantity: -1, orderCount: -1, _id: 1}},
+		{$limit: limit},
+		{
+			$project: {
+				_id: 0,
+				productId: '$_id',
+				productName: 1,
+				productSku: 1,
+				quantity: 1,
+				orderCount: 1,
+				revenue: 1,
+			},
+		},
+	];
+}
+
 /**
  * Order Model - MongoDB implementation
  */
 const orderModel = {
+	CURRENCY_MODES,
+
 	/**
 	 * Get all orders with optional filters
 	 * @param {Object} filters - Filter options
@@ -15,35 +335,8 @@ const orderModel = {
 			const db = getDb();
 			const collection = db.collection('orders');
 
-			const query = {};
-			const options = {};
-
-			// Apply status filter
-			if (filters.status) {
-				query.status = filters.status;
-			}
-
-			// Apply date range filter
-			if (filters.dateFrom || filters.dateTo) {
-				query.orderDate = {};
-				if (filters.dateFrom) {
-					query.orderDate.$gte = new Date(filters.dateFrom);
-				}
-				if (filters.dateTo) {
-					query.orderDate.$lte = new Date(filters.dateTo);
-				}
-			}
-
-			// Apply order worth filter
-			if (filters.minWorth !== undefined || filters.maxWorth !== undefined) {
-				query.orderProductsCost = {};
-				if (filters.minWorth !== undefined) {
-					query.orderProductsCost.$gte = parseFloat(filters.minWorth);
-				}
-				if (filters.maxWorth !== undefined) {
-					query.orderProductsCost.$lte = parseFloat(filters.maxWorth);
-				}
-			}
+			const query = buildOrderQuery(filters);
+			const options = {projection: LIST_PROJECTION};
 
 			// Apply limit
 			if (filters.limit) {
@@ -66,6 +359,78 @@ const orderModel = {
 		}
 	},
 
+	/**
+	 * Get a cursor over all orders matching the filters (newest first)
+	 * Documents are fetched in batches while the cursor is iterated, so large exports
+	 * never hold the whole result in memory
+	 * @param {Object} filters - Filter options (see buildOrderQuery)
+	 * @returns {FindCursor} Async iterable cursor of orders
+	 */
+	getCursor(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+
+			const query = buildOrderQuery(filters);
+
+			return collection
+				.find(query, {projection: LIST_PROJECTION, sort: {orderDate: -1}})
+				.map(order => ({
+					...order,
+					id: order._id.toString(),
+				}));
+		} catch (error) {
+			console.error('Error opening orders cursor:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get a page of orders using cursor-based pagination (newest first)
+	 * @param {Object} filters - Filter options (see buildOrderQuery)
+	 * @param {Object} options - Pagination options
+	 * @param {number} options.limit - Page size (default: 50)
+	 * @param {string} [options.cursor] - Cursor returned with the previous page
+	 * @returns {Promise<Object>} Page with orders, nextCursor and hasMore flag
+	 */
+	async getPage(filters = {}, options = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+
+			const limit = parseInt(options.limit, 10) || 50;
+			const query = buildOrderQuery(filters);
+
+			// ObjectIds grow monotonically, so _id doubles as a stable cursor
+			if (options.cursor) {
+				if (!ObjectId.isValid(options.cursor)) {
+					throw new Error('Invalid pagination cursor');
+				}
+				query._id = {$lt: new ObjectId(options.cursor)};
+			}
+
+			// Fetch one extra document to find out whether another page exists
+			const orders = await collection
+				.find(query, {projection: LIST_PROJECTION, sort: {_id: -1}, limit: limit + 1})
+				.toArray();
+
+			const hasMore = orders.length > limit;
+			const pageOrders = hasMore ? orders.slice(0, limit) : orders;
+
+			return {
+				orders: pageOrders.map(order => ({
+					...order,
+					id: order._id.toString(),
+				})),
+				nextCursor: hasMore ? pageOrders[pageOrders.length - 1]._id.toString() : null,
+				hasMore,
+			};
+		} catch (error) {
+			console.error('Error fetching orders page:', error);
+			throw error;
+		}
+	},
+
 	/**
 	 * Get order by ID
 	 * @param {string} id - Order ID
@@ -100,14 +465,15 @@ const orderModel = {
 	/**
 	 * Get order by external ID (from Idosell)
 	 * @param {string} externalId - External order ID
+	 * @param {string} [shopId] - Shop the order belongs to
 	 * @returns {Promise<Object|null>} Order or null if not found
 	 */
-	async getByExternalId(externalId) {
+	async getByExternalId(externalId, shopId) {
 		try {
 			const db = getDb();
 			const collection = db.collection('orders');
 
-			const order = await collection.findOne({externalId});
+			const order = await collection.findOne(buildShopQuery({externalId}, shopId));
 
 			if (order) {
 				return {
@@ -123,17 +489,44 @@ const orderModel = {
 		}
 	},
 
+	/**
+	 * Get the orders of a shop with the given external IDs
+	 * Includes the raw IdoSell payload so callers can tell whether an order changed
+	 * @param {Array<string>} externalIds - External order IDs
+	 * @param {string} [shopId] - Shop the orders belong to
+	 * @returns {Promise<Array>} Orders found (missing IDs are left out)
+	 */
+	async getByExternalIds(externalIds, shopId) {
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+
+			const orders = await collection
+				.find(buildShopQuery({externalId: {$in: externalIds}}, shopId))
+				.toArray();
+
+			return orders.map(order => ({
+				...order,
+				id: order._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching orders by external IDs:', error);
+			throw error;
+		}
+	},
+
 	/**
 	 * Get order by external serial number (from Idosell)
 	 * @param {string} externalSerialNumber - External order serial number
+	 * @param {string} [shopId] - Shop the order belongs to
 	 * @returns {Promise<Object|null>} Order or null if not found
 	 */
-	async getByExternalSerialNumber(externalSerialNumber) {
+	async getByExternalSerialNumber(externalSerialNumber, shopId) {
 		try {
 			const db = getDb();
 			const collection = db.collection('orders');
 
-			const order = await collection.findOne({externalSerialNumber});
+			const order = await collection.findOne(buildShopQuery({externalSerialNumber}, shopId));
 
 			if (order) {
 				return {
@@ -159,19 +552,7 @@ const orderModel = {
 			const db = getDb();
 			const collection = db.collection('orders');
 
-			const now = new Date();
-			const newOrder = {
-				externalId: orderData.externalId,
-				externalSerialNumber: orderData.externalSerialNumber,
-				currency: orderData.currency,
-				status: orderData.status,
-				orderProducts: orderData.orderProducts || [],
-				orderProductsCost: orderData.orderProductsCost,
-				externalCreatedAt: orderData.externalCreatedAt,
-				externalUpdatedAt: orderData.externalUpdatedAt,
-				createdAt: orderData.createdAt || now,
-				updatedAt: orderData.updatedAt || now,
-			};
+			const newOrder = buildOrderDocument(orderData);
 
 			const result = await collection.insertOne(newOrder);
 
@@ -237,9 +618,10 @@ const orderModel = {
 	 * Update order by external ID
 	 * @param {string} externalId - External order ID
 	 * @param {Object} updateData - Update data
+	 * @param {string} [shopId] - Shop the order belongs to
 	 * @returns {Promise<Object|null>} Updated order or null if not found
 	 */
-	async updateByExternalId(externalId, updateData) {
+	async updateByExternalId(externalId, updateData, shopId) {
 		try {
 			const db = getDb();
 			const collection = db.collection('orders');
@@ -256,16 +638,16 @@ const orderModel = {
 				}
 			});
 
-			const result = await collection.findOneAndUpdate(
-				{externalId: externalId},
+			const order = await collection.findOneAndUpdate(
+				buildShopQuery({externalId}, shopId),
 				{$set: updateFields},
 				{returnDocument: 'after'},
 			);
 
-			if (result.value) {
+			if (order) {
 				return {
-					...result.value,
-					id: result.value._id.toString(),
+					...order,
+					id: order._id.toString(),
 				};
 			}
 
@@ -276,6 +658,151 @@ const orderModel = {
 		}
 	},
 
+	/**
+	 * Insert and update a batch of orders with a single unordered bulk write
+	 * Inserts are upserts that only set fields on insert, so an order created in the meantime is
+	 * left untouched and reported as existing. Updates set the given fields and bump updatedAt.
+	 * @param {Array<Object>} operations - {externalId, insert: orderData} or {externalId, update: fields}
+	 * @param {string} [shopId] - Shop the orders belong to
+	 * @returns {Promise<Object>} External IDs that were created, updated or already existed,
+	 *   plus per-order write errors ({externalId, message})
+	 */
+	async bulkUpsertByExternalId(operations, shopId) {
+		const results = {created: [], updated: [], existing: [], errors: []};
+
+		if (operations.length === 0) {
+			return results;
+		}
+
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+			const now = new Date();
+
+			const writes = operations.map(({externalId, insert, update}) => {
+				const filter = buildShopQuery({externalId}, shopId);
+
+				if (insert) {
+					return {
+						updateOne: {
+							filter,
+							update: {$setOnInsert: buildOrderDocument(insert, now)},
+							upsert: true,
+						},
+					};
+				}
+
+				const updateFields = {...update, updatedAt: now};
+
+				// Remove undefined fields
+				Object.keys(updateFields).forEach(key => {
+					if (updateFields[key] === undefined) {
+						delete updateFields[key];
+					}
+				});
+
+				return {updateOne: {filter, update: {$set: updateFields}}};
+			});
+
+			let writeResult;
+			let writeErrors = [];
+
+			try {
+				writeResult = await collection.bulkWrite(writes, {ordered: false});
+			} catch (error) {
+				// Unordered writes carry on past failing documents - report those per order
+				if (!(error instanceof MongoBulkWriteError)) {
+					throw error;
+				}
+				writeResult = error.result;
+				writeErrors = error.writeErrors;
+			}
+
+			const failedIndexes = new Set();
+			for (const writeError of writeErrors) {
+				failedIndexes.add(writeError.index);
+				results.errors.push({
+					externalId: operations[writeError.index].externalId,
+					message: writeError.errmsg,
+				});
+			}
+
+			const upsertedIds = writeResult.upsertedIds || {};
+			operations.forEach(({externalId, insert}, index) => {
+				if (failedIndexes.has(index)) {
+					return;
+				}
+				if (!insert) {
+					results.updated.push(externalId);
+				} else if (upsertedIds[index]) {
+					results.created.push(externalId);
+				} else {
+					results.existing.push(externalId);
+				}
+			});
+
+			return results;
+		} catch (error) {
+			console.error('Error bulk upserting orders:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Store recalculated base currency amounts
+	 * Does not touch updatedAt - the amounts are derived from the order and the exchange rates
+	 * @param {Array<Object>} updates - Updates ({id, baseAmount}) - baseAmount holds baseCurrency,
+	 *   baseOrderProductsCost, exchangeRate and exchangeRateDate
+	 * @returns {Promise<number>} Number of modified orders
+	 */
+	async setBaseAmounts(updates) {
+		if (updates.length === 0) {
+			return 0;
+		}
+
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+
+			const result = await collection.bulkWrite(updates.map(({id, baseAmount}) => ({
+				updateOne: {
+					filter: {_id: new ObjectId(id)},
+					update: {$set: baseAmount},
+				},
+			})), {ordered: false});
+
+			return result.modifiedCount;
+		} catch (error) {
+			console.error('Error saving order base amounts:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Record when orders were last reconciled with IdoSell
+	 * Does not touch updatedAt so the timestamp keeps reflecting real data changes
+	 * @param {Array<string>} externalIds - External order IDs
+	 * @param {Date} checkedAt - Reconciliation time
+	 * @param {string} [shopId] - Shop the orders belong to
+	 * @returns {Promise<number>} Number of orders marked
+	 */
+	async markStatusChecked(externalIds, checkedAt = new Date(), shopId) {
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+
+			const result = await collection.updateMany(
+				buildShopQuery({externalId: {$in: externalIds}}, shopId),
+				{$set: {statusCheckedAt: checkedAt}},
+			);
+
+			return result.modifiedCount;
+		} catch (error) {
+			console.error('Error marking orders as status checked:', error);
+			throw error;
+		}
+	},
+
 	/**
 	 * Delete an order
 	 * @param {string} id - Order ID
@@ -309,36 +836,64 @@ const orderModel = {
 			const db = getDb();
 			const collection = db.collection('orders');
 
-			const query = {};
+			const query = buildOrderQuery(filters);
 
-			if (filters.status) {
-				query.status = filters.status;
-			}
+			return await collection.countDocuments(query);
+		} catch (error) {
+			console.error('Error counting orders:', error);
+			throw error;
+		}
+	},
 
-			if (filters.dateFrom || filters.dateTo) {
-				query.orderDate = {};
-				if (filters.dateFrom) {
-					query.orderDate.$gte = new Date(filters.dateFrom);
-				}
-				if (filters.dateTo) {
-					query.orderDate.$lte = new Date(filters.dateTo);
-				}
-			}
+	/**
+	 * Get order statistics - totals per currency, a time series, the status distribution
+	 * and the best selling products
+	 * Amounts are in the order currency, or in the base currency with filters.currencyMode 'base'
+	 * @param {Object} filters - Filter options (see buildOrderQuery)
+	 * @param {Object} options - Aggregation options
+	 * @param {string} options.interval - Time series period: day, week or month (default: day)
+	 * @param {string} options.timezone - IANA time zone of the periods (default: UTC)
+	 * @param {number} options.topProducts - Number of ranked products (default: 10)
+	 * @returns {Promise<Object>} Order statistics
+	 */
+	async getStats(filters = {}, options = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
 
-			// Apply order worth filter
-			if (filters.minWorth !== undefined || filters.maxWorth !== undefined) {
-				query.orderProductsCost = {};
-				if (filters.minWorth !== undefined) {
-					query.orderProductsCost.$gte = parseFloat(filters.minWorth);
-				}
-				if (filters.maxWorth !== undefined) {
-					query.orderProductsCost.$lte = parseFloat(filters.maxWorth);
-				}
-			}
+			const query = buildOrderQuery(filters);
+			const currencyMode = filters.currencyMode || CURRENCY_MODES.NATIVE;
+			const amounts = getAmountFields(currencyMode);
+			const interval = options.interval || 'day';
+			const timezone = options.timezone || 'UTC';
+			const topProductLimit = parseInt(options.topProducts, 10) || 10;
+
+			const [currencies, periods, statuses, topProducts] = await Promise.all([
+				collection.aggregate(buildCurrencyTotalsPipeline(query, amounts)).toArray(),
+				collection
+					.aggregate(buildTimeSeriesPipeline(query, amounts, interval, timezone))
+					.toArray(),
+				collection.aggregate(buildStatusPipeline(query)).toArray(),
+				collection.aggregate(buildTopProductsPipeline(query, amounts, topProductLimit), {
+					allowDiskUse: true,
+				}).toArray(),
+			]);
+
+			const orderCount = currencies.reduce((sum, currency) => sum + currency.orderCount, 0);
 
-			return await collection.countDocuments(query);
+			return {
+				currencyMode,
+				orderCount,
+				currencies,
+				timeSeries: {interval, timezone, periods},
+				statuses: statuses.map(status => ({
+					...status,
+					share: Math.round((status.orderCount / orderCount) * 10000) / 10000,
+				})),
+				topProducts,
+			};
 		} catch (error) {
-			console.error('Error counting orders:', error);
+			console.error('Error aggregating order statistics:', error);
 			throw error;
 		}
 	},
@@ -0,0 +1,116 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Report delivery outcomes
+ */
+const REPORT_DELIVERY_STATUSES = {
+	DELIVERED: 'delivered', // Written to disk or accepted by the SMTP server
+	FAILED: 'failed', // Export or delivery aborted with an exception
+};
+
+/**
+ * What triggered a report delivery
+ */
+const REPORT_TRIGGERS = {
+	SCHEDULE: 'schedule', // Cron expression of the schedule
+	MANUAL: 'manual', // POST /api/report-schedules/:id/run
+};
+
+/**
+ * Report Delivery Model - Log of delivered and failed reports (report_deliveries collection)
+ */
+const reportDeliveryModel = {
+	REPORT_DELIVERY_STATUSES,
+	REPORT_TRIGGERS,
+
+	/**
+	 * Record a report delivery
+	 * @param {Object} delivery - Delivery details
+	 * @param {string} delivery.scheduleId - Report schedule ID
+	 * @param {string} delivery.scheduleName - Report schedule name at the time of the delivery
+	 * @param {string} delivery.trigger - One of REPORT_TRIGGERS
+	 * @param {string} delivery.status - One of REPORT_DELIVERY_STATUSES
+	 * @param {string} delivery.format - Export format name
+	 * @param {Object} delivery.target - Delivery target ({type, path} or {type, to, messageId, response})
+	 * @param {string|null} delivery.fileName - Report file name
+	 * @param {number|null} delivery.size - Report size in bytes
+	 * @param {number} delivery.orderCount - Number of exported orders
+	 * @param {Date} delivery.startedAt - Run start time
+	 * @param {Date} delivery.finishedAt - Run end time
+	 * @param {Object|null} delivery.failure - Exception that aborted the delivery ({message, code})
+	 * @returns {Promise<Object>} Stored delivery
+	 */
+	async create(delivery) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_deliveries');
+
+			const newDelivery = {
+				scheduleId: delivery.scheduleId,
+				scheduleName: delivery.scheduleName,
+				trigger: delivery.trigger,
+				status: delivery.status,
+				format: delivery.format,
+				target: delivery.target,
+				fileName: delivery.fileName || null,
+				size: delivery.size === undefined ? null : delivery.size,
+				orderCount: delivery.orderCount || 0,
+				startedAt: delivery.startedAt,
+				finishedAt: delivery.finishedAt,
+				durationMs: delivery.finishedAt - delivery.startedAt,
+				failure: delivery.failure || null,
+			};
+
+			const result = await collection.insertOne(newDelivery);
+
+			return {
+				...newDelivery,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error recording report delivery:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get report deliveries, newest first
+	 * @param {Object} filters - Filter options
+	 * @param {string} filters.scheduleId - Report schedule ID
+	 * @param {string} filters.status - Delivery status
+	 * @param {number} filters.limit - Maximum number of deliveries
+	 * @returns {Promise<Array>} Array of deliveries
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_deliveries');
+
+			const query = {};
+
+			if (filters.scheduleId) {
+				query.scheduleId = filters.scheduleId;
+			}
+
+			if (filters.status) {
+				query.status = filters.status;
+			}
+
+			const deliveries = await collection
+				.find(query)
+				.sort({startedAt: -1})
+				.limit(filters.limit || 50)
+				.toArray();
+
+			return deliveries.map(delivery => ({
+				...delivery,
+				id: delivery._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching report deliveries:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = reportDeliveryModel;
@@ -0,0 +1,201 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Where a report is delivered
+ */
+const REPORT_TARGET_TYPES = {
+	DIRECTORY: 'directory', // Written to a directory below REPORT_OUTPUT_DIR
+	SMTP: 'smtp', // Emailed as an attachment
+};
+
+/**
+ * Add the string ID to a report schedule document
+ * @param {Object|null} schedule - Report schedule document
+ * @returns {Object|null} Report schedule or null
+ */
+const toReportSchedule = schedule => (schedule ? {...schedule, id: schedule._id.toString()} : null);
+
+/**
+ * Pick the stored fields of a report schedule
+ * @param {Object} schedule - Report schedule details
+ * @returns {Object} Report schedule fields
+ */
+const pickScheduleFields = schedule => ({
+	name: schedule.name,
+	description: schedule.description || null,
+	cron: schedule.cron,
+	timezone: schedule.timezone || 'Europe/Warsaw',
+	enabled: schedule.enabled !== false,
+	format: schedule.format || 'csv',
+	filters: schedule.filters || {},
+	lookbackHours: schedule.lookbackHours || null,
+	options: schedule.options || {},
+	preset: schedule.preset || null,
+	target: schedule.target,
+});
+
+/**
+ * Report Schedule Model - Recurring order reports and where to deliver them (report_schedules collection)
+ */
+const reportScheduleModel = {
+	REPORT_TARGET_TYPES,
+
+	/**
+	 * Get report schedules, sorted by name
+	 * @param {Object} filters - Filter options
+	 * @param {boolean} filters.enabled - Only enabled (true) or disabled (false) schedules
+	 * @returns {Promise<Array>} Array of report schedules
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_schedules');
+
+			const query = {};
+
+			if (filters.enabled !== undefined) {
+				query.enabled = filters.enabled;
+			}
+
+			const schedules = await collection.find(query).sort({name: 1}).toArray();
+
+			return schedules.map(toReportSchedule);
+		} catch (error) {
+			console.error('Error fetching report schedules:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get a report schedule by ID
+	 * @param {string} id - Report schedule ID
+	 * @returns {Promise<Object|null>} Report schedule or null if not found
+	 */
+	async getById(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_schedules');
+
+			// Validate ObjectId format
+			if (!ObjectId.isValid(id)) {
+				return null;
+			}
+
+			return toReportSchedule(await collection.findOne({_id: new ObjectId(id)}));
+		} catch (error) {
+			console.error('Error fetching report schedule:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Create a report schedule
+	 * @param {Object} schedule - Report schedule details
+	 * @param {string} schedule.name - Unique schedule name
+	 * @param {string} schedule.description - Optional description
+	 * @param {string} schedule.cron - Cron expression
+	 * @param {string} schedule.timezone - Timezone the cron expression is evaluated in
+	 * @param {boolean} schedule.enabled - Whether the schedule runs
+	 * @param {string} schedule.format - Export format name
+	 * @param {Object} schedule.filters - Order filters
+	 * @param {number|null} schedule.lookbackHours - Only report orders of the last X hours
+	 * @param {Object} schedule.options - Export options (columns, delimiter, ...)
+	 * @param {string|null} schedule.preset - Export preset the options came from
+	 * @param {Object} schedule.target - Delivery target ({type, directory} or {type, to, subject})
+	 * @returns {Promise<Object>} Stored report schedule
+	 */
+	async create(schedule) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_schedules');
+			const now = new Date();
+
+			const newSchedule = {
+				...pickScheduleFields(schedule),
+				lastRunAt: null,
+				lastStatus: null,
+				createdAt: now,
+				updatedAt: now,
+			};
+
+			const result = await collection.insertOne(newSchedule);
+
+			return {
+				...newSchedule,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error creating report schedule:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Replace the settings of a report schedule
+	 * @param {string} id - Report schedule ID
+	 * @param {Object} schedule - Report schedule details (see create)
+	 * @returns {Promise<Object|null>} Updated report schedule or null if not found
+	 */
+	async update(id, schedule) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_schedules');
+
+			const updated = await collection.findOneAndUpdate(
+				{_id: new ObjectId(id)},
+				{$set: {...pickScheduleFields(schedule), updatedAt: new Date()}},
+				{returnDocument: 'after'},
+			);
+
+			return toReportSchedule(updated);
+		} catch (error) {
+			console.error('Error updating report schedule:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Delete a report schedule
+	 * @param {string} id - Report schedule ID
+	 * @returns {Promise<boolean>} True if deleted, false if not found
+	 */
+	async delete(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_schedules');
+
+			const result = await collection.deleteOne({_id: new ObjectId(id)});
+
+			return result.deletedCount === 1;
+		} catch (error) {
+			console.error('Error deleting report schedule:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Remember the outcome of the latest run
+	 * Does not touch updatedAt, which tracks changes to the schedule settings
+	 * @param {string} id - Report schedule ID
+	 * @param {Object} run - Run outcome
+	 * @param {Date} run.lastRunAt - When the report was run
+	 * @param {string} run.lastStatus - Delivery status (see REPORT_DELIVERY_STATUSES)
+	 * @returns {Promise<void>}
+	 */
+	async recordRun(id, run) {
+		try {
+			const db = getDb();
+			const collection = db.collection('report_schedules');
+
+			await collection.updateOne({_id: new ObjectId(id)}, {
+				$set: {lastRunAt: run.lastRunAt, lastStatus: run.lastStatus},
+			});
+		} catch (error) {
+			console.error('Error recording report run:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = reportScheduleModel;
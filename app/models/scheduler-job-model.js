@@ -0,0 +1,97 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Job settings that can be stored - anything else is ignored
+ */
+const JOB_SETTING_FIELDS = ['cron', 'timezone', 'timeoutMs', 'enabled', 'options'];
+
+/**
+ * Scheduler Job Model - Stored settings of scheduled jobs (scheduler_jobs collection)
+ * One document per job, keyed by the job name. Stored settings override the job defaults
+ * and the scheduler jobs file; fields that are not stored keep those values.
+ */
+const schedulerJobModel = {
+	JOB_SETTING_FIELDS,
+
+	/**
+	 * Get the stored settings of every job
+	 * @returns {Promise<Array>} Job settings ({name, cron, timezone, timeoutMs, enabled, options, updatedAt})
+	 */
+	async getAll() {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_jobs');
+
+			const jobs = await collection.find({}).sort({_id: 1}).toArray();
+
+			return jobs.map(job => this.toJobSettings(job));
+		} catch (error) {
+			console.error('Error fetching scheduler job settings:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get the stored settings of a job
+	 * @param {string} name - Job name
+	 * @returns {Promise<Object|null>} Job settings or null if none are stored
+	 */
+	async get(name) {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_jobs');
+
+			const job = await collection.findOne({_id: name});
+
+			return job ? this.toJobSettings(job) : null;
+		} catch (error) {
+			console.error('Error fetching scheduler job settings:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Store settings of a job
+	 * @param {string} name - Job name
+	 * @param {Object} settings - Settings to store (see JOB_SETTING_FIELDS)
+	 * @returns {Promise<Object>} Stored job settings
+	 */
+	async update(name, settings) {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_jobs');
+			const now = new Date();
+
+			const job = await collection.findOneAndUpdate(
+				{_id: name},
+				{
+					$set: {
+						...Object.fromEntries(JOB_SETTING_FIELDS
+							.filter(field => settings[field] !== undefined)
+							.map(field => [field, settings[field]])),
+						updatedAt: now,
+					},
+					$setOnInsert: {createdAt: now},
+				},
+				{upsert: true, returnDocument: 'after'},
+			);
+
+			return this.toJobSettings(job);
+		} catch (error) {
+			console.error('Error updating scheduler job settings:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Convert a scheduler_jobs document to job settings
+	 * @param {Object} job - scheduler_jobs document
+	 * @returns {Object} Job settings
+	 */
+	toJobSettings(job) {
+		const {_id, ...settings} = job;
+		return {name: _id, ...settings};
+	},
+};
+
+module.exports = schedulerJobModel;
@@ -0,0 +1,128 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Scheduler Lock Model - Leases that let only one app instance run a scheduled job at a time
+ * One document per lock, keyed by the lock name. A lease belongs to an owner until expiresAt;
+ * the holder renews it while it works, and an expired lease can be taken over by anyone, so a
+ * crashed holder never blocks the job for longer than one TTL. The TTL index on expiresAt
+ * also removes leases that were never released.
+ */
+const schedulerLockModel = {
+	/**
+	 * Acquire a lease - succeeds when the lock is free, expired or already held by the owner
+	 * @param {string} name - Lock name
+	 * @param {string} owner - ID of the acquiring instance
+	 * @param {number} ttlMs - Lease duration
+	 * @returns {Promise<Object|null>} Lease ({name, owner, acquiredAt, renewedAt, expiresAt,
+	 *   takenOverFrom}) or null if another owner holds the lock
+	 */
+	async acquire(name, owner, ttlMs) {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_locks');
+			const now = new Date();
+			const lease = {
+				owner,
+				acquiredAt: now,
+				renewedAt: now,
+				expiresAt: new Date(now.getTime() + ttlMs),
+			};
+
+			const previous = await collection.findOneAndUpdate(
+				{_id: name, $or: [{owner}, {expiresAt: {$lte: now}}]},
+				{$set: lease},
+				{upsert: true, returnDocument: 'before'},
+			);
+
+			return {
+				name,
+				...lease,
+				takenOverFrom: previous && previous.owner !== owner ? previous.owner : null,
+			};
+		} catch (error) {
+			// The upsert collides with the _id of a live lease of another owner
+			if (error.code === 11000) {
+				return null;
+			}
+			console.error('Error acquiring scheduler lock:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Extend a lease held by the owner
+	 * @param {string} name - Lock name
+	 * @param {string} owner - ID of the holding instance
+	 * @param {number} ttlMs - New lease duration from now
+	 * @returns {Promise<Object|null>} Renewed lease or null if the owner no longer holds it
+	 */
+	async renew(name, owner, ttlMs) {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_locks');
+			const now = new Date();
+
+			const lease = await collection.findOneAndUpdate(
+				{_id: name, owner},
+				{$set: {renewedAt: now, expiresAt: new Date(now.getTime() + ttlMs)}},
+				{returnDocument: 'after'},
+			);
+
+			return lease ? this.toLease(lease) : null;
+		} catch (error) {
+			console.error('Error renewing scheduler lock:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Release a lease held by the owner
+	 * @param {string} name - Lock name
+	 * @param {string} owner - ID of the holding instance
+	 * @returns {Promise<boolean>} True if the lease was released
+	 */
+	async release(name, owner) {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_locks');
+
+			const result = await collection.deleteOne({_id: name, owner});
+
+			return result.deletedCount > 0;
+		} catch (error) {
+			console.error('Error releasing scheduler lock:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get the current lease of a lock
+	 * @param {string} name - Lock name
+	 * @returns {Promise<Object|null>} Lease or null if nobody holds the lock
+	 */
+	async get(name) {
+		try {
+			const db = getDb();
+			const collection = db.collection('scheduler_locks');
+
+			const lease = await collection.findOne({_id: name, expiresAt: {$gt: new Date()}});
+
+			return lease ? this.toLease(lease) : null;
+		} catch (error) {
+			console.error('Error fetching scheduler lock:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Convert a lock document to a lease
+	 * @param {Object} lock - scheduler_locks document
+	 * @returns {Object} Lease
+	 */
+	toLease(lock) {
+		const {_id, ...lease} = lock;
+		return {name: _id, ...lease};
+	},
+};
+
+module.exports = schedulerLockModel;
@@ -0,0 +1,162 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Kinds of sync runs
+ */
+const SYNC_RUN_TYPES = {
+	INCREMENTAL: 'incremental', // downloadAndSaveNewlyAddedOrdersFromScheduler
+	STATUS_MONITORING: 'status_monitoring', // runStatusMonitoringJob
+	RECONCILIATION: 'reconciliation', // runReconciliationJob
+	BACKFILL: 'backfill', // Historical backfill (CLI download command)
+};
+
+/**
+ * Sync run outcomes
+ */
+const SYNC_RUN_STATUSES = {
+	SUCCESS: 'success', // Finished without errors
+	COMPLETED_WITH_ERRORS: 'completed_with_errors', // Finished, but some orders failed
+	FAILED: 'failed', // Aborted with an exception
+};
+
+/**
+ * Sync Run Model - History of sync runs with their counts and errors (sync_runs collection)
+ */
+const syncRunModel = {
+	SYNC_RUN_TYPES,
+	SYNC_RUN_STATUSES,
+
+	/**
+	 * Record a finished sync run
+	 * @param {Object} run - Sync run details
+	 * @param {string} run.shopId - Shop the run synced
+	 * @param {string} run.type - One of SYNC_RUN_TYPES
+	 * @param {string} run.source - What triggered the run (see STATUS_SOURCES)
+	 * @param {string} run.status - One of SYNC_RUN_STATUSES
+	 * @param {Date} run.startedAt - Run start time
+	 * @param {Date} run.finishedAt - Run end time
+	 * @param {Object|null} run.window - Queried date window ({dateFrom, dateTo, dateType})
+	 * @param {Object} run.counts - Numeric results (downloaded, created, updated, ...)
+	 * @param {Array} run.errors - Per-order errors collected during the run
+	 * @param {Object|null} run.failure - Exception that aborted the run ({message, code, stack})
+	 * @returns {Promise<Object>} Stored sync run
+	 */
+	async create(run) {
+		try {
+			const db = getDb();
+			const collection = db.collection('sync_runs');
+
+			const newRun = {
+				shopId: run.shopId,
+				type: run.type,
+				source: run.source || null,
+				status: run.status,
+				startedAt: run.startedAt,
+				finishedAt: run.finishedAt,
+				durationMs: run.finishedAt - run.startedAt,
+				window: run.window || null,
+				counts: run.counts || {},
+				errors: run.errors || [],
+				failure: run.failure || null,
+			};
+
+			const result = await collection.insertOne(newRun);
+
+			return {
+				...newRun,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error recording sync run:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get sync runs, newest first
+	 * @param {Object} filters - Filter options
+	 * @param {string|Array<string>} filters.shopId - Shop or list of shops
+	 * @param {string} filters.type - Sync run type
+	 * @param {string} filters.status - Sync run status
+	 * @param {string} filters.startedFrom - Earliest start time (ISO 8601)
+	 * @param {string} filters.startedTo - Latest start time (ISO 8601)
+	 * @param {number} filters.limit - Maximum number of runs
+	 * @returns {Promise<Array>} Array of sync runs
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('sync_runs');
+
+			const query = {};
+
+			if (filters.shopId) {
+				query.shopId = Array.isArray(filters.shopId)
+					? {$in: filters.shopId}
+					: filters.shopId;
+			}
+
+			if (filters.type) {
+				query.type = filters.type;
+			}
+
+			if (filters.status) {
+				query.status = filters.status;
+			}
+
+			if (filters.startedFrom || filters.startedTo) {
+				query.startedAt = {};
+				if (filters.startedFrom) {
+					query.startedAt.$gte = new Date(filters.startedFrom);
+				}
+				if (filters.startedTo) {
+					query.startedAt.$lte = new Date(filters.startedTo);
+				}
+			}
+
+			const runs = await collection
+				.find(query)
+				.sort({startedAt: -1})
+				.limit(filters.limit || 50)
+				.toArray();
+
+			return runs.map(run => ({
+				...run,
+				id: run._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching sync runs:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get the latest successful run of every shop and run type
+	 * @returns {Promise<Array>} Latest successful runs without their error lists
+	 */
+	async getLastSuccessful() {
+		try {
+			const db = getDb();
+			const collection = db.collection('sync_runs');
+
+			const runs = await collection.aggregate([
+				{$match: {status: SYNC_RUN_STATUSES.SUCCESS}},
+				{$sort: {startedAt: -1}},
+				{$group: {_id: {shopId: '$shopId', type: '$type'}, run: {$first: '$$ROOT'}}},
+				{$replaceRoot: {newRoot: '$run'}},
+				{$project: {errors: 0, failure: 0}},
+				{$sort: {shopId: 1, type: 1}},
+			]).toArray();
+
+			return runs.map(run => ({
+				...run,
+				id: run._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Error fetching last successful sync runs:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = syncRunModel;
@@ -0,0 +1,95 @@
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Build the sync state document ID for a shop and date type
+ * @param {string} shopId - Shop ID
+ * @param {string} dateType - IdoSell ordersDateType
+ * @returns {string} Document ID
+ */
+function buildStateId(shopId, dateType) {
+	return `${shopId}:${dateType}`;
+}
+
+/**
+ * Sync State Model - Persisted high-water marks for incremental IdoSell sync
+ * One document per shop and IdoSell ordersDateType, keyed by "<shopId>:<dateType>"
+ */
+const syncStateModel = {
+	/**
+	 * Get the sync state for a shop and date type
+	 * @param {string} shopId - Shop ID
+	 * @param {string} dateType - IdoSell ordersDateType (e.g. 'add', 'modified')
+	 * @returns {Promise<Object|null>} Sync state or null if never synced
+	 */
+	async get(shopId, dateType) {
+		try {
+			const db = getDb();
+			const collection = db.collection('sync_state');
+
+			return await collection.findOne({_id: buildStateId(shopId, dateType)});
+		} catch (error) {
+			console.error('Error fetching sync state:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get the last successfully processed date for a shop and date type
+	 * @param {string} shopId - Shop ID
+	 * @param {string} dateType - IdoSell ordersDateType
+	 * @returns {Promise<Date|null>} High-water mark or null if never synced
+	 */
+	async getCursor(shopId, dateType) {
+		const state = await this.get(shopId, dateType);
+		return state ? state.lastProcessedAt : null;
+	},
+
+	/**
+	 * Advance the high-water mark for a shop and date type
+	 * The cursor never moves backwards - older dates are ignored
+	 * @param {string} shopId - Shop ID
+	 * @param {string} dateType - IdoSell ordersDateType
+	 * @param {Date} lastProcessedAt - Latest successfully processed date
+	 * @returns {Promise<Object>} Updated sync state
+	 */
+	async advanceCursor(shopId, dateType, lastProcessedAt) {
+		try {
+			const db = getDb();
+			const collection = db.collection('sync_state');
+			const now = new Date();
+
+			// $max keeps the stored cursor when it is already newer
+			return await collection.findOneAndUpdate(
+				{_id: buildStateId(shopId, dateType)},
+				{
+					$max: {lastProcessedAt},
+					$set: {updatedAt: now},
+					$setOnInsert: {shopId, dateType, createdAt: now},
+				},
+				{upsert: true, returnDocument: 'after'},
+			);
+		} catch (error) {
+			console.error('Error advancing sync cursor:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get sync state for every date type
+	 * @param {string} [shopId] - Only return the states of this shop
+	 * @returns {Promise<Array>} Array of sync states
+	 */
+	async getAll(shopId) {
+		try {
+			const db = getDb();
+			const collection = db.collection('sync_state');
+
+			return await collection.find(shopId ? {shopId} : {}).sort({_id: 1}).toArray();
+		} catch (error) {
+			console.error('Error fetching sync states:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = syncStateModel;
@@ -0,0 +1,233 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Webhook delivery lifecycle
+ */
+const WEBHOOK_DELIVERY_STATUSES = {
+	PENDING: 'pending', // Waiting for its first attempt or a retry
+	DELIVERING: 'delivering', // Being sent by the webhook worker
+	DELIVERED: 'delivered', // Receiver answered with a 2xx status
+	FAILED: 'failed', // Every attempt failed or the subscription is gone
+};
+
+/**
+ * Attempts kept in the log of a delivery
+ */
+const MAX_LOGGED_ATTEMPTS = 20;
+
+/**
+ * Add the string ID to a webhook delivery document
+ * @param {Object|null} delivery - Webhook delivery document
+ * @returns {Object|null} Webhook delivery or null
+ */
+const toDelivery = delivery => (delivery ? {...delivery, id: delivery._id.toString()} : null);
+
+/**
+ * Webhook Delivery Model - Queue and log of webhook deliveries, one per event and subscription
+ * (webhook_deliveries collection)
+ */
+const webhookDeliveryModel = {
+	WEBHOOK_DELIVERY_STATUSES,
+
+	/**
+	 * Queue deliveries of an event
+	 * @param {Array<Object>} deliveries - Deliveries to queue
+	 * @param {string} deliveries[].subscriptionId - Webhook subscription ID
+	 * @param {string} deliveries[].subscriptionName - Webhook subscription name at the time of the event
+	 * @param {Object} deliveries[].event - Event payload ({id, type, createdAt, data})
+	 * @param {string|null} deliveries[].replayOf - ID of the delivery this one replays
+	 * @returns {Promise<Array>} Queued deliveries
+	 */
+	async createMany(deliveries) {
+		if (deliveries.length === 0) {
+			return [];
+		}
+
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_deliveries');
+			const now = new Date();
+
+			const newDeliveries = deliveries.map(delivery => ({
+				subscriptionId: delivery.subscriptionId,
+				subscriptionName: delivery.subscriptionName,
+				eventId: delivery.event.id,
+				eventType: delivery.event.type,
+				event: delivery.event,
+				replayOf: delivery.replayOf || null,
+				status: WEBHOOK_DELIVERY_STATUSES.PENDING,
+				attempts: 0,
+				attemptLog: [],
+				nextAttemptAt: now,
+				lastAttemptAt: null,
+				deliveredAt: null,
+				createdAt: now,
+			}));
+
+			const result = await collection.insertMany(newDeliveries);
+
+			return newDeliveries.map((delivery, index) => ({
+				...delivery,
+				id: result.insertedIds[index].toString(),
+			}));
+		} catch (error) {
+			console.error('Error queueing webhook deliveries:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Claim the delivery that has been due the longest for the worker
+	 * The status switch is atomic, so a delivery is never sent twice at the same time
+	 * @param {Date} now - Reference time
+	 * @returns {Promise<Object|null>} Claimed delivery or null if nothing is due
+	 */
+	async claimNext(now = new Date()) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_deliveries');
+
+			const delivery = await collection.findOneAndUpdate(
+				{status: WEBHOOK_DELIVERY_STATUSES.PENDING, nextAttemptAt: {$lte: now}},
+				{$set: {status: WEBHOOK_DELIVERY_STATUSES.DELIVERING, lastAttemptAt: now}},
+				{sort: {nextAttemptAt: 1}, returnDocument: 'after'},
+			);
+
+			return toDelivery(delivery);
+		} catch (error) {
+			console.error('Error claiming webhook delivery:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Put deliveries whose worker stopped mid-attempt back in the queue
+	 * @param {Date} stalledBefore - Only deliveries claimed before this date are requeued, so
+	 *   attempts still running on another instance are left alone
+	 * @returns {Promise<number>} Number of requeued deliveries
+	 */
+	async requeueDelivering(stalledBefore) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_deliveries');
+
+			const result = await collection.updateMany(
+				{status: WEBHOOK_DELIVERY_STATUSES.DELIVERING, lastAttemptAt: {$lt: stalledBefore}},
+				{$set: {status: WEBHOOK_DELIVERY_STATUSES.PENDING}},
+			);
+
+			return result.modifiedCount;
+		} catch (error) {
+			console.error('Error requeueing webhook deliveries:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Record the outcome of a delivery attempt
+	 * @param {string} id - Webhook delivery ID
+	 * @param {Object} attempt - Attempt details ({attemptedAt, responseStatus, responseBody, error, durationMs})
+	 * @param {Object} outcome - Resulting state
+	 * @param {string} outcome.status - One of WEBHOOK_DELIVERY_STATUSES
+	 * @param {Date|null} outcome.nextAttemptAt - When to retry (null when no retry follows)
+	 * @returns {Promise<Object|null>} Updated delivery
+	 */
+	async recordAttempt(id, attempt, outcome) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_deliveries');
+
+			const delivery = await collection.findOneAndUpdate(
+				{_id: new ObjectId(id)},
+				{
+					$set: {
+						status: outcome.status,
+						nextAttemptAt: outcome.nextAttemptAt,
+						deliveredAt: outcome.status === WEBHOOK_DELIVERY_STATUSES.DELIVERED
+							? attempt.attemptedAt
+							: null,
+					},
+					$inc: {attempts: 1},
+					$push: {attemptLog: {$each: [attempt], $slice: -MAX_LOGGED_ATTEMPTS}},
+				},
+				{returnDocument: 'after'},
+			);
+
+			return toDelivery(delivery);
+		} catch (error) {
+			console.error('Error recording webhook delivery attempt:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get a webhook delivery by ID
+	 * @param {string} id - Webhook delivery ID
+	 * @returns {Promise<Object|null>} Webhook delivery or null if not found
+	 */
+	async getById(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_deliveries');
+
+			// Validate ObjectId format
+			if (!ObjectId.isValid(id)) {
+				return null;
+			}
+
+			return toDelivery(await collection.findOne({_id: new ObjectId(id)}));
+		} catch (error) {
+			console.error('Error fetching webhook delivery:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get webhook deliveries, newest first
+	 * @param {Object} filters - Filter options
+	 * @param {string} filters.subscriptionId - Webhook subscription ID
+	 * @param {string} filters.status - Delivery status
+	 * @param {string} filters.eventType - Event type
+	 * @param {string} filters.eventId - Event ID
+	 * @param {number} filters.limit - Maximum number of deliveries
+	 * @returns {Promise<Array>} Array of deliveries
+	 */
+	async getAll(filters = {}) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_deliveries');
+
+			const query = {};
+
+			if (filters.subscriptionId) {
+				query.subscriptionId = filters.subscriptionId;
+			}
+
+			if (filters.status) {
+				query.status = filters.status;
+			}
+
+			if (filters.eventType) {
+				query.eventType = filters.eventType;
+			}
+
+			if (filters.eventId) {
+				query.eventId = filters.eventId;
+			}
+
+			const deliveries = await collection
+				.find(query)
+				.sort({createdAt: -1})
+				.limit(filters.limit || 50)
+				.toArray();
+
+			return deliveries.map(toDelivery);
+		} catch (error) {
+			console.error('Error fetching webhook deliveries:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = webhookDeliveryModel;
@@ -0,0 +1,190 @@
+const {ObjectId} = require('mongodb');
+const {getDb} = require('../database/mongodb');
+
+/**
+ * Order lifecycle events a webhook can subscribe to
+ */
+const WEBHOOK_EVENT_TYPES = {
+	ORDER_CREATED: 'order.created', // A new order was saved by a sync
+	ORDER_STATUS_CHANGED: 'order.status_changed', // A stored order moved to another status
+	ORDER_COMPLETED: 'order.completed', // A stored order reached a final status
+	ORDER_CANCELLED: 'order.cancelled', // A stored order was cancelled
+};
+
+/**
+ * Event filter entry matching every event type
+ */
+const ALL_EVENTS = '*';
+
+/**
+ * Add the string ID to a webhook subscription document
+ * @param {Object|null} subscription - Webhook subscription document
+ * @returns {Object|null} Webhook subscription or null
+ */
+const toSubscription = subscription => (
+	subscription ? {...subscription, id: subscription._id.toString()} : null
+);
+
+/**
+ * Pick the stored fields of a webhook subscription
+ * The secret is only replaced when a new one is given
+ * @param {Object} subscription - Webhook subscription details
+ * @returns {Object} Webhook subscription fields
+ */
+const pickSubscriptionFields = subscription => ({
+	name: subscription.name,
+	description: subscription.description || null,
+	url: subscription.url,
+	events: subscription.events,
+	enabled: subscription.enabled !== false,
+	...(subscription.secret ? {secret: subscription.secret} : {}),
+});
+
+/**
+ * Webhook Subscription Model - Receivers of order lifecycle events (webhook_subscriptions collection)
+ */
+const webhookSubscriptionModel = {
+	WEBHOOK_EVENT_TYPES,
+	ALL_EVENTS,
+
+	/**
+	 * Get webhook subscriptions, sorted by name
+	 * @returns {Promise<Array>} Array of webhook subscriptions
+	 */
+	async getAll() {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_subscriptions');
+
+			const subscriptions = await collection.find({}).sort({name: 1}).toArray();
+
+			return subscriptions.map(toSubscription);
+		} catch (error) {
+			console.error('Error fetching webhook subscriptions:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get the enabled webhook subscriptions of an event type
+	 * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+	 * @returns {Promise<Array>} Array of webhook subscriptions
+	 */
+	async getEnabledForEvent(eventType) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_subscriptions');
+
+			const subscriptions = await collection
+				.find({enabled: true, events: {$in: [eventType, ALL_EVENTS]}})
+				.toArray();
+
+			return subscriptions.map(toSubscription);
+		} catch (error) {
+			console.error('Error fetching webhook subscriptions for event:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Get a webhook subscription by ID
+	 * @param {string} id - Webhook subscription ID
+	 * @returns {Promise<Object|null>} Webhook subscription or null if not found
+	 */
+	async getById(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_subscriptions');
+
+			// Validate ObjectId format
+			if (!ObjectId.isValid(id)) {
+				return null;
+			}
+
+			return toSubscription(await collection.findOne({_id: new ObjectId(id)}));
+		} catch (error) {
+			console.error('Error fetching webhook subscription:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Create a webhook subscription
+	 * @param {Object} subscription - Webhook subscription details
+	 * @param {string} subscription.name - Unique subscription name
+	 * @param {string} subscription.description - Optional description
+	 * @param {string} subscription.url - URL the events are POSTed to
+	 * @param {Array<string>} subscription.events - Event types (WEBHOOK_EVENT_TYPES or ALL_EVENTS)
+	 * @param {string} subscription.secret - Secret the payloads are signed with
+	 * @param {boolean} subscription.enabled - Whether events are delivered
+	 * @returns {Promise<Object>} Stored webhook subscription
+	 */
+	async create(subscription) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_subscriptions');
+			const now = new Date();
+
+			const newSubscription = {
+				...pickSubscriptionFields(subscription),
+				createdAt: now,
+				updatedAt: now,
+			};
+
+			const result = await collection.insertOne(newSubscription);
+
+			return {
+				...newSubscription,
+				id: result.insertedId.toString(),
+			};
+		} catch (error) {
+			console.error('Error creating webhook subscription:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Replace the settings of a webhook subscription
+	 * @param {string} id - Webhook subscription ID
+	 * @param {Object} subscription - Webhook subscription details (see create; secret is optional)
+	 * @returns {Promise<Object|null>} Updated webhook subscription or null if not found
+	 */
+	async update(id, subscription) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_subscriptions');
+
+			const updated = await collection.findOneAndUpdate(
+				{_id: new ObjectId(id)},
+				{$set: {...pickSubscriptionFields(subscription), updatedAt: new Date()}},
+				{returnDocument: 'after'},
+			);
+
+			return toSubscription(updated);
+		} catch (error) {
+			console.error('Error updating webhook subscription:', error);
+			throw error;
+		}
+	},
+
+	/**
+	 * Delete a webhook subscription
+	 * @param {string} id - Webhook subscription ID
+	 * @returns {Promise<boolean>} True if deleted, false if not found
+	 */
+	async delete(id) {
+		try {
+			const db = getDb();
+			const collection = db.collection('webhook_subscriptions');
+
+			const result = await collection.deleteOne({_id: new ObjectId(id)});
+
+			return result.deletedCount === 1;
+		} catch (error) {
+			console.error('Error deleting webhook subscription:', error);
+			throw error;
+		}
+	},
+};
+
+module.exports = webhookSubscriptionModel;
@@ -1,111 +1,485 @@
 const express = require('express');
+const crypto = require('crypto');
+const {Readable} = require('stream');
+const {pipeline} = require('stream/promises');
 const _ = require('lodash');
 const orderModel = require('../models/order-model');
+const orderEventModel = require('../models/order-event-model');
+const orderAnomalyModel = require('../models/order-anomaly-model');
+const syncRunModel = require('../models/sync-run-model');
+const exportPresetModel = require('../models/export-preset-model');
+const exportJobModel = require('../models/export-job-model');
+const reportScheduleModel = require('../models/report-schedule-model');
+const reportDeliveryModel = require('../models/report-delivery-model');
+const webhookSubscriptionModel = require('../models/webhook-subscription-model');
+const webhookDeliveryModel = require('../models/webhook-delivery-model');
+const OrderExportService = require('../services/order-export-service');
+const ReportService = require('../services/report-service');
+const WebhookService = require('../services/webhook-service');
 const {getCSVDownloadMiddleware} = require('../middleware/security-middleware');
+const {ROLES, TOKEN_SCOPES, authService, requireRole} = require('../middleware/auth-middleware');
 const {
 	validateCSVFilters,
 	validateExternalSerialNumber,
+	validateOrderListFilters,
+	validateOrderStatsFilters,
+	validateOrderStreamFilters,
+	validateOrderId,
+	validateAnomalyFilters,
+	validateAnomalyAcknowledgement,
+	validateSyncRunFilters,
+	validateExportPresetName,
+	validateExportPreset,
+	validateExportJob,
+	validateExportJobId,
+	validateExportDownload,
+	validateReportSchedule,
+	validateReportScheduleId,
+	validateReportDeliveryFilters,
+	validateWebhookSubscription,
+	validateWebhookSubscriptionId,
+	validateWebhookDeliveryId,
+	validateWebhookDeliveryFilters,
+	validateSchedulerJobName,
+	validateSchedulerJobSelection,
 	sanitizeRequest,
 	checkCSVDownloadLimits,
 } = require('../validators/order-validators');
 
 const router = express.Router();
 
+// Runs reports on demand (scheduled runs go through ReportSchedulerService)
+const reportService = new ReportService();
+
+// Queues webhook replays (deliveries are sent by the worker started in server.js)
+const webhookService = new WebhookService();
+
+/**
+ * Query parameters forwarded to the order model as list filters
+ */
+const ORDER_LIST_FILTER_KEYS = [
+	'shopId',
+	'status',
+	'currency',
+	'minWorth',
+	'maxWorth',
+	'currencyMode',
+	'dateFrom',
+	'dateTo',
+	'createdFrom',
+	'createdTo',
+	'updatedFrom',
+	'updatedTo',
+];
+
+const DEFAULT_PAGE_LIMIT = 50;
+
+/**
+ * Export format options accepted in the query and stored in export presets
+ */
+const EXPORT_OPTION_KEYS = [
+	'columns',
+	'delimiter',
+	'decimalSeparator',
+	'dateFormat',
+	'bom',
+	'lineItems',
+	'includeHistory',
+];
+
 /**
- * Helper function to convert array of objects to CSV format
- * @param {Array} data - Array of order objects
- * @returns {string} CSV formatted string
+ * Helper function to combine the requested export preset with the format options of the request
+ * Options given in the request override the ones saved in the preset
+ * @param {Object} source - Request query or body
+ * @returns {Promise<Object|null>} Export options or null if the requested preset does not exist
  */
-function convertToCSV(data) {
-	if (_.isEmpty(data)) {
-		return 'No orders found';
+async function getExportOptions(source) {
+	let presetOptions = {};
+
+	if (source.preset) {
+		const preset = await exportPresetModel.getByName(source.preset);
+		if (!preset) {
+			return null;
+		}
+		presetOptions = preset.options;
 	}
 
-	// Define CSV headers based on order structure
-	const headers = [
-		'ID',
-		'External ID',
-		'External Serial Number',
-		'Currency',
-		'Status',
-		'Order Products Cost',
-		'Products Count',
-		'Products Details',
-		'External Created At',
-		'External Updated At',
-		'Created At',
-		'Updated At',
-	];
-
-	// Create CSV content
-	const csvRows = [];
-	csvRows.push(_.join(headers, ','));
-
-	const formatDate = (date) => {
-		return _.isNil(date) ? 'N/A' : new Date(date).toISOString();
+	return {
+		...presetOptions,
+		..._.pick(source, EXPORT_OPTION_KEYS),
 	};
+}
+
+/**
+ * Helper function to extract the order filters of an export
+ * @param {Object} source - Validated request query or body
+ * @returns {Object} Order filters (shopId, minWorth, maxWorth, currencyMode, dateFrom, dateTo)
+ */
+function getExportFilters(source) {
+	const filters = {};
+
+	if (source.shopId) {
+		filters.shopId = source.shopId;
+	}
+
+	if (source.minWorth !== undefined) {
+		const minWorth = parseFloat(source.minWorth);
+		if (!_.isNaN(minWorth) && minWorth >= 0) {
+			filters.minWorth = minWorth;
+		}
+	}
+
+	if (source.maxWorth !== undefined) {
+		const maxWorth = parseFloat(source.maxWorth);
+		if (!_.isNaN(maxWorth) && maxWorth >= 0) {
+			filters.maxWorth = maxWorth;
+		}
+	}
+
+	// The currency mode only changes what the worth bounds are compared with
+	if (source.currencyMode && (_.has(filters, 'minWorth') || _.has(filters, 'maxWorth'))) {
+		filters.currencyMode = source.currencyMode;
+	}
 
-	const formatProductDetails = (products) => {
-		if (_.isEmpty(products)) {
-			return 'No products';
+	_.forEach(['dateFrom', 'dateTo'], key => {
+		if (source[key] !== undefined) {
+			const date = new Date(source[key]);
+			if (!_.isNaN(date.getTime())) {
+				filters[key] = date;
+			}
 		}
-		return _.join(
-			_.map(products, (p, index) => `Product ${index + 1} (Qty: ${_.get(p, 'productQuantity', 'N/A')})`),
-			'; ',
-		);
+	});
+
+	return filters;
+}
+
+/**
+ * Helper function to reject a download that names an unknown export preset
+ * @param {Object} res - Express response
+ * @param {string} preset - Requested preset name
+ * @returns {Object} Express response
+ */
+function sendUnknownPreset(res, preset) {
+	return res.status(404).json({
+		success: false,
+		message: `Export preset '${preset}' not found`,
+	});
+}
+
+/**
+ * Helper function to fetch status history for a batch of exported orders
+ * @param {Array} orders - Orders to fetch the history for
+ * @returns {Promise<Object>} Status history keyed by shopId, then externalId
+ */
+function loadStatusHistory(orders) {
+	return orderEventModel.getStatusHistoryByShop(orders);
+}
+
+/**
+ * Helper function to pick the export format of a download request (?format= or the Accept header)
+ * @param {Object} req - Express request
+ * @returns {Object} Export format with name, label, contentType and extension
+ */
+function getRequestedFormat(req) {
+	const name = OrderExportService.negotiateFormat(req.query.format, req.accepts.bind(req));
+
+	return {
+		name,
+		label: _.toUpper(name),
+		...OrderExportService.getFormat(name),
+	};
+}
+
+/**
+ * Helper function to describe an export job in API responses
+ * The download link (with its secret token) is only included once the artifact is ready
+ * @param {Object} job - Export job
+ * @param {string} baseUrl - Mount path of the router (e.g. /api)
+ * @returns {Object} Export job summary
+ */
+function formatExportJob(job, baseUrl) {
+	const isReady = job.status === exportJobModel.EXPORT_JOB_STATUSES.COMPLETED;
+
+	return {
+		id: job.id,
+		status: job.status,
+		format: job.format,
+		filters: job.filters,
+		options: job.options,
+		preset: job.preset,
+		progress: job.progress,
+		createdAt: job.createdAt,
+		startedAt: job.startedAt,
+		finishedAt: job.finishedAt,
+		error: job.failure ? job.failure.message : null,
+		file: job.file ? _.pick(job.file, ['downloadName', 'size']) : null,
+		statusUrl: `${baseUrl}/exports/${job.id}`,
+		download: isReady
+			? {url: `${baseUrl}/exports/${job.id}/download?token=${job.downloadToken}`, expiresAt: job.expiresAt}
+			: null,
 	};
+}
+
+/**
+ * Helper function to build the stored settings of a report schedule from a request body
+ * @param {Object} source - Validated request body
+ * @returns {Promise<Object|null>} Report schedule settings or null if the requested preset does not exist
+ */
+async function getReportScheduleSettings(source) {
+	const exportOptions = await getExportOptions(source);
+	if (!exportOptions) {
+		return null;
+	}
+
+	const target = source.target.type === reportScheduleModel.REPORT_TARGET_TYPES.SMTP
+		? {type: source.target.type, to: source.target.to, subject: source.target.subject || null}
+		: {type: source.target.type, directory: source.target.directory || null};
+
+	return {
+		name: source.name,
+		description: source.description,
+		cron: source.cron,
+		timezone: source.timezone,
+		enabled: source.enabled,
+		format: source.format || 'csv',
+		filters: getExportFilters(source),
+		lookbackHours: source.lookbackHours,
+		options: exportOptions,
+		preset: source.preset,
+		target,
+	};
+}
+
+/**
+ * Helper function to reject a request for an unknown report schedule
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+function sendUnknownReportSchedule(res) {
+	return res.status(404).json({
+		success: false,
+		message: 'Report schedule not found',
+	});
+}
+
+/**
+ * Helper function to reject a report schedule whose name is taken
+ * @param {Object} res - Express response
+ * @param {string} name - Report schedule name
+ * @returns {Object} Express response
+ */
+function sendDuplicateReportSchedule(res, name) {
+	return res.status(409).json({
+		success: false,
+		message: `Report schedule '${name}' already exists`,
+	});
+}
+
+/**
+ * Helper function to hide the signing secret of a webhook subscription
+ * @param {Object} subscription - Webhook subscription
+ * @returns {Object} Webhook subscription without its secret
+ */
+function formatWebhookSubscription(subscription) {
+	return _.omit(subscription, 'secret');
+}
+
+/**
+ * Helper function to reject a request for an unknown webhook subscription
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+function sendUnknownWebhookSubscription(res) {
+	return res.status(404).json({
+		success: false,
+		message: 'Webhook subscription not found',
+	});
+}
 
-	_.forEach(data, order => {
-		const productsCount = _.size(_.get(order, 'orderProducts', []));
-		const productsDetails = formatProductDetails(_.get(order, 'orderProducts'));
+/**
+ * Helper function to reject a webhook subscription whose name is taken
+ * @param {Object} res - Express response
+ * @param {string} name - Webhook subscription name
+ * @returns {Object} Express response
+ */
+function sendDuplicateWebhookSubscription(res, name) {
+	return res.status(409).json({
+		success: false,
+		message: `Webhook subscription '${name}' already exists`,
+	});
+}
 
-		// Create row data array with safe property access
-		const row = [
-			_.get(order, 'id', 'N/A'),
-			_.get(order, 'externalId', 'N/A'),
-			_.get(order, 'externalSerialNumber', 'N/A'),
-			_.get(order, 'currency', 'N/A'),
-			_.get(order, 'status', 'N/A'),
-			_.get(order, 'orderProductsCost', 'N/A'),
-			productsCount,
-			`"${productsDetails}"`, // Wrap in quotes to handle commas in product details
-			formatDate(_.get(order, 'externalCreatedAt')),
-			formatDate(_.get(order, 'externalUpdatedAt')),
-			formatDate(_.get(order, 'createdAt')),
-			formatDate(_.get(order, 'updatedAt')),
-		];
+/**
+ * Helper function to reject a scheduler request while no job scheduler runs
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+function sendSchedulerUnavailable(res) {
+	return res.status(503).json({
+		success: false,
+		message: 'Job scheduler is not available',
+	});
+}
 
-		csvRows.push(_.join(row, ','));
+/**
+ * Helper function to reject a request for an unknown scheduled job
+ * @param {Object} res - Express response
+ * @param {Error} error - JOB_NOT_FOUND error
+ * @returns {Object} Express response
+ */
+function sendUnknownJob(res, error) {
+	return res.status(404).json({
+		success: false,
+		message: error.message,
 	});
+}
+
+/**
+ * Helper function to pause or resume the scheduled jobs listed in the request (all by default)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} enabled - False pauses the jobs, true resumes them
+ * @returns {Promise<Object>} Express response
+ */
+async function setSchedulerJobsEnabled(req, res, enabled) {
+	const {jobSchedulerService} = req.app.locals;
+	const action = enabled ? 'resume' : 'pause';
+
+	if (!jobSchedulerService) {
+		return sendSchedulerUnavailable(res);
+	}
+
+	try {
+		const status = await jobSchedulerService.setJobsEnabled(req.body.jobs, enabled);
+
+		res.json({
+			success: true,
+			message: `${req.body.jobs ? req.body.jobs.join(', ') : 'All jobs'} ${action}d`,
+			data: status,
+		});
+	} catch (error) {
+		if (error.code === 'JOB_NOT_FOUND') {
+			return sendUnknownJob(res, error);
+		}
+		console.error(`Error trying to ${action} scheduled jobs:`, error);
+		res.status(500).json({
+			success: false,
+			message: `Failed to ${action} scheduled jobs`,
+			error: error.message,
+		});
+	}
+}
+
+/**
+ * Helper function to compare a download token with the one of an export job in constant time
+ * @param {string} token - Token from the download link
+ * @param {string|null} expectedToken - Token stored with the export job
+ * @returns {boolean} True if the tokens match
+ */
+function isValidDownloadToken(token, expectedToken) {
+	if (!expectedToken || token.length !== expectedToken.length) {
+		return false;
+	}
+	return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expectedToken));
+}
+
+/**
+ * Helper function to set the headers of an export file download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {string} contentType - Content type of the export format
+ */
+function setDownloadHeaders(res, filename, contentType) {
+	res.setHeader('Content-Type', contentType);
+	res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+	res.setHeader('Vary', 'Accept');
+	res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+	res.setHeader('Pragma', 'no-cache');
+	res.setHeader('Expires', '0');
+}
+
+/**
+ * Helper function to stream export chunks as a file download (chunked transfer, with backpressure)
+ * The first chunk is produced before any header is sent, so a failing query still gets a JSON error
+ * @param {Object} res - Express response
+ * @param {AsyncGenerator<string|Buffer>} chunks - Export chunks
+ * @param {string} filename - Download file name
+ * @param {string} contentType - Content type of the export format
+ * @returns {Promise<void>} Resolves once the whole file was written
+ */
+async function streamDownload(res, chunks, filename, contentType) {
+	const first = await chunks.next();
+
+	setDownloadHeaders(res, filename, contentType);
+
+	const remaining = async function* () {
+		if (!first.done) {
+			yield first.value;
+			yield* chunks;
+		}
+	};
 
-	return _.join(csvRows, '\n');
+	await pipeline(Readable.from(remaining()), res);
 }
 
+router.post('/auth/token',
+	...requireRole(ROLES.VIEWER),
+	async(req, res) => {
+		// A session token must not renew itself, or revoking its API key would never end the session
+		if (req.auth.type !== 'apiKey') {
+			return res.status(400).json({
+				success: false,
+				message: 'Session tokens are only issued for API keys',
+			});
+		}
+
+		try {
+			const {token, expiresAt} = authService.issueToken(req.auth);
+
+			console.log(`Session token issued for API key '${req.auth.name}' (${req.auth.role})`);
+
+			res.json({
+				success: true,
+				data: {
+					token,
+					expiresAt,
+					name: req.auth.name,
+					role: req.auth.role,
+				},
+			});
+		} catch (error) {
+			console.error('Error issuing session token:', error);
+			res.status(error.code === 'AUTH_TOKENS_DISABLED' ? 503 : 500).json({
+				success: false,
+				message: 'Failed to issue session token',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/auth/me',
+	...requireRole(ROLES.VIEWER),
+	(req, res) => {
+		res.json({
+			success: true,
+			data: req.auth,
+		});
+	});
+
 router.get('/orders/download-csv',
+	...requireRole(ROLES.EXPORTER),
 	sanitizeRequest,
 	...getCSVDownloadMiddleware(),
 	validateCSVFilters,
 	checkCSVDownloadLimits,
 	async(req, res) => {
+		const format = getRequestedFormat(req);
+
 		try {
-			console.log('CSV download request received');
+			console.log(`${format.label} download request received`);
 
 			// Extract filter parameters from query
-			const filters = {};
-
-			if (req.query.minWorth !== undefined) {
-				const minWorth = parseFloat(req.query.minWorth);
-				if (!_.isNaN(minWorth) && minWorth >= 0) {
-					filters.minWorth = minWorth;
-				}
-			}
-
-			if (req.query.maxWorth !== undefined) {
-				const maxWorth = parseFloat(req.query.maxWorth);
-				if (!_.isNaN(maxWorth) && maxWorth >= 0) {
-					filters.maxWorth = maxWorth;
-				}
-			}
+			const filters = getExportFilters(req.query);
 
 			// Validate filter logic
 			if (filters.minWorth !== undefined && filters.maxWorth !== undefined) {
@@ -122,53 +496,65 @@ router.get('/orders/download-csv',
 				console.log(`Applying ${filterCount} filter(s):`, filters);
 			}
 
-			// Get orders with filters
-			const orders = await orderModel.getAll(filters);
-
-			console.log(`Found ${orders.length} orders for CSV export`);
+			const exportOptions = await getExportOptions(req.query);
+			if (!exportOptions) {
+				return sendUnknownPreset(res, req.query.preset);
+			}
 
-			// Convert to CSV format
-			const csvContent = convertToCSV(orders);
+			// Stream orders from a cursor instead of loading the whole export into memory
+			const chunks = OrderExportService.generate(format.name, orderModel.getCursor(filters), {
+				...exportOptions,
+				loadStatusHistory,
+			});
 
 			// Generate filename with current timestamp and filter indication
 			const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
 			const filterSuffix = filterCount > 0 ? '-filtered' : '';
-			const filename = `orders-export${filterSuffix}-${timestamp}.csv`;
-
-			// Set headers for file download
-			res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-			res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-			res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-			res.setHeader('Pragma', 'no-cache');
-			res.setHeader('Expires', '0');
+			const filename = `orders-export${filterSuffix}-${timestamp}.${format.extension}`;
 
-			// Send CSV content
-			res.send(csvContent);
+			await streamDownload(res, chunks, filename, format.contentType);
 
-			console.log(`CSV file "${filename}" sent successfully`);
+			console.log(`${format.label} file "${filename}" sent successfully`);
 		} catch (error) {
-			console.error('Error generating CSV export:', error);
+			console.error(`Error generating ${format.label} export:`, error);
+
+			// Headers already went out - the stream was destroyed, so the client sees a broken download
+			if (res.headersSent) {
+				return;
+			}
+
 			res.status(500).json({
 				success: false,
-				message: 'Failed to generate CSV export',
+				message: `Failed to generate ${format.label} export`,
 				error: error.message,
 			});
 		}
 	});
 
 router.get('/orders/download-csv/:externalSerialNumber',
+	...requireRole(ROLES.EXPORTER),
 	sanitizeRequest,
 	...getCSVDownloadMiddleware(),
 	validateExternalSerialNumber,
 	async(req, res) => {
+		const format = getRequestedFormat(req);
+
 		try {
 			const {externalSerialNumber} = req.params;
 			// Input is already validated by middleware
 
-			console.log(`CSV download request received for order: ${externalSerialNumber}`);
+			console.log(`${format.label} download request received for order: ${externalSerialNumber}`);
+
+			const exportOptions = await getExportOptions(req.query);
+			if (!exportOptions) {
+				return sendUnknownPreset(res, req.query.preset);
+			}
 
 			// Get the specific order by external serial number
-			const order = await orderModel.getByExternalSerialNumber(externalSerialNumber);
+			const order = await orderModel.getByExternalSerialNumber(
+				externalSerialNumber,
+				req.query.shopId,
+			);
 
 			if (!order) {
 				return res.status(404).json({
@@ -177,31 +563,998 @@ router.get('/orders/download-csv/:externalSerialNumber',
 				});
 			}
 
-			console.log(`Found order for CSV export: ${order.id}`);
+			console.log(`Found order for ${format.label} export: ${order.id}`);
 
-			// Convert to CSV format (pass as array since convertToCSV expects an array)
-			const csvContent = convertToCSV([order]);
+			const chunks = OrderExportService.generate(format.name, [order], {
+				...exportOptions,
+				loadStatusHistory,
+			});
 
 			// Generate filename with order serial number and timestamp
 			const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-			const filename = `order-${externalSerialNumber}-${timestamp}.csv`;
+			const filename = `order-${externalSerialNumber}-${timestamp}.${format.extension}`;
+
+			await streamDownload(res, chunks, filename, format.contentType);
+
+			console.log(`${format.label} file "${filename}" sent successfully`);
+		} catch (error) {
+			console.error(`Error generating single order ${format.label} export:`, error);
+
+			if (res.headersSent) {
+				return;
+			}
+
+			res.status(500).json({
+				success: false,
+				message: `Failed to generate ${format.label} export for the specified order`,
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/orders',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateOrderListFilters,
+	async(req, res) => {
+		try {
+			// Input is already validated and converted by middleware
+			const filters = _.omitBy(_.pick(req.query, ORDER_LIST_FILTER_KEYS), _.isUndefined);
+			const limit = req.query.limit || DEFAULT_PAGE_LIMIT;
+
+			const [page, total] = await Promise.all([
+				orderModel.getPage(filters, {limit, cursor: req.query.cursor}),
+				orderModel.getCount(filters),
+			]);
+
+			res.json({
+				success: true,
+				data: page.orders,
+				pagination: {
+					limit,
+					total,
+					hasMore: page.hasMore,
+					nextCursor: page.nextCursor,
+				},
+			});
+		} catch (error) {
+			console.error('Error fetching orders:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch orders',
+				error: error.message,
+			});
+		}
+	});
+
+// Registered before /orders/:id so "stats" is not taken for an order ID
+router.get('/orders/stats',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateOrderStatsFilters,
+	async(req, res) => {
+		try {
+			// Input is already validated and converted by middleware
+			const filters = _.omitBy(_.pick(req.query, ORDER_LIST_FILTER_KEYS), _.isUndefined);
+			const stats = await orderModel.getStats(
+				filters,
+				_.pick(req.query, ['interval', 'timezone', 'topProducts']),
+			);
+
+			res.json({
+				success: true,
+				data: stats,
+			});
+		} catch (error) {
+			console.error('Error fetching order statistics:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch order statistics',
+				error: error.message,
+			});
+		}
+	});
+
+// Browsers cannot send headers with EventSource - they open the stream with this token in the URL
+router.post('/orders/stream/token',
+	...requireRole(ROLES.VIEWER),
+	(req, res) => {
+		try {
+			const {token, expiresAt} = authService.issueScopedToken(
+				req.auth,
+				TOKEN_SCOPES.ORDER_STREAM,
+			);
+
+			res.json({
+				success: true,
+				data: {token, expiresAt},
+			});
+		} catch (error) {
+			console.error('Error issuing order stream token:', error);
+			res.status(error.code === 'AUTH_TOKENS_DISABLED' ? 503 : 500).json({
+				success: false,
+				message: 'Failed to issue order stream token',
+				error: error.message,
+			});
+		}
+	});
+
+// Registered before /orders/:id so "stream" is not taken for an order ID
+router.get('/orders/stream',
+	...requireRole(ROLES.VIEWER, {queryTokenScope: TOKEN_SCOPES.ORDER_STREAM}),
+	sanitizeRequest,
+	validateOrderStreamFilters,
+	async(req, res) => {
+		// Started and stopped with the server, so open streams are closed on shutdown
+		const {orderStreamService} = req.app.locals;
+
+		if (!orderStreamService || !orderStreamService.getStatus().isStarted) {
+			return res.status(503).json({
+				success: false,
+				message: 'Order stream is not available',
+			});
+		}
+
+		// Input is already validated and converted by middleware
+		const filters = _.omitBy({
+			shopIds: req.query.shopId && _.castArray(req.query.shopId),
+			statuses: req.query.status && _.castArray(req.query.status),
+			types: req.query.type && _.castArray(req.query.type),
+		}, _.isUndefined);
+
+		await orderStreamService.openStream(req, res, {
+			filters,
+			lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+		});
+	});
+
+// Anomaly routes are registered before /orders/:id so "anomalies" is not taken for an order ID
+router.get('/orders/anomalies',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateAnomalyFilters,
+	async(req, res) => {
+		try {
+			const filters = _.pick(req.query, ['state', 'shopId', 'type', 'externalId', 'limit']);
+			const anomalies = await orderAnomalyModel.getAll(filters);
+
+			res.json({
+				success: true,
+				data: anomalies,
+				count: anomalies.length,
+			});
+		} catch (error) {
+			console.error('Error fetching order anomalies:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch order anomalies',
+				error: error.message,
+			});
+		}
+	});
+
+router.post('/orders/anomalies/:id/acknowledge',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateAnomalyAcknowledgement,
+	async(req, res) => {
+		try {
+			const anomaly = await orderAnomalyModel.acknowledge(
+				req.params.id,
+				_.pick(req.body, ['acknowledgedBy', 'note']),
+			);
+
+			if (!anomaly) {
+				return res.status(404).json({
+					success: false,
+					message: `Open anomaly with ID '${req.params.id}' not found`,
+				});
+			}
+
+			res.json({
+				success: true,
+				data: anomaly,
+			});
+		} catch (error) {
+			console.error('Error acknowledging order anomaly:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to acknowledge order anomaly',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/sync/runs',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateSyncRunFilters,
+	async(req, res) => {
+		try {
+			const filters = _.pick(req.query, ['shopId', 'type', 'status', 'startedFrom', 'startedTo', 'limit']);
+			const runs = await syncRunModel.getAll(filters);
 
-			// Set headers for file download
-			res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-			res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-			res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-			res.setHeader('Pragma', 'no-cache');
-			res.setHeader('Expires', '0');
+			res.json({
+				success: true,
+				data: runs,
+				count: runs.length,
+			});
+		} catch (error) {
+			console.error('Error fetching sync runs:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch sync runs',
+				error: error.message,
+			});
+		}
+	});
 
-			// Send CSV content
-			res.send(csvContent);
+router.get('/export-presets',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	async(req, res) => {
+		try {
+			const presets = await exportPresetModel.getAll();
 
-			console.log(`CSV file "${filename}" sent successfully`);
+			res.json({
+				success: true,
+				data: presets,
+				count: presets.length,
+			});
+		} catch (error) {
+			console.error('Error fetching export presets:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch export presets',
+				error: error.message,
+			});
+		}
+	});
+
+router.put('/export-presets/:name',
+	...requireRole(ROLES.EXPORTER),
+	sanitizeRequest,
+	validateExportPreset,
+	async(req, res) => {
+		try {
+			const preset = await exportPresetModel.upsert(req.params.name, {
+				description: req.body.description,
+				options: _.pick(req.body.options, EXPORT_OPTION_KEYS),
+			});
+
+			res.json({
+				success: true,
+				data: preset,
+			});
+		} catch (error) {
+			console.error('Error saving export preset:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to save export preset',
+				error: error.message,
+			});
+		}
+	});
+
+router.delete('/export-presets/:name',
+	...requireRole(ROLES.EXPORTER),
+	sanitizeRequest,
+	validateExportPresetName,
+	async(req, res) => {
+		try {
+			const deleted = await exportPresetModel.delete(req.params.name);
+
+			if (!deleted) {
+				return sendUnknownPreset(res, req.params.name);
+			}
+
+			res.json({
+				success: true,
+				message: `Export preset '${req.params.name}' deleted`,
+			});
+		} catch (error) {
+			console.error('Error deleting export preset:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to delete export preset',
+				error: error.message,
+			});
+		}
+	});
+
+router.post('/exports',
+	...requireRole(ROLES.EXPORTER),
+	sanitizeRequest,
+	validateExportJob,
+	async(req, res) => {
+		try {
+			const exportOptions = await getExportOptions(req.body);
+			if (!exportOptions) {
+				return sendUnknownPreset(res, req.body.preset);
+			}
+
+			const job = await exportJobModel.create({
+				format: req.body.format || 'csv',
+				filters: getExportFilters(req.body),
+				options: exportOptions,
+				preset: req.body.preset,
+			});
+
+			console.log(`Export job ${job.id} queued (${job.format})`);
+
+			res.status(202).json({
+				success: true,
+				message: 'Export job queued',
+				data: formatExportJob(job, req.baseUrl),
+			});
+		} catch (error) {
+			console.error('Error queueing export job:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to queue export job',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/exports/:id',
+	...requireRole(ROLES.EXPORTER),
+	sanitizeRequest,
+	validateExportJobId,
+	async(req, res) => {
+		try {
+			const job = await exportJobModel.getById(req.params.id);
+
+			if (!job) {
+				return res.status(404).json({
+					success: false,
+					message: 'Export job not found',
+				});
+			}
+
+			res.json({
+				success: true,
+				data: formatExportJob(job, req.baseUrl),
+			});
+		} catch (error) {
+			console.error('Error fetching export job:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch export job',
+				error: error.message,
+			});
+		}
+	});
+
+// Authorized by the job's download token instead of a role, so the link works when shared
+router.get('/exports/:id/download',
+	sanitizeRequest,
+	validateExportDownload,
+	async(req, res) => {
+		try {
+			const job = await exportJobModel.getById(req.params.id);
+			const {EXPORT_JOB_STATUSES} = exportJobModel;
+
+			if (!job) {
+				return res.status(404).json({
+					success: false,
+					message: 'Export job not found',
+				});
+			}
+
+			const isExpired = job.status === EXPORT_JOB_STATUSES.EXPIRED ||
+				(job.status === EXPORT_JOB_STATUSES.COMPLETED && job.expiresAt <= new Date());
+			if (isExpired) {
+				return res.status(410).json({
+					success: false,
+					message: 'Download link has expired',
+				});
+			}
+
+			if (job.status !== EXPORT_JOB_STATUSES.COMPLETED) {
+				return res.status(409).json({
+					success: false,
+					message: `Export job is ${job.status}`,
+				});
+			}
+
+			if (!isValidDownloadToken(req.query.token, job.downloadToken)) {
+				return res.status(403).json({
+					success: false,
+					message: 'Invalid download token',
+				});
+			}
+
+			// Headers are only applied once the artifact is found, so errors still go out as JSON
+			const headers = {
+				'Content-Type': OrderExportService.getFormat(job.format).contentType,
+				'Cache-Control': 'no-cache, no-store, must-revalidate',
+			};
+
+			await new Promise((resolve, reject) => {
+				res.download(job.file.path, job.file.downloadName, {headers}, (error) => {
+					return error ? reject(error) : resolve();
+				});
+			});
+
+			console.log(`Export artifact of job ${job.id} sent successfully`);
+		} catch (error) {
+			console.error('Error sending export artifact:', error);
+
+			if (res.headersSent) {
+				return;
+			}
+
+			res.status(error.code === 'ENOENT' ? 410 : 500).json({
+				success: false,
+				message: 'Failed to send export file',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/report-schedules',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	async(req, res) => {
+		try {
+			const schedules = await reportScheduleModel.getAll();
+
+			res.json({
+				success: true,
+				data: schedules,
+				count: schedules.length,
+			});
+		} catch (error) {
+			console.error('Error fetching report schedules:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch report schedules',
+				error: error.message,
+			});
+		}
+	});
+
+router.post('/report-schedules',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateReportSchedule,
+	async(req, res) => {
+		try {
+			const settings = await getReportScheduleSettings(req.body);
+			if (!settings) {
+				return sendUnknownPreset(res, req.body.preset);
+			}
+
+			const schedule = await reportScheduleModel.create(settings);
+
+			res.status(201).json({
+				success: true,
+				message: `Report schedule '${schedule.name}' created`,
+				data: schedule,
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				return sendDuplicateReportSchedule(res, req.body.name);
+			}
+			console.error('Error creating report schedule:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to create report schedule',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/report-schedules/:id',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateReportScheduleId,
+	async(req, res) => {
+		try {
+			const schedule = await reportScheduleModel.getById(req.params.id);
+
+			if (!schedule) {
+				return sendUnknownReportSchedule(res);
+			}
+
+			res.json({
+				success: true,
+				data: schedule,
+			});
+		} catch (error) {
+			console.error('Error fetching report schedule:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch report schedule',
+				error: error.message,
+			});
+		}
+	});
+
+router.put('/report-schedules/:id',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateReportScheduleId,
+	validateReportSchedule,
+	async(req, res) => {
+		try {
+			const settings = await getReportScheduleSettings(req.body);
+			if (!settings) {
+				return sendUnknownPreset(res, req.body.preset);
+			}
+
+			const schedule = await reportScheduleModel.update(req.params.id, settings);
+
+			if (!schedule) {
+				return sendUnknownReportSchedule(res);
+			}
+
+			res.json({
+				success: true,
+				message: `Report schedule '${schedule.name}' updated`,
+				data: schedule,
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				return sendDuplicateReportSchedule(res, req.body.name);
+			}
+			console.error('Error updating report schedule:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to update report schedule',
+				error: error.message,
+			});
+		}
+	});
+
+router.delete('/report-schedules/:id',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateReportScheduleId,
+	async(req, res) => {
+		try {
+			const deleted = await reportScheduleModel.delete(req.params.id);
+
+			if (!deleted) {
+				return sendUnknownReportSchedule(res);
+			}
+
+			res.json({
+				success: true,
+				message: 'Report schedule deleted',
+			});
+		} catch (error) {
+			console.error('Error deleting report schedule:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to delete report schedule',
+				error: error.message,
+			});
+		}
+	});
+
+router.post('/report-schedules/:id/run',
+	...requireRole(ROLES.EXPORTER),
+	sanitizeRequest,
+	validateReportScheduleId,
+	async(req, res) => {
+		try {
+			const schedule = await reportScheduleModel.getById(req.params.id);
+
+			if (!schedule) {
+				return sendUnknownReportSchedule(res);
+			}
+
+			const delivery = await reportService.runReport(
+				schedule,
+				reportDeliveryModel.REPORT_TRIGGERS.MANUAL,
+			);
+
+			if (delivery.status === reportDeliveryModel.REPORT_DELIVERY_STATUSES.FAILED) {
+				return res.status(502).json({
+					success: false,
+					message: 'Report delivery failed',
+					error: delivery.failure.message,
+					data: delivery,
+				});
+			}
+
+			res.json({
+				success: true,
+				message: `Report '${schedule.name}' delivered`,
+				data: delivery,
+			});
+		} catch (error) {
+			console.error('Error running report:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to run report',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/report-deliveries',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateReportDeliveryFilters,
+	async(req, res) => {
+		try {
+			const filters = _.pick(req.query, ['scheduleId', 'status', 'limit']);
+			const deliveries = await reportDeliveryModel.getAll(filters);
+
+			res.json({
+				success: true,
+				data: deliveries,
+				count: deliveries.length,
+			});
+		} catch (error) {
+			console.error('Error fetching report deliveries:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch report deliveries',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/webhooks',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	async(req, res) => {
+		try {
+			const subscriptions = await webhookSubscriptionModel.getAll();
+
+			res.json({
+				success: true,
+				data: subscriptions.map(formatWebhookSubscription),
+				count: subscriptions.length,
+			});
+		} catch (error) {
+			console.error('Error fetching webhook subscriptions:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch webhook subscriptions',
+				error: error.message,
+			});
+		}
+	});
+
+router.post('/webhooks',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookSubscription,
+	async(req, res) => {
+		try {
+			const subscription = await webhookSubscriptionModel.create({
+				..._.pick(req.body, ['name', 'description', 'url', 'events', 'enabled']),
+				secret: req.body.secret || WebhookService.generateSecret(),
+			});
+
+			// The secret is only ever returned here - receivers need it to verify signatures
+			res.status(201).json({
+				success: true,
+				message: `Webhook subscription '${subscription.name}' created`,
+				data: subscription,
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				return sendDuplicateWebhookSubscription(res, req.body.name);
+			}
+			console.error('Error creating webhook subscription:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to create webhook subscription',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/webhooks/:id',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookSubscriptionId,
+	async(req, res) => {
+		try {
+			const subscription = await webhookSubscriptionModel.getById(req.params.id);
+
+			if (!subscription) {
+				return sendUnknownWebhookSubscription(res);
+			}
+
+			res.json({
+				success: true,
+				data: formatWebhookSubscription(subscription),
+			});
+		} catch (error) {
+			console.error('Error fetching webhook subscription:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch webhook subscription',
+				error: error.message,
+			});
+		}
+	});
+
+router.put('/webhooks/:id',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookSubscriptionId,
+	validateWebhookSubscription,
+	async(req, res) => {
+		try {
+			// The stored secret is kept unless a new one is given
+			const subscription = await webhookSubscriptionModel.update(
+				req.params.id,
+				_.pick(req.body, ['name', 'description', 'url', 'events', 'enabled', 'secret']),
+			);
+
+			if (!subscription) {
+				return sendUnknownWebhookSubscription(res);
+			}
+
+			res.json({
+				success: true,
+				message: `Webhook subscription '${subscription.name}' updated`,
+				data: formatWebhookSubscription(subscription),
+			});
+		} catch (error) {
+			if (error.code === 11000) {
+				return sendDuplicateWebhookSubscription(res, req.body.name);
+			}
+			console.error('Error updating webhook subscription:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to update webhook subscription',
+				error: error.message,
+			});
+		}
+	});
+
+router.delete('/webhooks/:id',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookSubscriptionId,
+	async(req, res) => {
+		try {
+			const deleted = await webhookSubscriptionModel.delete(req.params.id);
+
+			if (!deleted) {
+				return sendUnknownWebhookSubscription(res);
+			}
+
+			res.json({
+				success: true,
+				message: 'Webhook subscription deleted',
+			});
+		} catch (error) {
+			console.error('Error deleting webhook subscription:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to delete webhook subscription',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/webhook-deliveries',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookDeliveryFilters,
+	async(req, res) => {
+		try {
+			const filters = _.pick(req.query, ['subscriptionId', 'status', 'eventType', 'eventId', 'limit']);
+			const deliveries = await webhookDeliveryModel.getAll(filters);
+
+			res.json({
+				success: true,
+				data: deliveries,
+				count: deliveries.length,
+			});
+		} catch (error) {
+			console.error('Error fetching webhook deliveries:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch webhook deliveries',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/webhook-deliveries/:id',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookDeliveryId,
+	async(req, res) => {
+		try {
+			const delivery = await webhookDeliveryModel.getById(req.params.id);
+
+			if (!delivery) {
+				return res.status(404).json({
+					success: false,
+					message: 'Webhook delivery not found',
+				});
+			}
+
+			res.json({
+				success: true,
+				data: delivery,
+			});
+		} catch (error) {
+			console.error('Error fetching webhook delivery:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch webhook delivery',
+				error: error.message,
+			});
+		}
+	});
+
+router.post('/webhook-deliveries/:id/replay',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateWebhookDeliveryId,
+	async(req, res) => {
+		try {
+			const replay = await webhookService.replayDelivery(req.params.id);
+
+			if (!replay) {
+				return res.status(404).json({
+					success: false,
+					message: 'Webhook delivery not found',
+				});
+			}
+
+			res.status(202).json({
+				success: true,
+				message: `Webhook ${replay.eventType} queued for redelivery`,
+				data: replay,
+			});
+		} catch (error) {
+			if (error.code === 'WEBHOOK_SUBSCRIPTION_NOT_FOUND') {
+				return res.status(409).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			console.error('Error replaying webhook delivery:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to replay webhook delivery',
+				error: error.message,
+			});
+		}
+	});
+
+// Scheduler control - the job scheduler is started with the server and found in app.locals
+router.get('/scheduler/jobs',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	async(req, res) => {
+		const {jobSchedulerService} = req.app.locals;
+
+		if (!jobSchedulerService) {
+			return sendSchedulerUnavailable(res);
+		}
+
+		res.json({
+			success: true,
+			data: jobSchedulerService.getStatus(),
+		});
+	});
+
+router.post('/scheduler/pause',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateSchedulerJobSelection,
+	(req, res) => setSchedulerJobsEnabled(req, res, false));
+
+router.post('/scheduler/resume',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateSchedulerJobSelection,
+	(req, res) => setSchedulerJobsEnabled(req, res, true));
+
+router.post('/scheduler/jobs/:name/run',
+	...requireRole(ROLES.ADMIN),
+	sanitizeRequest,
+	validateSchedulerJobName,
+	async(req, res) => {
+		const {jobSchedulerService} = req.app.locals;
+
+		if (!jobSchedulerService) {
+			return sendSchedulerUnavailable(res);
+		}
+
+		try {
+			const job = jobSchedulerService.triggerJob(req.params.name);
+
+			res.status(202).json({
+				success: true,
+				message: `Job '${job.name}' started`,
+				data: job,
+			});
+		} catch (error) {
+			if (error.code === 'JOB_NOT_FOUND') {
+				return sendUnknownJob(res, error);
+			}
+			if (error.code === 'JOB_RUNNING') {
+				return res.status(409).json({
+					success: false,
+					message: error.message,
+				});
+			}
+			console.error('Error triggering scheduled job:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to trigger scheduled job',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/orders/:id',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateOrderId,
+	async(req, res) => {
+		try {
+			const order = await orderModel.getById(req.params.id);
+
+			if (!order) {
+				return res.status(404).json({
+					success: false,
+					message: `Order with ID '${req.params.id}' not found`,
+				});
+			}
+
+			res.json({
+				success: true,
+				data: order,
+			});
+		} catch (error) {
+			console.error('Error fetching order by ID:', error);
+			res.status(500).json({
+				success: false,
+				message: 'Failed to fetch order',
+				error: error.message,
+			});
+		}
+	});
+
+router.get('/orders/:id/history',
+	...requireRole(ROLES.VIEWER),
+	sanitizeRequest,
+	validateOrderId,
+	async(req, res) => {
+		try {
+			const order = await orderModel.getById(req.params.id);
+
+			if (!order) {
+				return res.status(404).json({
+					success: false,
+					message: `Order with ID '${req.params.id}' not found`,
+				});
+			}
+
+			const history = await orderEventModel.getStatusHistory(order.externalId, order.shopId);
+
+			res.json({
+				success: true,
+				data: {
+					orderId: order.id,
+					shopId: order.shopId,
+					externalId: order.externalId,
+					currentStatus: order.status,
+					history,
+				},
+			});
 		} catch (error) {
-			console.error('Error generating single order CSV export:', error);
+			console.error('Error fetching order status history:', error);
 			res.status(500).json({
 				success: false,
-				message: 'Failed to generate CSV export for the specified order',
+				message: 'Failed to fetch order status history',
 				error: error.message,
 			});
 		}
@@ -3,14 +3,33 @@ const assert = require('node:assert');
 const supertest = require('supertest');
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 
 // Import test helpers
 const {
 	createMockOrderModel,
+	createMockOrderEventModel,
+	createMockOrderAnomalyModel,
+	mockAnomalies,
+	createMockSyncRunModel,
+	createMockExportPresetModel,
+	mockExportJobs,
+	createMockExportJobModel,
+	mockReportSchedules,
+	createMockReportScheduleModel,
+	mockReportDeliveries,
+	createMockReportDeliveryModel,
+	mockWebhookSubscriptions,
+	createMockWebhookSubscriptionModel,
+	mockWebhookDeliveries,
+	createMockWebhookDeliveryModel,
 	createMockSecurityMiddleware,
+	createMockAuthMiddleware,
 	createMockValidators,
 	csvUtils,
 	mockOrders,
+	mockOrderStats,
 } = require('../test-helpers');
 
 /**
@@ -23,7 +42,49 @@ function createTestApp(customMocks = {}) {
 
 	// Setup mocks
 	const mockOrderModel = customMocks.orderModel || createMockOrderModel();
+	const mockOrderEventModel = customMocks.orderEventModel || createMockOrderEventModel();
+	const mockOrderAnomalyModel = customMocks.orderAnomalyModel || createMockOrderAnomalyModel();
+	const mockSyncRunModel = customMocks.syncRunModel || createMockSyncRunModel();
+	const mockExportPresetModel = customMocks.exportPresetModel || createMockExportPresetModel();
+	const mockExportJobModel = customMocks.exportJobModel || createMockExportJobModel();
+	const mockReportScheduleModel = customMocks.reportScheduleModel ||
+		createMockReportScheduleModel();
+	const mockReportDeliveryModel = customMocks.reportDeliveryModel ||
+		createMockReportDeliveryModel();
+	const mockReportService = customMocks.reportService || {
+		runReport: async(schedule, trigger) => ({
+			...mockReportDeliveries.delivered,
+			scheduleId: schedule.id,
+			scheduleName: schedule.name,
+			trigger,
+		}),
+	};
+	const mockWebhookSubscriptionModel = customMocks.webhookSubscriptionModel ||
+		createMockWebhookSubscriptionModel();
+	const mockWebhookDeliveryModel = customMocks.webhookDeliveryModel ||
+		createMockWebhookDeliveryModel();
+	const mockWebhookService = {
+		replayDelivery: async(deliveryId) => {
+			const delivery = await mockWebhookDeliveryModel.getById(deliveryId);
+			if (!delivery) {
+				return null;
+			}
+			if (!await mockWebhookSubscriptionModel.getById(delivery.subscriptionId)) {
+				const error = new Error('The webhook subscription of this delivery no longer exists');
+				error.code = 'WEBHOOK_SUBSCRIPTION_NOT_FOUND';
+				throw error;
+			}
+			const [replay] = await mockWebhookDeliveryModel.createMany([{
+				subscriptionId: delivery.subscriptionId,
+				subscriptionName: delivery.subscriptionName,
+				event: delivery.event,
+				replayOf: delivery.id,
+			}]);
+			return replay;
+		},
+	};
 	const mockSecurityMiddleware = customMocks.securityMiddleware || createMockSecurityMiddleware();
+	const mockAuthMiddleware = customMocks.authMiddleware || createMockAuthMiddleware();
 	const mockValidators = customMocks.validators || createMockValidators();
 
 	// Mock the dependencies
@@ -34,9 +95,49 @@ function createTestApp(customMocks = {}) {
 		if (id === '../models/order-model') {
 			return mockOrderModel;
 		}
+		if (id === '../models/order-event-model') {
+			return mockOrderEventModel;
+		}
+		if (id === '../models/order-anomaly-model') {
+			return mockOrderAnomalyModel;
+		}
+		if (id === '../models/sync-run-model') {
+			return mockSyncRunModel;
+		}
+		if (id === '../models/export-preset-model') {
+			return mockExportPresetModel;
+		}
+		if (id === '../models/export-job-model') {
+			return mockExportJobModel;
+		}
+		if (id === '../models/report-schedule-model') {
+			return mockReportScheduleModel;
+		}
+		if (id === '../models/report-delivery-model') {
+			return mockReportDeliveryModel;
+		}
+		if (id === '../services/report-service') {
+			return function MockReportService() {
+				return mockReportService;
+			};
+		}
+		if (id === '../models/webhook-subscription-model') {
+			return mockWebhookSubscriptionModel;
+		}
+		if (id === '../models/webhook-delivery-model') {
+			return mockWebhookDeliveryModel;
+		}
+		if (id === '../services/webhook-service') {
+			return Object.assign(function MockWebhookService() {
+				return mockWebhookService;
+			}, {generateSecret: () => 'whsec_generated-test-secret'});
+		}
 		if (id === '../middleware/security-middleware') {
 			return mockSecurityMiddleware;
 		}
+		if (id === '../middleware/auth-middleware') {
+			return mockAuthMiddleware;
+		}
 		if (id === '../validators/order-validators') {
 			return mockValidators;
 		}
@@ -52,6 +153,12 @@ function createTestApp(customMocks = {}) {
 	// Create and configure express app
 	const app = express();
 	app.use(express.json());
+	if (customMocks.orderStreamService) {
+		app.locals.orderStreamService = customMocks.orderStreamService;
+	}
+	if (customMocks.jobSchedulerService) {
+		app.locals.jobSchedulerService = customMocks.jobSchedulerService;
+	}
 	app.use('/', orderRoutes);
 
 	return app;
@@ -104,6 +211,41 @@ test('Order Routes - CSV Download Tests', async(t) => {
 		assert.strictEqual(data[0]['Order Products Cost'], '299.99');
 	});
 
+	await t.test('GET /orders/download-csv - should compare worth in the base currency on request', async() => {
+		const mockOrderModel = createMockOrderModel();
+		const capturedFilters = [];
+		mockOrderModel.getCursor = async function* (filters) {
+			capturedFilters.push(filters);
+			yield mockOrders.order1;
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		await supertest(app).get('/orders/download-csv?minWorth=1000&currencyMode=base').expect(200);
+		await supertest(app).get('/orders/download-csv?currencyMode=base').expect(200);
+
+		assert.deepStrictEqual(capturedFilters[0], {minWorth: 1000, currencyMode: 'base'});
+		assert.deepStrictEqual(capturedFilters[1], {});
+	});
+
+	await t.test('GET /orders/download-csv - should pass date range filters as dates', async() => {
+		const mockOrderModel = createMockOrderModel();
+		let capturedFilters = null;
+		mockOrderModel.getCursor = async function* (filters) {
+			capturedFilters = filters;
+			yield mockOrders.order1;
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?dateFrom=2024-01-01&dateTo=2024-01-31T23:59:59Z')
+			.expect(200);
+
+		assert(capturedFilters.dateFrom instanceof Date);
+		assert.strictEqual(capturedFilters.dateFrom.toISOString(), '2024-01-01T00:00:00.000Z');
+		assert.strictEqual(capturedFilters.dateTo.toISOString(), '2024-01-31T23:59:59.000Z');
+		assert(response.headers['content-disposition'].includes('-filtered-'));
+	});
+
 	await t.test('GET /orders/download-csv - should return error for invalid minWorth > maxWorth', async() => {
 		const app = createTestApp(); // Use default mocks which include validation
 
@@ -145,6 +287,52 @@ test('Order Routes - CSV Download Tests', async(t) => {
 		assert.strictEqual(response.body.error, 'Database connection failed');
 	});
 
+	await t.test('GET /orders/download-csv - should stream large exports in chunks', async() => {
+		const mockOrderModel = createMockOrderModel();
+		mockOrderModel.getCursor = async function* () {
+			for (let i = 0; i < 1200; i++) {
+				const order = {...mockOrders.order1, externalSerialNumber: `SN${i}`};
+				yield order;
+			}
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.expect(200);
+
+		assert.strictEqual(response.headers['transfer-encoding'], 'chunked');
+		assert.strictEqual(response.headers['content-length'], undefined);
+		csvUtils.assertCSVRowCount(response.text, 1200);
+		assert(response.text.endsWith(',2024-01-02T15:30:00.000Z'));
+	});
+
+	await t.test('GET /orders/download-csv - should abort the download when the cursor fails mid-stream', async() => {
+		const mockOrderModel = createMockOrderModel();
+		mockOrderModel.getCursor = async function* () {
+			for (let i = 0; i < 600; i++) {
+				yield mockOrders.order1;
+			}
+			throw new Error('Cursor killed');
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		await assert.rejects(supertest(app).get('/orders/download-csv'));
+	});
+
+	await t.test('GET /orders/download-csv - should escape quotes and line breaks', async() => {
+		const mockOrderModel = createMockOrderModel({
+			getAllReturns: [{...mockOrders.order1, externalSerialNumber: 'SN "1",\nB'}],
+		});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.expect(200);
+
+		assert(response.text.includes(',EXT123,"SN ""1"",\nB",EUR,'));
+	});
+
 	await t.test('GET /orders/download-csv/:externalSerialNumber - should return CSV for specific order', async() => {
 		const app = createTestApp();
 		const response = await supertest(app)
@@ -279,35 +467,2036 @@ test('CSV Content Format Tests', async(t) => {
 	});
 });
 
-test('Middleware Integration Tests', async(t) => {
+test('Order Routes - JSON API Tests', async(t) => {
 
-	await t.test('should call all required middleware in correct order', async() => {
-		let middlewareCalls = [];
+	await t.test('GET /orders - should return orders with pagination metadata', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders')
+			.expect(200);
 
-		// Create mocks that track calls
-		const mockValidators = {
-			sanitizeRequest: (req, res, next) => {
-				middlewareCalls.push('sanitizeRequest');
-				next();
-			},
-			validateCSVFilters: (req, res, next) => {
-				middlewareCalls.push('validateCSVFilters');
-				next();
-			},
-			checkCSVDownloadLimits: (req, res, next) => {
-				middlewareCalls.push('checkCSVDownloadLimits');
-				next();
-			},
-			validateExternalSerialNumber: (req, res, next) => {
-				middlewareCalls.push('validateExternalSerialNumber');
-				next();
-			},
+		assert.strictEqual(response.headers['content-type'], 'application/json; charset=utf-8');
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.length, 2);
+		assert.strictEqual(response.body.data[0].externalSerialNumber, 'SN123');
+		assert.deepStrictEqual(response.body.pagination, {
+			limit: 50,
+			total: 2,
+			hasMore: false,
+			nextCursor: null,
+		});
+	});
+
+	await t.test('GET /orders - should pass filters, limit and cursor to the model', async() => {
+		const mockOrderModel = createMockOrderModel();
+		let capturedPage = null;
+		let capturedCountFilters = null;
+
+		mockOrderModel.getPage = async(filters, options) => {
+			capturedPage = {filters, options};
+			return {orders: [mockOrders.order2], nextCursor: mockOrders.order2.id, hasMore: true};
+		};
+		mockOrderModel.getCount = async(filters) => {
+			capturedCountFilters = filters;
+			return 7;
 		};
 
-		const mockSecurityMiddleware = {
-			getCSVDownloadMiddleware: () => [
-				(req, res, next) => {
-					middlewareCalls.push('csvDownloadRateLimit');
+		const app = createTestApp({orderModel: mockOrderModel});
+		const response = await supertest(app)
+			.get(`/orders?status=new&currency=EUR&minWorth=10&limit=1&cursor=${mockOrders.order1.id}&unknown=1`)
+			.expect(200);
+
+		assert.deepStrictEqual(capturedPage.filters, {status: 'new', currency: 'EUR', minWorth: '10'});
+		assert.strictEqual(capturedPage.options.limit, '1');
+		assert.strictEqual(capturedPage.options.cursor, mockOrders.order1.id);
+		assert.deepStrictEqual(capturedCountFilters, capturedPage.filters);
+
+		assert.strictEqual(response.body.pagination.total, 7);
+		assert.strictEqual(response.body.pagination.hasMore, true);
+		assert.strictEqual(response.body.pagination.nextCursor, mockOrders.order2.id);
+	});
+
+	await t.test('GET /orders - should return 400 when filters are invalid', async() => {
+		const mockValidators = createMockValidators({
+			validateOrderListFiltersFails: [{msg: 'Limit must be an integer between 1 and 200'}],
+		});
+		const app = createTestApp({validators: mockValidators});
+
+		const response = await supertest(app)
+			.get('/orders?limit=0')
+			.expect(400);
+
+		assert.strictEqual(response.body.success, false);
+		assert.strictEqual(response.body.message, 'Invalid filter parameters');
+	});
+
+	await t.test('GET /orders - should handle database error', async() => {
+		const mockOrderModel = createMockOrderModel({
+			getPageThrows: 'Database connection failed',
+		});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders')
+			.expect(500);
+
+		assert.strictEqual(response.body.success, false);
+		assert.strictEqual(response.body.message, 'Failed to fetch orders');
+		assert.strictEqual(response.body.error, 'Database connection failed');
+	});
+
+	await t.test('GET /orders/stats - should return order statistics', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/stats')
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.orderCount, 2);
+		assert.deepStrictEqual(response.body.data.currencies, mockOrderStats.currencies);
+		assert.strictEqual(response.body.data.timeSeries.periods[0].period, '2024-01-01T00:00:00.000Z');
+		assert.deepStrictEqual(response.body.data.statuses, mockOrderStats.statuses);
+		assert.strictEqual(response.body.data.topProducts[0].productId, 1001);
+	});
+
+	await t.test('GET /orders/stats - should pass the list filters and aggregation options', async() => {
+		const mockOrderModel = createMockOrderModel();
+		let captured = null;
+
+		mockOrderModel.getStats = async(filters, options) => {
+			captured = {filters, options};
+			return mockOrderStats;
+		};
+
+		const app = createTestApp({orderModel: mockOrderModel});
+		await supertest(app)
+			.get('/orders/stats?shopId=shop-a&status=new&interval=week&timezone=Europe/Warsaw'
+				+ '&topProducts=5&currencyMode=base&limit=3&unknown=1')
+			.expect(200);
+
+		assert.deepStrictEqual(captured.filters, {shopId: 'shop-a', status: 'new', currencyMode: 'base'});
+		assert.deepStrictEqual(captured.options, {
+			interval: 'week',
+			timezone: 'Europe/Warsaw',
+			topProducts: '5',
+		});
+	});
+
+	await t.test('GET /orders/stats - should return 400 when filters are invalid', async() => {
+		const mockValidators = createMockValidators({
+			validateOrderStatsFiltersFails: [{msg: 'Interval must be one of: day, week, month'}],
+		});
+		const app = createTestApp({validators: mockValidators});
+
+		const response = await supertest(app)
+			.get('/orders/stats?interval=year')
+			.expect(400);
+
+		assert.strictEqual(response.body.success, false);
+		assert.strictEqual(response.body.message, 'Invalid filter parameters');
+	});
+
+	await t.test('GET /orders/stats - should handle database error', async() => {
+		const mockOrderModel = createMockOrderModel({
+			getStatsThrows: 'Aggregation failed',
+		});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/stats')
+			.expect(500);
+
+		assert.strictEqual(response.body.success, false);
+		assert.strictEqual(response.body.message, 'Failed to fetch order statistics');
+		assert.strictEqual(response.body.error, 'Aggregation failed');
+	});
+
+	await t.test('GET /orders/:id - should return a single order', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get(`/orders/${mockOrders.order1.id}`)
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.externalId, 'EXT123');
+	});
+
+	await t.test('GET /orders/:id - should return 404 for non-existent order', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/507f1f77bcf86cd799439000')
+			.expect(404);
+
+		assert.strictEqual(response.body.success, false);
+		assert(response.body.message.includes('not found'));
+	});
+
+	await t.test('GET /orders/:id - should return 400 for malformed ID', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/not-an-id')
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid order ID');
+	});
+
+	await t.test('GET /orders/:id - should not shadow the CSV download route', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8');
+	});
+
+	await t.test('GET /orders/:id - should handle database error', async() => {
+		const mockOrderModel = createMockOrderModel({
+			getByIdThrows: 'Database query failed',
+		});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get(`/orders/${mockOrders.order1.id}`)
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to fetch order');
+		assert.strictEqual(response.body.error, 'Database query failed');
+	});
+});
+
+test('Order Routes - Status History Tests', async(t) => {
+
+	await t.test('GET /orders/:id/history - should return status transitions', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get(`/orders/${mockOrders.order1.id}/history`)
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.externalId, 'EXT123');
+		assert.strictEqual(response.body.data.currentStatus, 'completed');
+		assert.strictEqual(response.body.data.history.length, 2);
+		assert.strictEqual(response.body.data.history[1].oldStatus, 'new');
+		assert.strictEqual(response.body.data.history[1].newStatus, 'completed');
+		assert.strictEqual(response.body.data.history[0].durationMs, 106200000);
+	});
+
+	await t.test('GET /orders/:id/history - should return 404 for non-existent order', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/507f1f77bcf86cd799439000/history')
+			.expect(404);
+
+		assert.strictEqual(response.body.success, false);
+	});
+
+	await t.test('GET /orders/:id/history - should handle database error', async() => {
+		const mockOrderEventModel = createMockOrderEventModel({
+			getStatusHistoryThrows: 'Database query failed',
+		});
+		const app = createTestApp({orderEventModel: mockOrderEventModel});
+
+		const response = await supertest(app)
+			.get(`/orders/${mockOrders.order1.id}/history`)
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to fetch order status history');
+	});
+
+	await t.test('GET /orders/download-csv - should omit status history by default', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.expect(200);
+
+		assert(!response.text.split('\n')[0].includes('Status History'));
+	});
+
+	await t.test('GET /orders/download-csv - should add status history column on request', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/download-csv?includeHistory=true')
+			.expect(200);
+
+		const csvContent = response.text;
+		csvUtils.assertCSVHeaders(csvContent, ['Status History']);
+		assert(csvContent.includes('"new@2024-01-01T10:00:00.000Z > completed@2024-01-02T15:30:00.000Z"'));
+		assert(csvContent.includes('"No history"'));
+	});
+});
+
+test('Order Routes - Anomaly Tests', async(t) => {
+
+	await t.test('GET /orders/anomalies - should list open anomalies', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/anomalies')
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.count, 1);
+		assert.strictEqual(response.body.data[0].type, 'reopened');
+		assert.strictEqual(response.body.data[0].externalId, 'EXT456');
+	});
+
+	await t.test('GET /orders/anomalies - should pass filters to the model', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/anomalies?state=acknowledged')
+			.expect(200);
+
+		assert.strictEqual(response.body.count, 0);
+	});
+
+	await t.test('GET /orders/anomalies - should handle database error', async() => {
+		const mockOrderAnomalyModel = createMockOrderAnomalyModel({getAllThrows: 'Database query failed'});
+		const app = createTestApp({orderAnomalyModel: mockOrderAnomalyModel});
+
+		const response = await supertest(app)
+			.get('/orders/anomalies')
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to fetch order anomalies');
+	});
+
+	await t.test('POST /orders/anomalies/:id/acknowledge - should acknowledge anomaly', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.post(`/orders/anomalies/${mockAnomalies.reopened.id}/acknowledge`)
+			.send({acknowledgedBy: 'ops', note: 'Customer reordered'})
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.state, 'acknowledged');
+		assert.strictEqual(response.body.data.acknowledgedBy, 'ops');
+		assert.strictEqual(response.body.data.note, 'Customer reordered');
+	});
+
+	await t.test('POST /orders/anomalies/:id/acknowledge - should return 404 when not open', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.post('/orders/anomalies/507f1f77bcf86cd799439000/acknowledge')
+			.expect(404);
+
+		assert.strictEqual(response.body.success, false);
+	});
+
+	await t.test('POST /orders/anomalies/:id/acknowledge - should reject invalid ID', async() => {
+		const app = createTestApp();
+		await supertest(app)
+			.post('/orders/anomalies/not-an-id/acknowledge')
+			.expect(400);
+	});
+});
+
+test('Order Routes - Sync Run Tests', async(t) => {
+
+	await t.test('GET /sync/runs - should list sync runs', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/sync/runs')
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.count, 2);
+		assert.strictEqual(response.body.data[0].type, 'incremental');
+		assert.strictEqual(response.body.data[1].errors.length, 1);
+	});
+
+	await t.test('GET /sync/runs - should pass filters to the model', async() => {
+		let receivedFilters;
+		const mockSyncRunModel = createMockSyncRunModel();
+		const getAll = mockSyncRunModel.getAll;
+		mockSyncRunModel.getAll = async(filters) => {
+			receivedFilters = filters;
+			return getAll(filters);
+		};
+		const app = createTestApp({syncRunModel: mockSyncRunModel});
+
+		const response = await supertest(app)
+			.get('/sync/runs?shopId=shop-b&status=completed_with_errors&limit=10&unknown=1')
+			.expect(200);
+
+		assert.deepStrictEqual(receivedFilters, {
+			shopId: 'shop-b',
+			status: 'completed_with_errors',
+			limit: '10',
+		});
+		assert.strictEqual(response.body.count, 1);
+		assert.strictEqual(response.body.data[0].type, 'status_monitoring');
+	});
+
+	await t.test('GET /sync/runs - should reject invalid filters', async() => {
+		const validators = createMockValidators({validateSyncRunFiltersFails: [{msg: 'Invalid type'}]});
+		const app = createTestApp({validators});
+
+		const response = await supertest(app)
+			.get('/sync/runs?type=unknown')
+			.expect(400);
+
+		assert.strictEqual(response.body.success, false);
+	});
+
+	await t.test('GET /sync/runs - should handle database error', async() => {
+		const mockSyncRunModel = createMockSyncRunModel({getAllThrows: 'Database query failed'});
+		const app = createTestApp({syncRunModel: mockSyncRunModel});
+
+		const response = await supertest(app)
+			.get('/sync/runs')
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to fetch sync runs');
+		assert.strictEqual(response.body.error, 'Database query failed');
+	});
+});
+
+test('Order Routes - CSV Format and Preset Tests', async(t) => {
+
+	await t.test('GET /orders/download-csv - should apply format options from the query', async() => {
+		const mockOrderModel = createMockOrderModel({getAllReturns: [mockOrders.order1]});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.query({
+				columns: 'externalSerialNumber,orderProductsCost,createdAt',
+				delimiter: 'semicolon',
+				decimalSeparator: 'comma',
+				dateFormat: 'DD.MM.YYYY HH:mm',
+				bom: 'true',
+			})
+			.expect(200);
+
+		assert.strictEqual(response.text, [
+			'\uFEFFExternal Serial Number;Order Products Cost;Created At',
+			'SN123;299,99;01.01.2024 10:00',
+		].join('\n'));
+	});
+
+	await t.test('GET /orders/download-csv - should export one row per line item', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?lineItems=true&columns=externalSerialNumber,productQuantity')
+			.expect(200);
+
+		assert.strictEqual(response.text, [
+			'External Serial Number,Quantity',
+			'SN123,2',
+			'SN123,1',
+			'SN456,N/A', // Orders without products keep a row
+		].join('\n'));
+	});
+
+	await t.test('GET /orders/download-csv - should use a saved preset', async() => {
+		const mockOrderModel = createMockOrderModel({getAllReturns: [mockOrders.order1]});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?preset=excel-pl')
+			.expect(200);
+
+		assert.strictEqual(response.text, [
+			'\uFEFFExternal Serial Number;Currency;Order Products Cost;Created At',
+			'SN123;EUR;299,99;01.01.2024',
+		].join('\n'));
+	});
+
+	await t.test('GET /orders/download-csv - should let query options override the preset', async() => {
+		const mockOrderModel = createMockOrderModel({getAllReturns: [mockOrders.order1]});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?preset=excel-pl&delimiter=tab&bom=false')
+			.expect(200);
+
+		assert(response.text.startsWith('External Serial Number\tCurrency\t'));
+		assert(response.text.endsWith('SN123\tEUR\t299,99\t01.01.2024'));
+	});
+
+	await t.test('GET /orders/download-csv - should return 404 for an unknown preset', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?preset=missing')
+			.expect(404);
+
+		assert.strictEqual(response.body.success, false);
+		assert.strictEqual(response.body.message, 'Export preset \'missing\' not found');
+	});
+
+	await t.test('GET /orders/download-csv/:externalSerialNumber - should use a saved preset', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv/SN123?preset=excel-pl')
+			.expect(200);
+
+		assert(response.text.endsWith('SN123;EUR;299,99;01.01.2024'));
+	});
+
+	await t.test('GET /export-presets - should list presets', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/export-presets')
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.count, 1);
+		assert.strictEqual(response.body.data[0].name, 'excel-pl');
+	});
+
+	await t.test('PUT /export-presets/:name - should save only format options', async() => {
+		const mockExportPresetModel = createMockExportPresetModel();
+		const app = createTestApp({exportPresetModel: mockExportPresetModel});
+
+		const response = await supertest(app)
+			.put('/export-presets/line-items')
+			.send({
+				description: 'Products per order',
+				options: {lineItems: true, delimiter: 'tab', shopId: 'shop-a'},
+			})
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.deepStrictEqual(response.body.data.options, {lineItems: true, delimiter: 'tab'});
+		assert(await mockExportPresetModel.getByName('line-items'));
+	});
+
+	await t.test('PUT /export-presets/:name - should reject invalid presets', async() => {
+		const validators = createMockValidators({validateExportPresetFails: [{msg: 'Unknown columns: foo'}]});
+		const app = createTestApp({validators});
+
+		const response = await supertest(app)
+			.put('/export-presets/broken')
+			.send({options: {columns: ['foo']}})
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid export preset');
+	});
+
+	await t.test('PUT /export-presets/:name - should handle database error', async() => {
+		const mockExportPresetModel = createMockExportPresetModel({upsertThrows: 'Write failed'});
+		const app = createTestApp({exportPresetModel: mockExportPresetModel});
+
+		const response = await supertest(app)
+			.put('/export-presets/excel-pl')
+			.send({options: {}})
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to save export preset');
+		assert.strictEqual(response.body.error, 'Write failed');
+	});
+
+	await t.test('DELETE /export-presets/:name - should delete a preset', async() => {
+		const mockExportPresetModel = createMockExportPresetModel();
+		const app = createTestApp({exportPresetModel: mockExportPresetModel});
+
+		await supertest(app)
+			.delete('/export-presets/excel-pl')
+			.expect(200);
+
+		await supertest(app)
+			.delete('/export-presets/excel-pl')
+			.expect(404);
+	});
+});
+
+test('Order Routes - Export Format Tests', async(t) => {
+	const SPREADSHEET_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+	await t.test('GET /orders/download-csv - should export NDJSON with ?format=ndjson', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?format=ndjson')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+		assert.match(response.headers['content-disposition'], /filename="orders-export-.*\.ndjson"/);
+		assert.strictEqual(response.headers['vary'], 'Accept');
+
+		const records = response.text.trim().split('\n').map(line => JSON.parse(line));
+		assert.deepStrictEqual(records.map(record => record.externalSerialNumber), ['SN123', 'SN456']);
+		assert.strictEqual(records[0].orderProductsCost, 299.99);
+		assert.strictEqual(records[0].createdAt, '2024-01-01T10:00:00.000Z');
+	});
+
+	await t.test('GET /orders/download-csv - should export NDJSON for an NDJSON Accept header', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.set('Accept', 'application/x-ndjson')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+		assert.strictEqual(response.text.trim().split('\n').length, 2);
+	});
+
+	await t.test('GET /orders/download-csv - should export XML with ?format=xml', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?format=xml&shopId=shop-b&columns=externalSerialNumber,currency')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'application/xml; charset=utf-8');
+		assert.match(response.headers['content-disposition'], /filename="orders-export-filtered-.*\.xml"/);
+		assert.strictEqual(response.text, [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			'<orders>',
+			'<order><externalSerialNumber>SN456</externalSerialNumber><currency>USD</currency></order>',
+			'</orders>',
+			'',
+		].join('\n'));
+	});
+
+	await t.test('GET /orders/download-csv - should export XML for an XML Accept header', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.set('Accept', 'application/xml')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'application/xml; charset=utf-8');
+		assert(response.text.includes('<order><id>'));
+	});
+
+	await t.test('GET /orders/download-csv - should export XLSX with ?format=xlsx', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?format=xlsx')
+			.responseType('blob')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], SPREADSHEET_TYPE);
+		assert.match(response.headers['content-disposition'], /filename="orders-export-.*\.xlsx"/);
+		assert(Buffer.isBuffer(response.body));
+		assert.strictEqual(response.body.toString('latin1', 0, 4), 'PK\u0003\u0004');
+		assert(response.body.includes('xl/worksheets/sheet1.xml'));
+	});
+
+	await t.test('GET /orders/download-csv - should export XLSX for a spreadsheet Accept header', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.set('Accept', SPREADSHEET_TYPE)
+			.responseType('blob')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], SPREADSHEET_TYPE);
+	});
+
+	await t.test('GET /orders/download-csv - should prefer ?format= over the Accept header', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?format=csv')
+			.set('Accept', 'application/xml')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8');
+	});
+
+	await t.test('GET /orders/download-csv - should fall back to CSV for other Accept headers', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.set('Accept', 'text/html,application/xhtml+xml,*/*;q=0.8')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8');
+		csvUtils.assertCSVHeaders(response.text, ['External Serial Number', 'Order Products Cost']);
+	});
+
+	await t.test('GET /orders/download-csv - should name the format in errors', async() => {
+		const mockOrderModel = createMockOrderModel({getAllThrows: 'Database connection failed'});
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv?format=ndjson')
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to generate NDJSON export');
+		assert.strictEqual(response.body.error, 'Database connection failed');
+	});
+
+	await t.test('GET /orders/download-csv/:externalSerialNumber - should export one order as NDJSON', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv/SN123?format=ndjson')
+			.expect(200);
+
+		assert.match(response.headers['content-disposition'], /filename="order-SN123-.*\.ndjson"/);
+		assert.strictEqual(JSON.parse(response.text).externalSerialNumber, 'SN123');
+	});
+
+	await t.test('GET /orders/download-csv/:externalSerialNumber - should export one order as XML', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv/SN123')
+			.set('Accept', 'application/xml')
+			.expect(200);
+
+		assert.match(response.headers['content-disposition'], /filename="order-SN123-.*\.xml"/);
+		assert.strictEqual(response.text.match(/<order>/g).length, 1);
+	});
+
+	await t.test('GET /orders/download-csv/:externalSerialNumber - should export one order as XLSX', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/orders/download-csv/SN123?format=xlsx')
+			.responseType('blob')
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], SPREADSHEET_TYPE);
+		assert.match(response.headers['content-disposition'], /filename="order-SN123-.*\.xlsx"/);
+		assert.strictEqual(response.body.toString('latin1', 0, 2), 'PK');
+	});
+
+	await t.test('GET /orders/download-csv/:externalSerialNumber - should name the format in errors', async() => {
+		const mockOrderModel = createMockOrderModel();
+		mockOrderModel.getByExternalSerialNumber = async() => {
+			throw new Error('Lookup failed');
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		const response = await supertest(app)
+			.get('/orders/download-csv/SN123?format=xml')
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to generate XML export for the specified order');
+	});
+});
+
+test('Order Routes - Export Job Tests', async(t) => {
+
+	/**
+	 * Create an export job model holding a completed job whose artifact exists on disk
+	 * @param {Object} overrides - Export job fields to override
+	 * @returns {Object} Mock export job model
+	 */
+	function createModelWithArtifact(overrides = {}) {
+		const artifactPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-')), 'artifact.csv');
+		fs.writeFileSync(artifactPath, 'External Serial Number\nSN123');
+
+		return createMockExportJobModel({
+			jobs: [{
+				...mockExportJobs.completed,
+				file: {...mockExportJobs.completed.file, path: artifactPath},
+				...overrides,
+			}],
+		});
+	}
+
+	const {id: jobId, downloadToken} = mockExportJobs.completed;
+
+	await t.test('POST /exports - should queue an export job with filters, format and options', async() => {
+		const mockExportJobModel = createMockExportJobModel();
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.post('/exports')
+			.send({
+				format: 'xlsx',
+				shopId: 'shop-a',
+				minWorth: 100,
+				dateFrom: '2024-01-01T00:00:00Z',
+				columns: ['externalSerialNumber', 'orderProductsCost'],
+				unknownOption: 'ignored',
+			})
+			.expect(202);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.status, 'queued');
+		assert.strictEqual(response.body.data.format, 'xlsx');
+		assert.strictEqual(response.body.data.download, null);
+		assert.strictEqual(response.body.data.statusUrl, `/exports/${response.body.data.id}`);
+
+		const job = mockExportJobModel.jobs[response.body.data.id];
+		assert.deepStrictEqual(job.filters, {
+			shopId: 'shop-a',
+			minWorth: 100,
+			dateFrom: new Date('2024-01-01T00:00:00Z'),
+		});
+		assert.deepStrictEqual(job.options, {columns: ['externalSerialNumber', 'orderProductsCost']});
+	});
+
+	await t.test('POST /exports - should default to CSV and merge the preset options', async() => {
+		const mockExportJobModel = createMockExportJobModel();
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.post('/exports')
+			.send({preset: 'excel-pl', delimiter: 'tab'})
+			.expect(202);
+
+		const job = mockExportJobModel.jobs[response.body.data.id];
+		assert.strictEqual(job.format, 'csv');
+		assert.strictEqual(job.preset, 'excel-pl');
+		assert.strictEqual(job.options.delimiter, 'tab');
+		assert.strictEqual(job.options.decimalSeparator, 'comma');
+	});
+
+	await t.test('POST /exports - should reject an unknown preset', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.post('/exports')
+			.send({preset: 'missing'})
+			.expect(404);
+
+		assert.strictEqual(response.body.message, "Export preset 'missing' not found");
+	});
+
+	await t.test('POST /exports - should return validation errors', async() => {
+		const mockValidators = createMockValidators({validateExportJobFails: [{msg: 'Format must be one of csv'}]});
+		const app = createTestApp({validators: mockValidators});
+
+		const response = await supertest(app)
+			.post('/exports')
+			.send({format: 'pdf'})
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid export job');
+	});
+
+	await t.test('POST /exports - should handle model errors', async() => {
+		const mockExportJobModel = createMockExportJobModel({createThrows: 'Insert failed'});
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.post('/exports')
+			.send({})
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to queue export job');
+		assert.strictEqual(response.body.error, 'Insert failed');
+	});
+
+	await t.test('GET /exports/:id - should report progress and the download link', async() => {
+		const mockExportJobModel = createMockExportJobModel({jobs: [mockExportJobs.completed]});
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}`)
+			.expect(200);
+
+		const {data} = response.body;
+		assert.strictEqual(data.status, 'completed');
+		assert.deepStrictEqual(data.progress, mockExportJobs.completed.progress);
+		assert.deepStrictEqual(data.file, {
+			downloadName: 'orders-export-2024-01-06T10-00-00.csv',
+			size: 120,
+		});
+		assert.strictEqual(data.download.url, `/exports/${jobId}/download?token=${downloadToken}`);
+		assert.strictEqual(data.download.expiresAt, '2099-01-01T00:00:00.000Z');
+		assert.strictEqual(data.downloadToken, undefined);
+		assert.strictEqual(data.file.path, undefined);
+	});
+
+	await t.test('GET /exports/:id - should report failures without a download link', async() => {
+		const mockExportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, status: 'failed', failure: {message: 'Cursor killed'}}],
+		});
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}`)
+			.expect(200);
+
+		assert.strictEqual(response.body.data.error, 'Cursor killed');
+		assert.strictEqual(response.body.data.download, null);
+	});
+
+	await t.test('GET /exports/:id - should return 404 for unknown jobs', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/exports/65a1b2c3d4e5f6a7b8c9d0ff')
+			.expect(404);
+
+		assert.strictEqual(response.body.message, 'Export job not found');
+	});
+
+	await t.test('GET /exports/:id/download - should send the artifact', async() => {
+		const app = createTestApp({exportJobModel: createModelWithArtifact()});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}/download?token=${downloadToken}`)
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8');
+		assert(response.headers['content-disposition'].includes('orders-export-2024-01-06T10-00-00.csv'));
+		assert.strictEqual(response.text, 'External Serial Number\nSN123');
+	});
+
+	await t.test('GET /exports/:id/download - should reject a wrong token', async() => {
+		const app = createTestApp({exportJobModel: createModelWithArtifact()});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}/download?token=${'b'.repeat(64)}`)
+			.expect(403);
+
+		assert.strictEqual(response.body.message, 'Invalid download token');
+	});
+
+	await t.test('GET /exports/:id/download - should reject expired links', async() => {
+		const app = createTestApp({
+			exportJobModel: createModelWithArtifact({expiresAt: new Date('2024-01-07T10:00:00Z')}),
+		});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}/download?token=${downloadToken}`)
+			.expect(410);
+
+		assert.strictEqual(response.body.message, 'Download link has expired');
+	});
+
+	await t.test('GET /exports/:id/download - should refuse jobs that are not completed', async() => {
+		const mockExportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, status: 'running', downloadToken: null, file: null}],
+		});
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}/download?token=${downloadToken}`)
+			.expect(409);
+
+		assert.strictEqual(response.body.message, 'Export job is running');
+	});
+
+	await t.test('GET /exports/:id/download - should report a removed artifact as gone', async() => {
+		const mockExportJobModel = createMockExportJobModel({
+			jobs: [{
+				...mockExportJobs.completed,
+				file: {...mockExportJobs.completed.file, path: path.join(os.tmpdir(), 'missing-export.csv')},
+			}],
+		});
+		const app = createTestApp({exportJobModel: mockExportJobModel});
+
+		const response = await supertest(app)
+			.get(`/exports/${jobId}/download?token=${downloadToken}`)
+			.expect(410);
+
+		assert.strictEqual(response.body.message, 'Failed to send export file');
+	});
+});
+
+test('Order Routes - Report Schedule Tests', async(t) => {
+	const {dailyFinance, weeklyArchive} = mockReportSchedules;
+
+	/**
+	 * Create a report schedule model holding the mock report schedules
+	 * @returns {Object} Mock report schedule model
+	 */
+	const createScheduleModel = () => createMockReportScheduleModel({
+		schedules: [dailyFinance, weeklyArchive],
+	});
+
+	const scheduleBody = {
+		name: 'morning-orders',
+		cron: '0 7 * * 1-5',
+		format: 'xlsx',
+		shopId: 'shop-a',
+		minWorth: 50,
+		lookbackHours: 24,
+		columns: ['externalSerialNumber', 'orderProductsCost'],
+		target: {type: 'smtp', to: ['finance@example.com'], subject: 'Orders', directory: 'ignored'},
+	};
+
+	await t.test('GET /report-schedules - should list report schedules', async() => {
+		const app = createTestApp({reportScheduleModel: createScheduleModel()});
+
+		const response = await supertest(app)
+			.get('/report-schedules')
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.count, 2);
+		assert.deepStrictEqual(response.body.data.map(schedule => schedule.name), [
+			'daily-finance',
+			'weekly-archive',
+		]);
+	});
+
+	await t.test('POST /report-schedules - should create a report schedule', async() => {
+		const reportScheduleModel = createScheduleModel();
+		const app = createTestApp({reportScheduleModel});
+
+		const response = await supertest(app)
+			.post('/report-schedules')
+			.send(scheduleBody)
+			.expect(201);
+
+		assert.strictEqual(response.body.message, "Report schedule 'morning-orders' created");
+
+		const stored = reportScheduleModel.schedules[response.body.data.id];
+		assert.strictEqual(stored.cron, '0 7 * * 1-5');
+		assert.strictEqual(stored.format, 'xlsx');
+		assert.strictEqual(stored.lookbackHours, 24);
+		assert.deepStrictEqual(stored.filters, {shopId: 'shop-a', minWorth: 50});
+		assert.deepStrictEqual(stored.options, {columns: ['externalSerialNumber', 'orderProductsCost']});
+		assert.deepStrictEqual(stored.target, {
+			type: 'smtp',
+			to: ['finance@example.com'],
+			subject: 'Orders',
+		});
+	});
+
+	await t.test('POST /report-schedules - should keep only the directory of directory targets', async() => {
+		const reportScheduleModel = createScheduleModel();
+		const app = createTestApp({reportScheduleModel});
+
+		const response = await supertest(app)
+			.post('/report-schedules')
+			.send({...scheduleBody, target: {type: 'directory', directory: 'finance', to: ['a@b.c']}})
+			.expect(201);
+
+		const stored = reportScheduleModel.schedules[response.body.data.id];
+		assert.deepStrictEqual(stored.target, {type: 'directory', directory: 'finance'});
+		assert.strictEqual(stored.format, 'xlsx');
+	});
+
+	await t.test('POST /report-schedules - should reject a taken name', async() => {
+		const app = createTestApp({reportScheduleModel: createScheduleModel()});
+
+		const response = await supertest(app)
+			.post('/report-schedules')
+			.send({...scheduleBody, name: 'daily-finance'})
+			.expect(409);
+
+		assert.strictEqual(response.body.message, "Report schedule 'daily-finance' already exists");
+	});
+
+	await t.test('POST /report-schedules - should reject an unknown preset', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.post('/report-schedules')
+			.send({...scheduleBody, preset: 'missing'})
+			.expect(404);
+
+		assert.strictEqual(response.body.message, "Export preset 'missing' not found");
+	});
+
+	await t.test('POST /report-schedules - should return validation errors', async() => {
+		const mockValidators = createMockValidators({
+			validateReportScheduleFails: [{msg: 'Cron must be a valid cron expression (e.g. 0 6 * * 1-5)'}],
+		});
+		const app = createTestApp({validators: mockValidators});
+
+		const response = await supertest(app)
+			.post('/report-schedules')
+			.send({...scheduleBody, cron: 'every morning'})
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid report schedule');
+	});
+
+	await t.test('POST /report-schedules - should handle model errors', async() => {
+		const reportScheduleModel = createMockReportScheduleModel({createThrows: 'Insert failed'});
+		const app = createTestApp({reportScheduleModel});
+
+		const response = await supertest(app)
+			.post('/report-schedules')
+			.send(scheduleBody)
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to create report schedule');
+		assert.strictEqual(response.body.error, 'Insert failed');
+	});
+
+	await t.test('GET /report-schedules/:id - should return a report schedule', async() => {
+		const app = createTestApp({reportScheduleModel: createScheduleModel()});
+
+		const response = await supertest(app)
+			.get(`/report-schedules/${dailyFinance.id}`)
+			.expect(200);
+
+		assert.strictEqual(response.body.data.name, 'daily-finance');
+	});
+
+	await t.test('GET /report-schedules/:id - should return 404 for unknown schedules', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/report-schedules/65a1b2c3d4e5f6a7b8c9d0ff')
+			.expect(404);
+
+		assert.strictEqual(response.body.message, 'Report schedule not found');
+	});
+
+	await t.test('GET /report-schedules/:id - should reject malformed IDs', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/report-schedules/not-an-id')
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid report schedule ID');
+	});
+
+	await t.test('PUT /report-schedules/:id - should replace a report schedule', async() => {
+		const reportScheduleModel = createScheduleModel();
+		const app = createTestApp({reportScheduleModel});
+
+		const response = await supertest(app)
+			.put(`/report-schedules/${weeklyArchive.id}`)
+			.send({...scheduleBody, name: 'weekly-archive', enabled: true})
+			.expect(200);
+
+		assert.strictEqual(response.body.message, "Report schedule 'weekly-archive' updated");
+
+		const stored = reportScheduleModel.schedules[weeklyArchive.id];
+		assert.strictEqual(stored.enabled, true);
+		assert.strictEqual(stored.cron, '0 7 * * 1-5');
+		assert.strictEqual(stored.target.type, 'smtp');
+	});
+
+	await t.test('PUT /report-schedules/:id - should reject renaming to a taken name', async() => {
+		const app = createTestApp({reportScheduleModel: createScheduleModel()});
+
+		await supertest(app)
+			.put(`/report-schedules/${weeklyArchive.id}`)
+			.send({...scheduleBody, name: 'daily-finance'})
+			.expect(409);
+	});
+
+	await t.test('PUT /report-schedules/:id - should return 404 for unknown schedules', async() => {
+		const app = createTestApp();
+
+		await supertest(app)
+			.put('/report-schedules/65a1b2c3d4e5f6a7b8c9d0ff')
+			.send(scheduleBody)
+			.expect(404);
+	});
+
+	await t.test('DELETE /report-schedules/:id - should delete a report schedule', async() => {
+		const reportScheduleModel = createScheduleModel();
+		const app = createTestApp({reportScheduleModel});
+
+		const response = await supertest(app)
+			.delete(`/report-schedules/${dailyFinance.id}`)
+			.expect(200);
+
+		assert.strictEqual(response.body.message, 'Report schedule deleted');
+		assert.strictEqual(reportScheduleModel.schedules[dailyFinance.id], undefined);
+
+		await supertest(app)
+			.delete(`/report-schedules/${dailyFinance.id}`)
+			.expect(404);
+	});
+
+	await t.test('POST /report-schedules/:id/run - should run the report now', async() => {
+		const runs = [];
+		const reportService = {
+			runReport: async(schedule, trigger) => {
+				runs.push({name: schedule.name, trigger});
+				return {...mockReportDeliveries.delivered, trigger};
+			},
+		};
+		const app = createTestApp({reportScheduleModel: createScheduleModel(), reportService});
+
+		const response = await supertest(app)
+			.post(`/report-schedules/${dailyFinance.id}/run`)
+			.expect(200);
+
+		assert.strictEqual(response.body.message, "Report 'daily-finance' delivered");
+		assert.strictEqual(response.body.data.status, 'delivered');
+		assert.deepStrictEqual(runs, [{name: 'daily-finance', trigger: 'manual'}]);
+	});
+
+	await t.test('POST /report-schedules/:id/run - should report failed deliveries', async() => {
+		const reportService = {
+			runReport: async() => mockReportDeliveries.failed,
+		};
+		const app = createTestApp({reportScheduleModel: createScheduleModel(), reportService});
+
+		const response = await supertest(app)
+			.post(`/report-schedules/${weeklyArchive.id}/run`)
+			.expect(502);
+
+		assert.strictEqual(response.body.success, false);
+		assert.strictEqual(response.body.message, 'Report delivery failed');
+		assert.strictEqual(response.body.error, 'EACCES: permission denied');
+		assert.strictEqual(response.body.data.id, mockReportDeliveries.failed.id);
+	});
+
+	await t.test('POST /report-schedules/:id/run - should return 404 for unknown schedules', async() => {
+		const app = createTestApp();
+
+		await supertest(app)
+			.post('/report-schedules/65a1b2c3d4e5f6a7b8c9d0ff/run')
+			.expect(404);
+	});
+
+	await t.test('GET /report-deliveries - should list deliveries newest first', async() => {
+		const reportDeliveryModel = createMockReportDeliveryModel({
+			deliveries: [mockReportDeliveries.delivered, mockReportDeliveries.failed],
+		});
+		const app = createTestApp({reportDeliveryModel});
+
+		const response = await supertest(app)
+			.get('/report-deliveries')
+			.expect(200);
+
+		assert.strictEqual(response.body.count, 2);
+		assert.deepStrictEqual(response.body.data.map(delivery => delivery.status), ['failed', 'delivered']);
+	});
+
+	await t.test('GET /report-deliveries - should filter by schedule and status', async() => {
+		const reportDeliveryModel = createMockReportDeliveryModel({
+			deliveries: [mockReportDeliveries.delivered, mockReportDeliveries.failed],
+		});
+		const app = createTestApp({reportDeliveryModel});
+
+		const response = await supertest(app)
+			.get(`/report-deliveries?scheduleId=${dailyFinance.id}&status=delivered`)
+			.expect(200);
+
+		assert.strictEqual(response.body.count, 1);
+		assert.strictEqual(response.body.data[0].id, mockReportDeliveries.delivered.id);
+	});
+
+	await t.test('GET /report-deliveries - should handle model errors', async() => {
+		const reportDeliveryModel = createMockReportDeliveryModel({getAllThrows: 'Connection lost'});
+		const app = createTestApp({reportDeliveryModel});
+
+		const response = await supertest(app)
+			.get('/report-deliveries')
+			.expect(500);
+
+		assert.strictEqual(response.body.message, 'Failed to fetch report deliveries');
+	});
+});
+
+test('Order Routes - Webhook Tests', async(t) => {
+	const {erp, audit} = mockWebhookSubscriptions;
+
+	/**
+	 * Create a webhook subscription model holding the mock subscriptions
+	 * @returns {Object} Mock webhook subscription model
+	 */
+	const createSubscriptionModel = () => createMockWebhookSubscriptionModel({
+		subscriptions: [erp, audit],
+	});
+
+	/**
+	 * Create a webhook delivery model holding the mock deliveries
+	 * @returns {Object} Mock webhook delivery model
+	 */
+	const createDeliveryModel = () => createMockWebhookDeliveryModel({
+		deliveries: [mockWebhookDeliveries.delivered, mockWebhookDeliveries.failed],
+	});
+
+	const subscriptionBody = {
+		name: 'warehouse',
+		url: 'http://127.0.0.1:4000/hooks',
+		events: ['order.created', 'order.status_changed'],
+	};
+
+	await t.test('GET /webhooks - should list subscriptions without their secrets', async() => {
+		const app = createTestApp({webhookSubscriptionModel: createSubscriptionModel()});
+
+		const response = await supertest(app)
+			.get('/webhooks')
+			.expect(200);
+
+		assert.strictEqual(response.body.count, 2);
+		assert.deepStrictEqual(response.body.data.map(subscription => subscription.name), [
+			'audit-log',
+			'erp-sync',
+		]);
+		assert(response.body.data.every(subscription => !('secret' in subscription)));
+	});
+
+	await t.test('POST /webhooks - should create a subscription and return its secret once', async() => {
+		const webhookSubscriptionModel = createSubscriptionModel();
+		const app = createTestApp({webhookSubscriptionModel});
+
+		const response = await supertest(app)
+			.post('/webhooks')
+			.send({...subscriptionBody, unknownField: 'ignored'})
+			.expect(201);
+
+		assert.strictEqual(response.body.message, "Webhook subscription 'warehouse' created");
+		assert.strictEqual(response.body.data.secret, 'whsec_generated-test-secret');
+
+		const stored = webhookSubscriptionModel.subscriptions[response.body.data.id];
+		assert.strictEqual(stored.url, 'http://127.0.0.1:4000/hooks');
+		assert.deepStrictEqual(stored.events, ['order.created', 'order.status_changed']);
+		assert.strictEqual(stored.secret, 'whsec_generated-test-secret');
+		assert(!('unknownField' in stored));
+
+		const listResponse = await supertest(app)
+			.get(`/webhooks/${response.body.data.id}`)
+			.expect(200);
+		assert(!('secret' in listResponse.body.data));
+	});
+
+	await t.test('POST /webhooks - should keep a secret given by the caller', async() => {
+		const webhookSubscriptionModel = createSubscriptionModel();
+		const app = createTestApp({webhookSubscriptionModel});
+
+		const response = await supertest(app)
+			.post('/webhooks')
+			.send({...subscriptionBody, secret: 'shared-secret-from-receiver'})
+			.expect(201);
+
+		assert.strictEqual(
+			webhookSubscriptionModel.subscriptions[response.body.data.id].secret,
+			'shared-secret-from-receiver',
+		);
+	});
+
+	await t.test('POST /webhooks - should reject taken names and invalid subscriptions', async() => {
+		const app = createTestApp({webhookSubscriptionModel: createSubscriptionModel()});
+		const invalidApp = createTestApp({
+			validators: createMockValidators({
+				validateWebhookSubscriptionFails: [{msg: 'URL must be an absolute http or https URL'}],
+			}),
+		});
+
+		const duplicateResponse = await supertest(app)
+			.post('/webhooks')
+			.send({...subscriptionBody, name: 'erp-sync'})
+			.expect(409);
+		const invalidResponse = await supertest(invalidApp)
+			.post('/webhooks')
+			.send({...subscriptionBody, url: 'ftp://example.com'})
+			.expect(400);
+
+		assert.strictEqual(duplicateResponse.body.message, "Webhook subscription 'erp-sync' already exists");
+		assert.strictEqual(invalidResponse.body.message, 'Invalid webhook subscription');
+	});
+
+	await t.test('PUT /webhooks/:id - should keep the stored secret unless a new one is given', async() => {
+		const webhookSubscriptionModel = createSubscriptionModel();
+		const app = createTestApp({webhookSubscriptionModel});
+
+		const response = await supertest(app)
+			.put(`/webhooks/${erp.id}`)
+			.send({...subscriptionBody, name: 'erp-sync', enabled: false})
+			.expect(200);
+
+		assert.strictEqual(response.body.message, "Webhook subscription 'erp-sync' updated");
+		assert(!('secret' in response.body.data));
+		assert.strictEqual(webhookSubscriptionModel.subscriptions[erp.id].enabled, false);
+		assert.strictEqual(webhookSubscriptionModel.subscriptions[erp.id].secret, erp.secret);
+
+		await supertest(app)
+			.put(`/webhooks/${erp.id}`)
+			.send({...subscriptionBody, name: 'erp-sync', secret: 'rotated-secret-value'})
+			.expect(200);
+		assert.strictEqual(webhookSubscriptionModel.subscriptions[erp.id].secret, 'rotated-secret-value');
+	});
+
+	await t.test('GET, PUT and DELETE /webhooks/:id - should return 404 for unknown subscriptions', async() => {
+		const app = createTestApp({webhookSubscriptionModel: createSubscriptionModel()});
+		const unknownId = '65a1b2c3d4e5f6a7b8c9dfff';
+
+		await supertest(app).get(`/webhooks/${unknownId}`).expect(404);
+		await supertest(app).put(`/webhooks/${unknownId}`).send(subscriptionBody).expect(404);
+		const response = await supertest(app).delete(`/webhooks/${unknownId}`).expect(404);
+		await supertest(app).get('/webhooks/not-an-id').expect(400);
+
+		assert.strictEqual(response.body.message, 'Webhook subscription not found');
+	});
+
+	await t.test('DELETE /webhooks/:id - should delete a subscription', async() => {
+		const webhookSubscriptionModel = createSubscriptionModel();
+		const app = createTestApp({webhookSubscriptionModel});
+
+		const response = await supertest(app)
+			.delete(`/webhooks/${audit.id}`)
+			.expect(200);
+
+		assert.strictEqual(response.body.message, 'Webhook subscription deleted');
+		assert.strictEqual(webhookSubscriptionModel.subscriptions[audit.id], undefined);
+	});
+
+	await t.test('GET /webhook-deliveries - should list and filter the delivery log', async() => {
+		const app = createTestApp({webhookDeliveryModel: createDeliveryModel()});
+
+		const allResponse = await supertest(app)
+			.get('/webhook-deliveries')
+			.expect(200);
+		const filteredResponse = await supertest(app)
+			.get(`/webhook-deliveries?subscriptionId=${erp.id}&status=failed&eventType=order.cancelled`)
+			.expect(200);
+
+		assert.deepStrictEqual(allResponse.body.data.map(delivery => delivery.status), [
+			'failed',
+			'delivered',
+		]);
+		assert.strictEqual(filteredResponse.body.count, 1);
+		assert.strictEqual(filteredResponse.body.data[0].id, mockWebhookDeliveries.failed.id);
+		assert.strictEqual(filteredResponse.body.data[0].attemptLog[0].responseStatus, 503);
+	});
+
+	await t.test('GET /webhook-deliveries/:id - should return a delivery with its attempts', async() => {
+		const app = createTestApp({webhookDeliveryModel: createDeliveryModel()});
+
+		const response = await supertest(app)
+			.get(`/webhook-deliveries/${mockWebhookDeliveries.delivered.id}`)
+			.expect(200);
+		await supertest(app)
+			.get('/webhook-deliveries/65a1b2c3d4e5f6a7b8c9dfff')
+			.expect(404);
+
+		assert.strictEqual(response.body.data.eventType, 'order.completed');
+		assert.strictEqual(response.body.data.attempts, 1);
+	});
+
+	await t.test('POST /webhook-deliveries/:id/replay - should queue the event again', async() => {
+		const webhookDeliveryModel = createDeliveryModel();
+		const app = createTestApp({
+			webhookSubscriptionModel: createSubscriptionModel(),
+			webhookDeliveryModel,
+		});
+
+		const response = await supertest(app)
+			.post(`/webhook-deliveries/${mockWebhookDeliveries.failed.id}/replay`)
+			.expect(202);
+
+		assert.strictEqual(response.body.message, 'Webhook order.cancelled queued for redelivery');
+		assert.strictEqual(response.body.data.status, 'pending');
+		assert.strictEqual(response.body.data.replayOf, mockWebhookDeliveries.failed.id);
+		assert.strictEqual(response.body.data.eventId, mockWebhookDeliveries.failed.eventId);
+		assert.strictEqual(webhookDeliveryModel.deliveries.length, 3);
+	});
+
+	await t.test('POST /webhook-deliveries/:id/replay - should reject unknown deliveries and deleted subscriptions', async() => {
+		const app = createTestApp({webhookDeliveryModel: createDeliveryModel()});
+
+		await supertest(app)
+			.post('/webhook-deliveries/65a1b2c3d4e5f6a7b8c9dfff/replay')
+			.expect(404);
+		const response = await supertest(app)
+			.post(`/webhook-deliveries/${mockWebhookDeliveries.failed.id}/replay`)
+			.expect(409);
+
+		assert.strictEqual(
+			response.body.message,
+			'The webhook subscription of this delivery no longer exists',
+		);
+	});
+
+	await t.test('should require the admin role for webhook management', async() => {
+		const app = createTestApp({webhookSubscriptionModel: createSubscriptionModel()});
+
+		const response = await supertest(app)
+			.get('/webhooks')
+			.set('X-Test-Role', 'exporter')
+			.expect(403);
+		await supertest(app)
+			.post(`/webhook-deliveries/${mockWebhookDeliveries.failed.id}/replay`)
+			.set('X-Test-Role', 'viewer')
+			.expect(403);
+
+		assert.strictEqual(response.body.message, 'This action requires the admin role');
+	});
+});
+
+test('Order Routes - Order Stream Tests', async(t) => {
+
+	/**
+	 * Create an order stream service that records the streams it opens
+	 * @param {boolean} isStarted - Whether the stream worker runs
+	 * @returns {Object} Mock order stream service
+	 */
+	const createOrderStreamService = (isStarted = true) => {
+		const service = {
+			streams: [],
+			getStatus: () => ({isStarted}),
+			openStream: async(req, res, options) => {
+				service.streams.push(options);
+				res.writeHead(200, {'Content-Type': 'text/event-stream; charset=utf-8'});
+				res.end('retry: 3000\n\n');
+			},
+		};
+		return service;
+	};
+
+	await t.test('GET /orders/stream - should open a stream with the requested filters', async() => {
+		const orderStreamService = createOrderStreamService();
+		const app = createTestApp({orderStreamService});
+
+		const response = await supertest(app)
+			.get('/orders/stream')
+			.query({shopId: 'shop-b', status: ['packed', 'finished'], type: 'order.status_changed'})
+			.expect(200);
+
+		assert.strictEqual(response.headers['content-type'], 'text/event-stream; charset=utf-8');
+		assert.deepStrictEqual(orderStreamService.streams, [{
+			filters: {
+				shopIds: ['shop-b'],
+				statuses: ['packed', 'finished'],
+				types: ['order.status_changed'],
+			},
+			lastEventId: undefined,
+		}]);
+	});
+
+	await t.test('GET /orders/stream - should resume from the Last-Event-ID header', async() => {
+		const orderStreamService = createOrderStreamService();
+		const app = createTestApp({orderStreamService});
+
+		await supertest(app)
+			.get('/orders/stream')
+			.query({lastEventId: '65a1b2c3d4e5f6a7b8c9d0e1'})
+			.set('Last-Event-ID', '65a1b2c3d4e5f6a7b8c9d0e2')
+			.expect(200);
+		await supertest(app)
+			.get('/orders/stream')
+			.query({lastEventId: '65a1b2c3d4e5f6a7b8c9d0e1'})
+			.expect(200);
+
+		assert.deepStrictEqual(
+			orderStreamService.streams.map(options => options.lastEventId),
+			['65a1b2c3d4e5f6a7b8c9d0e2', '65a1b2c3d4e5f6a7b8c9d0e1'],
+		);
+		assert.deepStrictEqual(orderStreamService.streams[0].filters, {});
+	});
+
+	await t.test('GET /orders/stream - should return 503 when the stream is not running', async() => {
+		const orderStreamService = createOrderStreamService(false);
+
+		const stopped = await supertest(createTestApp({orderStreamService}))
+			.get('/orders/stream')
+			.expect(503);
+		const missing = await supertest(createTestApp())
+			.get('/orders/stream')
+			.expect(503);
+
+		assert.strictEqual(stopped.body.message, 'Order stream is not available');
+		assert.strictEqual(missing.body.success, false);
+		assert.deepStrictEqual(orderStreamService.streams, []);
+	});
+
+	await t.test('GET /orders/stream - should return 400 for invalid filters', async() => {
+		const orderStreamService = createOrderStreamService();
+		const app = createTestApp({
+			orderStreamService,
+			validators: createMockValidators({
+				validateOrderStreamFiltersFails: [
+					{msg: 'Last-Event-ID must be a valid 24-character hex identifier'},
+				],
+			}),
+		});
+
+		const response = await supertest(app)
+			.get('/orders/stream')
+			.set('Last-Event-ID', 'abc')
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid filter parameters');
+		assert.deepStrictEqual(orderStreamService.streams, []);
+	});
+
+	await t.test('POST /orders/stream/token - should issue a token for EventSource clients', async() => {
+		const response = await supertest(createTestApp())
+			.post('/orders/stream/token')
+			.set('X-Test-Role', 'viewer')
+			.set('X-Test-Auth-Type', 'token')
+			.expect(200);
+
+		assert.deepStrictEqual(response.body.data, {
+			token: 'order-stream-token-for-key1',
+			expiresAt: '2024-01-01T00:01:00.000Z',
+		});
+	});
+
+	await t.test('POST /orders/stream/token - should return 503 when tokens are disabled', async() => {
+		const authMiddleware = createMockAuthMiddleware({tokensDisabled: true});
+		const app = createTestApp({authMiddleware});
+
+		const response = await supertest(app)
+			.post('/orders/stream/token')
+			.expect(503);
+
+		assert.strictEqual(response.body.message, 'Failed to issue order stream token');
+	});
+});
+
+test('Order Routes - Scheduler Tests', async(t) => {
+
+	/**
+	 * Create a job scheduler that records pause, resume and trigger requests
+	 * @returns {Object} Mock job scheduler with its calls
+	 */
+	const createJobSchedulerService = () => {
+		const jobs = {
+			'order-sync': {name: 'order-sync', enabled: true, isRunning: false},
+			cleanup: {name: 'cleanup', enabled: true, isRunning: true},
+		};
+		const notFound = name => Object.assign(new Error(`Job '${name}' does not exist`), {
+			code: 'JOB_NOT_FOUND',
+		});
+		const service = {
+			calls: [],
+			getStatus: () => ({isStarted: true, timezone: 'Europe/Warsaw', jobs: Object.values(jobs)}),
+			setJobsEnabled: async(names, enabled) => {
+				service.calls.push(['setJobsEnabled', names, enabled]);
+				const selected = names || Object.keys(jobs);
+				const unknown = selected.find(name => !jobs[name]);
+				if (unknown) {
+					throw notFound(unknown);
+				}
+				selected.forEach(name => {
+					jobs[name].enabled = enabled;
+				});
+				return service.getStatus();
+			},
+			triggerJob: name => {
+				service.calls.push(['triggerJob', name]);
+				if (!jobs[name]) {
+					throw notFound(name);
+				}
+				if (jobs[name].isRunning) {
+					throw Object.assign(new Error(`Job '${name}' is already running`), {
+						code: 'JOB_RUNNING',
+					});
+				}
+				jobs[name].isRunning = true;
+				return jobs[name];
+			},
+		};
+		return service;
+	};
+
+	await t.test('GET /scheduler/jobs - should return the job status', async() => {
+		const jobSchedulerService = createJobSchedulerService();
+		const app = createTestApp({jobSchedulerService});
+
+		const response = await supertest(app)
+			.get('/scheduler/jobs')
+			.expect(200);
+
+		assert.strictEqual(response.body.success, true);
+		assert.strictEqual(response.body.data.isStarted, true);
+		assert.deepStrictEqual(
+			response.body.data.jobs.map(job => job.name),
+			['order-sync', 'cleanup'],
+		);
+	});
+
+	await t.test('POST /scheduler/pause - should pause every job', async() => {
+		const jobSchedulerService = createJobSchedulerService();
+		const app = createTestApp({jobSchedulerService});
+
+		const response = await supertest(app)
+			.post('/scheduler/pause')
+			.expect(200);
+
+		assert.strictEqual(response.body.message, 'All jobs paused');
+		assert.deepStrictEqual(jobSchedulerService.calls, [['setJobsEnabled', undefined, false]]);
+		assert(response.body.data.jobs.every(job => job.enabled === false));
+	});
+
+	await t.test('POST /scheduler/resume - should resume the listed jobs', async() => {
+		const jobSchedulerService = createJobSchedulerService();
+		const app = createTestApp({jobSchedulerService});
+
+		const response = await supertest(app)
+			.post('/scheduler/resume')
+			.send({jobs: ['cleanup']})
+			.expect(200);
+
+		assert.strictEqual(response.body.message, 'cleanup resumed');
+		assert.deepStrictEqual(jobSchedulerService.calls, [['setJobsEnabled', ['cleanup'], true]]);
+	});
+
+	await t.test('POST /scheduler/pause - should return 404 for an unknown job', async() => {
+		const app = createTestApp({jobSchedulerService: createJobSchedulerService()});
+
+		const response = await supertest(app)
+			.post('/scheduler/pause')
+			.send({jobs: ['missing']})
+			.expect(404);
+
+		assert.strictEqual(response.body.message, "Job 'missing' does not exist");
+	});
+
+	await t.test('POST /scheduler/pause - should return 400 for an invalid selection', async() => {
+		const jobSchedulerService = createJobSchedulerService();
+		const app = createTestApp({
+			jobSchedulerService,
+			validators: createMockValidators({
+				validateSchedulerJobSelectionFails: [{msg: 'Jobs must be a list of job names'}],
+			}),
+		});
+
+		const response = await supertest(app)
+			.post('/scheduler/pause')
+			.send({jobs: 'order-sync'})
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Invalid job selection');
+		assert.deepStrictEqual(jobSchedulerService.calls, []);
+	});
+
+	await t.test('POST /scheduler/jobs/:name/run - should start the job', async() => {
+		const jobSchedulerService = createJobSchedulerService();
+		const app = createTestApp({jobSchedulerService});
+
+		const response = await supertest(app)
+			.post('/scheduler/jobs/order-sync/run')
+			.expect(202);
+
+		assert.strictEqual(response.body.message, "Job 'order-sync' started");
+		assert.strictEqual(response.body.data.isRunning, true);
+		assert.deepStrictEqual(jobSchedulerService.calls, [['triggerJob', 'order-sync']]);
+	});
+
+	await t.test('POST /scheduler/jobs/:name/run - should return 409 while the job runs', async() => {
+		const app = createTestApp({jobSchedulerService: createJobSchedulerService()});
+
+		const response = await supertest(app)
+			.post('/scheduler/jobs/cleanup/run')
+			.expect(409);
+
+		assert.strictEqual(response.body.message, "Job 'cleanup' is already running");
+	});
+
+	await t.test('POST /scheduler/jobs/:name/run - should return 404 for an unknown job', async() => {
+		const app = createTestApp({jobSchedulerService: createJobSchedulerService()});
+
+		await supertest(app)
+			.post('/scheduler/jobs/missing/run')
+			.expect(404);
+	});
+
+	await t.test('should return 503 without a job scheduler', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/scheduler/jobs')
+			.expect(503);
+		await supertest(app)
+			.post('/scheduler/pause')
+			.expect(503);
+
+		assert.strictEqual(response.body.message, 'Job scheduler is not available');
+	});
+
+	await t.test('should require the admin role for scheduler control', async() => {
+		const jobSchedulerService = createJobSchedulerService();
+		const app = createTestApp({jobSchedulerService});
+
+		const response = await supertest(app)
+			.get('/scheduler/jobs')
+			.set('X-Test-Role', 'exporter')
+			.expect(403);
+		await supertest(app)
+			.post('/scheduler/jobs/order-sync/run')
+			.set('X-Test-Role', 'viewer')
+			.expect(403);
+
+		assert.strictEqual(response.body.message, 'This action requires the admin role');
+		assert.deepStrictEqual(jobSchedulerService.calls, []);
+	});
+});
+
+test('Order Routes - Multi-shop Tests', async(t) => {
+
+	await t.test('GET /orders/download-csv - should filter by shop', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get('/orders/download-csv?shopId=shop-b')
+			.expect(200);
+
+		const csvContent = response.text;
+		assert(csvContent.includes('EXT456'));
+		assert(!csvContent.includes('EXT123'));
+		assert(response.headers['content-disposition'].includes('orders-export-filtered-'));
+	});
+
+	await t.test('GET /orders - should pass shop filter to the model', async() => {
+		const receivedFilters = [];
+		const mockOrderModel = createMockOrderModel();
+		mockOrderModel.getCount = async(filters) => {
+			receivedFilters.push(filters);
+			return 1;
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		await supertest(app)
+			.get('/orders?shopId=shop-a')
+			.expect(200);
+
+		assert.strictEqual(receivedFilters[0].shopId, 'shop-a');
+	});
+
+	await t.test('GET /orders/download-csv/:externalSerialNumber - should look up order in shop', async() => {
+		let receivedShopId;
+		const mockOrderModel = createMockOrderModel();
+		mockOrderModel.getByExternalSerialNumber = async(serialNumber, shopId) => {
+			receivedShopId = shopId;
+			return mockOrders.order1;
+		};
+		const app = createTestApp({orderModel: mockOrderModel});
+
+		await supertest(app)
+			.get('/orders/download-csv/SN123?shopId=shop-a')
+			.expect(200);
+
+		assert.strictEqual(receivedShopId, 'shop-a');
+	});
+
+	await t.test('GET /orders/:id/history - should include the order shop', async() => {
+		const app = createTestApp();
+		const response = await supertest(app)
+			.get(`/orders/${mockOrders.order1.id}/history`)
+			.expect(200);
+
+		assert.strictEqual(response.body.data.shopId, 'shop-a');
+	});
+});
+
+test('Order Routes - Authentication Tests', async(t) => {
+
+	await t.test('POST /auth/token - should issue a session token for an API key', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.post('/auth/token')
+			.set('X-Test-Role', 'exporter')
+			.expect(200);
+
+		assert.deepStrictEqual(response.body.data, {
+			token: 'token-for-key1',
+			expiresAt: '2024-01-01T01:00:00.000Z',
+			name: 'Test key',
+			role: 'exporter',
+		});
+	});
+
+	await t.test('POST /auth/token - should not renew session tokens', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.post('/auth/token')
+			.set('X-Test-Auth-Type', 'token')
+			.expect(400);
+
+		assert.strictEqual(response.body.message, 'Session tokens are only issued for API keys');
+	});
+
+	await t.test('POST /auth/token - should return 503 when session tokens are disabled', async() => {
+		const authMiddleware = createMockAuthMiddleware({tokensDisabled: true});
+		const app = createTestApp({authMiddleware});
+
+		const response = await supertest(app)
+			.post('/auth/token')
+			.expect(503);
+
+		assert.strictEqual(response.body.success, false);
+		assert(response.body.error.includes('AUTH_JWT_SECRET'));
+	});
+
+	await t.test('GET /auth/me - should return the authenticated principal', async() => {
+		const app = createTestApp();
+
+		const response = await supertest(app)
+			.get('/auth/me')
+			.set('X-Test-Role', 'viewer')
+			.expect(200);
+
+		assert.deepStrictEqual(response.body.data, {
+			type: 'apiKey',
+			id: 'key1',
+			name: 'Test key',
+			role: 'viewer',
+		});
+	});
+
+	await t.test('should reject requests without credentials', async() => {
+		const app = createTestApp();
+
+		await supertest(app).get('/orders').set('X-Test-Role', 'none').expect(401);
+		await supertest(app).get('/orders/download-csv').set('X-Test-Role', 'none').expect(401);
+	});
+
+	await t.test('should let viewers read orders but not export them', async() => {
+		const app = createTestApp();
+
+		await supertest(app).get('/orders').set('X-Test-Role', 'viewer').expect(200);
+		await supertest(app).get('/orders/stats').set('X-Test-Role', 'viewer').expect(200);
+
+		const response = await supertest(app)
+			.get('/orders/download-csv')
+			.set('X-Test-Role', 'viewer')
+			.expect(403);
+
+		assert.strictEqual(response.body.message, 'This action requires the exporter role');
+		await supertest(app).post('/exports').set('X-Test-Role', 'viewer').send({}).expect(403);
+	});
+
+	await t.test('should keep report schedule changes to admins', async() => {
+		const reportScheduleModel = createMockReportScheduleModel({
+			schedules: Object.values(mockReportSchedules),
+		});
+		const app = createTestApp({reportScheduleModel});
+
+		await supertest(app).get('/orders/download-csv').set('X-Test-Role', 'exporter').expect(200);
+		await supertest(app)
+			.post('/report-schedules')
+			.set('X-Test-Role', 'exporter')
+			.send({})
+			.expect(403);
+		await supertest(app)
+			.delete(`/report-schedules/${mockReportSchedules.dailyFinance.id}`)
+			.set('X-Test-Role', 'admin')
+			.expect(200);
+	});
+
+	await t.test('GET /exports/:id/download - should rely on the download token only', async() => {
+		const exportJobModel = createMockExportJobModel({jobs: [mockExportJobs.completed]});
+		const app = createTestApp({exportJobModel});
+
+		const response = await supertest(app)
+			.get(`/exports/${mockExportJobs.completed.id}/download?token=${'b'.repeat(64)}`)
+			.set('X-Test-Role', 'none')
+			.expect(403);
+
+		assert.strictEqual(response.body.message, 'Invalid download token');
+	});
+});
+
+test('Middleware Integration Tests', async(t) => {
+
+	await t.test('should call all required middleware in correct order', async() => {
+		let middlewareCalls = [];
+
+		// Create mocks that track calls
+		const mockValidators = {
+			sanitizeRequest: (req, res, next) => {
+				middlewareCalls.push('sanitizeRequest');
+				next();
+			},
+			validateCSVFilters: (req, res, next) => {
+				middlewareCalls.push('validateCSVFilters');
+				next();
+			},
+			checkCSVDownloadLimits: (req, res, next) => {
+				middlewareCalls.push('checkCSVDownloadLimits');
+				next();
+			},
+			validateExternalSerialNumber: (req, res, next) => {
+				middlewareCalls.push('validateExternalSerialNumber');
+				next();
+			},
+			validateOrderListFilters: (req, res, next) => {
+				middlewareCalls.push('validateOrderListFilters');
+				next();
+			},
+			validateOrderStatsFilters: (req, res, next) => {
+				middlewareCalls.push('validateOrderStatsFilters');
+				next();
+			},
+			validateOrderStreamFilters: (req, res, next) => {
+				middlewareCalls.push('validateOrderStreamFilters');
+				next();
+			},
+			validateOrderId: (req, res, next) => {
+				middlewareCalls.push('validateOrderId');
+				next();
+			},
+			validateAnomalyFilters: (req, res, next) => {
+				middlewareCalls.push('validateAnomalyFilters');
+				next();
+			},
+			validateAnomalyAcknowledgement: (req, res, next) => {
+				middlewareCalls.push('validateAnomalyAcknowledgement');
+				next();
+			},
+			validateSyncRunFilters: (req, res, next) => {
+				middlewareCalls.push('validateSyncRunFilters');
+				next();
+			},
+			validateExportPresetName: (req, res, next) => {
+				middlewareCalls.push('validateExportPresetName');
+				next();
+			},
+			validateExportPreset: (req, res, next) => {
+				middlewareCalls.push('validateExportPreset');
+				next();
+			},
+			validateExportJob: (req, res, next) => {
+				middlewareCalls.push('validateExportJob');
+				next();
+			},
+			validateExportJobId: (req, res, next) => {
+				middlewareCalls.push('validateExportJobId');
+				next();
+			},
+			validateExportDownload: (req, res, next) => {
+				middlewareCalls.push('validateExportDownload');
+				next();
+			},
+			validateReportSchedule: (req, res, next) => {
+				middlewareCalls.push('validateReportSchedule');
+				next();
+			},
+			validateReportScheduleId: (req, res, next) => {
+				middlewareCalls.push('validateReportScheduleId');
+				next();
+			},
+			validateReportDeliveryFilters: (req, res, next) => {
+				middlewareCalls.push('validateReportDeliveryFilters');
+				next();
+			},
+			validateWebhookSubscription: (req, res, next) => {
+				middlewareCalls.push('validateWebhookSubscription');
+				next();
+			},
+			validateWebhookSubscriptionId: (req, res, next) => {
+				middlewareCalls.push('validateWebhookSubscriptionId');
+				next();
+			},
+			validateWebhookDeliveryId: (req, res, next) => {
+				middlewareCalls.push('validateWebhookDeliveryId');
+				next();
+			},
+			validateWebhookDeliveryFilters: (req, res, next) => {
+				middlewareCalls.push('validateWebhookDeliveryFilters');
+				next();
+			},
+			validateSchedulerJobName: (req, res, next) => {
+				middlewareCalls.push('validateSchedulerJobName');
+				next();
+			},
+			validateSchedulerJobSelection: (req, res, next) => {
+				middlewareCalls.push('validateSchedulerJobSelection');
+				next();
+			},
+		};
+
+		const mockSecurityMiddleware = {
+			getCSVDownloadMiddleware: () => [
+				(req, res, next) => {
+					middlewareCalls.push('csvDownloadRateLimit');
+					next();
+				},
+			],
+		};
+
+		const mockAuthMiddleware = {
+			...createMockAuthMiddleware(),
+			requireRole: role => [
+				(req, res, next) => {
+					middlewareCalls.push(`requireRole:${role}`);
 					next();
 				},
 			],
@@ -316,6 +2505,7 @@ test('Middleware Integration Tests', async(t) => {
 		const app = createTestApp({
 			validators: mockValidators,
 			securityMiddleware: mockSecurityMiddleware,
+			authMiddleware: mockAuthMiddleware,
 		});
 
 		await supertest(app)
@@ -323,6 +2513,7 @@ test('Middleware Integration Tests', async(t) => {
 			.expect(200);
 
 		// Verify middleware was called in expected order
+		assert.strictEqual(middlewareCalls[0], 'requireRole:exporter');
 		assert(middlewareCalls.includes('sanitizeRequest'));
 		assert(middlewareCalls.includes('csvDownloadRateLimit'));
 		assert(middlewareCalls.includes('validateCSVFilters'));
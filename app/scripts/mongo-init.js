@@ -92,7 +92,84 @@ db.products.insertMany(sampleProducts);
 
 db.createCollection('orders');
 db.orders.createIndex({status: 1}, {name: 'status_1', background: true});
-db.orders.createIndex({externalId: 1}, {name: 'externalId_1', unique: true, background: true});
+db.orders.createIndex(
+	{shopId: 1, externalId: 1},
+	{name: 'shopId_1_externalId_1', unique: true, background: true},
+);
 db.orders.createIndex({status: 1, updatedAt: -1}, {name: 'status_1_updatedAt_-1', background: true});
 db.orders.createIndex({orderDate: -1}, {name: 'orderDate_-1', background: true});
 db.orders.createIndex({status: 1, orderDate: -1}, {name: 'status_1_orderDate_-1', background: true});
+db.orders.createIndex({status: 1, statusCheckedAt: 1}, {name: 'status_1_statusCheckedAt_1', background: true});
+
+db.createCollection('sync_state');
+db.createCollection('backfills');
+
+// Stored settings of scheduled jobs, keyed by job name
+db.createCollection('scheduler_jobs');
+
+// Scheduler leases - the TTL index drops leases nobody released
+db.createCollection('scheduler_locks');
+db.scheduler_locks.createIndex({expiresAt: 1}, {name: 'expiresAt_1', expireAfterSeconds: 0});
+
+db.createCollection('order_events');
+db.order_events.createIndex(
+	{shopId: 1, externalId: 1, detectedAt: 1},
+	{name: 'shopId_1_externalId_1_detectedAt_1', background: true},
+);
+// Log order of the live order stream
+db.order_events.createIndex({detectedAt: 1, _id: 1}, {name: 'detectedAt_1__id_1', background: true});
+
+db.createCollection('order_anomalies');
+db.order_anomalies.createIndex(
+	{state: 1, detectedAt: -1},
+	{name: 'state_1_detectedAt_-1', background: true},
+);
+
+db.createCollection('sync_runs');
+db.sync_runs.createIndex(
+	{shopId: 1, type: 1, startedAt: -1},
+	{name: 'shopId_1_type_1_startedAt_-1', background: true},
+);
+db.sync_runs.createIndex({startedAt: -1}, {name: 'startedAt_-1', background: true});
+
+db.createCollection('export_presets');
+db.export_presets.createIndex({name: 1}, {name: 'name_1', unique: true, background: true});
+
+db.createCollection('export_jobs');
+db.export_jobs.createIndex({status: 1, createdAt: 1}, {name: 'status_1_createdAt_1', background: true});
+db.export_jobs.createIndex({status: 1, expiresAt: 1}, {name: 'status_1_expiresAt_1', background: true});
+
+db.createCollection('report_schedules');
+db.report_schedules.createIndex({name: 1}, {name: 'name_1', unique: true, background: true});
+
+db.createCollection('report_deliveries');
+db.report_deliveries.createIndex(
+	{scheduleId: 1, startedAt: -1},
+	{name: 'scheduleId_1_startedAt_-1', background: true},
+);
+db.report_deliveries.createIndex({startedAt: -1}, {name: 'startedAt_-1', background: true});
+
+db.createCollection('exchange_rates');
+db.exchange_rates.createIndex(
+	{currency: 1, baseCurrency: 1, date: -1},
+	{name: 'currency_1_baseCurrency_1_date_-1', unique: true, background: true},
+);
+
+db.createCollection('api_keys');
+db.api_keys.createIndex({keyHash: 1}, {name: 'keyHash_1', unique: true, background: true});
+db.api_keys.createIndex({keyPrefix: 1}, {name: 'keyPrefix_1', background: true});
+
+db.createCollection('webhook_subscriptions');
+db.webhook_subscriptions.createIndex({name: 1}, {name: 'name_1', unique: true, background: true});
+db.webhook_subscriptions.createIndex({enabled: 1, events: 1}, {name: 'enabled_1_events_1', background: true});
+
+db.createCollection('webhook_deliveries');
+db.webhook_deliveries.createIndex(
+	{status: 1, nextAttemptAt: 1},
+	{name: 'status_1_nextAttemptAt_1', background: true},
+);
+db.webhook_deliveries.createIndex(
+	{subscriptionId: 1, createdAt: -1},
+	{name: 'subscriptionId_1_createdAt_-1', background: true},
+);
+db.webhook_deliveries.createIndex({createdAt: -1}, {name: 'createdAt_-1', background: true});
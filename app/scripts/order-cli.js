@@ -3,22 +3,73 @@
  *
  * Usage examples:
  * node scripts/order-cli.js download --all
+ * node scripts/order-cli.js download --from 2024-01-01 --to 2024-03-31 --date-type modified --chunk week
  * node scripts/order-cli.js list --status pending
  * node scripts/order-cli.js status
  * node scripts/order-cli.js scheduler:run-now
  * node scripts/order-cli.js scheduler:monitor-now
+ * node scripts/order-cli.js migrate:order-dates
+ * node scripts/order-cli.js migrate:rederive-orders
+ * node scripts/order-cli.js migrate:assign-shop --shop outdoor
+ * node scripts/order-cli.js download --all --shop climbing
+ * node scripts/order-cli.js rates:load --file rates.csv
+ * node scripts/order-cli.js rates:list --currency EUR
+ * node scripts/order-cli.js migrate:base-amounts
+ * node scripts/order-cli.js keys:create --name "Finance export" --role exporter
+ * node scripts/order-cli.js keys:list
+ * node scripts/order-cli.js keys:revoke omk_1a2b3c4d
  */
 
+const moment = require('moment');
 const config = require('../config');
 const ExternalApiService = require('../services/external-api-service');
 const OrderSchedulerService = require('../services/order-scheduler-service');
+const ExchangeRateService = require('../services/exchange-rate-service');
+const AuthService = require('../services/auth-service');
 const orderModel = require('../models/order-model');
+const exchangeRateModel = require('../models/exchange-rate-model');
+const apiKeyModel = require('../models/api-key-model');
 const mongodb = require('../database/mongodb');
 
+const BACKFILL_DATE_TYPES = ['add', 'modified', 'payment', 'dispatch'];
+const BACKFILL_CHUNKS = ['day', 'week'];
+
 class OrderCLI {
 	constructor() {
-		this.externalApiService = new ExternalApiService();
-		this.orderScheduler = new OrderSchedulerService();
+		this.useShop(config.shops[0]);
+	}
+
+	/**
+	 * Point the CLI services at a shop
+	 * @param {Object} shop - Shop configuration
+	 */
+	useShop(shop) {
+		this.shop = shop;
+		this.externalApiService = new ExternalApiService(shop);
+		this.orderScheduler = new OrderSchedulerService(shop);
+	}
+
+	/**
+	 * Select the shop named by --shop (default: first configured shop)
+	 * @param {Array<string>} args - Command line arguments
+	 * @returns {boolean} False if the requested shop is not configured
+	 */
+	selectShop(args) {
+		const shopIndex = args.indexOf('--shop');
+		if (shopIndex === -1) {
+			return true;
+		}
+
+		const shopId = args[shopIndex + 1];
+		const shop = config.shops.find(configuredShop => configuredShop.id === shopId);
+
+		if (!shop) {
+			console.error(`❌ Unknown shop '${shopId}'. Configured shops: ${config.shops.map(({id}) => id).join(', ')}`);
+			return false;
+		}
+
+		this.useShop(shop);
+		return true;
 	}
 
 	async init() {
@@ -49,6 +100,264 @@ class OrderCLI {
 		}
 	}
 
+	/**
+	 * Backfill orders for a historical date range, chunk by chunk
+	 * @param {Object} options - Backfill options (see ExternalApiService.backfillOrders)
+	 */
+	async backfillOrders(options) {
+		const {dateFrom, dateTo, dateType, chunk} = options;
+
+		try {
+			const until = dateTo ? dateTo.toISOString() : 'the end date of the previous run (or now)';
+			console.log(`📥 Backfilling orders (${dateType} date) from ${dateFrom.toISOString()} to ${until} in ${chunk} chunks...`);
+
+			const results = await this.externalApiService.backfillOrders({
+				...options,
+				onChunk: (summary) => {
+					const day = summary.dateFrom.toISOString().split('T')[0];
+					const errorInfo = summary.errors.length > 0 ? ` | ❌ ${summary.errors.length} errors` : '';
+					console.log(
+						`   📅 ${day}: ${summary.downloaded} downloaded, ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped${errorInfo}`,
+					);
+				},
+			});
+
+			console.log('\n📊 Backfill summary:');
+			console.log(`   Chunks: ${results.chunks.length} processed, ${results.resumedChunks} already done (${results.totalChunks} total)`);
+			console.log(`   Orders: ${results.downloaded} downloaded, ${results.created} created, ${results.updated} updated, ${results.skipped} skipped`);
+
+			if (results.errors.length > 0) {
+				console.error(`❌ ${results.errors.length} errors - rerun the same command to retry from the first failed chunk`);
+			}
+		} catch (error) {
+			console.error('❌ Backfill failed:', error.message);
+			console.error('   Rerun the same command to resume from the last completed chunk');
+		}
+	}
+
+	/**
+	 * Parse backfill options from command line arguments
+	 * @param {Array<string>} args - Command line arguments
+	 * @returns {Object|null} Backfill options or null if invalid
+	 */
+	parseBackfillArgs(args) {
+		const getArg = (name) => {
+			const index = args.indexOf(name);
+			return index !== -1 ? args[index + 1] : undefined;
+		};
+
+		const parseDate = (value, endOfDay = false) => {
+			const date = moment.utc(value, moment.ISO_8601, true);
+			if (!date.isValid()) {
+				return null;
+			}
+			// A bare date as upper bound includes the whole day
+			return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? date.endOf('day') : date;
+		};
+
+		const dateType = getArg('--date-type') || this.externalApiService.DATE_TYPES.ADD;
+		const chunk = getArg('--chunk') || 'day';
+		const dateFrom = parseDate(getArg('--from'));
+		// Without --to a rerun resumes the stored range, a new backfill ends now
+		const dateTo = getArg('--to') ? parseDate(getArg('--to'), true) : null;
+
+		if (!dateFrom || (getArg('--to') && !dateTo)) {
+			console.error('❌ --from and --to must be valid ISO 8601 dates (e.g. 2024-01-31)');
+			return null;
+		}
+
+		if (dateTo && dateFrom.isAfter(dateTo)) {
+			console.error('❌ --from cannot be later than --to');
+			return null;
+		}
+
+		if (!BACKFILL_DATE_TYPES.includes(dateType)) {
+			console.error(`❌ --date-type must be one of: ${BACKFILL_DATE_TYPES.join(', ')}`);
+			return null;
+		}
+
+		if (!BACKFILL_CHUNKS.includes(chunk)) {
+			console.error(`❌ --chunk must be one of: ${BACKFILL_CHUNKS.join(', ')}`);
+			return null;
+		}
+
+		return {
+			dateFrom: dateFrom.toDate(),
+			dateTo: dateTo && dateTo.toDate(),
+			dateType,
+			chunk,
+			restart: args.includes('--restart'),
+		};
+	}
+
+	async migrateOrderDates() {
+		try {
+			console.log('🛠️  Backfilling typed order dates...');
+			const results = await this.externalApiService.backfillOrderDates();
+
+			console.log(`✅ Migration completed: ${results.updated} updated, ${results.skipped} skipped (${results.total} matched)`);
+			if (results.errors.length > 0) {
+				console.error('❌ Errors during migration:', results.errors);
+			}
+		} catch (error) {
+			console.error('❌ Order date migration failed:', error.message);
+		}
+	}
+
+	async rederiveOrders() {
+		try {
+			console.log('🛠️  Re-deriving orders from stored IdoSell payloads...');
+			const results = await this.externalApiService.rederiveOrdersFromRaw();
+
+			console.log(`✅ Re-derive completed: ${results.updated} updated (${results.total} matched)`);
+			if (results.errors.length > 0) {
+				console.error('❌ Errors during re-derive:', results.errors);
+			}
+		} catch (error) {
+			console.error('❌ Order re-derive failed:', error.message);
+		}
+	}
+
+	async assignShopToLegacyData() {
+		try {
+			console.log(`🛠️  Assigning legacy orders to shop '${this.shop.id}'...`);
+			const results = await this.externalApiService.assignShopToLegacyData();
+
+			console.log(`✅ Migration completed: ${results.orders} orders, ${results.events} status events, ${results.anomalies} anomalies and ${results.syncStates} sync cursors assigned`);
+		} catch (error) {
+			console.error('❌ Shop assignment failed:', error.message);
+		}
+	}
+
+	/**
+	 * Load exchange rates from a CSV or JSON file
+	 * @param {string} filePath - Rate file path
+	 * @param {string} [format] - csv or json (default: taken from the file extension)
+	 */
+	async loadExchangeRates(filePath, format) {
+		try {
+			const exchangeRateService = new ExchangeRateService();
+			console.log(`💱 Loading ${exchangeRateService.baseCurrency} exchange rates from ${filePath}...`);
+
+			const results = await exchangeRateService.loadFile(filePath, {format});
+
+			console.log(`✅ Exchange rates loaded: ${results.created} created, ${results.updated} updated (${results.total} records)`);
+			if (results.errors.length > 0) {
+				console.error(`❌ ${results.errors.length} records skipped:`);
+				results.errors.forEach(error => console.error(`   ${error}`));
+			}
+			console.log('   Run migrate:base-amounts to convert orders saved before these rates were loaded');
+		} catch (error) {
+			console.error('❌ Failed to load exchange rates:', error.message);
+		}
+	}
+
+	/**
+	 * List the newest exchange rates
+	 * @param {Object} filters - Filter options (see exchangeRateModel.getAll)
+	 */
+	async listExchangeRates(filters = {}) {
+		try {
+			const rates = await exchangeRateModel.getAll({
+				baseCurrency: config.currency.base,
+				...filters,
+			});
+
+			console.log(`
+💱 ${rates.length} exchange rates to ${config.currency.base}:`);
+
+			if (rates.length === 0) {
+				console.log('   No exchange rates found - load some with rates:load --file <path>');
+				return;
+			}
+
+			rates.forEach((rate) => {
+				console.log(`   ${rate.date.toISOString().split('T')[0]}  1 ${rate.currency} = ${rate.rate} ${rate.baseCurrency}  (${rate.source || 'unknown source'})`);
+			});
+		} catch (error) {
+			console.error('❌ Failed to list exchange rates:', error.message);
+		}
+	}
+
+	async recalculateBaseAmounts() {
+		try {
+			const exchangeRateService = new ExchangeRateService();
+			console.log(`🛠️  Converting order amounts to ${exchangeRateService.baseCurrency}...`);
+
+			const results = await exchangeRateService.recalculateBaseAmounts();
+
+			console.log(`✅ Conversion completed: ${results.updated} updated (${results.total} orders)`);
+			if (results.unconverted > 0) {
+				console.log(`⚠️  ${results.unconverted} orders have no exchange rate within a week of their order date`);
+			}
+		} catch (error) {
+			console.error('❌ Base amount conversion failed:', error.message);
+		}
+	}
+
+	/**
+	 * Create an API key and print it - it cannot be shown again
+	 * @param {string} name - Who or what the key is for
+	 * @param {string} role - One of apiKeyModel.API_KEY_ROLES
+	 */
+	async createApiKey(name, role) {
+		try {
+			const {apiKey, key} = await new AuthService().createApiKey({name, role});
+
+			console.log(`✅ API key '${key.name}' created with the ${key.role} role (${key.keyPrefix})`);
+			console.log(`\n   ${apiKey}\n`);
+			console.log('⚠️  Store the key now - only its hash is saved, so it cannot be shown again');
+		} catch (error) {
+			console.error('❌ Failed to create API key:', error.message);
+		}
+	}
+
+	/**
+	 * List API keys
+	 * @param {boolean} includeRevoked - Include revoked keys
+	 */
+	async listApiKeys(includeRevoked = false) {
+		try {
+			const keys = await apiKeyModel.getAll({includeRevoked});
+
+			console.log(`\n🔑 ${keys.length} API keys:`);
+
+			if (keys.length === 0) {
+				console.log('   No API keys found - create one with keys:create --name <name> --role <role>');
+				return;
+			}
+
+			keys.forEach((key) => {
+				const lastUsed = key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never';
+				const revoked = key.revokedAt ? ` | REVOKED ${key.revokedAt.toISOString()}` : '';
+				console.log(`   ${key.keyPrefix}  ${key.name} (${key.role})`);
+				console.log(`      ID: ${key.id} | Created: ${key.createdAt.toISOString()} | Last used: ${lastUsed}${revoked}`);
+			});
+		} catch (error) {
+			console.error('❌ Failed to list API keys:', error.message);
+		}
+	}
+
+	/**
+	 * Revoke an API key
+	 * @param {string} idOrPrefix - API key ID or key prefix
+	 */
+	async revokeApiKey(idOrPrefix) {
+		try {
+			const key = await apiKeyModel.revoke(idOrPrefix);
+
+			if (!key) {
+				console.error(`❌ No active API key with ID or prefix '${idOrPrefix}'`);
+				return;
+			}
+
+			console.log(`✅ API key '${key.name}' (${key.keyPrefix}) revoked`);
+			console.log(`   Session tokens issued for it stay valid until they expire (${config.auth.tokenTtlMinutes || 60} minutes at most)`);
+		} catch (error) {
+			console.error('❌ Failed to revoke API key:', error.message);
+		}
+	}
+
 	async listOrders(filters = {}) {
 		try {
 			const orders = await orderModel.getAll(filters);
@@ -62,16 +371,21 @@ class OrderCLI {
 			}
 
 			orders.forEach((order) => {
+				const customer = order.customer || {};
+				const customerName = [customer.firstName, customer.lastName].filter(Boolean).join(' ');
 				console.log(
-					`   📦 ${order.orderNumber || order.externalId} - ${
-						order.customerName || order.customerEmail
+					`   📦 ${order.externalSerialNumber || order.externalId} - ${
+						customerName || customer.email || 'unknown customer'
 					}`,
 				);
+				const baseTotal = order.baseCurrency && order.baseCurrency !== order.currency
+					? ` (${order.baseOrderProductsCost} ${order.baseCurrency})`
+					: '';
 				console.log(
-					`      Status: ${order.status} | Total: ${order.totalAmount} ${order.currency}`,
+					`      Shop: ${order.shopId || 'N/A'} | Status: ${order.status} | Total: ${order.orderProductsCost} ${order.currency}${baseTotal}`,
 				);
 				console.log(
-					`      Date: ${order.orderDate.toISOString().split('T')[0]}`,
+					`      Date: ${order.orderDate ? order.orderDate.toISOString().split('T')[0] : 'N/A'}`,
 				);
 				console.log('');
 			});
@@ -84,12 +398,13 @@ class OrderCLI {
 		try {
 			const isReady = this.externalApiService.isReady();
 			const apiConfig = {
-				shopUrl: config.idosell.shopUrl,
-				apiKey: config.idosell.apiKey ? '***configured***' : 'not configured',
+				shopUrl: this.externalApiService.shopUrl,
+				apiKey: this.externalApiService.apiKey ? '***configured***' : 'not configured',
 				apiVersion: this.externalApiService.apiVersion,
 			};
 
 			console.log('\n🔧 External API Service Status:');
+			console.log(`   Shop: ${this.shop.id} (configured shops: ${config.shops.map(({id}) => id).join(', ')})`);
 			console.log(`   Ready: ${isReady ? '✅ Yes' : '❌ No'}`);
 			console.log(`   Shop URL: ${apiConfig.shopUrl || 'not configured'}`);
 			console.log(`   API Key: ${apiConfig.apiKey}`);
@@ -100,12 +415,15 @@ class OrderCLI {
 				console.log('   1. Set IDOSELL_SHOP_URL environment variable');
 				console.log('   2. Set IDOSELL_API_KEY environment variable');
 				console.log('   3. Optionally set IDOSELL_API_VERSION (default: v6)');
+				console.log('   For several shops, set IDOSELL_SHOPS_FILE (see shops.example.json)');
 			}
 
 			// Show database status
 			const orderCount = await orderModel.getCount();
+			const shopOrderCount = await orderModel.getCount({shopId: this.shop.id});
 			console.log('\n🗄️  Database Status:');
 			console.log(`   Total orders in database: ${orderCount}`);
+			console.log(`   Orders from shop '${this.shop.id}': ${shopOrderCount}`);
 		} catch (error) {
 			console.error('❌ Failed to show status:', error.message);
 		}
@@ -119,21 +437,62 @@ Usage: node scripts/order-cli.js <command> [options]
 
 Commands:
   download --all                          Download ALL orders from IdoSell (with pagination)
-  list [--status <status>]                List orders in database
+  download --from <date> [--to <date>]    Backfill orders for a date range in resumable chunks
+           [--date-type <type>] [--chunk day|week] [--restart]
+  list [--status <status>]                List orders in database (all shops unless --shop is given)
   status                                  Show service and database status
   scheduler:run-now                       Test scheduler download task immediately
   scheduler:monitor-now                   Test status monitoring task immediately
+  migrate:order-dates                     Backfill typed orderDate/externalCreatedAt/externalUpdatedAt fields
+  migrate:rederive-orders                 Rebuild order fields from the stored raw IdoSell payload
+  migrate:assign-shop                     Tag orders saved before multi-shop support with --shop (default: first shop)
+  migrate:base-amounts                    Convert the amounts of all stored orders to the base currency
+  rates:load --file <path>                Load exchange rates from a CSV or JSON file
+           [--format csv|json]
+  rates:list [--currency <code>]          List the newest exchange rates to the base currency
+  keys:create --name <name>               Create an API key (printed once)
+           [--role viewer|exporter|admin]
+  keys:list [--all]                       List API keys (--all includes revoked keys)
+  keys:revoke <id|prefix>                 Revoke an API key
   help                                    Show this help message
 
 Examples:
   node scripts/order-cli.js download --all
+  node scripts/order-cli.js download --from 2024-01-01 --to 2024-03-31 --chunk week
   node scripts/order-cli.js list --status pending
   node scripts/order-cli.js list --limit 10
   node scripts/order-cli.js scheduler:monitor-now
+  node scripts/order-cli.js download --all --shop climbing
+  node scripts/order-cli.js rates:load --file rates.csv
+  node scripts/order-cli.js rates:list --currency EUR --limit 10
+  node scripts/order-cli.js keys:create --name "Finance export" --role exporter
+  node scripts/order-cli.js keys:revoke omk_1a2b3c4d
+
+API key roles (each includes the ones before it):
+  viewer     Read orders, statistics, anomalies, sync runs and report schedules
+  exporter   Download and queue exports, manage export presets, run reports
+  admin      Manage report schedules and acknowledge anomalies
+
+Exchange rate files (base currency: BASE_CURRENCY, default PLN):
+  CSV    currency,date,rate           e.g. EUR,2024-01-02,4.3215 (semicolons and decimal commas work too)
+  JSON   [{"currency": "EUR", "date": "2024-01-02", "rate": 4.3215}]
+  A rate applies from its date until the next rate of the currency, for at most a week.
 
 Options:
+  --shop <id>                   Shop to work with (default: first configured shop)
   --all                         Download ALL orders (no additional options)
-  --limit <number>              Limit number of results (for list command)
+  --from <date>                 Backfill start date, ISO 8601 (UTC)
+  --to <date>                   Backfill end date, ISO 8601 (UTC, default: end of the
+                                resumed run, or now for a new one)
+  --date-type <type>            Date to filter on: add, modified, payment, dispatch (default: add)
+  --chunk <size>                Backfill chunk size: day or week (default: day)
+  --restart                     Ignore saved backfill progress and start over
+  --limit <number>              Limit number of results (for list and rates:list commands)
+  --file <path>                 Exchange rate file (for rates:load command)
+  --format <format>             Exchange rate file format: csv or json (default: file extension)
+  --currency <code>             Currency of the listed exchange rates (for rates:list command)
+  --name <name>                 Who or what the API key is for (for keys:create command)
+  --role <role>                 API key role: viewer, exporter or admin (default: viewer)
 		`);
 	}
 
@@ -143,7 +502,11 @@ Options:
 	async runSchedulerNow() {
 		console.log('🚀 Testing scheduler download task...');
 		try {
-			await this.orderScheduler.runNow();
+			const outcome = await this.orderScheduler.runNow();
+			if (outcome.status === 'skipped') {
+				console.log(`⏭️  Scheduler download test skipped: ${outcome.reason}`);
+				return;
+			}
 			console.log('✅ Scheduler download test completed');
 		} catch (error) {
 			console.error('❌ Scheduler download test failed:', error.message);
@@ -170,6 +533,11 @@ Options:
 			return;
 		}
 
+		if (!this.selectShop(args)) {
+			process.exitCode = 1;
+			return;
+		}
+
 		await this.init();
 
 		try {
@@ -181,9 +549,14 @@ Options:
 
 					if (allIndex !== -1) {
 						await this.downloadAllOrders();
+					} else if (args.includes('--from')) {
+						const backfillOptions = this.parseBackfillArgs(args);
+						if (backfillOptions) {
+							await this.backfillOrders(backfillOptions);
+						}
 					} else {
 						console.error(
-							'❌ Invalid download command. Use --all to download all orders',
+							'❌ Invalid download command. Use --all to download all orders or --from <date> to backfill a range',
 						);
 						this.printUsage();
 					}
@@ -201,6 +574,9 @@ Options:
 					if (limitIndex !== -1 && args[limitIndex + 1]) {
 						filters.limit = args[limitIndex + 1];
 					}
+					if (args.includes('--shop')) {
+						filters.shopId = this.shop.id;
+					}
 
 					await this.listOrders(filters);
 					break;
@@ -221,6 +597,89 @@ Options:
 					break;
 				}
 
+				case 'migrate:order-dates': {
+					await this.migrateOrderDates();
+					break;
+				}
+
+				case 'migrate:rederive-orders': {
+					await this.rederiveOrders();
+					break;
+				}
+
+				case 'migrate:assign-shop': {
+					await this.assignShopToLegacyData();
+					break;
+				}
+
+				case 'migrate:base-amounts': {
+					await this.recalculateBaseAmounts();
+					break;
+				}
+
+				case 'rates:load': {
+					const fileIndex = args.indexOf('--file');
+					const formatIndex = args.indexOf('--format');
+
+					if (fileIndex === -1 || !args[fileIndex + 1]) {
+						console.error('❌ rates:load needs --file <path> of a CSV or JSON rate file');
+						break;
+					}
+
+					await this.loadExchangeRates(
+						args[fileIndex + 1],
+						formatIndex !== -1 ? args[formatIndex + 1] : undefined,
+					);
+					break;
+				}
+
+				case 'keys:create': {
+					const nameIndex = args.indexOf('--name');
+					const roleIndex = args.indexOf('--role');
+
+					if (nameIndex === -1 || !args[nameIndex + 1]) {
+						console.error('❌ keys:create needs --name <name> describing who the key is for');
+						break;
+					}
+
+					await this.createApiKey(
+						args[nameIndex + 1],
+						roleIndex !== -1 ? args[roleIndex + 1] : undefined,
+					);
+					break;
+				}
+
+				case 'keys:list': {
+					await this.listApiKeys(args.includes('--all'));
+					break;
+				}
+
+				case 'keys:revoke': {
+					if (!args[1]) {
+						console.error('❌ keys:revoke needs the ID or prefix of the key (see keys:list)');
+						break;
+					}
+
+					await this.revokeApiKey(args[1]);
+					break;
+				}
+
+				case 'rates:list': {
+					const currencyIndex = args.indexOf('--currency');
+					const limitIndex = args.indexOf('--limit');
+
+					const filters = {};
+					if (currencyIndex !== -1 && args[currencyIndex + 1]) {
+						filters.currency = args[currencyIndex + 1].toUpperCase();
+					}
+					if (limitIndex !== -1 && args[limitIndex + 1]) {
+						filters.limit = args[limitIndex + 1];
+					}
+
+					await this.listExchangeRates(filters);
+					break;
+				}
+
 				default: {
 					console.error(`❌ Unknown command: ${command}`);
 					this.printUsage();
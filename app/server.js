@@ -2,11 +2,41 @@ const express = require('express');
 const path = require('path');
 const config = require('./config');
 const mongodb = require('./database/mongodb');
+const JobSchedulerService = require('./services/job-scheduler-service');
 const OrderSchedulerService = require('./services/order-scheduler-service');
+const ExportJobService = require('./services/export-job-service');
+const ReportSchedulerService = require('./services/report-scheduler-service');
+const WebhookService = require('./services/webhook-service');
+const OrderStreamService = require('./services/order-stream-service');
+const syncRunModel = require('./models/sync-run-model');
 const {setupSecurity} = require('./middleware/security-middleware');
 
 const app = express();
-const orderScheduler = new OrderSchedulerService();
+
+// One scheduler (and IdoSell client) per configured shop
+const orderSchedulers = config.shops.map(shop => new OrderSchedulerService(shop));
+
+// Worker writing queued export jobs to local storage
+const exportJobService = new ExportJobService();
+
+// Recurring reports written to disk or sent by SMTP
+const reportSchedulerService = new ReportSchedulerService();
+
+// Worker delivering queued order webhooks
+const webhookService = new WebhookService();
+
+// Live order changes for /api/orders/stream (the route finds it in app.locals)
+const orderStreamService = new OrderStreamService();
+app.locals.orderStreamService = orderStreamService;
+
+// Scheduled jobs - each service registers the jobs it runs (/api/scheduler finds it in app.locals)
+const jobSchedulerService = new JobSchedulerService();
+[
+	...OrderSchedulerService.createJobs(orderSchedulers),
+	...reportSchedulerService.getJobs(),
+	...exportJobService.getJobs(),
+].forEach(job => jobSchedulerService.register(job));
+app.locals.jobSchedulerService = jobSchedulerService;
 
 // Setup security middleware first
 setupSecurity(app);
@@ -24,14 +54,59 @@ const orderRoutes = require('./routes/order-routes');
 const {getAPISecurityMiddleware} = require('./middleware/security-middleware');
 app.use('/api', getAPISecurityMiddleware(), orderRoutes);
 
+/**
+ * Get a summary of the latest successful sync run of every shop and run type
+ * @returns {Promise<Array|null>} Run summaries or null if they cannot be read
+ */
+async function getLastSuccessfulSyncSummary() {
+	if (!mongodb.isConnected()) {
+		return null;
+	}
+
+	try {
+		const runs = await syncRunModel.getLastSuccessful();
+		return runs.map(run => ({
+			shopId: run.shopId,
+			type: run.type,
+			source: run.source,
+			startedAt: run.startedAt,
+			finishedAt: run.finishedAt,
+			durationMs: run.durationMs,
+			counts: run.counts,
+		}));
+	} catch (error) {
+		console.error('Health check could not read sync runs:', error.message);
+		return null;
+	}
+}
+
+/**
+ * Get the status of every shop scheduler with the current holder of its lease
+ * @returns {Promise<Array>} Scheduler statuses
+ */
+async function getSchedulerStatus() {
+	if (!mongodb.isConnected()) {
+		return orderSchedulers.map(orderScheduler => orderScheduler.getStatus());
+	}
+
+	return Promise.all(orderSchedulers.map(orderScheduler => orderScheduler.refreshLockStatus()));
+}
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async(req, res) => {
 	res.json({
 		status: 'OK',
 		timestamp: new Date().toISOString(),
 		database: mongodb.isConnected() ? 'connected' : 'disconnected',
 		environment: config.env,
-		scheduler: orderScheduler.getStatus(),
+		shops: config.shops.map(shop => shop.id),
+		scheduler: await getSchedulerStatus(),
+		jobs: jobSchedulerService.getStatus(),
+		exportWorker: exportJobService.getStatus(),
+		reportScheduler: reportSchedulerService.getStatus(),
+		webhookWorker: webhookService.getStatus(),
+		orderStream: orderStreamService.getStatus(),
+		lastSuccessfulSync: await getLastSuccessfulSyncSummary(),
 	});
 });
 
@@ -60,13 +135,20 @@ async function startServer() {
 
 		const server = app.listen(config.port, config.bindHost, () => {
 			console.log(`App running at http://${config.host}:${config.port}`);
-			orderScheduler.start();
+			jobSchedulerService.start();
+			exportJobService.start();
+			webhookService.start();
+			orderStreamService.start();
 		});
 
 		// Graceful shutdown handling
 		process.on('SIGTERM', async() => {
 			console.log('🛑 SIGTERM received, shutting down gracefully...');
-			orderScheduler.stop();
+			jobSchedulerService.stop();
+			exportJobService.stop();
+			reportSchedulerService.stop();
+			webhookService.stop();
+			orderStreamService.stop();
 			server.close(async() => {
 				await mongodb.close();
 				process.exit(0);
@@ -75,7 +157,11 @@ async function startServer() {
 
 		process.on('SIGINT', async() => {
 			console.log('🛑 SIGINT received, shutting down gracefully...');
-			orderScheduler.stop();
+			jobSchedulerService.stop();
+			exportJobService.stop();
+			reportSchedulerService.stop();
+			webhookService.stop();
+			orderStreamService.stop();
 			server.close(async() => {
 				await mongodb.close();
 				process.exit(0);
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const config = require('../config');
+const apiKeyModel = require('../models/api-key-model');
+
+const {API_KEY_ROLES} = apiKeyModel;
+
+/**
+ * Privilege rank of every role - a role is granted everything a lower rank is
+ */
+const ROLE_RANKS = {
+	[API_KEY_ROLES.VIEWER]: 1,
+	[API_KEY_ROLES.EXPORTER]: 2,
+	[API_KEY_ROLES.ADMIN]: 3,
+};
+
+/**
+ * Start of every API key, so leaked keys are easy to search for
+ */
+const API_KEY_PREFIX = 'omk';
+
+const DEFAULT_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * Purposes a token can be limited to - a scoped token is only accepted where its scope is asked for
+ */
+const TOKEN_SCOPES = {
+	ORDER_STREAM: 'order-stream', // Opens the live order stream (sent in the URL by EventSource)
+};
+
+/**
+ * Lifetime of a scoped token - it only has to last until the connection is opened
+ */
+const SCOPED_TOKEN_TTL_SECONDS = 60;
+
+/**
+ * Encode a value as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+const toBase64Url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * Auth Service - Issues and checks API keys and session tokens (HS256 JWTs)
+ *
+ * API keys are long-lived and revocable. A session token is exchanged for an API key, carries
+ * the role of that key and is not checked against the database, so revoking a key ends its
+ * sessions only once they expire (AUTH_TOKEN_TTL_MINUTES).
+ *
+ * Browsers cannot send headers with EventSource, so the live order stream also accepts a scoped
+ * token in the URL. It expires after a minute and is rejected everywhere else, so a token leaked
+ * through URL logs is of little use.
+ */
+class AuthService {
+	/**
+	 * @param {Object} options - Auth settings (default: config.auth)
+	 * @param {string} options.jwtSecret - Secret session tokens are signed with; tokens are disabled without it
+	 * @param {number} options.tokenTtlMinutes - Lifetime of a session token (default: 60)
+	 */
+	constructor(options = config.auth) {
+		this.jwtSecret = options.jwtSecret || null;
+		this.tokenTtlMinutes = options.tokenTtlMinutes || DEFAULT_TOKEN_TTL_MINUTES;
+	}
+
+	/**
+	 * Token scope constants
+	 */
+	static get TOKEN_SCOPES() {
+		return TOKEN_SCOPES;
+	}
+
+	/**
+	 * Check whether a role includes the privileges of another
+	 * @param {string} role - Role of the caller
+	 * @param {string} requiredRole - Role the action needs
+	 * @returns {boolean} True if the role is at least the required one
+	 */
+	static hasRole(role, requiredRole) {
+		return (ROLE_RANKS[role] || 0) >= ROLE_RANKS[requiredRole];
+	}
+
+	/**
+	 * Hash an API key for storage and lookup
+	 * API keys are random 256-bit values, so a fast hash is enough
+	 * @param {string} apiKey - API key
+	 * @returns {string} Hex SHA-256 hash
+	 */
+	static hashApiKey(apiKey) {
+		return crypto.createHash('sha256').update(apiKey).digest('hex');
+	}
+
+	/**
+	 * Generate a new API key
+	 * @returns {Object} API key and its public prefix ({apiKey, keyPrefix})
+	 */
+	static generateApiKey() {
+		const keyPrefix = `${API_KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+		const secret = crypto.randomBytes(32).toString('base64url');
+
+		return {apiKey: `${keyPrefix}_${secret}`, keyPrefix};
+	}
+
+	/**
+	 * Create an API key
+	 * @param {Object} key - API key details
+	 * @param {string} key.name - Who or what the key is for
+	 * @param {string} key.role - One of API_KEY_ROLES (default: viewer)
+	 * @returns {Promise<Object>} The API key, shown only this once, and the stored record ({apiKey, key})
+	 * @throws {Error} If the name is missing or the role is unknown
+	 */
+	async createApiKey({name, role = API_KEY_ROLES.VIEWER}) {
+		if (!_.trim(name)) {
+			throw new Error('API key name is required');
+		}
+		if (!ROLE_RANKS[role]) {
+			throw new Error(`Unknown role '${role}' (use ${Object.values(API_KEY_ROLES).join(', ')})`);
+		}
+
+		const {apiKey, keyPrefix} = AuthService.generateApiKey();
+		const key = await apiKeyModel.create({
+			name: _.trim(name),
+			role,
+			keyHash: AuthService.hashApiKey(apiKey),
+			keyPrefix,
+		});
+
+		return {apiKey, key};
+	}
+
+	/**
+	 * Authenticate an API key
+	 * @param {string} apiKey - API key from the request
+	 * @returns {Promise<Object|null>} Principal ({type, id, name, role}) or null if the key is unknown or revoked
+	 */
+	async authenticateApiKey(apiKey) {
+		if (!_.startsWith(apiKey, `${API_KEY_PREFIX}_`)) {
+			return null;
+		}
+
+		const key = await apiKeyModel.getActiveByHash(AuthService.hashApiKey(apiKey));
+		if (!key) {
+			return null;
+		}
+
+		// Usage tracking must never lock a valid key out
+		apiKeyModel.touch(key.id).catch(() => {});
+
+		return {type: 'apiKey', id: key.id, name: key.name, role: key.role};
+	}
+
+	/**
+	 * Issue a session token for an authenticated API key
+	 * @param {Object} principal - Principal returned by authenticateApiKey
+	 * @returns {Object} Signed token and its expiry ({token, expiresAt})
+	 * @throws {Error} With code AUTH_TOKENS_DISABLED if no JWT secret is configured
+	 */
+	issueToken(principal) {
+		return this.createToken(principal, this.tokenTtlMinutes * 60);
+	}
+
+	/**
+	 * Issue a short-lived token limited to one purpose, for clients that must send it in the URL
+	 * @param {Object} principal - Principal of the authenticated request
+	 * @param {string} scope - One of TOKEN_SCOPES
+	 * @returns {Object} Signed token and its expiry ({token, expiresAt})
+	 * @throws {Error} With code AUTH_TOKENS_DISABLED if no JWT secret is configured
+	 */
+	issueScopedToken(principal, scope) {
+		return this.createToken(principal, SCOPED_TOKEN_TTL_SECONDS, scope);
+	}
+
+	/**
+	 * Create a signed token
+	 * @param {Object} principal - Principal the token stands for
+	 * @param {number} ttlSeconds - Lifetime of the token
+	 * @param {string} [scope] - Purpose the token is limited to (none for session tokens)
+	 * @returns {Object} Signed token and its expiry ({token, expiresAt})
+	 * @throws {Error} With code AUTH_TOKENS_DISABLED if no JWT secret is configured
+	 */
+	createToken(principal, ttlSeconds, scope) {
+		if (!this.jwtSecret) {
+			const error = new Error('Session tokens are disabled - set AUTH_JWT_SECRET to enable them');
+			error.code = 'AUTH_TOKENS_DISABLED';
+			throw error;
+		}
+
+		const issuedAt = Math.floor(Date.now() / 1000);
+		const expiresAt = issuedAt + ttlSeconds;
+
+		const header = toBase64Url(JSON.stringify({alg: 'HS256', typ: 'JWT'}));
+		const payload = toBase64Url(JSON.stringify({
+			sub: principal.id,
+			name: principal.name,
+			role: principal.role,
+			scope,
+			iat: issuedAt,
+			exp: expiresAt,
+		}));
+
+		return {
+			token: `${header}.${payload}.${this.sign(`${header}.${payload}`)}`,
+			expiresAt: new Date(expiresAt * 1000),
+		};
+	}
+
+	/**
+	 * Verify a session token or a scoped token
+	 * @param {string} token - Token from the request
+	 * @param {string} [scope] - Scope the token must have (none for session tokens)
+	 * @returns {Object|null} Principal ({type, id, name, role}) or null if the token is invalid,
+	 *   expired or has another scope
+	 */
+	verifyToken(token, scope) {
+		const parts = _.split(token, '.');
+		if (!this.jwtSecret || parts.length !== 3) {
+			return null;
+		}
+
+		const [header, payload, signature] = parts;
+		// Compare byte lengths - a multibyte signature can match in characters but not in bytes
+		const signatureBuffer = Buffer.from(signature);
+		const expectedBuffer = Buffer.from(this.sign(`${header}.${payload}`));
+		if (signatureBuffer.length !== expectedBuffer.length ||
+			!crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+			return null;
+		}
+
+		try {
+			const {alg} = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+			const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+			if (alg !== 'HS256' || !_.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+				return null;
+			}
+
+			if (claims.scope !== scope) {
+				return null;
+			}
+
+			return {type: 'token', id: claims.sub, name: claims.name, role: claims.role};
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Sign the header and payload of a session token
+	 * @param {string} content - Encoded header and payload joined by a dot
+	 * @returns {string} base64url HMAC-SHA256 signature
+	 */
+	sign(content) {
+		return crypto.createHmac('sha256', this.jwtSecret).update(content).digest('base64url');
+	}
+}
+
+module.exports = AuthService;
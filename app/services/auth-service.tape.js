@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const crypto = require('crypto');
+
+const API_KEY_ROLES = {VIEWER: 'viewer', EXPORTER: 'exporter', ADMIN: 'admin'};
+
+/**
+ * Create a mock API key model backed by an in-memory list
+ * @returns {Object} Mock API key model
+ */
+function createMockApiKeyModel() {
+	const model = {
+		API_KEY_ROLES,
+		keys: [],
+		touched: [],
+		create: async(key) => {
+			const stored = {...key, id: `key${model.keys.length + 1}`, revokedAt: null};
+			model.keys.push(stored);
+			return stored;
+		},
+		getActiveByHash: async keyHash => (
+			model.keys.find(key => key.keyHash === keyHash && !key.revokedAt) || null
+		),
+		touch: async(id) => {
+			model.touched.push(id);
+		},
+	};
+	return model;
+}
+
+/**
+ * Test setup - Creates AuthService with mocked dependencies
+ */
+function createTestService(options = {jwtSecret: 'test-secret', tokenTtlMinutes: 30}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './auth-service.js');
+	delete require.cache[servicePath];
+
+	const mockApiKeyModel = createMockApiKeyModel();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../config') {
+			return {auth: {}};
+		}
+		if (id === '../models/api-key-model') {
+			return mockApiKeyModel;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const AuthService = require('./auth-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		AuthService,
+		service: new AuthService(options),
+		mocks: {apiKeyModel: mockApiKeyModel},
+	};
+}
+
+/**
+ * Build a signed token with the given header and claims
+ * @param {Object} header - Token header
+ * @param {Object} claims - Token claims
+ * @param {string} secret - Signing secret
+ * @returns {string} Token
+ */
+function signToken(header, claims, secret = 'test-secret') {
+	const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+	const content = `${encode(header)}.${encode(claims)}`;
+	const signature = crypto.createHmac('sha256', secret).update(content).digest('base64url');
+	return `${content}.${signature}`;
+}
+
+/**
+ * Test Suite
+ */
+test('AuthService - API Key Tests', async(t) => {
+
+	await t.test('should store only the hash of a new API key', async() => {
+		const {AuthService, service, mocks} = createTestService();
+
+		const {apiKey, key} = await service.createApiKey({name: ' Finance export ', role: 'exporter'});
+
+		assert.match(apiKey, /^omk_[0-9a-f]{8}_[\w-]{43}$/);
+		assert.strictEqual(key.name, 'Finance export');
+		assert.strictEqual(key.role, 'exporter');
+		assert.strictEqual(key.keyPrefix, apiKey.slice(0, 12));
+		assert.strictEqual(key.keyHash, AuthService.hashApiKey(apiKey));
+		assert(!JSON.stringify(mocks.apiKeyModel.keys).includes(apiKey));
+	});
+
+	await t.test('should default new keys to the viewer role', async() => {
+		const {service} = createTestService();
+
+		const {key} = await service.createApiKey({name: 'Dashboard'});
+
+		assert.strictEqual(key.role, 'viewer');
+	});
+
+	await t.test('should reject keys without a name or with an unknown role', async() => {
+		const {service} = createTestService();
+
+		await assert.rejects(() => service.createApiKey({name: ' '}), {message: 'API key name is required'});
+		await assert.rejects(
+			() => service.createApiKey({name: 'Ops', role: 'owner'}),
+			{message: 'Unknown role \'owner\' (use viewer, exporter, admin)'},
+		);
+	});
+
+	await t.test('should authenticate active API keys and record their use', async() => {
+		const {service, mocks} = createTestService();
+		const {apiKey, key} = await service.createApiKey({name: 'Finance export', role: 'exporter'});
+
+		const principal = await service.authenticateApiKey(apiKey);
+
+		assert.deepStrictEqual(principal, {
+			type: 'apiKey',
+			id: key.id,
+			name: 'Finance export',
+			role: 'exporter',
+		});
+		assert.deepStrictEqual(mocks.apiKeyModel.touched, [key.id]);
+	});
+
+	await t.test('should reject unknown, malformed and revoked API keys', async() => {
+		const {service, mocks} = createTestService();
+		const {apiKey} = await service.createApiKey({name: 'Finance export'});
+
+		assert.strictEqual(await service.authenticateApiKey(`${apiKey}x`), null);
+		assert.strictEqual(await service.authenticateApiKey('not-a-key'), null);
+
+		mocks.apiKeyModel.keys[0].revokedAt = new Date();
+		assert.strictEqual(await service.authenticateApiKey(apiKey), null);
+	});
+
+	await t.test('should rank roles', async() => {
+		const {AuthService} = createTestService();
+
+		assert.strictEqual(AuthService.hasRole('admin', 'exporter'), true);
+		assert.strictEqual(AuthService.hasRole('exporter', 'exporter'), true);
+		assert.strictEqual(AuthService.hasRole('viewer', 'exporter'), false);
+		assert.strictEqual(AuthService.hasRole(undefined, 'viewer'), false);
+	});
+});
+
+test('AuthService - Session Token Tests', async(t) => {
+	const principal = {type: 'apiKey', id: 'key1', name: 'Finance export', role: 'exporter'};
+
+	await t.test('should issue tokens that verify to the same principal', async() => {
+		const {service} = createTestService();
+		const before = Date.now();
+
+		const {token, expiresAt} = service.issueToken(principal);
+
+		assert.strictEqual(token.split('.').length, 3);
+		assert(expiresAt.getTime() >= before + 29 * 60 * 1000);
+		assert(expiresAt.getTime() <= before + 30 * 60 * 1000 + 1000);
+		assert.deepStrictEqual(service.verifyToken(token), {...principal, type: 'token'});
+	});
+
+	await t.test('should reject tampered tokens and tokens signed with another secret', async() => {
+		const {service} = createTestService();
+		const {token} = service.issueToken(principal);
+		const [header, , signature] = token.split('.');
+		const exp = Math.floor(Date.now() / 1000) + 60;
+
+		const forgedPayload = Buffer.from(JSON.stringify({...principal, role: 'admin', exp}))
+			.toString('base64url');
+
+		assert.strictEqual(service.verifyToken(`${header}.${forgedPayload}.${signature}`), null);
+		assert.strictEqual(
+			service.verifyToken(signToken({alg: 'HS256'}, {sub: 'key1', role: 'admin', exp}, 'other')),
+			null,
+		);
+		assert.strictEqual(service.verifyToken('not.a.token'), null);
+		assert.strictEqual(service.verifyToken('omk_1234'), null);
+	});
+
+	await t.test('should reject a signature with non-ASCII characters without throwing', async() => {
+		const {service} = createTestService();
+		const {token} = service.issueToken(principal);
+		const [header, payload, signature] = token.split('.');
+		const multibyteSignature = `${signature.slice(0, -1)}é`;
+
+		assert.strictEqual(multibyteSignature.length, signature.length);
+		assert.strictEqual(service.verifyToken(`${header}.${payload}.${multibyteSignature}`), null);
+	});
+
+	await t.test('should only accept scoped tokens where their scope is asked for', async() => {
+		const {AuthService, service} = createTestService();
+		const {ORDER_STREAM} = AuthService.TOKEN_SCOPES;
+		const before = Date.now();
+
+		const {token: streamToken, expiresAt} = service.issueScopedToken(principal, ORDER_STREAM);
+		const {token: sessionToken} = service.issueToken(principal);
+
+		assert(expiresAt.getTime() <= before + 60 * 1000 + 1000);
+		assert.deepStrictEqual(service.verifyToken(streamToken, ORDER_STREAM), {...principal, type: 'token'});
+		assert.strictEqual(service.verifyToken(streamToken), null);
+		assert.strictEqual(service.verifyToken(sessionToken, ORDER_STREAM), null);
+	});
+
+	await t.test('should reject expired tokens and other algorithms', async() => {
+		const {service} = createTestService();
+		const claims = {sub: 'key1', role: 'admin'};
+
+		const expired = signToken({alg: 'HS256'}, {...claims, exp: Math.floor(Date.now() / 1000) - 1});
+		const noExpiry = signToken({alg: 'HS256'}, claims);
+		const otherAlgorithm = signToken({alg: 'none'}, {...claims, exp: 9999999999});
+
+		assert.strictEqual(service.verifyToken(expired), null);
+		assert.strictEqual(service.verifyToken(noExpiry), null);
+		assert.strictEqual(service.verifyToken(otherAlgorithm), null);
+	});
+
+	await t.test('should refuse tokens without a JWT secret', async() => {
+		const {service} = createTestService({});
+
+		assert.throws(() => service.issueToken(principal), {code: 'AUTH_TOKENS_DISABLED'});
+		assert.strictEqual(service.verifyToken(signToken({alg: 'HS256'}, {exp: 9999999999})), null);
+	});
+});
@@ -0,0 +1,168 @@
+/**
+ * Circuit breaker states
+ */
+const CIRCUIT_STATES = {
+	CLOSED: 'closed', // Calls go through
+	OPEN: 'open', // Calls are rejected without reaching the API
+	HALF_OPEN: 'half_open', // Reset timeout elapsed - one trial call is let through
+};
+
+/**
+ * Circuit Breaker Service - Stops calling a failing API until it had time to recover
+ * Opens after `failureThreshold` consecutive failures, lets a single trial call through once
+ * `resetTimeoutMs` has passed and closes again when that call succeeds. Other calls are rejected
+ * while the trial is in flight.
+ */
+class CircuitBreakerService {
+	/**
+	 * @param {Object} options - Breaker options
+	 * @param {string} options.name - Name used in logs and status reports
+	 * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+	 * @param {number} options.resetTimeoutMs - Time the circuit stays open (default: 60000)
+	 * @throws {Error} Error with code INVALID_CIRCUIT_OPTIONS for a threshold below 1 or a
+	 *   negative reset timeout
+	 */
+	constructor(options = {}) {
+		this.name = options.name || 'circuit';
+		this.failureThreshold = options.failureThreshold ?? 5;
+		this.resetTimeoutMs = options.resetTimeoutMs ?? 60000;
+
+		if (!Number.isInteger(this.failureThreshold) || this.failureThreshold < 1) {
+			const error = new Error(`Circuit '${this.name}' failureThreshold must be a whole number of at least 1`);
+			error.code = 'INVALID_CIRCUIT_OPTIONS';
+			throw error;
+		}
+
+		if (!Number.isFinite(this.resetTimeoutMs) || this.resetTimeoutMs < 0) {
+			const error = new Error(`Circuit '${this.name}' resetTimeoutMs must be a non-negative number`);
+			error.code = 'INVALID_CIRCUIT_OPTIONS';
+			throw error;
+		}
+
+		this.state = CIRCUIT_STATES.CLOSED;
+		this.consecutiveFailures = 0;
+		this.openedAt = null;
+		this.trialStartedAt = null;
+		this.lastFailureAt = null;
+		this.lastError = null;
+	}
+
+	/**
+	 * Circuit state constants
+	 */
+	static get STATES() {
+		return CIRCUIT_STATES;
+	}
+
+	/**
+	 * Get the current state, moving an expired open circuit to half-open
+	 * @returns {string} One of CIRCUIT_STATES
+	 */
+	getState() {
+		const resetDue = Date.now() - this.openedAt >= this.resetTimeoutMs;
+		if (this.state === CIRCUIT_STATES.OPEN && resetDue) {
+			this.state = CIRCUIT_STATES.HALF_OPEN;
+		}
+		return this.state;
+	}
+
+	/**
+	 * Check whether a trial call is still in flight
+	 * A trial that never settled (its caller died) expires after the reset timeout
+	 * @returns {boolean} True while another call must wait for the trial
+	 */
+	isTrialInFlight() {
+		return this.trialStartedAt !== null
+			&& Date.now() - this.trialStartedAt < this.resetTimeoutMs;
+	}
+
+	/**
+	 * Throw if calls are currently not allowed, claiming the trial call when half-open
+	 * The trial caller must settle it with recordSuccess, recordFailure or releaseTrial
+	 * @returns {boolean} True when this call is the half-open trial
+	 * @throws {Error} Error with code CIRCUIT_OPEN while the circuit is open or a trial is in flight
+	 */
+	assertCanRequest() {
+		const state = this.getState();
+
+		if (state === CIRCUIT_STATES.CLOSED) {
+			return false;
+		}
+
+		if (state === CIRCUIT_STATES.HALF_OPEN && !this.isTrialInFlight()) {
+			this.trialStartedAt = Date.now();
+			return true;
+		}
+
+		const error = state === CIRCUIT_STATES.HALF_OPEN
+			? new Error(`Circuit '${this.name}' is half-open - waiting for the trial call to finish`)
+			: new Error(
+				`Circuit '${this.name}' is open after ${this.consecutiveFailures} failures - retry after ${new Date(this.openedAt + this.resetTimeoutMs).toISOString()}`,
+			);
+		error.code = 'CIRCUIT_OPEN';
+		throw error;
+	}
+
+	/**
+	 * Release the trial call without a verdict, e.g. when it failed with a non-retryable error
+	 * The circuit stays half-open and the next call becomes the trial
+	 */
+	releaseTrial() {
+		this.trialStartedAt = null;
+	}
+
+	/**
+	 * Record a successful call - closes the circuit
+	 */
+	recordSuccess() {
+		if (this.state !== CIRCUIT_STATES.CLOSED) {
+			console.log(`✅ Circuit '${this.name}' closed`);
+		}
+
+		this.state = CIRCUIT_STATES.CLOSED;
+		this.consecutiveFailures = 0;
+		this.openedAt = null;
+		this.trialStartedAt = null;
+	}
+
+	/**
+	 * Record a failed call - opens the circuit at the threshold or when a trial call fails
+	 * @param {Error} error - Failure reason
+	 */
+	recordFailure(error) {
+		this.consecutiveFailures++;
+		this.lastFailureAt = Date.now();
+		this.lastError = error ? error.message : null;
+
+		const trialFailed = this.getState() === CIRCUIT_STATES.HALF_OPEN;
+		this.trialStartedAt = null;
+		if (trialFailed || this.consecutiveFailures >= this.failureThreshold) {
+			this.state = CIRCUIT_STATES.OPEN;
+			this.openedAt = Date.now();
+			console.error(`🔌 Circuit '${this.name}' opened after ${this.consecutiveFailures} consecutive failures`);
+		}
+	}
+
+	/**
+	 * Get breaker status for health reporting
+	 * @returns {Object} Status information
+	 */
+	getStatus() {
+		const state = this.getState();
+
+		return {
+			name: this.name,
+			state,
+			consecutiveFailures: this.consecutiveFailures,
+			failureThreshold: this.failureThreshold,
+			openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+			retryAt: state === CIRCUIT_STATES.OPEN
+				? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+				: null,
+			lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+			lastError: this.lastError,
+		};
+	}
+}
+
+module.exports = CircuitBreakerService;
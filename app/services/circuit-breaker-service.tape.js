@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CircuitBreakerService = require('./circuit-breaker-service');
+
+/**
+ * Test Suite
+ */
+test('CircuitBreakerService - State Tests', async(t) => {
+
+	await t.test('should start closed and allow requests', async() => {
+		const breaker = new CircuitBreakerService({name: 'test'});
+
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.CLOSED);
+		assert.doesNotThrow(() => breaker.assertCanRequest());
+	});
+
+	await t.test('should open after the failure threshold', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 3});
+
+		breaker.recordFailure(new Error('first'));
+		breaker.recordFailure(new Error('second'));
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.CLOSED);
+
+		breaker.recordFailure(new Error('third'));
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.OPEN);
+		assert.throws(() => breaker.assertCanRequest(), {code: 'CIRCUIT_OPEN'});
+	});
+
+	await t.test('should reset the failure count on success', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 2});
+
+		breaker.recordFailure(new Error('first'));
+		breaker.recordSuccess();
+		breaker.recordFailure(new Error('second'));
+
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.CLOSED);
+		assert.strictEqual(breaker.getStatus().consecutiveFailures, 1);
+	});
+
+	await t.test('should let a trial call through once the reset timeout passed', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 1, resetTimeoutMs: 1000});
+
+		breaker.recordFailure(new Error('down'));
+		breaker.openedAt -= 1000;
+
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.HALF_OPEN);
+		assert.doesNotThrow(() => breaker.assertCanRequest());
+
+		breaker.recordSuccess();
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.CLOSED);
+	});
+
+	await t.test('should reject other calls while the trial call is in flight', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 1, resetTimeoutMs: 1000});
+
+		breaker.recordFailure(new Error('down'));
+		breaker.openedAt -= 1000;
+
+		assert.strictEqual(breaker.assertCanRequest(), true);
+		assert.throws(() => breaker.assertCanRequest(), {code: 'CIRCUIT_OPEN', message: /trial call/});
+
+		breaker.releaseTrial();
+		assert.strictEqual(breaker.assertCanRequest(), true);
+	});
+
+	await t.test('should allow a new trial when the previous one never settled', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 1, resetTimeoutMs: 1000});
+
+		breaker.recordFailure(new Error('down'));
+		breaker.openedAt -= 1000;
+		breaker.assertCanRequest();
+		breaker.trialStartedAt -= 1000;
+
+		assert.strictEqual(breaker.assertCanRequest(), true);
+	});
+
+	await t.test('should reopen when the trial call fails', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 5, resetTimeoutMs: 1000});
+
+		for (let i = 0; i < 5; i++) {
+			breaker.recordFailure(new Error('down'));
+		}
+		breaker.openedAt -= 1000;
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.HALF_OPEN);
+
+		breaker.recordFailure(new Error('still down'));
+		assert.strictEqual(breaker.getState(), CircuitBreakerService.STATES.OPEN);
+	});
+
+	await t.test('should keep a configured threshold and reject invalid options', async() => {
+		const breaker = new CircuitBreakerService({name: 'test', failureThreshold: 1, resetTimeoutMs: 0});
+
+		assert.strictEqual(breaker.resetTimeoutMs, 0);
+		const invalid = [{failureThreshold: 0}, {failureThreshold: 1.5}, {resetTimeoutMs: -1}];
+		for (const options of invalid) {
+			assert.throws(() => new CircuitBreakerService(options), {code: 'INVALID_CIRCUIT_OPTIONS'});
+		}
+	});
+
+	await t.test('should report status for health checks', async() => {
+		const breaker = new CircuitBreakerService({name: 'idosell:shop-a', failureThreshold: 1, resetTimeoutMs: 1000});
+
+		breaker.recordFailure(new Error('Service Unavailable'));
+		const status = breaker.getStatus();
+
+		assert.strictEqual(status.name, 'idosell:shop-a');
+		assert.strictEqual(status.state, 'open');
+		assert.strictEqual(status.lastError, 'Service Unavailable');
+		assert.strictEqual(
+			new Date(status.retryAt).getTime() - new Date(status.openedAt).getTime(),
+			1000,
+		);
+	});
+});
@@ -0,0 +1,181 @@
+const _ = require('lodash');
+const moment = require('moment');
+
+/**
+ * Content sent instead of a CSV when no order matches the export filters
+ */
+const EMPTY_EXPORT_CONTENT = 'No orders found';
+
+/**
+ * UTF-8 byte order mark - makes Excel detect the encoding of the file
+ */
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Field delimiters by option name
+ */
+const DELIMITERS = {
+	comma: ',',
+	semicolon: ';',
+	tab: '\t',
+};
+
+/**
+ * CSV Export Service - Serializes export rows to CSV (RFC 4180)
+ * Rows are separated by "\n" without a trailing line break. Delimiter, decimal separator,
+ * date format and BOM are configurable - the defaults give the standard export.
+ */
+class CsvExportService {
+	/**
+	 * Content sent when no order matches the export filters
+	 */
+	static get EMPTY_EXPORT_CONTENT() {
+		return EMPTY_EXPORT_CONTENT;
+	}
+
+	/**
+	 * Field delimiters by option name
+	 */
+	static get DELIMITERS() {
+		return DELIMITERS;
+	}
+
+	/**
+	 * Escape a single CSV field
+	 * Fields containing the delimiter, a quote or a line break are quoted and their quotes doubled
+	 * @param {*} value - Field value (null and undefined become an empty field)
+	 * @param {boolean} alwaysQuote - Quote the field even if it does not need it
+	 * @param {string} delimiter - Field delimiter (default: ",")
+	 * @returns {string} Escaped field
+	 */
+	static escapeField(value, alwaysQuote = false, delimiter = ',') {
+		const text = _.isNil(value) ? '' : String(value);
+
+		if (alwaysQuote || /["\r\n]/.test(text) || text.includes(delimiter)) {
+			return `"${text.replace(/"/g, '""')}"`;
+		}
+
+		return text;
+	}
+
+	/**
+	 * Format a date field
+	 * @param {Date|string|null} date - Date value
+	 * @param {string} dateFormat - 'iso' or a moment.js format (UTC)
+	 * @returns {string} Formatted date or 'N/A'
+	 */
+	static formatDate(date, dateFormat = 'iso') {
+		if (_.isNil(date)) {
+			return 'N/A';
+		}
+		return dateFormat === 'iso'
+			? new Date(date).toISOString()
+			: moment.utc(date).format(dateFormat);
+	}
+
+	/**
+	 * Format status history for a single CSV cell
+	 * @param {Array} history - Status changes ({status, changedAt}), oldest first
+	 * @param {Function} formatDate - Date formatter (default: ISO 8601)
+	 * @returns {string} Changes as "status@date" joined with " > "
+	 */
+	static formatStatusHistory(history, formatDate = date => this.formatDate(date)) {
+		if (_.isEmpty(history)) {
+			return 'No history';
+		}
+		return _.join(_.map(history, change => `${change.status}@${formatDate(change.changedAt)}`), ' > ');
+	}
+
+	/**
+	 * Resolve the CSV formatting options
+	 * @param {Object} options - Export options
+	 * @param {string} options.delimiter - comma, semicolon or tab (default: comma)
+	 * @param {string} options.decimalSeparator - dot or comma (default: dot)
+	 * @param {string} options.dateFormat - 'iso' or a moment.js format (default: iso)
+	 * @param {boolean|string} options.bom - Start the file with a UTF-8 byte order mark
+	 * @returns {Object} Format with delimiter, decimalSeparator, formatDate and bom
+	 */
+	static resolveFormat(options = {}) {
+		const dateFormat = options.dateFormat || 'iso';
+
+		return {
+			delimiter: DELIMITERS[options.delimiter] || DELIMITERS.comma,
+			decimalSeparator: options.decimalSeparator === 'comma' ? ',' : '.',
+			formatDate: date => this.formatDate(date, dateFormat),
+			bom: options.bom === true || options.bom === 'true',
+		};
+	}
+
+	/**
+	 * Format and escape a single cell
+	 * Missing values become 'N/A', null values an empty field
+	 * @param {Object} column - Export column
+	 * @param {*} value - Raw column value
+	 * @param {Object} format - CSV format (see resolveFormat)
+	 * @returns {string} Escaped cell
+	 */
+	static formatCell(column, value, format) {
+		let text = value;
+
+		if (column.type === 'date') {
+			text = format.formatDate(value);
+		} else if (column.type === 'history') {
+			text = this.formatStatusHistory(value, format.formatDate);
+		} else if (_.isUndefined(value)) {
+			text = 'N/A';
+		} else if (_.isNumber(value) && format.decimalSeparator !== '.') {
+			text = String(value).replace('.', format.decimalSeparator);
+		}
+
+		return this.escapeField(text, column.quoted, format.delimiter);
+	}
+
+	/**
+	 * Format a batch of rows
+	 * @param {Array<Object>} columns - Export columns
+	 * @param {Array<Array>} rows - Rows of raw values in column order
+	 * @param {Object} format - CSV format (see resolveFormat)
+	 * @returns {string} CSV rows joined with "\n"
+	 */
+	static formatRows(columns, rows, format) {
+		return _.join(
+			_.map(rows, row => _.join(
+				_.map(columns, (column, index) => this.formatCell(column, row[index], format)),
+				format.delimiter,
+			)),
+			'\n',
+		);
+	}
+
+	/**
+	 * Serialize batches of export rows to CSV chunks
+	 * The header goes out with the first batch, so an empty export can be told apart
+	 * @param {AsyncIterable<Array<Array>>} rowBatches - Batches of rows (see OrderExportService)
+	 * @param {Array<Object>} columns - Export columns
+	 * @param {Object} options - CSV options (see resolveFormat)
+	 * @yields {string} CSV text chunks
+	 */
+	static async* serialize(rowBatches, columns, options = {}) {
+		const format = this.resolveFormat(options);
+		const {delimiter} = format;
+		const headers = _.map(columns, column => this.escapeField(column.header, false, delimiter));
+		const header = _.join(headers, delimiter);
+		let headerSent = false;
+
+		for await (const rows of rowBatches) {
+			const content = this.formatRows(columns, rows, format);
+			const chunk = headerSent
+				? `\n${content}`
+				: `${format.bom ? UTF8_BOM : ''}${header}\n${content}`;
+
+			headerSent = true;
+			yield chunk;
+		}
+
+		if (!headerSent) {
+			yield EMPTY_EXPORT_CONTENT;
+		}
+	}
+}
+
+module.exports = CsvExportService;
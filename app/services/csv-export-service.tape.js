@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CsvExportService = require('./csv-export-service');
+const OrderExportService = require('./order-export-service');
+const {mockOrders} = require('../test-helpers');
+
+const CSV_HEADER = 'ID,External ID,External Serial Number,Currency,Status,Order Products Cost,' +
+	'Products Count,Products Details,External Created At,External Updated At,Created At,Updated At';
+
+/**
+ * Export orders to a CSV string
+ * @param {Array<Object>} orders - Orders to export
+ * @param {Object} options - Export options
+ * @returns {Promise<string>} CSV content
+ */
+async function toCsv(orders, options = {}) {
+	let csv = '';
+	for await (const chunk of OrderExportService.generate('csv', orders, options)) {
+		csv += chunk;
+	}
+	return csv;
+}
+
+/**
+ * Test Suite
+ */
+test('CsvExportService - Escaping Tests', async(t) => {
+
+	await t.test('should leave plain fields unquoted', async() => {
+		assert.strictEqual(CsvExportService.escapeField('EUR'), 'EUR');
+		assert.strictEqual(CsvExportService.escapeField(299.99), '299.99');
+		assert.strictEqual(CsvExportService.escapeField(null), '');
+		assert.strictEqual(CsvExportService.escapeField(undefined), '');
+	});
+
+	await t.test('should quote fields with commas, quotes and line breaks', async() => {
+		assert.strictEqual(CsvExportService.escapeField('a,b'), '"a,b"');
+		assert.strictEqual(CsvExportService.escapeField('say "hi"'), '"say ""hi"""');
+		assert.strictEqual(CsvExportService.escapeField('line 1\nline 2'), '"line 1\nline 2"');
+		assert.strictEqual(CsvExportService.escapeField('line 1\r\nline 2'), '"line 1\r\nline 2"');
+	});
+
+	await t.test('should quote on request and still double inner quotes', async() => {
+		assert.strictEqual(CsvExportService.escapeField('plain', true), '"plain"');
+		assert.strictEqual(CsvExportService.escapeField('6" pipe', true), '"6"" pipe"');
+	});
+
+	await t.test('should escape order values containing special characters', async() => {
+		const order = {
+			...mockOrders.order1,
+			externalSerialNumber: 'SN "1", part\n2',
+			orderProducts: [{productQuantity: '2"'}],
+		};
+
+		const csv = await toCsv([order]);
+
+		assert(csv.includes(',"SN ""1"", part\n2",'));
+		assert(csv.includes(',"Product 1 (Qty: 2"")",'));
+	});
+});
+
+test('CsvExportService - Format Tests', async(t) => {
+
+	await t.test('should produce the established export format', async() => {
+		const orders = [mockOrders.order1, mockOrders.orderWithNulls];
+
+		const csv = await toCsv(orders);
+
+		assert.strictEqual(csv, [
+			CSV_HEADER,
+			'507f1f77bcf86cd799439011,EXT123,SN123,EUR,completed,299.99,2,' +
+				'"Product 1 (Qty: 2); Product 2 (Qty: 1)",2024-01-01T10:00:00.000Z,' +
+				'2024-01-02T15:30:00.000Z,2024-01-01T10:00:00.000Z,2024-01-02T15:30:00.000Z',
+			'507f1f77bcf86cd799439013,,SN789,EUR,cancelled,0,0,"No products",N/A,N/A,' +
+				'2024-01-05T12:00:00.000Z,2024-01-05T12:00:00.000Z',
+		].join('\n'));
+	});
+
+	await t.test('should report an empty export', async() => {
+		const csv = await toCsv([]);
+
+		assert.strictEqual(csv, CsvExportService.EMPTY_EXPORT_CONTENT);
+	});
+
+	await t.test('should write a header chunk with the first batch only', async() => {
+		const columns = OrderExportService.resolveColumns({columns: ['externalSerialNumber']});
+		const batches = [[['SN1'], ['SN2']], [['SN3']]];
+		const rowBatches = (async function* () {
+			yield* batches;
+		})();
+
+		const chunks = [];
+		for await (const chunk of CsvExportService.serialize(rowBatches, columns)) {
+			chunks.push(chunk);
+		}
+
+		assert.deepStrictEqual(chunks, ['External Serial Number\nSN1\nSN2', '\nSN3']);
+	});
+
+	await t.test('should add the status history column', async() => {
+		const history = {
+			'shop-a': {
+				EXT123: [
+					{newStatus: 'new', externalChangedAt: new Date('2024-01-01T10:00:00Z')},
+					{newStatus: 'completed', detectedAt: new Date('2024-01-02T15:30:00Z')},
+				],
+			},
+		};
+
+		const csv = await toCsv([mockOrders.order1, mockOrders.order2], {
+			includeHistory: true,
+			loadStatusHistory: async() => history,
+		});
+		const [header, first, second] = csv.split('\n');
+
+		assert(header.endsWith(',Status History'));
+		assert(first.endsWith(',"new@2024-01-01T10:00:00.000Z > completed@2024-01-02T15:30:00.000Z"'));
+		assert(second.endsWith(',"No history"'));
+	});
+});
+
+test('CsvExportService - Format Option Tests', async(t) => {
+
+	await t.test('should write the requested columns in order', async() => {
+		const csv = await toCsv([mockOrders.order1], {
+			columns: ['status', 'externalSerialNumber', 'shopId'],
+		});
+
+		assert.strictEqual(csv, 'Status,External Serial Number,Shop ID\ncompleted,SN123,shop-a');
+	});
+
+	await t.test('should reject unknown columns', async() => {
+		await assert.rejects(
+			toCsv([mockOrders.order1], {columns: ['id', 'password']}),
+			{message: 'Unknown export columns: password'},
+		);
+	});
+
+	await t.test('should quote fields containing the chosen delimiter', async() => {
+		const order = {...mockOrders.order1, externalSerialNumber: 'SN;1,2'};
+
+		const csv = await toCsv([order], {
+			columns: ['externalSerialNumber', 'orderProductsCost'],
+			delimiter: 'semicolon',
+			decimalSeparator: 'comma',
+		});
+
+		assert.strictEqual(csv, 'External Serial Number;Order Products Cost\n"SN;1,2";299,99');
+	});
+
+	await t.test('should quote decimal commas when commas delimit fields', async() => {
+		const csv = await toCsv([mockOrders.order1], {
+			columns: ['orderProductsCost'],
+			decimalSeparator: 'comma',
+		});
+
+		assert.strictEqual(csv, 'Order Products Cost\n"299,99"');
+	});
+
+	await t.test('should format dates and status history with the date format', async() => {
+		const orders = [mockOrders.order1, mockOrders.orderWithNulls];
+
+		const csv = await toCsv(orders, {
+			columns: ['externalCreatedAt', 'statusHistory'],
+			dateFormat: 'DD.MM.YYYY',
+			loadStatusHistory: async() => ({
+				'shop-a': {EXT123: [{newStatus: 'new', detectedAt: new Date('2024-01-01T10:00:00Z')}]},
+			}),
+		});
+
+		assert.strictEqual(csv, [
+			'External Created At,Status History',
+			'01.01.2024,"new@01.01.2024"',
+			'N/A,"No history"',
+		].join('\n'));
+	});
+
+	await t.test('should format missing values as N/A and null values as empty fields', async() => {
+		const format = CsvExportService.resolveFormat();
+		const column = {key: 'currency'};
+
+		assert.strictEqual(CsvExportService.formatCell(column, undefined, format), 'N/A');
+		assert.strictEqual(CsvExportService.formatCell(column, null, format), '');
+		assert.strictEqual(CsvExportService.formatCell({type: 'date'}, null, format), 'N/A');
+	});
+
+	await t.test('should start with a byte order mark on request', async() => {
+		const csv = await toCsv([mockOrders.order1], {bom: true});
+
+		assert(csv.startsWith(`\uFEFF${CSV_HEADER}\n`));
+	});
+
+	await t.test('should write one row per line item', async() => {
+		const order = {
+			...mockOrders.order1,
+			orderProducts: [
+				{productId: 11, productSku: 'TENT-2', productQuantity: 3, productUnitPrice: 19.99},
+				{productId: 12, productSku: 'MAT-1', productQuantity: 1},
+			],
+		};
+
+		const csv = await toCsv([order, mockOrders.orderWithNulls], {
+			lineItems: true,
+			columns: ['externalSerialNumber', 'productId', 'productSku', 'productQuantity', 'lineTotal'],
+			delimiter: 'semicolon',
+			decimalSeparator: 'comma',
+		});
+
+		assert.strictEqual(csv, [
+			'External Serial Number;Product ID;Product SKU;Quantity;Line Total',
+			'SN123;11;TENT-2;3;59,97',
+			'SN123;12;MAT-1;1;N/A',
+			'SN789;N/A;N/A;N/A;N/A',
+		].join('\n'));
+	});
+
+});
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const config = require('../config');
+const orderModel = require('../models/order-model');
+const exchangeRateModel = require('../models/exchange-rate-model');
+const UtilsService = require('./utils-service');
+
+/**
+ * Oldest rate still applied to an order, in days before the order date
+ * Covers weekends and holidays without rates; older orders stay unconverted until rates are loaded
+ */
+const MAX_RATE_AGE_DAYS = 7;
+
+/**
+ * Orders converted and written per bulk write when recalculating base amounts
+ */
+const RECALCULATE_BATCH_SIZE = 500;
+
+/**
+ * Order fields holding the base currency amount
+ */
+const BASE_AMOUNT_FIELDS = ['baseCurrency', 'baseOrderProductsCost', 'exchangeRate', 'exchangeRateDate'];
+
+/**
+ * Base amount of an order that could not be converted
+ */
+const UNCONVERTED = {
+	baseCurrency: null,
+	baseOrderProductsCost: null,
+	exchangeRate: null,
+	exchangeRateDate: null,
+};
+
+/**
+ * Exchange Rate Service - Loads exchange rate files and converts order amounts to the base currency
+ */
+class ExchangeRateService {
+	/**
+	 * @param {string} baseCurrency - ISO 4217 code amounts are converted to (default: config.currency.base)
+	 */
+	constructor(baseCurrency = config.currency.base) {
+		this.baseCurrency = baseCurrency;
+	}
+
+	/**
+	 * Parse an exchange rate CSV file
+	 * Expects a header row with currency, date and rate columns (baseCurrency is optional).
+	 * Comma and semicolon delimiters are detected; with semicolons, rates may use a decimal comma.
+	 * @param {string} content - File content
+	 * @returns {Array<Object>} Records keyed by header name
+	 */
+	static parseCsv(content) {
+		const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+		if (lines.length === 0) {
+			return [];
+		}
+
+		const delimiter = lines[0].includes(';') ? ';' : ',';
+		const splitLine = line => line.split(delimiter).map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+		const headers = splitLine(lines[0]);
+
+		return lines.slice(1).map(line => {
+			const record = _.zipObject(headers, splitLine(line));
+			if (delimiter === ';' && _.isString(record.rate)) {
+				record.rate = record.rate.replace(',', '.');
+			}
+			return record;
+		});
+	}
+
+	/**
+	 * Parse an exchange rate JSON file
+	 * Accepts an array of {currency, date, rate, baseCurrency?} objects or {rates: [...]}
+	 * @param {string} content - File content
+	 * @returns {Array<Object>} Records
+	 * @throws {Error} If the content is not such a list
+	 */
+	static parseJson(content) {
+		const data = JSON.parse(content);
+		const records = _.isArray(data) ? data : _.get(data, 'rates');
+
+		if (!_.isArray(records)) {
+			throw new Error('JSON exchange rates must be an array or an object with a "rates" array');
+		}
+
+		return records;
+	}
+
+	/**
+	 * Validate and normalize a parsed exchange rate record
+	 * @param {Object} record - Parsed record
+	 * @returns {Object} Exchange rate ({currency, baseCurrency, date, rate})
+	 * @throws {Error} If a field is missing or invalid
+	 */
+	normalizeRate(record) {
+		const currency = _.toUpper(_.trim(record.currency));
+		const baseCurrency = _.toUpper(_.trim(record.baseCurrency)) || this.baseCurrency;
+		const rate = Number(record.rate);
+		const date = new Date(`${_.trim(record.date).slice(0, 10)}T00:00:00Z`);
+
+		if (!/^[A-Z]{3}$/.test(currency)) {
+			throw new Error(`invalid currency '${record.currency}'`);
+		}
+		if (baseCurrency !== this.baseCurrency) {
+			throw new Error(`base currency ${baseCurrency} differs from the configured ${this.baseCurrency}`);
+		}
+		if (currency === baseCurrency) {
+			throw new Error(`${currency} is the base currency`);
+		}
+		if (!/^\d{4}-\d{2}-\d{2}/.test(_.trim(record.date)) || _.isNaN(date.getTime())) {
+			throw new Error(`invalid date '${record.date}' (expected YYYY-MM-DD)`);
+		}
+		if (!_.isFinite(rate) || rate <= 0) {
+			throw new Error(`invalid rate '${record.rate}'`);
+		}
+
+		return {currency, baseCurrency, date, rate};
+	}
+
+	/**
+	 * Load exchange rates from a CSV or JSON file
+	 * Invalid records are reported and skipped; a rate loaded again for the same day replaces the old one
+	 * @param {string} filePath - Path of the rate file
+	 * @param {Object} options - Load options
+	 * @param {string} options.format - csv or json (default: taken from the file extension)
+	 * @returns {Promise<Object>} Load results ({total, created, updated, errors})
+	 */
+	async loadFile(filePath, options = {}) {
+		const format = options.format || _.trimStart(path.extname(filePath), '.').toLowerCase();
+		if (!['csv', 'json'].includes(format)) {
+			throw new Error(`Unsupported exchange rate file format '${format}' (use csv or json)`);
+		}
+
+		const content = await fs.promises.readFile(filePath, 'utf8');
+		const records = format === 'csv'
+			? ExchangeRateService.parseCsv(content)
+			: ExchangeRateService.parseJson(content);
+
+		const results = {total: records.length, created: 0, updated: 0, errors: []};
+		const rates = [];
+
+		records.forEach((record, index) => {
+			try {
+				rates.push(this.normalizeRate(record));
+			} catch (error) {
+				results.errors.push(`Record ${index + 1}: ${error.message}`);
+			}
+		});
+
+		// The last rate wins when a file lists the same currency and day twice
+		const uniqueRates = _.uniqBy(_.reverse(rates), ({currency, date}) => `${currency}:${date.toISOString()}`);
+		const {created, updated} = await exchangeRateModel.upsertMany(
+			uniqueRates,
+			path.basename(filePath),
+		);
+
+		results.created = created;
+		results.updated = updated;
+		return results;
+	}
+
+	/**
+	 * Get the base currency amount of an order
+	 * Uses the latest rate on or before the order date, at most MAX_RATE_AGE_DAYS old
+	 * @param {Object} order - Order with currency, orderProductsCost and orderDate
+	 * @param {Map} rateCache - Rates already looked up, keyed by currency and day
+	 * @returns {Promise<Object>} Base amount fields (all null if the order cannot be converted)
+	 */
+	async getBaseAmount(order, rateCache = new Map()) {
+		const {currency, orderProductsCost, orderDate} = order;
+
+		if (!_.isFinite(orderProductsCost)) {
+			return UNCONVERTED;
+		}
+
+		if (currency === this.baseCurrency) {
+			return {
+				baseCurrency: this.baseCurrency,
+				baseOrderProductsCost: orderProductsCost,
+				exchangeRate: 1,
+				exchangeRateDate: null,
+			};
+		}
+
+		if (!_.isDate(orderDate) || _.isNaN(orderDate.getTime())) {
+			return UNCONVERTED;
+		}
+
+		const cacheKey = `${currency}:${orderDate.toISOString().slice(0, 10)}`;
+		if (!rateCache.has(cacheKey)) {
+			const rate = await exchangeRateModel.getRateOn(currency, this.baseCurrency, orderDate);
+			rateCache.set(cacheKey, rate);
+		}
+
+		const rate = rateCache.get(cacheKey);
+		const maxAgeMs = MAX_RATE_AGE_DAYS * 24 * 60 * 60 * 1000;
+		if (!rate || orderDate - rate.date > maxAgeMs) {
+			return UNCONVERTED;
+		}
+
+		return {
+			baseCurrency: this.baseCurrency,
+			baseOrderProductsCost: _.round(orderProductsCost * rate.rate, 2),
+			exchangeRate: rate.rate,
+			exchangeRateDate: rate.date,
+		};
+	}
+
+	/**
+	 * Add the base currency amount to orders
+	 * @param {Array<Object>} orders - Orders (e.g. transformed IdoSell orders)
+	 * @returns {Promise<Array<Object>>} Copies of the orders with the base amount fields
+	 */
+	async applyBaseAmounts(orders) {
+		const rateCache = new Map();
+		const converted = [];
+
+		for (const order of orders) {
+			converted.push({...order, ...await this.getBaseAmount(order, rateCache)});
+		}
+
+		return converted;
+	}
+
+	/**
+	 * Recalculate the base currency amount of every stored order
+	 * Run after loading rates for past dates or changing the base currency
+	 * @param {Object} options - Recalculation options
+	 * @param {number} options.batchSize - Orders per bulk write (default: 500)
+	 * @returns {Promise<Object>} Results ({total, updated, unconverted})
+	 */
+	async recalculateBaseAmounts(options = {}) {
+		const {batchSize = RECALCULATE_BATCH_SIZE} = options;
+		const results = {total: 0, updated: 0, unconverted: 0};
+
+		results.total = await orderModel.getCount();
+		console.log(`Found ${results.total} orders to convert to ${this.baseCurrency}`);
+
+		if (results.total === 0) {
+			return results;
+		}
+
+		const progressBar = UtilsService.createProcessingProgressBar(results.total, 'Converting orders');
+		const rateCache = new Map();
+		let updates = [];
+
+		const flush = async() => {
+			if (!_.isEmpty(updates)) {
+				results.updated += await orderModel.setBaseAmounts(updates);
+				updates = [];
+			}
+		};
+
+		for await (const order of orderModel.getCursor()) {
+			const baseAmount = await this.getBaseAmount(order, rateCache);
+
+			if (baseAmount.baseCurrency === null) {
+				results.unconverted++;
+			}
+			if (!_.isEqual(baseAmount, _.pick(order, BASE_AMOUNT_FIELDS))) {
+				updates.push({id: order.id, baseAmount});
+			}
+
+			UtilsService.tickProgress(progressBar);
+
+			if (updates.length >= batchSize) {
+				await flush();
+			}
+		}
+
+		await flush();
+		return results;
+	}
+}
+
+module.exports = ExchangeRateService;
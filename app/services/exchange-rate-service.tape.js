@@ -0,0 +1,305 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a mock exchange rate model backed by an in-memory list
+ * @param {Array<Object>} rates - Stored rates ({currency, baseCurrency, date, rate})
+ * @returns {Object} Mock exchange rate model
+ */
+function createMockExchangeRateModel(rates = []) {
+	const model = {
+		rates,
+		lookups: 0,
+		upserts: [],
+		upsertMany: async(newRates, source) => {
+			model.upserts.push({rates: newRates, source});
+			return {created: newRates.length, updated: 0};
+		},
+		getRateOn: async(currency, baseCurrency, date) => {
+			model.lookups++;
+			const matching = model.rates
+				.filter(rate => rate.currency === currency && rate.baseCurrency === baseCurrency)
+				.filter(rate => rate.date <= date)
+				.sort((a, b) => b.date - a.date);
+			return matching[0] || null;
+		},
+	};
+	return model;
+}
+
+/**
+ * Test setup - Creates ExchangeRateService with mocked dependencies
+ */
+function createTestService(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './exchange-rate-service.js');
+	delete require.cache[servicePath];
+
+	// Create mocks
+	const mockExchangeRateModel = customMocks.exchangeRateModel || createMockExchangeRateModel([
+		{currency: 'EUR', baseCurrency: 'PLN', date: new Date('2024-01-02T00:00:00Z'), rate: 4.3},
+		{currency: 'EUR', baseCurrency: 'PLN', date: new Date('2024-01-05T00:00:00Z'), rate: 4.35},
+	]);
+
+	const orders = customMocks.orders || [];
+	const mockOrderModel = {
+		writes: [],
+		getCount: async() => orders.length,
+		getCursor: async function* () {
+			yield* orders;
+		},
+		setBaseAmounts: async(updates) => {
+			mockOrderModel.writes.push(updates);
+			return updates.length;
+		},
+	};
+
+	const mockUtilsService = {
+		createProcessingProgressBar: () => ({}),
+		tickProgress: () => {},
+	};
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../config') {
+			return {currency: {base: 'PLN'}};
+		}
+		if (id === '../models/order-model') {
+			return mockOrderModel;
+		}
+		if (id === '../models/exchange-rate-model') {
+			return mockExchangeRateModel;
+		}
+		if (id === './utils-service') {
+			return mockUtilsService;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const ExchangeRateService = require('./exchange-rate-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		service: new ExchangeRateService(),
+		mocks: {
+			exchangeRateModel: mockExchangeRateModel,
+			orderModel: mockOrderModel,
+		},
+	};
+}
+
+/**
+ * Write a rate file to a temporary directory
+ * @param {string} fileName - File name
+ * @param {string} content - File content
+ * @returns {string} File path
+ */
+function writeRateFile(fileName, content) {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-rates-'));
+	const filePath = path.join(directory, fileName);
+	fs.writeFileSync(filePath, content);
+	return filePath;
+}
+
+/**
+ * Test Suite
+ */
+test('ExchangeRateService - Load Tests', async(t) => {
+
+	await t.test('should load a comma-separated CSV file', async() => {
+		const {service, mocks} = createTestService();
+		const filePath = writeRateFile('rates.csv', 'currency,date,rate\nEUR,2024-01-02,4.3215\nusd,2024-01-02,3.95\n');
+
+		const results = await service.loadFile(filePath);
+
+		assert.deepStrictEqual(results, {total: 2, created: 2, updated: 0, errors: []});
+		assert.strictEqual(mocks.exchangeRateModel.upserts[0].source, 'rates.csv');
+		assert.deepStrictEqual(
+			mocks.exchangeRateModel.upserts[0].rates.map(rate => [rate.currency, rate.rate]).sort(),
+			[['EUR', 4.3215], ['USD', 3.95]],
+		);
+	});
+
+	await t.test('should load a semicolon CSV file with decimal commas', async() => {
+		const {service, mocks} = createTestService();
+		const filePath = writeRateFile('rates.csv', [
+			'\uFEFFcurrency;baseCurrency;date;rate',
+			'EUR;PLN;2024-01-02;4,3215',
+		].join('\r\n'));
+
+		await service.loadFile(filePath);
+
+		assert.deepStrictEqual(mocks.exchangeRateModel.upserts[0].rates, [{
+			currency: 'EUR',
+			baseCurrency: 'PLN',
+			date: new Date('2024-01-02T00:00:00Z'),
+			rate: 4.3215,
+		}]);
+	});
+
+	await t.test('should load JSON arrays and rate objects', async() => {
+		const {service, mocks} = createTestService();
+		const record = {currency: 'EUR', date: '2024-01-02', rate: 4.3215};
+
+		await service.loadFile(writeRateFile('rates.json', JSON.stringify([record])));
+		await service.loadFile(writeRateFile('rates.txt', JSON.stringify({rates: [record]})), {
+			format: 'json',
+		});
+
+		const [arrayLoad, objectLoad] = mocks.exchangeRateModel.upserts;
+		assert.deepStrictEqual(arrayLoad.rates, objectLoad.rates);
+		assert.strictEqual(arrayLoad.rates[0].rate, 4.3215);
+	});
+
+	await t.test('should report invalid records and load the rest', async() => {
+		const {service, mocks} = createTestService();
+		const filePath = writeRateFile('rates.csv', [
+			'currency,baseCurrency,date,rate',
+			'EUR,PLN,2024-01-02,4.3',
+			'EURO,PLN,2024-01-02,4.3',
+			'EUR,USD,2024-01-02,1.1',
+			'PLN,PLN,2024-01-02,1',
+			'EUR,PLN,02.01.2024,4.3',
+			'EUR,PLN,2024-01-03,-4.3',
+		].join('\n'));
+
+		const results = await service.loadFile(filePath);
+
+		assert.strictEqual(mocks.exchangeRateModel.upserts[0].rates.length, 1);
+		assert.deepStrictEqual(results.errors, [
+			'Record 2: invalid currency \'EURO\'',
+			'Record 3: base currency USD differs from the configured PLN',
+			'Record 4: PLN is the base currency',
+			'Record 5: invalid date \'02.01.2024\' (expected YYYY-MM-DD)',
+			'Record 6: invalid rate \'-4.3\'',
+		]);
+	});
+
+	await t.test('should keep the last rate of a currency and day', async() => {
+		const {service, mocks} = createTestService();
+		const filePath = writeRateFile('rates.csv', 'currency,date,rate\nEUR,2024-01-02,4.3\nEUR,2024-01-02,4.31\n');
+
+		await service.loadFile(filePath);
+
+		const [{rates}] = mocks.exchangeRateModel.upserts;
+		assert.deepStrictEqual(rates.map(rate => rate.rate), [4.31]);
+	});
+
+	await t.test('should reject unsupported file formats', async() => {
+		const {service} = createTestService();
+
+		await assert.rejects(
+			() => service.loadFile(writeRateFile('rates.xml', '<rates/>')),
+			{message: 'Unsupported exchange rate file format \'xml\' (use csv or json)'},
+		);
+	});
+});
+
+test('ExchangeRateService - Conversion Tests', async(t) => {
+
+	await t.test('should keep base currency amounts as they are', async() => {
+		const {service, mocks} = createTestService();
+
+		const baseAmount = await service.getBaseAmount({currency: 'PLN', orderProductsCost: 120.5});
+
+		assert.deepStrictEqual(baseAmount, {
+			baseCurrency: 'PLN',
+			baseOrderProductsCost: 120.5,
+			exchangeRate: 1,
+			exchangeRateDate: null,
+		});
+		assert.strictEqual(mocks.exchangeRateModel.lookups, 0);
+	});
+
+	await t.test('should convert with the latest rate up to the order date', async() => {
+		const {service} = createTestService();
+
+		const baseAmount = await service.getBaseAmount({
+			currency: 'EUR',
+			orderProductsCost: 299.99,
+			orderDate: new Date('2024-01-04T15:00:00Z'),
+		});
+
+		assert.deepStrictEqual(baseAmount, {
+			baseCurrency: 'PLN',
+			baseOrderProductsCost: 1289.96,
+			exchangeRate: 4.3,
+			exchangeRateDate: new Date('2024-01-02T00:00:00Z'),
+		});
+	});
+
+	await t.test('should leave orders unconverted without a recent rate', async() => {
+		const {service} = createTestService();
+		const unconverted = {
+			baseCurrency: null,
+			baseOrderProductsCost: null,
+			exchangeRate: null,
+			exchangeRateDate: null,
+		};
+
+		const order = {currency: 'EUR', orderProductsCost: 10};
+
+		// Rate older than a week, order before the first rate, no order date, no rate at all
+		for (const variant of [
+			{orderDate: new Date('2024-01-13T00:00:00Z')},
+			{orderDate: new Date('2024-01-01T00:00:00Z')},
+			{orderDate: null},
+			{currency: 'USD', orderDate: new Date('2024-01-04T00:00:00Z')},
+		]) {
+			const baseAmount = await service.getBaseAmount({...order, ...variant});
+			assert.deepStrictEqual(baseAmount, unconverted);
+		}
+	});
+
+	await t.test('should look up a rate once per currency and day', async() => {
+		const {service, mocks} = createTestService();
+		const orderDate = new Date('2024-01-04T10:00:00Z');
+		const order = {currency: 'EUR', orderProductsCost: 10, orderDate};
+
+		const converted = await service.applyBaseAmounts([
+			order,
+			{...order, orderDate: new Date('2024-01-04T18:00:00Z')},
+			{...order, orderDate: new Date('2024-01-05T10:00:00Z')},
+		]);
+
+		assert.strictEqual(mocks.exchangeRateModel.lookups, 2);
+		assert.deepStrictEqual(converted.map(item => item.baseOrderProductsCost), [43, 43, 43.5]);
+		assert.strictEqual(order.baseCurrency, undefined);
+	});
+
+	await t.test('should write only orders whose base amount changed', async() => {
+		const orderDate = new Date('2024-01-04T10:00:00Z');
+		const {service, mocks} = createTestService({
+			orders: [
+				{id: 'o1', currency: 'PLN', orderProductsCost: 50, orderDate},
+				{
+					id: 'o2',
+					currency: 'EUR',
+					orderProductsCost: 10,
+					orderDate,
+					baseCurrency: 'PLN',
+					baseOrderProductsCost: 43,
+					exchangeRate: 4.3,
+					exchangeRateDate: new Date('2024-01-02T00:00:00Z'),
+				},
+				{id: 'o3', currency: 'USD', orderProductsCost: 10, orderDate},
+				{id: 'o4', currency: 'EUR', orderProductsCost: 20, orderDate},
+			],
+		});
+
+		const results = await service.recalculateBaseAmounts({batchSize: 2});
+
+		assert.deepStrictEqual(results, {total: 4, updated: 3, unconverted: 1});
+		const writtenIds = mocks.orderModel.writes.map(updates => updates.map(update => update.id));
+		assert.deepStrictEqual(writtenIds, [['o1', 'o3'], ['o4']]);
+	});
+});
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {Readable} = require('stream');
+const {pipeline} = require('stream/promises');
+const config = require('../config');
+const orderModel = require('../models/order-model');
+const orderEventModel = require('../models/order-event-model');
+const exportJobModel = require('../models/export-job-model');
+const OrderExportService = require('./order-export-service');
+const UtilsService = require('./utils-service');
+const SchedulerLeaseService = require('./scheduler-lease-service');
+const {JOB_NAMES} = require('./job-scheduler-service');
+
+/**
+ * Orders written between two progress updates of a running job
+ */
+const PROGRESS_UPDATE_INTERVAL = 500;
+
+/**
+ * How often a running job records that its worker is alive
+ */
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Time on top of the heartbeat interval after which a job still marked as running is considered
+ * abandoned by its worker
+ */
+const STALLED_JOB_MARGIN_MS = 60000;
+
+/**
+ * Export Job Service - Worker that writes queued export jobs to local storage
+ * Polls the export_jobs queue, streams each export to a file, hands out expiring download links
+ * and removes expired artifacts in the cleanup job.
+ */
+class ExportJobService {
+	/**
+	 * @param {Object} options - Worker options (defaults to the exports config)
+	 * @param {string} [options.storageDir] - Directory the artifacts are written to
+	 * @param {number} [options.pollIntervalMs] - How often the queue is checked
+	 * @param {number} [options.linkTtlMinutes] - How long download links (and artifacts) are kept
+	 * @param {string} [options.cleanupSchedule] - Default cron expression of the cleanup job
+	 * @param {number} [options.heartbeatIntervalMs] - How often a running job records that its
+	 *   worker is alive (default: 30 seconds)
+	 */
+	constructor(options = {}) {
+		this.storageDir = options.storageDir || config.exports.storageDir;
+		this.pollIntervalMs = options.pollIntervalMs || config.exports.pollIntervalMs || 5000;
+		this.linkTtlMinutes = options.linkTtlMinutes || config.exports.linkTtlMinutes || 1440;
+		this.cleanupSchedule = options.cleanupSchedule || config.exports.cleanupSchedule || '0 * * * *';
+		this.heartbeatIntervalMs = options.heartbeatIntervalMs || HEARTBEAT_INTERVAL_MS;
+		this.pollTimer = null;
+		this.isRunning = false;
+		this.currentJobId = null;
+		this.cleanupLease = new SchedulerLeaseService(`scheduler-job:${JOB_NAMES.CLEANUP}`, {
+			label: 'export artifact cleanup',
+		});
+	}
+
+	/**
+	 * Get the storage path of an artifact
+	 * @param {string} fileName - Artifact file name
+	 * @returns {string} Absolute artifact path
+	 */
+	getArtifactPath(fileName) {
+		return path.join(this.storageDir, path.basename(fileName));
+	}
+
+	/**
+	 * Build the cleanup job definition for JobSchedulerService
+	 * A cleanup run takes the cleanup lease, so one app instance runs it per occurrence
+	 * @returns {Array<Object>} Job definitions
+	 */
+	getJobs() {
+		return [{
+			name: JOB_NAMES.CLEANUP,
+			description: 'Remove the artifacts of expired export jobs',
+			defaults: {
+				cron: this.cleanupSchedule,
+				timeoutMs: 10 * 60 * 1000,
+			},
+			run: () => this.runCleanup(),
+		}];
+	}
+
+	/**
+	 * Remove expired artifacts while holding the cleanup lease
+	 * @returns {Promise<number>} Number of expired export jobs (0 when another instance runs it)
+	 */
+	async runCleanup() {
+		let count = 0;
+
+		await this.cleanupLease.run(async() => {
+			count = await this.cleanupExpiredArtifacts();
+		}, {holdMs: SchedulerLeaseService.OCCURRENCE_HOLD_MS});
+
+		return count;
+	}
+
+	/**
+	 * Start the worker
+	 */
+	start() {
+		if (this.pollTimer) {
+			console.log('⚠️  Export worker already running');
+			return;
+		}
+
+		fs.mkdirSync(this.storageDir, {recursive: true});
+
+		this.requeueInterruptedJobs();
+
+		this.pollTimer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+
+		console.log(`✅ Export worker started: polling every ${this.pollIntervalMs}ms, writing to ${this.storageDir}`);
+	}
+
+	/**
+	 * Stop the worker
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+		console.log('🛑 Export worker stopped');
+	}
+
+	/**
+	 * Put jobs left running by a stopped process back in the queue - they would never finish otherwise
+	 * Other instances may be running jobs right now, so only jobs without a heartbeat for longer than
+	 * the heartbeat interval plus a margin are requeued. Runs on start and before every queue pass,
+	 * so jobs of an instance that just crashed are picked up once they stall.
+	 */
+	async requeueInterruptedJobs() {
+		try {
+			const stalledMs = this.heartbeatIntervalMs + STALLED_JOB_MARGIN_MS;
+			const stalledBefore = new Date(Date.now() - stalledMs);
+			const count = await exportJobModel.requeueRunning(stalledBefore);
+			if (count > 0) {
+				console.log(`🔁 Requeued ${count} interrupted export job(s)`);
+			}
+		} catch (error) {
+			console.error('❌ Failed to requeue export jobs:', error.message);
+		}
+	}
+
+	/**
+	 * Process queued export jobs one after another until the queue is empty
+	 */
+	async processQueue() {
+		if (this.isRunning) {
+			return;
+		}
+
+		this.isRunning = true;
+
+		try {
+			await this.requeueInterruptedJobs();
+
+			let job;
+			while ((job = await exportJobModel.claimNext())) {
+				await this.runJob(job);
+			}
+		} catch (error) {
+			console.error('❌ Export queue processing failed:', error.message);
+		} finally {
+			this.isRunning = false;
+		}
+	}
+
+	/**
+	 * Write a single export job to local storage
+	 * The file is written under a temporary name and only renamed once complete
+	 * @param {Object} job - Claimed export job
+	 * @returns {Promise<boolean>} True if the artifact was written
+	 */
+	async runJob(job) {
+		const {extension} = OrderExportService.getFormat(job.format);
+		const fileName = `${job.id}.${extension}`;
+		const artifactPath = this.getArtifactPath(fileName);
+		const partialPath = `${artifactPath}.part`;
+		const startedAt = job.startedAt || new Date();
+
+		this.currentJobId = job.id;
+		console.log(`📦 Running export job ${job.id} (${job.format})...`);
+
+		// Progress updates are too far apart while a large artifact is being written
+		const heartbeatTimer = setInterval(() => {
+			exportJobModel.heartbeat(job.id).catch((error) => {
+				console.error(`❌ Export job ${job.id} heartbeat failed:`, error.message);
+			});
+		}, this.heartbeatIntervalMs);
+
+		try {
+			const total = await orderModel.getCount(job.filters);
+			let progress = UtilsService.calculateProgress(0, total, startedAt);
+			await exportJobModel.updateProgress(job.id, progress);
+
+			const updateProgress = async(processed) => {
+				progress = UtilsService.calculateProgress(processed, total, startedAt);
+				await exportJobModel.updateProgress(job.id, progress);
+			};
+			const orders = this.trackProgress(orderModel.getCursor(job.filters), updateProgress);
+
+			const chunks = OrderExportService.generate(job.format, orders, {
+				...job.options,
+				loadStatusHistory: batch => orderEventModel.getStatusHistoryByShop(batch),
+			});
+
+			await pipeline(Readable.from(chunks), fs.createWriteStream(partialPath));
+			await fs.promises.rename(partialPath, artifactPath);
+
+			const {size} = await fs.promises.stat(artifactPath);
+			const {processed} = progress;
+			const timestamp = startedAt.toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+			await exportJobModel.complete(job.id, {
+				file: {
+					name: fileName,
+					path: artifactPath,
+					downloadName: `orders-export-${timestamp}.${extension}`,
+					size,
+				},
+				// The cursor may see more or fewer orders than counted up front
+				progress: UtilsService.calculateProgress(processed, processed, startedAt),
+				downloadToken: crypto.randomBytes(32).toString('hex'),
+				expiresAt: new Date(Date.now() + this.linkTtlMinutes * 60 * 1000),
+			});
+
+			console.log(`✅ Export job ${job.id} completed: ${processed} order(s), ${size} bytes`);
+			return true;
+		} catch (error) {
+			console.error(`❌ Export job ${job.id} failed:`, error.message);
+			await fs.promises.rm(partialPath, {force: true});
+			await exportJobModel.fail(job.id, {message: error.message});
+			return false;
+		} finally {
+			clearInterval(heartbeatTimer);
+			this.currentJobId = null;
+		}
+	}
+
+	/**
+	 * Pass orders through while counting them
+	 * @param {AsyncIterable} orders - Orders (e.g. a MongoDB cursor)
+	 * @param {Function} onProgress - Async callback with the number of processed orders,
+	 *   called every PROGRESS_UPDATE_INTERVAL orders and once at the end
+	 * @yields {Object} The same orders
+	 */
+	async* trackProgress(orders, onProgress) {
+		let processed = 0;
+
+		for await (const order of orders) {
+			yield order;
+			processed++;
+
+			if (processed % PROGRESS_UPDATE_INTERVAL === 0) {
+				await onProgress(processed);
+			}
+		}
+
+		await onProgress(processed);
+	}
+
+	/**
+	 * Remove the artifacts of expired export jobs
+	 * @param {Date} now - Reference time
+	 * @returns {Promise<number>} Number of expired jobs
+	 */
+	async cleanupExpiredArtifacts(now = new Date()) {
+		try {
+			const jobs = await exportJobModel.getExpired(now);
+
+			for (const job of jobs) {
+				if (job.file) {
+					await fs.promises.rm(job.file.path, {force: true});
+				}
+				await exportJobModel.markExpired(job.id);
+			}
+
+			if (jobs.length > 0) {
+				console.log(`🧹 Removed ${jobs.length} expired export artifact(s)`);
+			}
+
+			return jobs.length;
+		} catch (error) {
+			console.error('❌ Export artifact cleanup failed:', error.message);
+			return 0;
+		}
+	}
+
+	/**
+	 * Get worker status
+	 * @returns {Object} Status information
+	 */
+	getStatus() {
+		return {
+			isStarted: !!this.pollTimer,
+			isRunning: this.isRunning,
+			currentJobId: this.currentJobId,
+			pollIntervalMs: this.pollIntervalMs,
+			linkTtlMinutes: this.linkTtlMinutes,
+		};
+	}
+}
+
+module.exports = ExportJobService;
@@ -0,0 +1,370 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UtilsService = require('./utils-service');
+const {
+	mockExportJobs,
+	createMockOrderModel,
+	createMockOrderEventModel,
+	createMockExportJobModel,
+	createMockSchedulerLockModel,
+	silenceConsole,
+} = require('../test-helpers');
+
+silenceConsole();
+
+/**
+ * Test setup - Creates ExportJobService with mocked dependencies and a temporary storage directory
+ */
+function createTestWorker(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './export-job-service.js');
+	delete require.cache[servicePath];
+	delete require.cache[path.resolve(__dirname, './scheduler-lease-service.js')];
+
+	const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-jobs-'));
+	const mockConfig = {
+		exports: {
+			storageDir,
+			pollIntervalMs: 60000,
+			linkTtlMinutes: 60,
+			cleanupSchedule: '0 * * * *',
+		},
+	};
+
+	const mockOrderModel = customMocks.orderModel || createMockOrderModel();
+	const mockOrderEventModel = customMocks.orderEventModel || createMockOrderEventModel();
+	const mockExportJobModel = customMocks.exportJobModel || createMockExportJobModel();
+	const mockSchedulerLockModel = customMocks.schedulerLockModel || createMockSchedulerLockModel();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../config') {
+			return mockConfig;
+		}
+		if (id === '../models/order-model') {
+			return mockOrderModel;
+		}
+		if (id === '../models/order-event-model') {
+			return mockOrderEventModel;
+		}
+		if (id === '../models/export-job-model') {
+			return mockExportJobModel;
+		}
+		if (id === '../models/scheduler-lock-model') {
+			return mockSchedulerLockModel;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const ExportJobService = require('./export-job-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		service: new ExportJobService(),
+		storageDir,
+		mocks: {
+			exportJobModel: mockExportJobModel,
+			schedulerLockModel: mockSchedulerLockModel,
+		},
+	};
+}
+
+/**
+ * Queue an export job in the mock model and claim it like the worker does
+ * @param {Object} exportJobModel - Mock export job model
+ * @param {Object} job - Export job details
+ * @returns {Promise<Object>} Claimed export job
+ */
+async function queueAndClaim(exportJobModel, job) {
+	await exportJobModel.create(job);
+	return exportJobModel.claimNext();
+}
+
+/**
+ * Test Suite
+ */
+test('ExportJobService - Progress Tests', async(t) => {
+
+	await t.test('should calculate percent and remaining time', async() => {
+		const startedAt = new Date(Date.now() - 10000);
+
+		const progress = UtilsService.calculateProgress(25, 100, startedAt);
+
+		assert.strictEqual(progress.processed, 25);
+		assert.strictEqual(progress.total, 100);
+		assert.strictEqual(progress.percent, 25);
+		assert(progress.etaSeconds >= 29 && progress.etaSeconds <= 31);
+	});
+
+	await t.test('should leave the remaining time unknown before the first order', async() => {
+		const progress = UtilsService.calculateProgress(0, 100, new Date());
+
+		assert.deepStrictEqual(progress, {processed: 0, total: 100, percent: 0, etaSeconds: null});
+	});
+
+	await t.test('should report an empty export as done', async() => {
+		const progress = UtilsService.calculateProgress(0, 0, new Date());
+
+		assert.deepStrictEqual(progress, {processed: 0, total: 0, percent: 100, etaSeconds: null});
+	});
+
+	await t.test('should cap the percent when more orders than counted are written', async() => {
+		const progress = UtilsService.calculateProgress(12, 10, new Date());
+
+		assert.strictEqual(progress.percent, 100);
+		assert.strictEqual(progress.etaSeconds, 0);
+	});
+});
+
+test('ExportJobService - Lifecycle Tests', async(t) => {
+
+	await t.test('should use the exports config by default', async() => {
+		const {service, storageDir} = createTestWorker();
+
+		assert.deepStrictEqual(service.getStatus(), {
+			isStarted: false,
+			isRunning: false,
+			currentJobId: null,
+			pollIntervalMs: 60000,
+			linkTtlMinutes: 60,
+		});
+		assert.strictEqual(service.storageDir, storageDir);
+	});
+
+	await t.test('should requeue interrupted jobs on start', async() => {
+		const exportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, status: 'running'}],
+		});
+		const {service} = createTestWorker({exportJobModel});
+
+		service.start();
+		await service.requeueInterruptedJobs();
+
+		try {
+			assert.strictEqual(service.getStatus().isStarted, true);
+			assert.strictEqual(exportJobModel.jobs[mockExportJobs.completed.id].status, 'queued');
+		} finally {
+			service.stop();
+		}
+
+		assert.strictEqual(service.getStatus().isStarted, false);
+	});
+
+	await t.test('should leave jobs another instance is still running', async() => {
+		const stalledId = '65a1b2c3d4e5f6a7b8c9d0f5';
+		const exportJobModel = createMockExportJobModel({
+			jobs: [
+				{...mockExportJobs.completed, status: 'running', heartbeatAt: new Date()},
+				{
+					...mockExportJobs.completed,
+					id: stalledId,
+					status: 'running',
+					heartbeatAt: new Date(Date.now() - 120000),
+				},
+			],
+		});
+		const {service} = createTestWorker({exportJobModel});
+
+		await service.requeueInterruptedJobs();
+
+		assert.strictEqual(exportJobModel.jobs[mockExportJobs.completed.id].status, 'running');
+		assert.strictEqual(exportJobModel.jobs[stalledId].status, 'queued');
+	});
+
+	await t.test('should not run a job that another instance is still running', async() => {
+		const exportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, status: 'running', heartbeatAt: new Date()}],
+		});
+		const {service} = createTestWorker({exportJobModel});
+		let runs = 0;
+		service.runJob = async() => {
+			runs++;
+		};
+
+		await service.processQueue();
+
+		assert.strictEqual(runs, 0);
+		assert.strictEqual(exportJobModel.jobs[mockExportJobs.completed.id].status, 'running');
+	});
+
+	await t.test('should provide the cleanup job with the configured schedule', async() => {
+		const exportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, expiresAt: new Date(Date.now() - 1000)}],
+		});
+		const {service} = createTestWorker({exportJobModel});
+		const [job] = service.getJobs();
+
+		const count = await job.run({});
+
+		assert.strictEqual(job.name, 'cleanup');
+		assert.deepStrictEqual(job.defaults, {cron: '0 * * * *', timeoutMs: 600000});
+		assert.strictEqual(count, 1);
+	});
+
+	await t.test('should run the cleanup job on one instance per occurrence', async() => {
+		const exportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, expiresAt: new Date(Date.now() - 1000)}],
+		});
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const first = createTestWorker({exportJobModel, schedulerLockModel});
+		const second = createTestWorker({exportJobModel, schedulerLockModel});
+		let secondCleanups = 0;
+		second.service.cleanupExpiredArtifacts = async() => {
+			secondCleanups++;
+			return 0;
+		};
+
+		const count = await first.service.getJobs()[0].run({});
+		const skipped = await second.service.getJobs()[0].run({});
+
+		assert.strictEqual(count, 1);
+		assert.strictEqual(skipped, 0);
+		assert.strictEqual(secondCleanups, 0);
+		assert(schedulerLockModel.locks['scheduler-job:cleanup']);
+	});
+});
+
+test('ExportJobService - Job Tests', async(t) => {
+
+	await t.test('should write the artifact and hand out an expiring download link', async() => {
+		const {service, storageDir, mocks} = createTestWorker();
+		const job = await queueAndClaim(mocks.exportJobModel, {
+			format: 'csv',
+			filters: {},
+			options: {columns: ['externalSerialNumber']},
+		});
+
+		const written = await service.runJob(job);
+
+		assert.strictEqual(written, true);
+
+		const completed = mocks.exportJobModel.jobs[job.id];
+		assert.strictEqual(completed.status, 'completed');
+		assert.strictEqual(completed.file.name, `${job.id}.csv`);
+		assert.strictEqual(completed.file.path, path.join(storageDir, `${job.id}.csv`));
+		assert.match(completed.file.downloadName, /^orders-export-[\dT-]+\.csv$/);
+		assert.match(completed.downloadToken, /^[a-f0-9]{64}$/);
+		assert(completed.expiresAt > new Date(Date.now() + 59 * 60 * 1000));
+		assert.strictEqual(completed.progress.processed, 2);
+		assert.strictEqual(completed.progress.percent, 100);
+
+		const content = fs.readFileSync(completed.file.path, 'utf8');
+		assert.strictEqual(completed.file.size, Buffer.byteLength(content));
+		assert.strictEqual(content, 'External Serial Number\nSN123\nSN456');
+		assert.deepStrictEqual(fs.readdirSync(storageDir), [`${job.id}.csv`]);
+	});
+
+	await t.test('should report progress while writing', async() => {
+		const {service, mocks} = createTestWorker();
+		const job = await queueAndClaim(mocks.exportJobModel, {format: 'ndjson', filters: {}});
+
+		await service.runJob(job);
+
+		assert.deepStrictEqual(
+			mocks.exportJobModel.progressUpdates.map(progress => progress.processed),
+			[0, 2],
+		);
+		assert.strictEqual(mocks.exportJobModel.progressUpdates[0].total, 2);
+	});
+
+	await t.test('should use the format extension', async() => {
+		const {service, mocks} = createTestWorker();
+		const job = await queueAndClaim(mocks.exportJobModel, {format: 'xlsx', filters: {}});
+
+		await service.runJob(job);
+
+		assert.strictEqual(mocks.exportJobModel.jobs[job.id].file.name, `${job.id}.xlsx`);
+	});
+
+	await t.test('should fail the job and remove the partial file', async() => {
+		const orderModel = createMockOrderModel({getAllThrows: 'Cursor killed'});
+		const {service, storageDir, mocks} = createTestWorker({orderModel});
+		const job = await queueAndClaim(mocks.exportJobModel, {format: 'csv', filters: {}});
+
+		const written = await service.runJob(job);
+
+		assert.strictEqual(written, false);
+		assert.strictEqual(mocks.exportJobModel.jobs[job.id].status, 'failed');
+		assert.deepStrictEqual(mocks.exportJobModel.jobs[job.id].failure, {message: 'Cursor killed'});
+		assert.strictEqual(mocks.exportJobModel.jobs[job.id].downloadToken, null);
+		assert.deepStrictEqual(fs.readdirSync(storageDir), []);
+		assert.strictEqual(service.getStatus().currentJobId, null);
+	});
+
+	await t.test('should drain the queue one job at a time', async() => {
+		const {service, mocks} = createTestWorker();
+		await mocks.exportJobModel.create({format: 'csv', filters: {}});
+		await mocks.exportJobModel.create({format: 'xml', filters: {shopId: 'shop-a'}});
+
+		await service.processQueue();
+
+		const statuses = Object.values(mocks.exportJobModel.jobs).map(job => job.status);
+		assert.deepStrictEqual(statuses, ['completed', 'completed']);
+		assert.strictEqual(service.getStatus().isRunning, false);
+	});
+
+	await t.test('should skip polling while a job is running', async() => {
+		const {service, mocks} = createTestWorker();
+		await mocks.exportJobModel.create({format: 'csv', filters: {}});
+
+		service.isRunning = true;
+		await service.processQueue();
+
+		const [job] = Object.values(mocks.exportJobModel.jobs);
+		assert.strictEqual(job.status, 'queued');
+	});
+});
+
+test('ExportJobService - Cleanup Tests', async(t) => {
+
+	await t.test('should remove expired artifacts and expire their jobs', async() => {
+		const {service, storageDir, mocks} = createTestWorker();
+		const artifactPath = path.join(storageDir, 'expired.csv');
+		fs.writeFileSync(artifactPath, 'External Serial Number\r\n');
+
+		const {id} = mockExportJobs.completed;
+		mocks.exportJobModel.jobs[id] = {
+			...mockExportJobs.completed,
+			file: {...mockExportJobs.completed.file, path: artifactPath},
+			expiresAt: new Date('2024-01-07T10:00:00Z'),
+		};
+
+		const count = await service.cleanupExpiredArtifacts(new Date('2024-01-08T00:00:00Z'));
+
+		assert.strictEqual(count, 1);
+		assert.strictEqual(fs.existsSync(artifactPath), false);
+		assert.strictEqual(mocks.exportJobModel.jobs[id].status, 'expired');
+		assert.strictEqual(mocks.exportJobModel.jobs[id].downloadToken, null);
+	});
+
+	await t.test('should keep artifacts whose links are still valid', async() => {
+		const exportJobModel = createMockExportJobModel({jobs: [mockExportJobs.completed]});
+		const {service} = createTestWorker({exportJobModel});
+
+		const count = await service.cleanupExpiredArtifacts(new Date('2024-01-08T00:00:00Z'));
+
+		assert.strictEqual(count, 0);
+		assert.strictEqual(exportJobModel.jobs[mockExportJobs.completed.id].status, 'completed');
+	});
+
+	await t.test('should expire jobs whose artifact is already gone', async() => {
+		const exportJobModel = createMockExportJobModel({
+			jobs: [{...mockExportJobs.completed, expiresAt: new Date('2024-01-07T10:00:00Z')}],
+		});
+		const {service} = createTestWorker({exportJobModel});
+
+		const count = await service.cleanupExpiredArtifacts(new Date('2024-01-08T00:00:00Z'));
+
+		assert.strictEqual(count, 1);
+		assert.strictEqual(exportJobModel.jobs[mockExportJobs.completed.id].status, 'expired');
+	});
+});
@@ -2,20 +2,105 @@ const idosell = require('idosell').default || require('idosell');
 const moment = require('moment');
 const config = require('../config');
 const orderModel = require('../models/order-model');
+const syncStateModel = require('../models/sync-state-model');
+const backfillModel = require('../models/backfill-model');
+const orderEventModel = require('../models/order-event-model');
+const orderAnomalyModel = require('../models/order-anomaly-model');
+const syncRunModel = require('../models/sync-run-model');
+const webhookSubscriptionModel = require('../models/webhook-subscription-model');
 const UtilsService = require('./utils-service');
+const CircuitBreakerService = require('./circuit-breaker-service');
+const ExchangeRateService = require('./exchange-rate-service');
+const WebhookService = require('./webhook-service');
 const _ = require('lodash');
 
+/**
+ * Version of the raw IdoSell payload envelope stored on each order.
+ * Bump when the shape of `raw` changes so older documents can be told apart.
+ */
+const RAW_PAYLOAD_VERSION = 1;
+
+/**
+ * Page size used when paginating ordersRange searches
+ */
+const ORDERS_PAGE_LIMIT = 100;
+
+/**
+ * Orders loaded and written per bulk write when saving downloaded orders
+ */
+const SAVE_BATCH_SIZE = 500;
+
+/**
+ * Active IdoSell statuses an order can move between while it is being processed
+ */
+const ACTIVE_STATUSES = [
+	'new',
+	'payment_waiting',
+	'delivery_waiting',
+	'on_order',
+	'packed',
+	'ready',
+	'suspended',
+];
+
+/**
+ * Allowed IdoSell status transitions (from → to)
+ * Active statuses may move freely between each other; final and cancelled statuses
+ * only allow the corrections IdoSell itself performs (e.g. a lost parcel being delivered)
+ */
+const ORDER_STATUS_TRANSITIONS = {
+	..._.fromPairs(_.map(ACTIVE_STATUSES, status => [
+		status,
+		[..._.without(ACTIVE_STATUSES, status), 'joined', 'finished_ext', 'finished', 'lost', 'false', 'canceled'],
+	])),
+	joined: ['canceled'],
+	finished_ext: ['finished', 'lost'],
+	finished: [],
+	lost: ['finished'],
+	false: [],
+	canceled: [],
+};
+
 /**
  * External API Service - Handles communication with Idosell API
+ * One instance talks to a single shop; every order, cursor and event it writes is tagged with its shopId
  * Note: All date/time operations use UTC timezone for consistency
  */
 class ExternalApiService {
-	constructor() {
-		this.shopUrl = config.idosell.shopUrl;
-		this.apiKey = config.idosell.apiKey;
-		this.apiVersion = config.idosell.apiVersion;
+	/**
+	 * @param {Object} shop - Shop configuration (default: first configured shop)
+	 * @param {string} shop.id - Shop ID stored on every order
+	 * @param {string} shop.shopUrl - IdoSell shop URL
+	 * @param {string} shop.apiKey - IdoSell API key
+	 * @param {string} shop.apiVersion - IdoSell API version
+	 */
+	constructor(shop = config.shops[0]) {
+		this.shopId = shop.id;
+		this.shopUrl = shop.shopUrl;
+		this.apiKey = shop.apiKey;
+		this.apiVersion = shop.apiVersion;
 		this.idosellClient = null;
 
+		// Unset or invalid environment values fall back to the defaults
+		const resilience = _.defaults(
+			_.pickBy(config.idosellResilience, value => _.isFinite(value) && value >= 0),
+			{
+				retries: 3,
+				baseDelayMs: 500,
+				maxDelayMs: 10000,
+				failureThreshold: 5,
+				resetTimeoutMs: 60000,
+			},
+		);
+		this.retryOptions = _.pick(resilience, ['retries', 'baseDelayMs', 'maxDelayMs']);
+		this.circuitBreaker = new CircuitBreakerService({
+			name: `idosell:${this.shopId}`,
+			failureThreshold: resilience.failureThreshold,
+			resetTimeoutMs: resilience.resetTimeoutMs,
+		});
+		this.exchangeRateService = new ExchangeRateService();
+		this.webhookService = new WebhookService();
+
 		// IdoSell API ordersDateType constants
 		this.DATE_TYPES = {
 			ADD: 'add', // Date order was placed
@@ -25,6 +110,14 @@ class ExternalApiService {
 			LAST_PAYMENTS_OPERATION: 'last_payments_operation', // Date of last payment operation
 			DECLARED_PAYMENTS: 'declared_payments', // Date of last payment
 		};
+
+		// orderDetails field holding the date each ordersDateType filters on
+		this.DATE_TYPE_FIELDS = {
+			[this.DATE_TYPES.ADD]: 'orderAddDate',
+			[this.DATE_TYPES.MODIFIED]: 'orderChangeDate',
+			[this.DATE_TYPES.DISPATCH]: 'orderDispatchDate',
+			[this.DATE_TYPES.PAYMENT]: 'orderPaymentDate',
+		};
 	}
 
 	/**
@@ -33,19 +126,41 @@ class ExternalApiService {
 	initializeClient() {
 		if (!this.shopUrl || !this.apiKey) {
 			console.warn(
-				'Warning: Idosell credentials not configured. Set IDOSELL_SHOP_URL and IDOSELL_API_KEY environment variables.',
+				`Warning: Idosell credentials not configured for shop '${this.shopId}'. Set IDOSELL_SHOP_URL and IDOSELL_API_KEY environment variables or add them to IDOSELL_SHOPS_FILE.`,
 			);
 			return;
 		}
 
 		try {
 			this.idosellClient = idosell(this.shopUrl, this.apiKey, this.apiVersion);
-			console.log('Idosell API client initialized');
+			console.log(`Idosell API client initialized for shop '${this.shopId}'`);
 		} catch (error) {
 			console.error('Failed to initialize Idosell client:', error.message);
 		}
 	}
 
+	/**
+	 * Call the IdoSell API with retries and this shop's circuit breaker
+	 * @param {Function} apiCall - Async function that makes the IdoSell API call
+	 * @param {string} label - Call description for logs
+	 * @returns {Promise<Object>} API response
+	 */
+	callIdosell(apiCall, label) {
+		return UtilsService.callIdosellWithRetry(apiCall, {
+			...this.retryOptions,
+			circuitBreaker: this.circuitBreaker,
+			label: `${label} [${this.shopId}]`,
+		});
+	}
+
+	/**
+	 * Get the IdoSell circuit breaker status for health reporting
+	 * @returns {Object} Circuit breaker status
+	 */
+	getCircuitBreakerStatus() {
+		return this.circuitBreaker.getStatus();
+	}
+
 	/**
 	 * Check if the API client is ready, initialize if needed (lazy initialization)
 	 * @returns {boolean} True if client is initialized
@@ -109,6 +224,25 @@ class ExternalApiService {
 		return moment.utc(date).format('YYYY-MM-DD HH:mm:ss');
 	}
 
+	/**
+	 * Parse an IdoSell date string (YYYY-MM-DD HH:mm:ss, UTC) into a Date
+	 * Placeholder values such as "0000-00-00 00:00:00" are treated as missing
+	 * @param {string|Date|null} value - Date value from IdoSell
+	 * @returns {Date|null} Parsed date or null if missing/invalid
+	 */
+	parseDateTime(value) {
+		if (_.isNil(value) || value === '') {
+			return null;
+		}
+
+		if (_.isDate(value)) {
+			return _.isNaN(value.getTime()) ? null : value;
+		}
+
+		const parsed = moment.utc(value, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD', moment.ISO_8601], true);
+		return parsed.isValid() ? parsed.toDate() : null;
+	}
+
 	/**
 	 * Create ordersRange object for IdoSell API
 	 * @param {Object} options - Range options
@@ -166,9 +300,12 @@ class ExternalApiService {
 				dateType,
 			});
 
-			const {Results, resultsNumberAll} = await this.idosellClient.searchOrders
-				.ordersRange(ordersRangeQuery.ordersRange)
-				.exec();
+			const {Results, resultsNumberAll} = await this.callIdosell(
+				() => this.idosellClient.searchOrders
+					.ordersRange(ordersRangeQuery.ordersRange)
+					.exec(),
+				'Orders time window search',
+			);
 
 			console.log(`Successfully downloaded ${resultsNumberAll || 0} orders within ${minutes} minute time window`);
 			return Results || [];
@@ -183,6 +320,101 @@ class ExternalApiService {
 		}
 	}
 
+	/**
+	 * Download all orders within an explicit date range, following IdoSell pagination
+	 * @param {Object} options - Range options
+	 * @param {Date|moment|string} options.dateFrom - Start date
+	 * @param {Date|moment|string} options.dateTo - End date
+	 * @param {string} options.dateType - Type of date (use DATE_TYPES constants)
+	 * @returns {Promise<Array>} Array of downloaded orders
+	 */
+	async downloadOrdersByDateRange(options = {}) {
+		const {dateFrom, dateTo, dateType = this.DATE_TYPES.ADD} = options;
+
+		if (!this.isReady()) {
+			throw new Error(
+				'Idosell API client not initialized. Check your credentials.',
+			);
+		}
+
+		const ordersRangeQuery = this.createOrdersRange({dateFrom, dateTo, dateType});
+		const {ordersDateBegin, ordersDateEnd} = ordersRangeQuery.ordersRange.ordersDateRange;
+
+		console.log(`Time range: ${ordersDateBegin} UTC to ${ordersDateEnd} UTC (${dateType} date)`);
+
+		try {
+			let allOrders = [];
+			let totalPages = 1;
+
+			for (let currentPage = 0; currentPage < totalPages; currentPage++) {
+				const response = await this.callIdosell(
+					() => this.idosellClient.searchOrders
+						.ordersRange(ordersRangeQuery.ordersRange)
+						.page(currentPage, ORDERS_PAGE_LIMIT)
+						.exec(),
+					`Orders date range search (page ${currentPage + 1})`,
+				);
+
+				allOrders = _.concat(allOrders, _.get(response, 'Results', []));
+				totalPages = _.get(response, 'resultsNumberPage', 1);
+
+				// Small delay to avoid overwhelming the API
+				if (currentPage < totalPages - 1) {
+					await new Promise((resolve) => setTimeout(resolve, 500));
+				}
+			}
+
+			console.log(`Successfully downloaded ${allOrders.length} orders from ${totalPages} page(s)`);
+			return allOrders;
+		} catch (error) {
+			if (UtilsService.isIdosellEmptyResultError(error)) {
+				console.log('No orders found in the requested date range');
+				return [];
+			}
+			console.error('Failed to download orders by date range:', error.message);
+			throw new Error(`Failed to download orders: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Resolve the incremental sync window for a date type
+	 * Resumes from the persisted high-water mark (minus overlap) or falls back to a lookback window
+	 * @param {Object} options - Window options
+	 * @param {string} options.dateType - Type of date (use DATE_TYPES constants)
+	 * @param {number} options.fallbackMinutes - Lookback used when no cursor has been stored yet
+	 * @param {number} options.overlapMinutes - Minutes re-queried before the cursor
+	 * @param {boolean} options.useSyncCursor - Whether to read the persisted cursor (default: true)
+	 * @returns {Promise<Object>} Window with dateFrom, dateTo and the stored cursor
+	 */
+	async getSyncWindow(options = {}) {
+		const {dateType, fallbackMinutes, overlapMinutes, useSyncCursor = true} = options;
+
+		const cursor = useSyncCursor ? await syncStateModel.getCursor(this.shopId, dateType) : null;
+		const dateTo = this.getCurrentUtcTime();
+		const dateFrom = cursor
+			? moment.utc(cursor).subtract(overlapMinutes, 'minutes')
+			: this.getCurrentUtcTime().subtract(fallbackMinutes, 'minutes');
+
+		return {dateFrom, dateTo, cursor};
+	}
+
+	/**
+	 * Compute the new high-water mark after a successful save
+	 * Uses the latest processed date for the date type, or the window end when nothing was found
+	 * @param {Array} orders - Orders that were saved
+	 * @param {string} dateType - Type of date (use DATE_TYPES constants)
+	 * @param {moment} windowEnd - End of the queried window
+	 * @returns {Date} New cursor value
+	 */
+	getHighWaterMark(orders, dateType, windowEnd) {
+		const field = this.DATE_TYPE_FIELDS[dateType];
+		const dates = field
+			? _.compact(_.map(orders, order => this.parseDateTime(_.get(order, ['orderDetails', field]))))
+			: [];
+
+		return _.isEmpty(dates) ? windowEnd.toDate() : _.maxBy(dates, date => date.getTime());
+	}
+
 	/**
 	 * Download newly added orders using exact scheduler config values
 	 * This is the most convenient method for scheduler operations
@@ -238,7 +470,7 @@ class ExternalApiService {
 				request = request.status(status);
 			}
 
-			const {Results} = await request.exec();
+			const {Results} = await this.callIdosell(() => request.exec(), `Orders search (page ${page})`);
 
 			return Results || [];
 		} catch (error) {
@@ -262,9 +494,12 @@ class ExternalApiService {
 		}
 
 		try {
-			const response = await this.idosellClient.searchOrders
-				.page(1, 100)
-				.exec();
+			const response = await this.callIdosell(
+				() => this.idosellClient.searchOrders
+					.page(1, 100)
+					.exec(),
+				'Pagination info',
+			);
 
 			return {
 				totalOrders: _.get(response, 'resultsNumberAll', 0),
@@ -342,47 +577,379 @@ class ExternalApiService {
 		}
 	}
 
+	/**
+	 * Transform Idosell order line items to our internal format
+	 * @param {Array|Object} productsResults - orderDetails.productsResults from Idosell API
+	 * @returns {Array} Typed line items
+	 */
+	transformOrderProducts(productsResults) {
+		return _.map(productsResults, (product) => ({
+			productId: _.get(product, 'productId'),
+			productQuantity: _.get(product, 'productQuantity'),
+			productName: _.get(product, 'productName', null),
+			productSku: _.get(product, 'productCode', null),
+			productSizeId: _.get(product, 'sizeId', null),
+			productSizeName: _.get(product, 'sizePanelName', null),
+			productUnitPrice: _.get(product, 'productOrderPrice', null),
+			productVat: _.get(product, 'productVat', null),
+		}));
+	}
+
+	/**
+	 * Transform Idosell client account data to a customer sub-document
+	 * @param {Object} clientResult - clientResult from Idosell API
+	 * @returns {Object} Customer details
+	 */
+	transformCustomer(clientResult) {
+		const account = _.get(clientResult, 'clientAccount', {});
+		const billing = _.get(clientResult, 'clientBillingAddress', {});
+
+		return {
+			externalId: _.get(account, 'clientId', null),
+			login: _.get(account, 'clientLogin', null),
+			email: _.get(account, 'clientEmail', null),
+			firstName: _.get(billing, 'clientFirstName', _.get(account, 'clientFirstName', null)),
+			lastName: _.get(billing, 'clientLastName', _.get(account, 'clientLastName', null)),
+			company: _.get(billing, 'clientFirm', null),
+			phone: _.get(account, 'clientPhone1', _.get(billing, 'clientPhone1', null)),
+			billingAddress: {
+				street: _.get(billing, 'clientStreet', null),
+				zipCode: _.get(billing, 'clientZipCode', null),
+				city: _.get(billing, 'clientCity', null),
+				country: _.get(billing, 'clientCountryName', null),
+			},
+		};
+	}
+
+	/**
+	 * Transform Idosell delivery address and dispatch data to a delivery sub-document
+	 * @param {Object} clientResult - clientResult from Idosell API
+	 * @param {Object} orderDetails - orderDetails from Idosell API
+	 * @returns {Object} Delivery details
+	 */
+	transformDelivery(clientResult, orderDetails) {
+		const address = _.get(clientResult, 'clientDeliveryAddress', {});
+		const dispatch = _.get(orderDetails, 'dispatch', {});
+
+		return {
+			firstName: _.get(address, 'clientDeliveryAddressFirstName', null),
+			lastName: _.get(address, 'clientDeliveryAddressLastName', null),
+			company: _.get(address, 'clientDeliveryAddressFirm', null),
+			street: _.get(address, 'clientDeliveryAddressStreet', null),
+			zipCode: _.get(address, 'clientDeliveryAddressZipCode', null),
+			city: _.get(address, 'clientDeliveryAddressCity', null),
+			country: _.get(address, 'clientDeliveryAddressCountry', null),
+			phone: _.get(address, 'clientDeliveryAddressPhone1', null),
+			courierId: _.get(dispatch, 'courierId', null),
+			courierName: _.get(dispatch, 'courierName', null),
+			cost: _.get(orderDetails, 'payments.orderCurrency.orderDeliveryCost', null),
+		};
+	}
+
 	/**
 	 * Transform Idosell order data to our internal format
 	 * @param {Object} externalOrder - Order data from Idosell API
 	 * @returns {Object} Transformed order data
 	 */
 	transformOrderData(externalOrder) {
-		const {orderDetails} = externalOrder;
+		const {orderDetails, clientResult} = externalOrder;
 		const paymentInfo = _.get(orderDetails, 'payments', {});
 		const currencyInfo = _.get(paymentInfo, 'orderCurrency', {});
 		const productsResults = _.get(orderDetails, 'productsResults', {});
 
 		return {
+			shopId: this.shopId,
 			externalId: _.get(externalOrder, 'orderId', '').toString(),
 			externalSerialNumber: _.get(externalOrder, 'orderSerialNumber', null).toString(),
 			currency: _.get(currencyInfo, 'currencyId', 'unknown'),
-			orderProducts: _.map(productsResults, (product) => ({
-				productId: _.get(product, 'productId'),
-				productQuantity: _.get(product, 'productQuantity'),
-			})),
+			orderProducts: this.transformOrderProducts(productsResults),
 			orderProductsCost: _.get(currencyInfo, 'orderProductsCost', 0),
 			status: _.get(externalOrder, 'orderDetails.orderStatus', 'unknown'),
-			externalCreatedAt: _.get(orderDetails, 'orderAddDate', 'unknown'),
-			externalUpdatedAt: _.get(orderDetails, 'orderChangeDate', 'unknown'),
+			customer: this.transformCustomer(clientResult),
+			delivery: this.transformDelivery(clientResult, orderDetails),
+			paymentMethod: _.get(paymentInfo, 'orderPaymentType', null),
+			orderDate: this.parseDateTime(_.get(orderDetails, 'orderAddDate')),
+			paymentDate: this.parseDateTime(_.get(orderDetails, 'orderPaymentDate')),
+			dispatchDate: this.parseDateTime(_.get(orderDetails, 'orderDispatchDate')),
+			externalCreatedAt: this.parseDateTime(_.get(orderDetails, 'orderAddDate')),
+			externalUpdatedAt: this.parseDateTime(_.get(orderDetails, 'orderChangeDate')),
+			raw: {
+				version: RAW_PAYLOAD_VERSION,
+				apiVersion: this.apiVersion,
+				payload: externalOrder,
+			},
+		};
+	}
+
+	/**
+	 * Re-derive internal order fields from the stored raw IdoSell payload
+	 * Lets new schema fields be populated without re-downloading orders
+	 * @param {Object} options - Re-derive options
+	 * @param {number} options.batchSize - Number of updates per bulk write (default: 500)
+	 * @returns {Promise<Object>} Re-derive results
+	 */
+	async rederiveOrdersFromRaw(options = {}) {
+		const {batchSize = 500} = options;
+		const {getDb} = require('../database/mongodb');
+		const results = {total: 0, updated: 0, errors: []};
+
+		const collection = getDb().collection('orders');
+		const query = {'raw.payload': {$exists: true}};
+
+		results.total = await collection.countDocuments(query);
+		console.log(`Found ${results.total} orders with a stored raw payload`);
+
+		if (results.total === 0) {
+			return results;
+		}
+
+		const progressBar = UtilsService.createProcessingProgressBar(results.total, 'Re-deriving orders');
+		const cursor = collection.find(query, {projection: {raw: 1}});
+
+		let operations = [];
+		const flush = async() => {
+			if (_.isEmpty(operations)) {
+				return;
+			}
+			try {
+				const {modifiedCount} = await collection.bulkWrite(operations, {ordered: false});
+				results.updated += modifiedCount;
+			} catch (error) {
+				results.errors.push(`Failed to write batch: ${error.message}`);
+			}
+			operations = [];
 		};
+
+		for await (const order of cursor) {
+			try {
+				const derived = _.omit(this.transformOrderData(order.raw.payload), ['raw', 'shopId', 'externalId']);
+				operations.push({
+					updateOne: {
+						filter: {_id: order._id},
+						update: {$set: derived},
+					},
+				});
+			} catch (error) {
+				results.errors.push(`Failed to re-derive order ${order._id}: ${error.message}`);
+			}
+
+			UtilsService.tickProgress(progressBar);
+
+			if (operations.length >= batchSize) {
+				await flush();
+			}
+		}
+
+		await flush();
+		return results;
+	}
+
+	/**
+	 * Backfill typed date fields on orders saved before they were persisted
+	 * Converts string externalCreatedAt/externalUpdatedAt values to Dates and derives orderDate
+	 * @param {Object} options - Migration options
+	 * @param {number} options.batchSize - Number of updates per bulk write (default: 500)
+	 * @returns {Promise<Object>} Migration results
+	 */
+	async backfillOrderDates(options = {}) {
+		const {batchSize = 500} = options;
+		const {getDb} = require('../database/mongodb');
+		const results = {total: 0, updated: 0, skipped: 0, errors: []};
+
+		const collection = getDb().collection('orders');
+		const query = {
+			$or: [
+				{orderDate: {$exists: false}},
+				{orderDate: null},
+				{externalCreatedAt: {$type: 'string'}},
+				{externalUpdatedAt: {$type: 'string'}},
+			],
+		};
+
+		results.total = await collection.countDocuments(query);
+		console.log(`Found ${results.total} orders needing date backfill`);
+
+		if (results.total === 0) {
+			return results;
+		}
+
+		const progressBar = UtilsService.createProcessingProgressBar(results.total, 'Migrating orders');
+		const cursor = collection.find(query, {
+			projection: {externalCreatedAt: 1, externalUpdatedAt: 1},
+		});
+
+		let operations = [];
+		const flush = async() => {
+			if (_.isEmpty(operations)) {
+				return;
+			}
+			try {
+				const {modifiedCount} = await collection.bulkWrite(operations, {ordered: false});
+				results.updated += modifiedCount;
+			} catch (error) {
+				results.errors.push(`Failed to write batch: ${error.message}`);
+			}
+			operations = [];
+		};
+
+		for await (const order of cursor) {
+			const externalCreatedAt = this.parseDateTime(order.externalCreatedAt);
+			const externalUpdatedAt = this.parseDateTime(order.externalUpdatedAt);
+
+			if (!externalCreatedAt) {
+				results.skipped++;
+				results.errors.push(`Order ${order._id} has no parseable creation date`);
+			} else {
+				operations.push({
+					updateOne: {
+						filter: {_id: order._id},
+						update: {
+							$set: {
+								orderDate: externalCreatedAt,
+								externalCreatedAt,
+								externalUpdatedAt,
+							},
+						},
+					},
+				});
+			}
+
+			UtilsService.tickProgress(progressBar);
+
+			if (operations.length >= batchSize) {
+				await flush();
+			}
+		}
+
+		await flush();
+		return results;
+	}
+
+	/**
+	 * Tag data saved before multi-shop support with this service's shop
+	 * Assigns shopId to legacy orders, status events and anomalies, moves cursors keyed by
+	 * date type alone to this shop and swaps the global externalId unique index for {shopId, externalId}
+	 * @returns {Promise<Object>} Migration results
+	 */
+	async assignShopToLegacyData() {
+		const {getDb} = require('../database/mongodb');
+		const db = getDb();
+		const legacyQuery = {shopId: {$exists: false}};
+		const results = {shopId: this.shopId, orders: 0, events: 0, anomalies: 0, syncStates: 0};
+
+		const collections = {orders: 'orders', events: 'order_events', anomalies: 'order_anomalies'};
+		for (const [key, name] of Object.entries(collections)) {
+			const {modifiedCount} = await db.collection(name).updateMany(
+				legacyQuery,
+				{$set: {shopId: this.shopId}},
+			);
+			results[key] = modifiedCount;
+		}
+
+		const syncStates = db.collection('sync_state');
+		for (const state of await syncStates.find(legacyQuery).toArray()) {
+			await syncStateModel.advanceCursor(this.shopId, state._id, state.lastProcessedAt);
+			await syncStates.deleteOne({_id: state._id});
+			results.syncStates++;
+		}
+
+		const orders = db.collection('orders');
+		if (await orders.indexExists('externalId_1')) {
+			await orders.dropIndex('externalId_1');
+		}
+		await orders.createIndex(
+			{shopId: 1, externalId: 1},
+			{name: 'shopId_1_externalId_1', unique: true},
+		);
+
+		return results;
+	}
+
+	/**
+	 * Record a status transition in the order history, queue its webhook events and flag it
+	 * if the transition map forbids it
+	 * Failures are logged but never abort the surrounding sync - the order itself is already saved
+	 * @param {Object} event - Status transition (see orderEventModel.recordStatusChange)
+	 * @param {Object|null} order - Saved order, when the sync has it at hand
+	 * @returns {Promise<Object|null>} Flagged anomaly or null
+	 */
+	async recordStatusChange(event, order = null) {
+		try {
+			await orderEventModel.recordStatusChange(event);
+		} catch (error) {
+			console.error(`Failed to record status history for ${event.externalId}:`, error.message);
+		}
+
+		await this.emitOrderWebhooks(event, order);
+
+		const type = this.getStatusTransitionAnomaly(event.oldStatus, event.newStatus);
+		if (!type) {
+			return null;
+		}
+
+		console.warn(`⚠️ Order ${event.externalId}: ${type} ${event.oldStatus} → ${event.newStatus}`);
+
+		try {
+			return await orderAnomalyModel.create({
+				shopId: event.shopId,
+				externalId: event.externalId,
+				type,
+				oldStatus: event.oldStatus,
+				newStatus: event.newStatus,
+				source: event.source,
+				externalChangedAt: event.externalChangedAt,
+			});
+		} catch (error) {
+			console.error(`Failed to record status anomaly for ${event.externalId}:`, error.message);
+			return {
+				externalId: event.externalId,
+				type,
+				oldStatus: event.oldStatus,
+				newStatus: event.newStatus,
+			};
+		}
+	}
+
+	/**
+	 * Get the fields of a transformed order that differ from the stored order
+	 * @param {Object} existingOrder - Order as stored in the database
+	 * @param {Object} transformedOrder - Order transformed from the IdoSell payload
+	 * @returns {Object} Changed fields - empty when an update would not change anything
+	 */
+	getChangedOrderFields(existingOrder, transformedOrder) {
+		return _.pickBy(
+			transformedOrder,
+			(value, key) => value !== undefined && !_.isEqual(value, existingOrder[key]),
+		);
 	}
 
 	/**
 	 * Save orders to database
+	 * Orders are written in batches: one query loads the stored orders of a batch and one bulk
+	 * write inserts the new ones and updates the changed ones. Unchanged orders are not written,
+	 * so their updatedAt keeps pointing at the last real change.
 	 * @param {Array} orders - Array of orders to save
 	 * @param {Object} options - Save options
 	 * @param {boolean} options.updateExisting - Whether to update existing orders (default: true)
+	 * @param {string} options.source - Status history source (default: scheduler)
+	 * @param {number} options.batchSize - Orders per bulk write (default: 500)
+	 * @param {AbortSignal} options.signal - Stops saving before the next batch (optional)
 	 * @returns {Promise<Object>} Save results
 	 */
 	async saveOrdersToDatabase(orders, options = {}) {
-		const {updateExisting = true} = options;
+		const {
+			updateExisting = true,
+			source = orderEventModel.STATUS_SOURCES.SCHEDULER,
+			batchSize = SAVE_BATCH_SIZE,
+			signal,
+		} = options;
 		const results = {
 			total: orders.length,
 			created: 0,
 			updated: 0,
 			skipped: 0,
 			errors: [],
+			anomalies: [],
 		};
 
 		if (_.isEmpty(orders)) {
@@ -395,6 +962,30 @@ class ExternalApiService {
 			'Saving orders',
 		);
 
+		for (const batch of _.chunk(orders, batchSize)) {
+			UtilsService.throwIfAborted(signal);
+			await this.saveOrderBatch(batch, {updateExisting, source}, results);
+
+			UtilsService.tickProgress(progressBar, {
+				created: results.created,
+				updated: results.updated,
+			}, batch.length);
+		}
+
+		return results;
+	}
+
+	/**
+	 * Save a single batch of orders with one lookup and one bulk write
+	 * @param {Array} orders - IdoSell orders of the batch
+	 * @param {Object} options - Save options (see saveOrdersToDatabase)
+	 * @param {Object} results - Save results, updated in place
+	 * @returns {Promise<void>}
+	 */
+	async saveOrderBatch(orders, options, results) {
+		const {updateExisting, source} = options;
+		let transformedOrders = [];
+
 		for (const order of orders) {
 			try {
 				const transformedOrder = this.transformOrderData(order);
@@ -404,100 +995,362 @@ class ExternalApiService {
 					results.errors.push(
 						`Order missing external ID: ${JSON.stringify(order)}`,
 					);
-					UtilsService.tickProgress(progressBar, {
-						created: results.created,
-						updated: results.updated,
-					});
 					continue;
 				}
 
-				// Check if order already exists
-				const existingOrder = await orderModel.getByExternalId(
-					transformedOrder.externalId,
-				);
-
-				if (existingOrder) {
-					if (updateExisting) {
-						await orderModel.updateByExternalId(
-							transformedOrder.externalId,
-							transformedOrder,
-						);
-						results.updated++;
-					} else {
-						results.skipped++;
-					}
-				} else {
-					await orderModel.create(transformedOrder);
-					results.created++;
-				}
+				transformedOrders.push(transformedOrder);
 			} catch (error) {
 				results.errors.push(`Failed to save order: ${error.message}`);
 			}
-
-			UtilsService.tickProgress(progressBar, {
-				created: results.created,
-				updated: results.updated,
-			});
 		}
 
-		return results;
-	}
+		if (_.isEmpty(transformedOrders)) {
+			return;
+		}
 
+		const operations = [];
+		const statusChanges = {};
+		let unchanged = 0;
+		let existingOrders = null;
+		let writeResults;
 
-	/**
-	 * Download and save newly added orders using scheduler configuration
-	 * @param {Object} options - Options
-	 * @param {number} options.lookbackMinutes - Override default lookback minutes
-	 * @param {string} options.dateType - Type of date ('add', 'modify', 'dispatch') - default: 'add'
-	 * @param {boolean} options.updateExisting - Whether to update existing orders (default: true)
-	 * @returns {Promise<Object>} Results object
-	 */
-	async downloadAndSaveNewlyAddedOrdersFromScheduler(options = {}) {
 		try {
-			const {
-				updateExisting = true,
-				dateType = this.DATE_TYPES.ADD,
-				minutes = config.scheduler.lookbackMinutes,
-			} = options;
+			// Base currency amounts are part of the order, so a newly loaded rate counts as a change
+			transformedOrders = await this.exchangeRateService.applyBaseAmounts(transformedOrders);
 
-			const orders = await this.downloadOrdersByTimeWindow({
-				minutes,
-				dateType,
-			});
+			existingOrders = _.keyBy(
+				await orderModel.getByExternalIds(_.map(transformedOrders, 'externalId'), this.shopId),
+				'externalId',
+			);
 
-			// Handle empty results gracefully - early return to avoid unnecessary database operations
-			if (_.isEmpty(orders)) {
-				console.log(`No new orders found in ${minutes} minute scheduler window (${dateType} date) - skipping database operations`);
-				return {
-					success: true,
-					downloaded: 0,
-					lookbackMinutes: minutes,
-					dateType,
-					total: 0,
-					created: 0,
-					updated: 0,
+			for (const transformedOrder of transformedOrders) {
+				const {externalId} = transformedOrder;
+				const existingOrder = existingOrders[externalId];
+
+				if (!existingOrder) {
+					operations.push({externalId, insert: transformedOrder});
+					statusChanges[externalId] = {oldStatus: null, order: transformedOrder};
+					continue;
+				}
+
+				const changedFields = this.getChangedOrderFields(existingOrder, transformedOrder);
+
+				if (!updateExisting || _.isEmpty(changedFields)) {
+					unchanged++;
+					continue;
+				}
+
+				operations.push({externalId, update: changedFields});
+				if (existingOrder.status !== transformedOrder.status) {
+					statusChanges[externalId] = {
+						oldStatus: existingOrder.status,
+						order: transformedOrder,
+					};
+				}
+			}
+
+			writeResults = await orderModel.bulkUpsertByExternalId(operations, this.shopId);
+		} catch (error) {
+			// The lookup or the whole bulk write failed (e.g. lost connection)
+			const unsaved = existingOrders ? operations : transformedOrders;
+			for (const {externalId} of unsaved) {
+				results.errors.push(`Failed to save order ${externalId}: ${error.message}`);
+			}
+			results.skipped += unchanged;
+			return;
+		}
+
+		results.created += writeResults.created.length;
+		results.updated += writeResults.updated.length;
+		results.skipped += unchanged + writeResults.existing.length;
+		for (const {externalId, message} of writeResults.errors) {
+			results.errors.push(`Failed to save order ${externalId}: ${message}`);
+		}
+
+		// An order listed twice in a batch (e.g. overlapping pages) is written twice, but changed once
+		for (const externalId of _.uniq(_.concat(writeResults.created, writeResults.updated))) {
+			const change = statusChanges[externalId];
+			if (!change) {
+				continue;
+			}
+
+			try {
+				const anomaly = await this.recordStatusChange({
+					shopId: this.shopId,
+					externalId,
+					oldStatus: change.oldStatus,
+					newStatus: change.order.status,
+					externalChangedAt: change.order.externalUpdatedAt,
+					source,
+				}, change.order);
+
+				if (anomaly) {
+					results.anomalies.push(anomaly);
+				}
+			} catch (error) {
+				results.errors.push(`Failed to record status change of order ${externalId}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Queue the webhook events of a status transition
+	 * A new order emits order.created; a stored order emits order.status_changed, followed by
+	 * order.completed or order.cancelled when it reaches a final or cancelled status.
+	 * Backfills import history rather than live changes, so they emit nothing.
+	 * @param {Object} event - Status transition (see orderEventModel.recordStatusChange)
+	 * @param {Object|null} order - Saved order, included in the event data when given
+	 */
+	async emitOrderWebhooks(event, order = null) {
+		if (event.source === orderEventModel.STATUS_SOURCES.BACKFILL) {
+			return;
+		}
+
+		const {WEBHOOK_EVENT_TYPES} = webhookSubscriptionModel;
+		const types = [];
+
+		if (event.oldStatus === null) {
+			types.push(WEBHOOK_EVENT_TYPES.ORDER_CREATED);
+		} else {
+			types.push(WEBHOOK_EVENT_TYPES.ORDER_STATUS_CHANGED);
+
+			if (this.ORDER_STATUSES.FINAL.includes(event.newStatus)) {
+				types.push(WEBHOOK_EVENT_TYPES.ORDER_COMPLETED);
+			} else if (this.ORDER_STATUSES.CANCELLED.includes(event.newStatus)) {
+				types.push(WEBHOOK_EVENT_TYPES.ORDER_CANCELLED);
+			}
+		}
+
+		const data = {
+			..._.pick(event, ['shopId', 'externalId', 'oldStatus', 'newStatus', 'source', 'externalChangedAt']),
+			order: order ? _.omit(order, ['_id', 'raw']) : null,
+		};
+
+		for (const type of types) {
+			try {
+				await this.webhookService.emit(type, data);
+			} catch (error) {
+				console.error(`Failed to queue ${type} webhooks for ${event.externalId}:`, error.message);
+			}
+		}
+	}
+
+	/**
+	 * Download and save newly added orders using scheduler configuration, recorded as a sync run
+	 * @param {Object} options - Options (see syncNewlyAddedOrders)
+	 * @returns {Promise<Object>} Results object
+	 */
+	async downloadAndSaveNewlyAddedOrdersFromScheduler(options = {}) {
+		return this.trackSyncRun(
+			{
+				type: syncRunModel.SYNC_RUN_TYPES.INCREMENTAL,
+				source: options.source || orderEventModel.STATUS_SOURCES.SCHEDULER,
+			},
+			() => this.syncNewlyAddedOrders(options),
+		);
+	}
+
+	/**
+	 * Download and save newly added orders
+	 * Resumes from the persisted sync cursor for the date type; the cursor is advanced
+	 * only after every downloaded order has been saved without errors
+	 * @param {Object} options - Options
+	 * @param {number} options.minutes - Lookback minutes used when no sync cursor exists yet
+	 * @param {number} options.overlapMinutes - Minutes re-queried before the sync cursor
+	 * @param {string} options.dateType - Type of date ('add', 'modified', 'dispatch') - default: 'add'
+	 * @param {boolean} options.updateExisting - Whether to update existing orders (default: true)
+	 * @param {boolean} options.useSyncCursor - Resume from the persisted cursor (default: true)
+	 * @param {string} options.source - Status history source (default: scheduler)
+	 * @param {AbortSignal} options.signal - Stops the sync between steps, e.g. when the scheduler
+	 *   lease was lost (optional)
+	 * @returns {Promise<Object>} Results object
+	 */
+	async syncNewlyAddedOrders(options = {}) {
+		try {
+			const {
+				source = orderEventModel.STATUS_SOURCES.SCHEDULER,
+				updateExisting = true,
+				dateType = this.DATE_TYPES.ADD,
+				minutes = config.scheduler.lookbackMinutes,
+				overlapMinutes = config.scheduler.overlapMinutes || 5,
+				useSyncCursor = true,
+				signal,
+			} = options;
+
+			const {dateFrom, dateTo, cursor} = await this.getSyncWindow({
+				dateType,
+				fallbackMinutes: minutes,
+				overlapMinutes,
+				useSyncCursor,
+			});
+
+			if (cursor) {
+				console.log(`Resuming ${dateType} sync from cursor ${this.formatDateTime(cursor)} UTC (${overlapMinutes} minute overlap)`);
+			}
+
+			const orders = await this.downloadOrdersByDateRange({
+				dateFrom,
+				dateTo,
+				dateType,
+			});
+			UtilsService.throwIfAborted(signal);
+
+			const syncWindow = {
+				dateFrom: dateFrom.toDate(),
+				dateTo: dateTo.toDate(),
+			};
+
+			// Handle empty results gracefully - early return to avoid unnecessary database operations
+			if (_.isEmpty(orders)) {
+				console.log(`No new orders found in scheduler window (${dateType} date) - skipping database operations`);
+				const emptyResults = {
+					success: true,
+					downloaded: 0,
+					lookbackMinutes: minutes,
+					dateType,
+					window: syncWindow,
+					total: 0,
+					created: 0,
+					updated: 0,
 					skipped: 0,
 					errors: [],
 				};
+
+				if (useSyncCursor) {
+					emptyResults.cursor = await this.advanceSyncCursor(dateType, orders, dateTo);
+				}
+
+				return emptyResults;
 			}
 
-			const saveResults = await this.saveOrdersToDatabase(orders, {updateExisting});
+			const saveResults = await this.saveOrdersToDatabase(orders, {
+				updateExisting,
+				source,
+				signal,
+			});
+			UtilsService.throwIfAborted(signal);
 
-			return _.assign(
+			const results = _.assign(
 				{
 					success: true,
 					downloaded: orders.length,
 					lookbackMinutes: minutes,
 					dateType,
+					window: syncWindow,
 				},
 				saveResults,
 			);
+
+			if (useSyncCursor) {
+				if (_.isEmpty(saveResults.errors)) {
+					results.cursor = await this.advanceSyncCursor(dateType, orders, dateTo);
+				} else {
+					console.warn(`⚠️  ${saveResults.errors.length} order(s) failed to save - ${dateType} sync cursor not advanced`);
+					results.cursor = cursor;
+				}
+			}
+
+			return results;
 		} catch (error) {
 			console.error('Scheduler download and save failed:', error.message);
 			throw error;
 		}
 	}
 
+	/**
+	 * Run a sync and record it in the sync run history, whether it succeeds or throws
+	 * @param {Object} details - Sync run details
+	 * @param {string} details.type - One of syncRunModel.SYNC_RUN_TYPES
+	 * @param {string} details.source - What triggered the run (see STATUS_SOURCES)
+	 * @param {Object} details.window - Queried window, if known up front
+	 * @param {Function} run - Async function performing the sync
+	 * @returns {Promise<Object>} Results of the sync
+	 */
+	async trackSyncRun(details, run) {
+		const startedAt = new Date();
+		let results = null;
+		let failure = null;
+
+		try {
+			results = await run();
+			return results;
+		} catch (error) {
+			failure = error;
+			throw error;
+		} finally {
+			await this.saveSyncRun(details, {startedAt, results, failure});
+		}
+	}
+
+	/**
+	 * Store a finished sync run - failures to store it are logged, never thrown
+	 * @param {Object} details - Sync run details (see trackSyncRun)
+	 * @param {Object} outcome - Run outcome
+	 * @param {Date} outcome.startedAt - Run start time
+	 * @param {Object|null} outcome.results - Sync results (null when the run threw)
+	 * @param {Error|null} outcome.failure - Exception that aborted the run
+	 * @returns {Promise<Object|null>} Stored sync run or null if it could not be saved
+	 */
+	async saveSyncRun(details, {startedAt, results, failure}) {
+		const {SYNC_RUN_STATUSES} = syncRunModel;
+		const errors = _.concat(
+			_.get(results, 'errors', []),
+			_.get(results, 'reconciliation.errors', []),
+		);
+
+		const counts = _.pickBy(_.omit(results, ['lookbackMinutes']), _.isNumber);
+		if (_.has(results, 'anomalies')) {
+			counts.anomalies = results.anomalies.length;
+		}
+		if (_.has(results, 'reconciliation')) {
+			counts.reconciliation = _.pickBy(results.reconciliation, _.isNumber);
+		}
+
+		let status = SYNC_RUN_STATUSES.SUCCESS;
+		if (failure) {
+			status = SYNC_RUN_STATUSES.FAILED;
+		} else if (!_.isEmpty(errors)) {
+			status = SYNC_RUN_STATUSES.COMPLETED_WITH_ERRORS;
+		}
+
+		const window = details.window || (_.has(results, 'window')
+			? {...results.window, dateType: results.dateType}
+			: null);
+
+		try {
+			return await syncRunModel.create({
+				shopId: this.shopId,
+				type: details.type,
+				source: details.source,
+				status,
+				startedAt,
+				finishedAt: new Date(),
+				window,
+				counts,
+				errors,
+				failure: failure
+					? {message: failure.message, code: failure.code || null, stack: failure.stack}
+					: null,
+			});
+		} catch (error) {
+			console.error(`⚠️ Failed to record ${details.type} sync run:`, error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Persist the new high-water mark for a date type
+	 * @param {string} dateType - Type of date (use DATE_TYPES constants)
+	 * @param {Array} orders - Orders that were saved successfully
+	 * @param {moment} windowEnd - End of the queried window
+	 * @returns {Promise<Date>} Stored cursor value
+	 */
+	async advanceSyncCursor(dateType, orders, windowEnd) {
+		const highWaterMark = this.getHighWaterMark(orders, dateType, windowEnd);
+		const state = await syncStateModel.advanceCursor(this.shopId, dateType, highWaterMark);
+		return _.get(state, 'lastProcessedAt', highWaterMark);
+	}
+
 	/**
 	 * Download and save ALL orders from IdoSell (simplified version)
 	 * @returns {Promise<Object>} Results object
@@ -505,7 +1358,9 @@ class ExternalApiService {
 	async downloadAndSaveAllOrders() {
 		try {
 			const orders = await this.downloadAllOrders();
-			const saveResults = await this.saveOrdersToDatabase(orders);
+			const saveResults = await this.saveOrdersToDatabase(orders, {
+				source: orderEventModel.STATUS_SOURCES.BACKFILL,
+			});
 
 			console.log('Download and save all orders completed:', saveResults);
 			return _.assign(
@@ -521,6 +1376,176 @@ class ExternalApiService {
 		}
 	}
 
+	/**
+	 * Split a date range into consecutive, non-overlapping chunks
+	 * @param {Date|moment|string} dateFrom - Start date (inclusive)
+	 * @param {Date|moment|string} dateTo - End date (inclusive)
+	 * @param {string} chunk - Chunk size: 'day' or 'week'
+	 * @returns {Array<Object>} Chunks with dateFrom/dateTo moments
+	 */
+	splitDateRange(dateFrom, dateTo, chunk = 'day') {
+		const chunks = [];
+		const end = moment.utc(dateTo);
+		let start = moment.utc(dateFrom);
+
+		while (start.isSameOrBefore(end)) {
+			const chunkEnd = moment.min(start.clone().add(1, chunk).subtract(1, 'second'), end);
+			chunks.push({dateFrom: start.clone(), dateTo: chunkEnd.clone()});
+			start = chunkEnd.clone().add(1, 'second');
+		}
+
+		return chunks;
+	}
+
+	/**
+	 * Backfill orders for an arbitrary historical date range, recorded as a sync run
+	 * @param {Object} options - Backfill options (see backfillOrderChunks)
+	 * @returns {Promise<Object>} Backfill results with per-chunk summaries
+	 */
+	async backfillOrders(options = {}) {
+		// A rerun without an end date resumes the range stored with the job
+		const storedJob = options.dateTo || options.restart
+			? null
+			: await backfillModel.get(this.getBackfillJobKey(options));
+		const window = {
+			dateFrom: moment.utc(options.dateFrom).toDate(),
+			dateTo: moment.utc(options.dateTo || _.get(storedJob, 'dateTo')).toDate(),
+			dateType: options.dateType || this.DATE_TYPES.ADD,
+			chunk: options.chunk || 'day',
+		};
+
+		return this.trackSyncRun(
+			{
+				type: syncRunModel.SYNC_RUN_TYPES.BACKFILL,
+				source: orderEventModel.STATUS_SOURCES.BACKFILL,
+				window,
+			},
+			() => this.backfillOrderChunks(options),
+		);
+	}
+
+	/**
+	 * Build the key of a backfill job - its shop, date type and start date
+	 * The end date is not part of the key, so a rerun without one finds the stored job
+	 * @param {Object} options - Backfill options (see backfillOrderChunks)
+	 * @returns {string} Backfill job key
+	 */
+	getBackfillJobKey(options) {
+		const dateType = options.dateType || this.DATE_TYPES.ADD;
+		return [this.shopId, dateType, moment.utc(options.dateFrom).toISOString()].join(':');
+	}
+
+	/**
+	 * Backfill orders chunk by chunk
+	 * The range is processed in day/week chunks; progress is persisted after each chunk so an
+	 * interrupted run resumes from the first chunk that did not complete cleanly
+	 * @param {Object} options - Backfill options
+	 * @param {Date|moment|string} options.dateFrom - Start date (inclusive)
+	 * @param {Date|moment|string} [options.dateTo] - End date (inclusive); a rerun without one
+	 *   resumes up to the end date stored with the job, a new job ends now
+	 * @param {string} options.dateType - Type of date (use DATE_TYPES constants)
+	 * @param {string} options.chunk - Chunk size: 'day' or 'week' (default: 'day')
+	 * @param {boolean} options.restart - Ignore stored progress and start from dateFrom
+	 * @param {Function} options.onChunk - Called with each chunk summary as it completes
+	 * @returns {Promise<Object>} Backfill results with per-chunk summaries
+	 */
+	async backfillOrderChunks(options = {}) {
+		const {
+			dateFrom,
+			dateTo,
+			dateType = this.DATE_TYPES.ADD,
+			chunk = 'day',
+			restart = false,
+			onChunk = _.noop,
+		} = options;
+
+		const rangeFrom = moment.utc(dateFrom);
+		const jobKey = this.getBackfillJobKey({dateFrom, dateType});
+
+		if (restart) {
+			await backfillModel.reset(jobKey);
+		}
+
+		const progress = await backfillModel.start(jobKey, {
+			shopId: this.shopId,
+			dateFrom: rangeFrom.toDate(),
+			dateTo: dateTo ? moment.utc(dateTo).toDate() : null,
+			dateType,
+			chunk,
+		});
+		const rangeTo = moment.utc(progress.dateTo);
+
+		const completedUntil = _.get(progress, 'completedUntil');
+		const allChunks = this.splitDateRange(rangeFrom, rangeTo, chunk);
+		const pendingChunks = completedUntil
+			? _.filter(allChunks, ({dateTo: chunkEnd}) => chunkEnd.isAfter(completedUntil))
+			: allChunks;
+
+		if (completedUntil) {
+			console.log(`Resuming backfill after ${this.formatDateTime(completedUntil)} UTC (${allChunks.length - pendingChunks.length} chunk(s) already done)`);
+		}
+
+		const results = {
+			success: true,
+			jobKey,
+			dateType,
+			totalChunks: allChunks.length,
+			resumedChunks: allChunks.length - pendingChunks.length,
+			downloaded: 0,
+			created: 0,
+			updated: 0,
+			skipped: 0,
+			errors: [],
+			chunks: [],
+		};
+
+		// The resume point only moves forward over contiguous clean chunks
+		let contiguous = true;
+
+		try {
+			for (const {dateFrom: chunkFrom, dateTo: chunkTo} of pendingChunks) {
+				const orders = await this.downloadOrdersByDateRange({
+					dateFrom: chunkFrom,
+					dateTo: chunkTo,
+					dateType,
+				});
+				const saveResults = await this.saveOrdersToDatabase(orders, {
+					source: orderEventModel.STATUS_SOURCES.BACKFILL,
+				});
+
+				const chunkSummary = {
+					dateFrom: chunkFrom.toDate(),
+					dateTo: chunkTo.toDate(),
+					downloaded: orders.length,
+					created: saveResults.created,
+					updated: saveResults.updated,
+					skipped: saveResults.skipped,
+					errors: saveResults.errors,
+				};
+
+				contiguous = contiguous && _.isEmpty(saveResults.errors);
+				const resumePoint = contiguous ? chunkSummary.dateTo : null;
+				await backfillModel.recordChunk(jobKey, chunkSummary, resumePoint);
+
+				results.chunks.push(chunkSummary);
+				results.downloaded += chunkSummary.downloaded;
+				results.created += chunkSummary.created;
+				results.updated += chunkSummary.updated;
+				results.skipped += chunkSummary.skipped;
+				results.errors = _.concat(results.errors, saveResults.errors);
+
+				onChunk(chunkSummary);
+			}
+		} catch (error) {
+			await backfillModel.finish(jobKey, 'failed');
+			console.error('Backfill failed:', error.message);
+			throw error;
+		}
+
+		await backfillModel.finish(jobKey, contiguous ? 'completed' : 'completed_with_errors');
+		return results;
+	}
+
 	/**
 	 * Order status constants for monitoring
 	 */
@@ -532,6 +1557,37 @@ class ExternalApiService {
 		};
 	}
 
+	/**
+	 * Allowed status transitions, keyed by the status an order moves from
+	 */
+	get ORDER_STATUS_TRANSITIONS() {
+		return ORDER_STATUS_TRANSITIONS;
+	}
+
+	/**
+	 * Classify a status transition against the transition map
+	 * Transitions involving statuses missing from the map are not judged
+	 * @param {string|null} oldStatus - Status before the transition (null for new orders)
+	 * @param {string} newStatus - Status after the transition
+	 * @returns {string|null} Anomaly type (see orderAnomalyModel.ANOMALY_TYPES) or null if allowed
+	 */
+	getStatusTransitionAnomaly(oldStatus, newStatus) {
+		const allowed = ORDER_STATUS_TRANSITIONS[oldStatus];
+
+		if (!allowed || !ORDER_STATUS_TRANSITIONS[newStatus] || oldStatus === newStatus) {
+			return null;
+		}
+
+		if (allowed.includes(newStatus)) {
+			return null;
+		}
+
+		const closedStatuses = _.concat(this.ORDER_STATUSES.FINAL, this.ORDER_STATUSES.CANCELLED);
+		return closedStatuses.includes(oldStatus) && ACTIVE_STATUSES.includes(newStatus)
+			? orderAnomalyModel.ANOMALY_TYPES.REOPENED
+			: orderAnomalyModel.ANOMALY_TYPES.ILLEGAL_TRANSITION;
+	}
+
 	/**
 	 * Get incomplete orders from database that need status checking
 	 * @param {number} lookbackMinutes - How many minutes back to avoid checking recently updated orders
@@ -546,6 +1602,7 @@ class ExternalApiService {
 			const cutoffTime = moment.utc().subtract(lookbackMinutes, 'minutes').toDate();
 
 			const query = {
+				shopId: this.shopId,
 				status: {$in: this.ORDER_STATUSES.INCOMPLETE},
 				updatedAt: {$lt: cutoffTime},
 			};
@@ -564,6 +1621,173 @@ class ExternalApiService {
 		}
 	}
 
+	/**
+	 * Get incomplete orders whose status has not been reconciled with IdoSell recently
+	 * Orders never reconciled come first, then the ones checked longest ago
+	 * @param {Object} options - Query options
+	 * @param {number} options.maxAgeHours - Orders refreshed within this many hours are skipped
+	 * @param {number} options.maxOrders - Maximum number of orders returned
+	 * @returns {Promise<Array>} Array of stale incomplete orders
+	 */
+	async getStaleIncompleteOrders(options = {}) {
+		const {maxAgeHours, maxOrders} = options;
+		const {getDb} = require('../database/mongodb');
+
+		try {
+			const db = getDb();
+			const collection = db.collection('orders');
+			const cutoffTime = moment.utc().subtract(maxAgeHours, 'hours').toDate();
+
+			const query = {
+				shopId: this.shopId,
+				status: {$in: this.ORDER_STATUSES.INCOMPLETE},
+				updatedAt: {$lt: cutoffTime},
+				$or: [
+					{statusCheckedAt: {$exists: false}},
+					{statusCheckedAt: {$lt: cutoffTime}},
+				],
+			};
+
+			const orders = await collection
+				.find(query, {projection: {raw: 0}, limit: maxOrders})
+				.sort({statusCheckedAt: 1, _id: 1})
+				.toArray();
+			console.log(`Found ${orders.length} stale incomplete orders needing reconciliation`);
+
+			return orders.map(order => ({
+				...order,
+				id: order._id.toString(),
+			}));
+		} catch (error) {
+			console.error('Failed to get stale incomplete orders:', error.message);
+			throw error;
+		}
+	}
+
+	/**
+	 * Fetch orders from IdoSell by their serial numbers
+	 * @param {Array<string>} serialNumbers - Order serial numbers
+	 * @returns {Promise<Array>} Orders found in IdoSell
+	 */
+	async downloadOrdersBySerialNumbers(serialNumbers) {
+		if (!this.isReady()) {
+			throw new Error('Idosell API client not initialized. Check your credentials.');
+		}
+
+		return UtilsService.handleIdosellApiCall(
+			() => this.idosellClient.searchOrders
+				.ordersSerialNumbers(_.map(serialNumbers, _.toNumber))
+				.exec(),
+			'None of the requested orders were found in IdoSell',
+			{
+				...this.retryOptions,
+				circuitBreaker: this.circuitBreaker,
+				label: `Orders serial number search [${this.shopId}]`,
+			},
+		);
+	}
+
+	/**
+	 * Reconcile stale incomplete orders by querying IdoSell for them explicitly
+	 * Covers status changes that happened outside the modified-date lookback window
+	 * @param {Object} options - Reconciliation options
+	 * @param {number} options.maxAgeHours - Re-check orders not refreshed within this many hours
+	 * @param {number} options.batchSize - Serial numbers per IdoSell request
+	 * @param {number} options.throttleMs - Delay between IdoSell requests
+	 * @param {number} options.maxOrders - Maximum orders reconciled per run
+	 * @param {string} options.source - Status history source (default: scheduler)
+	 * @param {AbortSignal} options.signal - Stops reconciling before the next batch (optional)
+	 * @returns {Promise<Object>} Reconciliation results
+	 */
+	async reconcileStaleOrders(options = {}) {
+		const reconciliationConfig = config.scheduler.reconciliation || {};
+		const {
+			maxAgeHours = reconciliationConfig.maxAgeHours || 6,
+			batchSize = reconciliationConfig.batchSize || 50,
+			throttleMs = reconciliationConfig.throttleMs || 1000,
+			maxOrders = reconciliationConfig.maxOrders || 500,
+			source = orderEventModel.STATUS_SOURCES.SCHEDULER,
+			signal,
+		} = options;
+
+		const results = {
+			checked: 0,
+			updated: 0,
+			completed: 0,
+			missing: 0,
+			batches: 0,
+			errors: [],
+			anomalies: [],
+		};
+
+		const staleOrders = await this.getStaleIncompleteOrders({maxAgeHours, maxOrders});
+
+		if (_.isEmpty(staleOrders)) {
+			return results;
+		}
+
+		const batches = _.chunk(staleOrders, batchSize);
+
+		for (const [index, batch] of batches.entries()) {
+			UtilsService.throwIfAborted(signal);
+
+			try {
+				const freshOrders = await this.downloadOrdersBySerialNumbers(
+					_.map(batch, 'externalSerialNumber'),
+				);
+				const freshBySerial = _.keyBy(
+					freshOrders,
+					order => _.toString(order.orderSerialNumber),
+				);
+
+				const statusUpdates = [];
+				for (const localOrder of batch) {
+					const freshOrder = freshBySerial[localOrder.externalSerialNumber];
+
+					if (!freshOrder) {
+						results.missing++;
+						continue;
+					}
+
+					const newStatus = _.get(freshOrder, 'orderDetails.orderStatus');
+					if (newStatus && newStatus !== localOrder.status) {
+						statusUpdates.push({
+							externalId: localOrder.externalId,
+							oldStatus: localOrder.status,
+							newStatus,
+							externalChangedAt: this.parseDateTime(_.get(freshOrder, 'orderDetails.orderChangeDate')),
+						});
+					}
+				}
+
+				const updateResults = await this.updateOrderStatuses(statusUpdates, {
+					source,
+					signal,
+				});
+				await orderModel.markStatusChecked(_.map(batch, 'externalId'), new Date(), this.shopId);
+
+				results.checked += batch.length;
+				results.updated += updateResults.updated;
+				results.completed += updateResults.completed;
+				results.errors = _.concat(results.errors, updateResults.errors);
+				results.anomalies = _.concat(results.anomalies, updateResults.anomalies);
+			} catch (error) {
+				const errorMsg = `Failed to reconcile batch ${index + 1}/${batches.length}: ${error.message}`;
+				results.errors.push(errorMsg);
+				console.error(errorMsg);
+			}
+
+			results.batches++;
+
+			// Throttle to stay well within IdoSell API limits
+			if (index < batches.length - 1) {
+				await new Promise((resolve) => setTimeout(resolve, throttleMs));
+			}
+		}
+
+		return results;
+	}
+
 	/**
 	 * Check order statuses with IdoSell API using modified date
 	 * @param {Array} orders - Array of orders to check
@@ -597,9 +1821,12 @@ class ExternalApiService {
 			let freshOrders = [];
 
 			try {
-				const {Results} = await this.idosellClient.searchOrders
-					.ordersRange(ordersRangeQuery.ordersRange)
-					.exec();
+				const {Results} = await this.callIdosell(
+					() => this.idosellClient.searchOrders
+						.ordersRange(ordersRangeQuery.ordersRange)
+						.exec(),
+					'Modified orders search',
+				);
 
 				freshOrders = Results || [];
 			} catch (apiError) {
@@ -628,6 +1855,7 @@ class ExternalApiService {
 							externalId: localOrder.externalId,
 							oldStatus: currentStatus,
 							newStatus: newStatus,
+							externalChangedAt: this.parseDateTime(_.get(freshOrder, 'orderDetails.orderChangeDate')),
 						});
 					}
 				}
@@ -643,26 +1871,45 @@ class ExternalApiService {
 	}
 
 	/**
-	 * Update order statuses in database
+	 * Update order statuses in database and record each transition in the status history
 	 * @param {Array} statusUpdates - Array of status updates
+	 * @param {Object} options - Update options
+	 * @param {string} options.source - Status history source (default: scheduler)
+	 * @param {AbortSignal} options.signal - Stops updating before the next order (optional)
 	 * @returns {Promise<Object>} Update results
 	 */
-	async updateOrderStatuses(statusUpdates) {
-		const results = {updated: 0, completed: 0, errors: []};
+	async updateOrderStatuses(statusUpdates, options = {}) {
+		const {source = orderEventModel.STATUS_SOURCES.SCHEDULER, signal} = options;
+		const results = {updated: 0, completed: 0, errors: [], anomalies: []};
 
 		if (_.isEmpty(statusUpdates)) {
 			return results;
 		}
 
 		for (const update of statusUpdates) {
+			UtilsService.throwIfAborted(signal);
+
 			try {
-				await orderModel.updateByExternalId(update.externalId, {
+				const order = await orderModel.updateByExternalId(update.externalId, {
 					status: update.newStatus,
-				});
+				}, this.shopId);
 
 				console.log(`Order ${update.externalId}: ${update.oldStatus} → ${update.newStatus}`);
 				results.updated++;
 
+				const anomaly = await this.recordStatusChange({
+					shopId: this.shopId,
+					externalId: update.externalId,
+					oldStatus: update.oldStatus,
+					newStatus: update.newStatus,
+					externalChangedAt: update.externalChangedAt,
+					source,
+				}, order);
+
+				if (anomaly) {
+					results.anomalies.push(anomaly);
+				}
+
 				// Check if order reached final status
 				if (this.ORDER_STATUSES.FINAL.includes(update.newStatus)) {
 					console.log(`🎉 Order ${update.externalId} completed with status: ${update.newStatus}`);
@@ -680,16 +1927,57 @@ class ExternalApiService {
 	}
 
 	/**
-	 * Main status monitoring job - checks and updates order statuses
+	 * Main status monitoring job, recorded as a sync run
+	 * @param {Object} options - Monitoring options (see monitorOrderStatuses)
+	 * @returns {Promise<Object>} Monitoring results
+	 */
+	async runStatusMonitoringJob(options = {}) {
+		return this.trackSyncRun(
+			{
+				type: syncRunModel.SYNC_RUN_TYPES.STATUS_MONITORING,
+				source: options.source || orderEventModel.STATUS_SOURCES.SCHEDULER,
+			},
+			() => this.monitorOrderStatuses(options),
+		);
+	}
+
+	/**
+	 * Stale order reconciliation job, recorded as a sync run
+	 * @param {Object} options - Reconciliation options (see reconcileStaleOrders)
+	 * @returns {Promise<Object>} Reconciliation results
+	 */
+	async runReconciliationJob(options = {}) {
+		return this.trackSyncRun(
+			{
+				type: syncRunModel.SYNC_RUN_TYPES.RECONCILIATION,
+				source: options.source || orderEventModel.STATUS_SOURCES.SCHEDULER,
+			},
+			() => this.reconcileStaleOrders(options),
+		);
+	}
+
+	/**
+	 * Check and update order statuses
+	 * Runs the modified-date pass followed by the stale order reconciliation pass
+	 * Anomalies flagged by either pass are collected in results.anomalies
 	 * @param {Object} options - Monitoring options
 	 * @param {number} options.lookbackMinutes - Minutes to avoid re-checking recently updated orders
 	 * @param {number} options.modifiedLookbackHours - Hours to look back for modified orders
+	 * @param {boolean} options.reconcile - Whether to run the reconciliation pass (default: true)
+	 * @param {Object} options.reconciliation - Reconciliation options (see reconcileStaleOrders)
+	 * @param {string} options.source - Status history source (default: scheduler)
+	 * @param {AbortSignal} options.signal - Stops monitoring between steps, e.g. when the scheduler
+	 *   lease was lost (optional)
 	 * @returns {Promise<Object>} Monitoring results
 	 */
-	async runStatusMonitoringJob(options = {}) {
+	async monitorOrderStatuses(options = {}) {
 		const {
 			lookbackMinutes = 15,
 			modifiedLookbackHours = 1,
+			reconcile = true,
+			reconciliation: reconciliationOptions = {},
+			source = orderEventModel.STATUS_SOURCES.SCHEDULER,
+			signal,
 		} = options;
 
 		console.log('🔍 Starting order status monitoring...');
@@ -697,39 +1985,72 @@ class ExternalApiService {
 		try {
 			const incompleteOrders = await this.getIncompleteOrders(lookbackMinutes);
 
+			const results = {
+				success: true,
+				checked: incompleteOrders.length,
+				updated: 0,
+				completed: 0,
+				errors: [],
+				anomalies: [],
+			};
+
 			if (incompleteOrders.length === 0) {
 				console.log('✅ No orders need status checking');
-				return {
-					success: true,
-					checked: 0,
-					updated: 0,
-					completed: 0,
-				};
-			}
+			} else {
+				const statusUpdates = await this.checkOrderStatusesWithIdosell(
+					incompleteOrders,
+					modifiedLookbackHours,
+				);
 
-			const statusUpdates = await this.checkOrderStatusesWithIdosell(
-				incompleteOrders,
-				modifiedLookbackHours,
-			);
+				const updateResults = await this.updateOrderStatuses(statusUpdates, {
+					source,
+					signal,
+				});
 
-			const updateResults = await this.updateOrderStatuses(statusUpdates);
+				results.updated = updateResults.updated;
+				results.completed = updateResults.completed;
+				results.errors = updateResults.errors;
+				results.anomalies = updateResults.anomalies;
 
-			const results = {
-				success: true,
-				checked: incompleteOrders.length,
-				updated: updateResults.updated,
-				completed: updateResults.completed,
-				errors: updateResults.errors,
-			};
+				console.log('✅ Status monitoring completed:', {
+					checked: results.checked,
+					updated: results.updated,
+					completed: results.completed,
+				});
 
-			console.log('✅ Status monitoring completed:', {
-				checked: results.checked,
-				updated: results.updated,
-				completed: results.completed,
-			});
+				if (updateResults.errors.length > 0) {
+					console.error('❌ Errors during status monitoring:', updateResults.errors);
+				}
+			}
+
+			if (reconcile) {
+				try {
+					results.reconciliation = await this.reconcileStaleOrders({
+						source,
+						...reconciliationOptions,
+						signal,
+					});
+				} catch (error) {
+					console.error('❌ Stale order reconciliation failed:', error.message);
+					results.reconciliation = {
+						checked: 0,
+						updated: 0,
+						completed: 0,
+						missing: 0,
+						batches: 0,
+						errors: [error.message],
+						anomalies: [],
+					};
+				}
+				// An aborted reconciliation stops the whole run, not only its own pass
+				UtilsService.throwIfAborted(signal);
+
+				results.anomalies = _.concat(results.anomalies, results.reconciliation.anomalies);
+				console.log('✅ Stale order reconciliation completed:', _.omit(results.reconciliation, ['errors', 'anomalies']));
+			}
 
-			if (updateResults.errors.length > 0) {
-				console.error('❌ Errors during status monitoring:', updateResults.errors);
+			if (results.anomalies.length > 0) {
+				console.warn(`⚠️ ${results.anomalies.length} status anomalies flagged for review`);
 			}
 
 			return results;
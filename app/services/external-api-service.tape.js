@@ -0,0 +1,1622 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const _ = require('lodash');
+const moment = require('moment');
+const {silenceConsole} = require('../test-helpers');
+
+silenceConsole();
+
+/**
+ * Sample IdoSell order as returned by searchOrders
+ */
+function createIdosellOrder(overrides = {}) {
+	return {
+		orderId: 'EXT123',
+		orderSerialNumber: 123,
+		orderDetails: {
+			orderStatus: 'new',
+			orderAddDate: '2024-01-01 10:00:00',
+			orderChangeDate: '2024-01-02 15:30:00',
+			orderPaymentDate: '2024-01-01 10:05:00',
+			orderDispatchDate: '0000-00-00 00:00:00',
+			payments: {
+				orderPaymentType: 'prepaid',
+				orderCurrency: {
+					currencyId: 'PLN',
+					orderProductsCost: 199.99,
+					orderDeliveryCost: 15,
+				},
+			},
+			dispatch: {
+				courierId: 7,
+				courierName: 'InPost',
+			},
+			productsResults: [
+				{
+					productId: 1,
+					productQuantity: 2,
+					productName: 'Climbing Harness',
+					productCode: 'HARN-01',
+					sizeId: 'M',
+					sizePanelName: 'Medium',
+					productOrderPrice: 89.99,
+					productVat: 23,
+				},
+			],
+			...overrides.orderDetails,
+		},
+		clientResult: {
+			clientAccount: {
+				clientId: 555,
+				clientLogin: 'jdoe',
+				clientEmail: 'jdoe@example.com',
+				clientPhone1: '+48 600 000 000',
+			},
+			clientBillingAddress: {
+				clientFirstName: 'Jan',
+				clientLastName: 'Doe',
+				clientStreet: 'Main 1',
+				clientZipCode: '00-001',
+				clientCity: 'Warsaw',
+				clientCountryName: 'Poland',
+			},
+			clientDeliveryAddress: {
+				clientDeliveryAddressFirstName: 'Anna',
+				clientDeliveryAddressLastName: 'Doe',
+				clientDeliveryAddressStreet: 'Side 2',
+				clientDeliveryAddressZipCode: '30-001',
+				clientDeliveryAddressCity: 'Krakow',
+				clientDeliveryAddressCountry: 'Poland',
+			},
+		},
+		..._.omit(overrides, 'orderDetails'),
+	};
+}
+
+/**
+ * In-memory sync state model keyed by "<shopId>:<dateType>"
+ */
+function createMockSyncStateModel(initialCursors = {}) {
+	const cursors = {...initialCursors};
+
+	return {
+		cursors,
+		getCursor: async(shopId, dateType) => cursors[`${shopId}:${dateType}`] || null,
+		advanceCursor: async(shopId, dateType, lastProcessedAt) => {
+			const stateId = `${shopId}:${dateType}`;
+			if (!cursors[stateId] || cursors[stateId] < lastProcessedAt) {
+				cursors[stateId] = lastProcessedAt;
+			}
+			return {_id: stateId, lastProcessedAt: cursors[stateId]};
+		},
+	};
+}
+
+/**
+ * In-memory backfill progress model keyed by job key
+ */
+function createMockBackfillModel() {
+	const jobs = {};
+
+	return {
+		jobs,
+		get: async(jobKey) => jobs[jobKey] || null,
+		start: async(jobKey, {dateTo, ...params}) => {
+			jobs[jobKey] = jobs[jobKey] || {
+				_id: jobKey, params, dateTo: dateTo || new Date(), completedUntil: null, chunks: [],
+			};
+			jobs[jobKey].status = 'running';
+			if (dateTo) {
+				jobs[jobKey].dateTo = dateTo;
+			}
+			return jobs[jobKey];
+		},
+		recordChunk: async(jobKey, chunkSummary, completedUntil) => {
+			jobs[jobKey].chunks.push(chunkSummary);
+			if (completedUntil) {
+				jobs[jobKey].completedUntil = completedUntil;
+			}
+		},
+		finish: async(jobKey, status) => {
+			jobs[jobKey].status = status;
+		},
+		reset: async(jobKey) => delete jobs[jobKey],
+	};
+}
+
+/**
+ * Order event model that keeps recorded status changes in memory
+ */
+function createMockOrderEventModel() {
+	return {
+		STATUS_SOURCES: {SCHEDULER: 'scheduler', BACKFILL: 'backfill', MANUAL: 'manual'},
+		events: [],
+		async recordStatusChange(event) {
+			this.events.push(event);
+			return event;
+		},
+	};
+}
+
+/**
+ * Order anomaly model that keeps flagged anomalies in memory
+ */
+function createMockOrderAnomalyModel() {
+	return {
+		ANOMALY_TYPES: {REOPENED: 'reopened', ILLEGAL_TRANSITION: 'illegal_transition'},
+		anomalies: [],
+		async create(anomaly) {
+			this.anomalies.push(anomaly);
+			return {...anomaly, state: 'open'};
+		},
+	};
+}
+
+/**
+ * Order model that keeps orders in memory and records lookups and bulk writes
+ * @param {Array} storedOrders - Orders already in the database
+ * @param {Object} options - Failure simulation
+ * @param {Array<string>} options.failingIds - External IDs whose writes fail
+ * @param {string} options.writeThrows - Error thrown by the whole bulk write
+ */
+function createMockOrderStore(storedOrders = [], options = {}) {
+	return {
+		orders: _.keyBy(storedOrders, 'externalId'),
+		lookups: [],
+		writes: [],
+		async getByExternalIds(externalIds, shopId) {
+			this.lookups.push({externalIds, shopId});
+			return _.compact(_.uniq(externalIds).map(externalId => this.orders[externalId]));
+		},
+		async bulkUpsertByExternalId(operations, shopId) {
+			this.writes.push({operations, shopId});
+			if (options.writeThrows) {
+				throw new Error(options.writeThrows);
+			}
+
+			const results = {created: [], updated: [], existing: [], errors: []};
+			for (const {externalId, insert, update} of operations) {
+				if (_.includes(options.failingIds, externalId)) {
+					results.errors.push({externalId, message: 'Write conflict'});
+				} else if (!insert) {
+					this.orders[externalId] = {...this.orders[externalId], ...update};
+					results.updated.push(externalId);
+				} else if (this.orders[externalId]) {
+					results.existing.push(externalId);
+				} else {
+					this.orders[externalId] = insert;
+					results.created.push(externalId);
+				}
+			}
+			return results;
+		},
+		updateByExternalId: async(externalId, orderData) => orderData,
+	};
+}
+
+/**
+ * Sync run model that keeps recorded runs in memory
+ */
+function createMockSyncRunModel() {
+	return {
+		SYNC_RUN_TYPES: {
+			INCREMENTAL: 'incremental',
+			STATUS_MONITORING: 'status_monitoring',
+			RECONCILIATION: 'reconciliation',
+			BACKFILL: 'backfill',
+		},
+		SYNC_RUN_STATUSES: {
+			SUCCESS: 'success',
+			COMPLETED_WITH_ERRORS: 'completed_with_errors',
+			FAILED: 'failed',
+		},
+		runs: [],
+		async create(run) {
+			this.runs.push(run);
+			return run;
+		},
+	};
+}
+
+/**
+ * Exchange rate service converting to PLN with fixed rates (currencies without a rate stay unconverted)
+ */
+function createMockExchangeRateService(rates = {PLN: 1, EUR: 4.3}) {
+	return {
+		async applyBaseAmounts(orders) {
+			return orders.map(order => {
+				const rate = rates[order.currency];
+				return {
+					...order,
+					baseCurrency: rate ? 'PLN' : null,
+					baseOrderProductsCost: rate ? _.round(order.orderProductsCost * rate, 2) : null,
+					exchangeRate: rate || null,
+					exchangeRateDate: null,
+				};
+			});
+		},
+	};
+}
+
+/**
+ * Webhook service that keeps emitted events in memory
+ */
+function createMockWebhookService() {
+	return {
+		events: [],
+		async emit(type, data) {
+			this.events.push({type, data});
+			return [];
+		},
+	};
+}
+
+/**
+ * Fake IdoSell client serving ordersRange searches from a list of pages
+ */
+function createMockIdosellClient(pages = [[]]) {
+	const client = {
+		requests: [],
+		searchOrders: {
+			ordersRange: (range) => ({
+				page: (page, limit) => ({
+					exec: async() => {
+						client.requests.push({range, page, limit});
+						if (_.isEmpty(pages[page])) {
+							const error = new Error('Empty result');
+							error.cause = {
+								faultCode: 2,
+								faultString: 'Wyszukiwarka zamówień: zwrócono pusty wynik',
+							};
+							throw error;
+						}
+						return {Results: pages[page], resultsNumberPage: pages.length};
+					},
+				}),
+			}),
+		},
+	};
+	return client;
+}
+
+/**
+ * Test setup - Creates ExternalApiService with mocked dependencies
+ */
+function createTestService(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './external-api-service.js');
+	delete require.cache[servicePath];
+
+	const mockIdosell = customMocks.idosell || (() => ({}));
+
+	const mockConfig = customMocks.config || {
+		shops: [{
+			id: 'shop-a',
+			shopUrl: 'https://shop.example.com',
+			apiKey: 'test-key',
+			apiVersion: 'v6',
+		}],
+		scheduler: {
+			intervalMinutes: 10,
+			lookbackMinutes: 30,
+		},
+	};
+
+	const mockOrderModel = customMocks.orderModel || createMockOrderStore();
+
+	const mockSyncStateModel = customMocks.syncStateModel || createMockSyncStateModel();
+	const mockBackfillModel = customMocks.backfillModel || createMockBackfillModel();
+	const mockOrderEventModel = customMocks.orderEventModel || createMockOrderEventModel();
+	const mockOrderAnomalyModel = customMocks.orderAnomalyModel || createMockOrderAnomalyModel();
+	const mockSyncRunModel = customMocks.syncRunModel || createMockSyncRunModel();
+	const mockExchangeRateService = customMocks.exchangeRateService
+		|| createMockExchangeRateService();
+	const mockWebhookService = customMocks.webhookService || createMockWebhookService();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === 'idosell') {
+			return mockIdosell;
+		}
+		if (id === '../config') {
+			return mockConfig;
+		}
+		if (id === '../models/order-model') {
+			return mockOrderModel;
+		}
+		if (id === '../models/sync-state-model') {
+			return mockSyncStateModel;
+		}
+		if (id === '../models/backfill-model') {
+			return mockBackfillModel;
+		}
+		if (id === '../models/order-event-model') {
+			return mockOrderEventModel;
+		}
+		if (id === '../models/order-anomaly-model') {
+			return mockOrderAnomalyModel;
+		}
+		if (id === '../models/sync-run-model') {
+			return mockSyncRunModel;
+		}
+		if (id === './exchange-rate-service') {
+			return function MockExchangeRateService() {
+				return mockExchangeRateService;
+			};
+		}
+		if (id === '../models/webhook-subscription-model') {
+			return {
+				WEBHOOK_EVENT_TYPES: {
+					ORDER_CREATED: 'order.created',
+					ORDER_STATUS_CHANGED: 'order.status_changed',
+					ORDER_COMPLETED: 'order.completed',
+					ORDER_CANCELLED: 'order.cancelled',
+				},
+			};
+		}
+		if (id === './webhook-service') {
+			return function MockWebhookService() {
+				return mockWebhookService;
+			};
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const ExternalApiService = require('./external-api-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		service: new ExternalApiService(customMocks.shop),
+		mocks: {
+			idosell: mockIdosell,
+			config: mockConfig,
+			orderModel: mockOrderModel,
+			syncStateModel: mockSyncStateModel,
+			backfillModel: mockBackfillModel,
+			orderEventModel: mockOrderEventModel,
+			orderAnomalyModel: mockOrderAnomalyModel,
+			syncRunModel: mockSyncRunModel,
+			webhookService: mockWebhookService,
+		},
+	};
+}
+
+/**
+ * Test Suite
+ */
+test('ExternalApiService - Date Parsing Tests', async(t) => {
+
+	await t.test('should parse IdoSell date strings as UTC', async() => {
+		const {service} = createTestService();
+
+		const date = service.parseDateTime('2024-01-01 10:00:00');
+
+		assert(date instanceof Date);
+		assert.strictEqual(date.toISOString(), '2024-01-01T10:00:00.000Z');
+	});
+
+	await t.test('should return null for placeholder and missing dates', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(service.parseDateTime('0000-00-00 00:00:00'), null);
+		assert.strictEqual(service.parseDateTime(''), null);
+		assert.strictEqual(service.parseDateTime(null), null);
+		assert.strictEqual(service.parseDateTime(undefined), null);
+		assert.strictEqual(service.parseDateTime('unknown'), null);
+	});
+
+	await t.test('should keep existing Date instances', async() => {
+		const {service} = createTestService();
+		const date = new Date('2024-01-01T10:00:00Z');
+
+		assert.strictEqual(service.parseDateTime(date), date);
+	});
+});
+
+test('ExternalApiService - Order Transformation Tests', async(t) => {
+
+	await t.test('should persist typed order, change, payment and dispatch dates', async() => {
+		const {service} = createTestService();
+
+		const transformed = service.transformOrderData(createIdosellOrder());
+
+		assert.strictEqual(transformed.orderDate.toISOString(), '2024-01-01T10:00:00.000Z');
+		assert.strictEqual(transformed.externalCreatedAt.toISOString(), '2024-01-01T10:00:00.000Z');
+		assert.strictEqual(transformed.externalUpdatedAt.toISOString(), '2024-01-02T15:30:00.000Z');
+		assert.strictEqual(transformed.paymentDate.toISOString(), '2024-01-01T10:05:00.000Z');
+		assert.strictEqual(transformed.dispatchDate, null);
+	});
+
+	await t.test('should map identifiers, currency, cost and status', async() => {
+		const {service} = createTestService();
+
+		const transformed = service.transformOrderData(createIdosellOrder());
+
+		assert.strictEqual(transformed.externalId, 'EXT123');
+		assert.strictEqual(transformed.externalSerialNumber, '123');
+		assert.strictEqual(transformed.currency, 'PLN');
+		assert.strictEqual(transformed.orderProductsCost, 199.99);
+		assert.strictEqual(transformed.status, 'new');
+		assert.strictEqual(transformed.paymentMethod, 'prepaid');
+	});
+
+	await t.test('should map typed line items', async() => {
+		const {service} = createTestService();
+
+		const transformed = service.transformOrderData(createIdosellOrder());
+
+		assert.deepStrictEqual(transformed.orderProducts, [{
+			productId: 1,
+			productQuantity: 2,
+			productName: 'Climbing Harness',
+			productSku: 'HARN-01',
+			productSizeId: 'M',
+			productSizeName: 'Medium',
+			productUnitPrice: 89.99,
+			productVat: 23,
+		}]);
+	});
+
+	await t.test('should map customer and delivery sub-documents', async() => {
+		const {service} = createTestService();
+
+		const {customer, delivery} = service.transformOrderData(createIdosellOrder());
+
+		assert.strictEqual(customer.externalId, 555);
+		assert.strictEqual(customer.email, 'jdoe@example.com');
+		assert.strictEqual(customer.firstName, 'Jan');
+		assert.strictEqual(customer.billingAddress.city, 'Warsaw');
+		assert.strictEqual(delivery.firstName, 'Anna');
+		assert.strictEqual(delivery.city, 'Krakow');
+		assert.strictEqual(delivery.courierName, 'InPost');
+		assert.strictEqual(delivery.cost, 15);
+	});
+
+	await t.test('should tolerate orders without client data', async() => {
+		const {service} = createTestService();
+		const order = _.omit(createIdosellOrder(), 'clientResult');
+
+		const {customer, delivery} = service.transformOrderData(order);
+
+		assert.strictEqual(customer.email, null);
+		assert.strictEqual(delivery.street, null);
+	});
+
+	await t.test('should keep the raw payload in a versioned envelope', async() => {
+		const {service} = createTestService();
+		const order = createIdosellOrder();
+
+		const {raw} = service.transformOrderData(order);
+
+		assert.strictEqual(raw.version, 1);
+		assert.strictEqual(raw.apiVersion, 'v6');
+		assert.strictEqual(raw.payload, order);
+	});
+});
+
+test('ExternalApiService - Incremental Sync Tests', async(t) => {
+
+	await t.test('should fall back to the lookback window when no cursor is stored', async() => {
+		const {service} = createTestService();
+		service.idosellClient = createMockIdosellClient();
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler({minutes: 30});
+
+		const windowMinutes = (results.window.dateTo - results.window.dateFrom) / 60000;
+		assert.strictEqual(Math.round(windowMinutes), 30);
+		assert.strictEqual(results.downloaded, 0);
+	});
+
+	await t.test('should resume from the stored cursor with overlap', async() => {
+		const cursor = new Date('2024-01-01T10:00:00Z');
+		const syncStateModel = createMockSyncStateModel({'shop-a:add': cursor});
+		const {service} = createTestService({syncStateModel});
+		const client = createMockIdosellClient();
+		service.idosellClient = client;
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler({
+			overlapMinutes: 5,
+		});
+
+		assert.strictEqual(results.window.dateFrom.toISOString(), '2024-01-01T09:55:00.000Z');
+		assert.strictEqual(
+			client.requests[0].range.ordersDateRange.ordersDateBegin,
+			'2024-01-01 09:55:00',
+		);
+	});
+
+	await t.test('should follow pagination across the whole window', async() => {
+		const {service} = createTestService();
+		const client = createMockIdosellClient([
+			[createIdosellOrder({orderId: 'A'})],
+			[createIdosellOrder({orderId: 'B'})],
+		]);
+		service.idosellClient = client;
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler();
+
+		assert.strictEqual(client.requests.length, 2);
+		assert.strictEqual(results.downloaded, 2);
+		assert.strictEqual(results.created, 2);
+	});
+
+	await t.test('should advance the cursor to the latest processed order date', async() => {
+		const cursor = new Date('2024-01-01T09:00:00Z');
+		const syncStateModel = createMockSyncStateModel({'shop-a:add': cursor});
+		const {service} = createTestService({syncStateModel});
+		service.idosellClient = createMockIdosellClient([[
+			createIdosellOrder({orderId: 'A', orderDetails: {orderAddDate: '2024-01-01 10:00:00'}}),
+			createIdosellOrder({orderId: 'B', orderDetails: {orderAddDate: '2024-01-01 11:30:00'}}),
+		]]);
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler();
+
+		assert.strictEqual(results.cursor.toISOString(), '2024-01-01T11:30:00.000Z');
+		assert.strictEqual(syncStateModel.cursors['shop-a:add'].toISOString(), '2024-01-01T11:30:00.000Z');
+	});
+
+	await t.test('should not advance the cursor when saving fails', async() => {
+		const cursor = new Date('2024-01-01T09:00:00Z');
+		const syncStateModel = createMockSyncStateModel({'shop-a:add': cursor});
+		const orderModel = createMockOrderStore([], {failingIds: ['EXT123']});
+		const {service} = createTestService({syncStateModel, orderModel});
+		service.idosellClient = createMockIdosellClient([[createIdosellOrder()]]);
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler();
+
+		assert.strictEqual(results.errors.length, 1);
+		assert.strictEqual(syncStateModel.cursors['shop-a:add'], cursor);
+	});
+
+	await t.test('should not touch the cursor when the download fails', async() => {
+		const cursor = new Date('2024-01-01T09:00:00Z');
+		const syncStateModel = createMockSyncStateModel({'shop-a:add': cursor});
+		const {service} = createTestService({syncStateModel});
+		service.idosellClient = {
+			searchOrders: {
+				ordersRange: () => ({
+					page: () => ({
+						exec: async() => {
+							throw new Error('ETIMEDOUT');
+						},
+					}),
+				}),
+			},
+		};
+
+		await assert.rejects(
+			() => service.downloadAndSaveNewlyAddedOrdersFromScheduler(),
+			/ETIMEDOUT/,
+		);
+		assert.strictEqual(syncStateModel.cursors['shop-a:add'], cursor);
+	});
+});
+
+test('ExternalApiService - Historical Backfill Tests', async(t) => {
+
+	await t.test('should split a range into day chunks without overlap', async() => {
+		const {service} = createTestService();
+
+		const chunks = service.splitDateRange('2024-01-01T00:00:00Z', '2024-01-03T12:00:00Z', 'day');
+
+		const formatted = chunks.map(({dateFrom, dateTo}) => [
+			service.formatDateTime(dateFrom),
+			service.formatDateTime(dateTo),
+		]);
+
+		assert.deepStrictEqual(
+			formatted,
+			[
+				['2024-01-01 00:00:00', '2024-01-01 23:59:59'],
+				['2024-01-02 00:00:00', '2024-01-02 23:59:59'],
+				['2024-01-03 00:00:00', '2024-01-03 12:00:00'],
+			],
+		);
+	});
+
+	await t.test('should split a range into week chunks', async() => {
+		const {service} = createTestService();
+
+		const chunks = service.splitDateRange('2024-01-01T00:00:00Z', '2024-01-31T23:59:59Z', 'week');
+
+		assert.strictEqual(chunks.length, 5);
+		assert.strictEqual(service.formatDateTime(chunks[1].dateFrom), '2024-01-08 00:00:00');
+	});
+
+	await t.test('should query each chunk and report per-chunk counts', async() => {
+		const {service} = createTestService();
+		const client = createMockIdosellClient([[createIdosellOrder()]]);
+		service.idosellClient = client;
+
+		const summaries = [];
+		const results = await service.backfillOrders({
+			dateFrom: '2024-01-01T00:00:00Z',
+			dateTo: '2024-01-02T23:59:59Z',
+			dateType: 'modified',
+			onChunk: summary => summaries.push(summary),
+		});
+
+		assert.strictEqual(client.requests.length, 2);
+		assert.strictEqual(client.requests[0].range.ordersDateRange.ordersDateType, 'modified');
+		assert.strictEqual(client.requests[1].range.ordersDateRange.ordersDateBegin, '2024-01-02 00:00:00');
+		assert.strictEqual(summaries.length, 2);
+		assert.strictEqual(results.created, 1);
+		assert.strictEqual(results.skipped, 1); // Both days return the same unchanged order
+		assert.strictEqual(results.chunks[0].created, 1);
+	});
+
+	await t.test('should resume after the last completed chunk', async() => {
+		const {service, mocks} = createTestService();
+		let failNextRequest = false;
+		let requestCount = 0;
+
+		service.downloadOrdersByDateRange = async() => {
+			requestCount++;
+			if (failNextRequest) {
+				throw new Error('Failed to download orders: ETIMEDOUT');
+			}
+			failNextRequest = requestCount === 1;
+			return [];
+		};
+
+		const options = {dateFrom: '2024-01-01T00:00:00Z', dateTo: '2024-01-03T23:59:59Z'};
+
+		await assert.rejects(() => service.backfillOrders(options), /ETIMEDOUT/);
+		const [job] = Object.values(mocks.backfillModel.jobs);
+		assert.strictEqual(job.status, 'failed');
+		assert.strictEqual(job.completedUntil.toISOString(), '2024-01-01T23:59:59.000Z');
+
+		failNextRequest = false;
+		const results = await service.backfillOrders(options);
+
+		assert.strictEqual(results.resumedChunks, 1);
+		assert.strictEqual(results.chunks.length, 2);
+		assert.strictEqual(job.status, 'completed');
+	});
+
+	await t.test('should resume a run without an end date up to the stored end date', async() => {
+		const {service, mocks} = createTestService();
+		let requestCount = 0;
+
+		service.downloadOrdersByDateRange = async() => {
+			requestCount++;
+			if (requestCount === 2) {
+				throw new Error('Failed to download orders: ETIMEDOUT');
+			}
+			return [];
+		};
+
+		const dateFrom = moment.utc().subtract(2, 'days').startOf('day').toDate();
+
+		await assert.rejects(() => service.backfillOrders({dateFrom}), /ETIMEDOUT/);
+		const [job] = Object.values(mocks.backfillModel.jobs);
+		const storedDateTo = job.dateTo;
+
+		const results = await service.backfillOrders({dateFrom});
+
+		assert.strictEqual(Object.keys(mocks.backfillModel.jobs).length, 1);
+		assert.strictEqual(results.resumedChunks, 1);
+		assert.strictEqual(results.chunks.length, results.totalChunks - 1);
+		assert.strictEqual(job.dateTo, storedDateTo);
+		assert.strictEqual(job.status, 'completed');
+	});
+
+	await t.test('should not move the resume point past a chunk with save errors', async() => {
+		const orderModel = createMockOrderStore([], {failingIds: ['EXT123']});
+		const {service, mocks} = createTestService({orderModel});
+		service.idosellClient = createMockIdosellClient([[createIdosellOrder()]]);
+
+		const results = await service.backfillOrders({
+			dateFrom: '2024-01-01T00:00:00Z',
+			dateTo: '2024-01-02T23:59:59Z',
+		});
+
+		const [job] = Object.values(mocks.backfillModel.jobs);
+		assert.strictEqual(results.errors.length, 2);
+		assert.strictEqual(job.completedUntil, null);
+		assert.strictEqual(job.status, 'completed_with_errors');
+	});
+});
+
+test('ExternalApiService - Stale Order Reconciliation Tests', async(t) => {
+
+	/**
+	 * Build a service whose stale order query and IdoSell lookups are stubbed
+	 */
+	function createReconciliationService(staleOrders, freshOrders) {
+		const calls = {serialNumbers: [], updates: [], marked: []};
+		const orderModel = {
+			updateByExternalId: async(externalId, data) => {
+				calls.updates.push({externalId, ...data});
+			},
+			markStatusChecked: async(externalIds) => {
+				calls.marked.push(externalIds);
+			},
+		};
+		const {service} = createTestService({orderModel});
+
+		service.getStaleIncompleteOrders = async() => staleOrders;
+		service.idosellClient = {
+			searchOrders: {
+				ordersSerialNumbers: (serialNumbers) => ({
+					exec: async() => {
+						calls.serialNumbers.push(serialNumbers);
+						const Results = freshOrders.filter(
+							order => serialNumbers.includes(order.orderSerialNumber),
+						);
+						return {Results};
+					},
+				}),
+			},
+		};
+
+		return {service, calls};
+	}
+
+	const staleOrders = [
+		{externalId: 'A', externalSerialNumber: '1', status: 'new'},
+		{externalId: 'B', externalSerialNumber: '2', status: 'packed'},
+		{externalId: 'C', externalSerialNumber: '3', status: 'new'},
+	];
+
+	await t.test('should query IdoSell by serial numbers in batches', async() => {
+		const {service, calls} = createReconciliationService(staleOrders, []);
+
+		const results = await service.reconcileStaleOrders({batchSize: 2, throttleMs: 0});
+
+		assert.deepStrictEqual(calls.serialNumbers, [[1, 2], [3]]);
+		assert.strictEqual(results.batches, 2);
+	});
+
+	await t.test('should update changed statuses and mark every checked order', async() => {
+		const freshOrders = [
+			createIdosellOrder({orderSerialNumber: 1, orderDetails: {orderStatus: 'finished'}}),
+			createIdosellOrder({orderSerialNumber: 2, orderDetails: {orderStatus: 'packed'}}),
+		];
+		const {service, calls} = createReconciliationService(staleOrders, freshOrders);
+
+		const results = await service.reconcileStaleOrders({batchSize: 10, throttleMs: 0});
+
+		assert.deepStrictEqual(calls.updates, [{externalId: 'A', status: 'finished'}]);
+		assert.deepStrictEqual(calls.marked, [['A', 'B', 'C']]);
+		assert.strictEqual(results.checked, 3);
+		assert.strictEqual(results.updated, 1);
+		assert.strictEqual(results.completed, 1);
+		assert.strictEqual(results.missing, 1);
+	});
+
+	await t.test('should record batch failures and continue with the next batch', async() => {
+		const {service, calls} = createReconciliationService(staleOrders, []);
+		let requestCount = 0;
+		const originalLookup = service.downloadOrdersBySerialNumbers.bind(service);
+		service.downloadOrdersBySerialNumbers = async(serialNumbers) => {
+			requestCount++;
+			if (requestCount === 1) {
+				throw new Error('ETIMEDOUT');
+			}
+			return originalLookup(serialNumbers);
+		};
+
+		const results = await service.reconcileStaleOrders({batchSize: 2, throttleMs: 0});
+
+		assert.strictEqual(results.errors.length, 1);
+		assert(results.errors[0].includes('batch 1/2'));
+		assert.strictEqual(results.checked, 1);
+		assert.deepStrictEqual(calls.marked, [['C']]);
+	});
+
+	await t.test('should stop the monitoring run when reconciliation was aborted', async() => {
+		const {service, calls} = createReconciliationService(staleOrders, []);
+		service.getIncompleteOrders = async() => [];
+		const controller = new AbortController();
+		service.downloadOrdersBySerialNumbers = async() => {
+			controller.abort(new Error('Scheduler lease lost'));
+			return [];
+		};
+
+		await assert.rejects(
+			() => service.monitorOrderStatuses({
+				reconciliation: {batchSize: 2, throttleMs: 0},
+				signal: controller.signal,
+			}),
+			/Scheduler lease lost/,
+		);
+
+		assert.deepStrictEqual(calls.marked, [['A', 'B']]);
+	});
+
+	await t.test('should report reconciliation alongside the monitoring summary', async() => {
+		const {service} = createReconciliationService(staleOrders, []);
+		service.getIncompleteOrders = async() => [];
+
+		const results = await service.runStatusMonitoringJob({
+			reconciliation: {batchSize: 10, throttleMs: 0},
+		});
+
+		assert.strictEqual(results.success, true);
+		assert.strictEqual(results.checked, 0);
+		assert.strictEqual(results.reconciliation.checked, 3);
+		assert.strictEqual(results.reconciliation.missing, 3);
+	});
+
+	await t.test('should skip reconciliation when disabled', async() => {
+		const {service} = createReconciliationService(staleOrders, []);
+		service.getIncompleteOrders = async() => [];
+
+		const results = await service.runStatusMonitoringJob({reconcile: false});
+
+		assert.strictEqual(results.reconciliation, undefined);
+	});
+});
+
+test('ExternalApiService - Status History Tests', async(t) => {
+
+	await t.test('should record the initial status of newly created orders', async() => {
+		const {service, mocks} = createTestService();
+
+		await service.saveOrdersToDatabase([createIdosellOrder()], {source: 'backfill'});
+
+		assert.strictEqual(mocks.orderEventModel.events.length, 1);
+		const [event] = mocks.orderEventModel.events;
+		assert.strictEqual(event.oldStatus, null);
+		assert.strictEqual(event.newStatus, 'new');
+		assert.strictEqual(event.source, 'backfill');
+		assert.strictEqual(event.externalChangedAt.toISOString(), '2024-01-02T15:30:00.000Z');
+	});
+
+	await t.test('should record transitions detected while syncing existing orders', async() => {
+		const orderModel = createMockOrderStore([{externalId: 'EXT123', status: 'new'}]);
+		const {service, mocks} = createTestService({orderModel});
+		const order = createIdosellOrder({orderDetails: {orderStatus: 'packed'}});
+
+		await service.saveOrdersToDatabase([order, createIdosellOrder()]);
+
+		assert.strictEqual(mocks.orderEventModel.events.length, 1);
+		assert.strictEqual(mocks.orderEventModel.events[0].oldStatus, 'new');
+		assert.strictEqual(mocks.orderEventModel.events[0].newStatus, 'packed');
+		assert.strictEqual(mocks.orderEventModel.events[0].source, 'scheduler');
+	});
+
+	await t.test('should record status monitoring updates with their source', async() => {
+		const orderModel = {updateByExternalId: async() => ({})};
+		const {service, mocks} = createTestService({orderModel});
+		const externalChangedAt = new Date('2024-01-03T08:00:00Z');
+
+		await service.updateOrderStatuses([
+			{externalId: 'EXT123', oldStatus: 'packed', newStatus: 'ready', externalChangedAt},
+		], {source: 'manual'});
+
+		assert.deepStrictEqual(mocks.orderEventModel.events, [{
+			shopId: 'shop-a',
+			externalId: 'EXT123',
+			oldStatus: 'packed',
+			newStatus: 'ready',
+			externalChangedAt,
+			source: 'manual',
+		}]);
+	});
+
+	await t.test('should not fail the update when history cannot be recorded', async() => {
+		const orderModel = {updateByExternalId: async() => ({})};
+		const orderEventModel = createMockOrderEventModel();
+		orderEventModel.recordStatusChange = async() => {
+			throw new Error('Database unavailable');
+		};
+		const {service} = createTestService({orderModel, orderEventModel});
+
+		const results = await service.updateOrderStatuses([
+			{externalId: 'EXT123', oldStatus: 'packed', newStatus: 'finished'},
+		]);
+
+		assert.strictEqual(results.updated, 1);
+		assert.strictEqual(results.completed, 1);
+		assert.deepStrictEqual(results.errors, []);
+	});
+});
+
+test('ExternalApiService - Webhook Event Tests', async(t) => {
+
+	await t.test('should emit order.created with the saved order for new orders', async() => {
+		const {service, mocks} = createTestService();
+
+		await service.saveOrdersToDatabase([createIdosellOrder()]);
+
+		assert.strictEqual(mocks.webhookService.events.length, 1);
+		const [{type, data}] = mocks.webhookService.events;
+		assert.strictEqual(type, 'order.created');
+		assert.strictEqual(data.shopId, 'shop-a');
+		assert.strictEqual(data.externalId, 'EXT123');
+		assert.strictEqual(data.oldStatus, null);
+		assert.strictEqual(data.newStatus, 'new');
+		assert.strictEqual(data.source, 'scheduler');
+		assert.strictEqual(data.order.externalSerialNumber, '123');
+		assert.strictEqual(data.order.orderProductsCost, 199.99);
+		assert(!('raw' in data.order));
+	});
+
+	await t.test('should emit order.status_changed for status changes of stored orders', async() => {
+		const orderModel = createMockOrderStore([{externalId: 'EXT123', status: 'new'}]);
+		const {service, mocks} = createTestService({orderModel});
+
+		await service.saveOrdersToDatabase([createIdosellOrder({orderDetails: {orderStatus: 'packed'}})]);
+
+		assert.deepStrictEqual(mocks.webhookService.events.map(event => event.type), [
+			'order.status_changed',
+		]);
+		assert.strictEqual(mocks.webhookService.events[0].data.oldStatus, 'new');
+		assert.strictEqual(mocks.webhookService.events[0].data.order.status, 'packed');
+	});
+
+	await t.test('should emit order.completed and order.cancelled from status monitoring', async() => {
+		const orderModel = {
+			updateByExternalId: async(externalId, data, shopId) => ({
+				_id: `id-${externalId}`,
+				id: `id-${externalId}`,
+				shopId,
+				externalId,
+				status: data.status,
+				raw: {},
+			}),
+		};
+		const {service, mocks} = createTestService({orderModel});
+
+		await service.updateOrderStatuses([
+			{externalId: 'EXT123', oldStatus: 'packed', newStatus: 'finished'},
+			{externalId: 'EXT456', oldStatus: 'new', newStatus: 'canceled'},
+			{externalId: 'EXT789', oldStatus: 'new', newStatus: 'packed'},
+		]);
+
+		assert.deepStrictEqual(
+			mocks.webhookService.events.map(({type, data}) => `${data.externalId} ${type}`),
+			[
+				'EXT123 order.status_changed',
+				'EXT123 order.completed',
+				'EXT456 order.status_changed',
+				'EXT456 order.cancelled',
+				'EXT789 order.status_changed',
+			],
+		);
+		assert.deepStrictEqual(mocks.webhookService.events[0].data.order, {
+			id: 'id-EXT123',
+			shopId: 'shop-a',
+			externalId: 'EXT123',
+			status: 'finished',
+		});
+		assert.strictEqual(mocks.webhookService.events[2].data.order.status, 'canceled');
+	});
+
+	await t.test('should not emit events for backfilled history', async() => {
+		const {service, mocks} = createTestService();
+
+		await service.saveOrdersToDatabase([createIdosellOrder()], {source: 'backfill'});
+
+		assert.strictEqual(mocks.orderEventModel.events.length, 1);
+		assert.deepStrictEqual(mocks.webhookService.events, []);
+	});
+
+	await t.test('should not fail the update when events cannot be queued', async() => {
+		const orderModel = {updateByExternalId: async() => ({})};
+		const webhookService = {
+			emit: async() => {
+				throw new Error('Database unavailable');
+			},
+		};
+		const {service} = createTestService({orderModel, webhookService});
+
+		const results = await service.updateOrderStatuses([
+			{externalId: 'EXT123', oldStatus: 'packed', newStatus: 'finished'},
+		]);
+
+		assert.strictEqual(results.updated, 1);
+		assert.strictEqual(results.completed, 1);
+		assert.deepStrictEqual(results.errors, []);
+	});
+});
+
+test('ExternalApiService - Status Anomaly Tests', async(t) => {
+
+	await t.test('should allow forward and corrective transitions', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(service.getStatusTransitionAnomaly('new', 'packed'), null);
+		assert.strictEqual(service.getStatusTransitionAnomaly('packed', 'new'), null);
+		assert.strictEqual(service.getStatusTransitionAnomaly('ready', 'finished'), null);
+		assert.strictEqual(service.getStatusTransitionAnomaly('lost', 'finished'), null);
+		assert.strictEqual(service.getStatusTransitionAnomaly(null, 'finished'), null);
+	});
+
+	await t.test('should flag reopened final and cancelled orders', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(service.getStatusTransitionAnomaly('finished', 'new'), 'reopened');
+		assert.strictEqual(service.getStatusTransitionAnomaly('canceled', 'packed'), 'reopened');
+	});
+
+	await t.test('should flag other transitions missing from the map', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(service.getStatusTransitionAnomaly('finished', 'canceled'), 'illegal_transition');
+		assert.strictEqual(service.getStatusTransitionAnomaly('finished_ext', 'ready'), 'illegal_transition');
+	});
+
+	await t.test('should not judge statuses missing from the map', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(service.getStatusTransitionAnomaly('finished', 'returned'), null);
+		assert.strictEqual(service.getStatusTransitionAnomaly('missing', 'new'), null);
+	});
+
+	await t.test('should record anomalies and still apply the IdoSell status', async() => {
+		const updatedStatuses = [];
+		const orderModel = {
+			updateByExternalId: async(externalId, data) => updatedStatuses.push(data.status),
+		};
+		const {service, mocks} = createTestService({orderModel});
+
+		const results = await service.updateOrderStatuses([
+			{externalId: 'EXT123', oldStatus: 'finished', newStatus: 'new'},
+			{externalId: 'EXT124', oldStatus: 'new', newStatus: 'packed'},
+		], {source: 'manual'});
+
+		assert.deepStrictEqual(updatedStatuses, ['new', 'packed']);
+		assert.strictEqual(results.updated, 2);
+		assert.strictEqual(results.anomalies.length, 1);
+		assert.strictEqual(mocks.orderAnomalyModel.anomalies.length, 1);
+		assert.strictEqual(mocks.orderAnomalyModel.anomalies[0].externalId, 'EXT123');
+		assert.strictEqual(mocks.orderAnomalyModel.anomalies[0].type, 'reopened');
+		assert.strictEqual(mocks.orderAnomalyModel.anomalies[0].source, 'manual');
+	});
+
+	await t.test('should report anomalies in the monitoring job result', async() => {
+		const {service} = createTestService({
+			orderModel: {updateByExternalId: async() => ({})},
+		});
+		service.getIncompleteOrders = async() => [{externalId: 'EXT123', status: 'packed'}];
+		service.checkOrderStatusesWithIdosell = async() => [
+			{externalId: 'EXT123', oldStatus: 'canceled', newStatus: 'packed'},
+		];
+
+		const results = await service.runStatusMonitoringJob({reconcile: false});
+
+		assert.strictEqual(results.anomalies.length, 1);
+		assert.strictEqual(results.anomalies[0].type, 'reopened');
+	});
+});
+
+test('ExternalApiService - Multi-shop Tests', async(t) => {
+
+	await t.test('should default to the first configured shop', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(service.shopId, 'shop-a');
+		assert.strictEqual(service.shopUrl, 'https://shop.example.com');
+	});
+
+	await t.test('should tag transformed orders with the shop', async() => {
+		const {service} = createTestService({
+			shop: {id: 'shop-b', shopUrl: 'https://b.example.com', apiKey: 'b-key', apiVersion: 'v6'},
+		});
+
+		const transformed = service.transformOrderData(createIdosellOrder());
+
+		assert.strictEqual(transformed.shopId, 'shop-b');
+	});
+
+	await t.test('should scope order lookups and updates to the shop', async() => {
+		const orderModel = createMockOrderStore([{externalId: 'EXT123', status: 'new'}]);
+		const {service} = createTestService({
+			orderModel,
+			shop: {id: 'shop-b', shopUrl: 'https://b.example.com', apiKey: 'b-key'},
+		});
+
+		await service.saveOrdersToDatabase([createIdosellOrder()]);
+
+		assert.deepStrictEqual(orderModel.lookups, [{externalIds: ['EXT123'], shopId: 'shop-b'}]);
+		assert.strictEqual(orderModel.writes[0].shopId, 'shop-b');
+		assert.strictEqual(orderModel.writes[0].operations[0].externalId, 'EXT123');
+	});
+
+	await t.test('should keep independent sync cursors per shop', async() => {
+		const syncStateModel = createMockSyncStateModel({
+			'shop-a:add': new Date('2024-01-01T10:00:00Z'),
+		});
+		const {service} = createTestService({
+			syncStateModel,
+			shop: {id: 'shop-b', shopUrl: 'https://b.example.com', apiKey: 'b-key'},
+		});
+
+		await service.advanceSyncCursor('add', [], moment.utc('2024-02-01T10:00:00Z'));
+
+		assert.strictEqual(syncStateModel.cursors['shop-a:add'].toISOString(), '2024-01-01T10:00:00.000Z');
+		assert.strictEqual(syncStateModel.cursors['shop-b:add'].toISOString(), '2024-02-01T10:00:00.000Z');
+	});
+});
+
+// Clean up require cache after tests
+test.after(() => {
+	const servicePath = path.resolve(__dirname, './external-api-service.js');
+	delete require.cache[servicePath];
+});
+
+test('ExternalApiService - Retry and Circuit Breaker Tests', async(t) => {
+
+	/**
+	 * Build a service with instant retries whose circuit opens after two failed calls
+	 */
+	function createResilientService() {
+		return createTestService({
+			config: {
+				shops: [{id: 'shop-a', shopUrl: 'https://shop.example.com', apiKey: 'test-key'}],
+				idosellResilience: {
+					retries: 2,
+					baseDelayMs: 0,
+					maxDelayMs: 0,
+					failureThreshold: 2,
+					resetTimeoutMs: 60000,
+				},
+			},
+		}).service;
+	}
+
+	/**
+	 * Build an API call that fails with the given errors before succeeding
+	 */
+	function createFlakyCall(errors) {
+		const call = async() => {
+			call.attempts++;
+			if (call.attempts <= errors.length) {
+				throw errors[call.attempts - 1];
+			}
+			return {Results: []};
+		};
+		call.attempts = 0;
+		return call;
+	}
+
+	/**
+	 * Error shaped like an HTTP failure response
+	 */
+	function createHttpError(status) {
+		const error = new Error(`Request failed with status code ${status}`);
+		error.response = {status};
+		return error;
+	}
+
+	await t.test('should retry transient failures and close the circuit on success', async() => {
+		const service = createResilientService();
+		const connectionReset = Object.assign(new Error('socket reset'), {code: 'ECONNRESET'});
+		const apiCall = createFlakyCall([createHttpError(503), connectionReset]);
+
+		const response = await service.callIdosell(apiCall, 'Test call');
+
+		assert.deepStrictEqual(response, {Results: []});
+		assert.strictEqual(apiCall.attempts, 3);
+		assert.strictEqual(service.getCircuitBreakerStatus().state, 'closed');
+	});
+
+	await t.test('should not retry IdoSell faults or client errors', async() => {
+		const service = createResilientService();
+		const fault = new Error('Access denied');
+		fault.cause = {faultCode: 1, faultString: 'Access denied'};
+
+		for (const error of [fault, createHttpError(400)]) {
+			const apiCall = createFlakyCall([error]);
+
+			await assert.rejects(service.callIdosell(apiCall, 'Test call'), error);
+			assert.strictEqual(apiCall.attempts, 1);
+		}
+		assert.strictEqual(service.getCircuitBreakerStatus().consecutiveFailures, 0);
+	});
+
+	await t.test('should open the circuit after repeated failures and reject further calls', async() => {
+		const service = createResilientService();
+		const failing = () => createFlakyCall(_.times(3, () => createHttpError(502)));
+
+		await assert.rejects(service.callIdosell(failing(), 'Test call'), /502/);
+		assert.strictEqual(service.getCircuitBreakerStatus().state, 'closed');
+		await assert.rejects(service.callIdosell(failing(), 'Test call'), /502/);
+
+		const status = service.getCircuitBreakerStatus();
+		assert.strictEqual(status.name, 'idosell:shop-a');
+		assert.strictEqual(status.state, 'open');
+		assert.strictEqual(status.consecutiveFailures, 2);
+
+		const apiCall = createFlakyCall([]);
+		await assert.rejects(service.callIdosell(apiCall, 'Test call'), {code: 'CIRCUIT_OPEN'});
+		assert.strictEqual(apiCall.attempts, 0);
+	});
+
+	await t.test('should let only one trial call through while half-open', async() => {
+		const service = createResilientService();
+		const failing = () => createFlakyCall(_.times(3, () => createHttpError(502)));
+
+		await assert.rejects(service.callIdosell(failing(), 'Test call'), /502/);
+		await assert.rejects(service.callIdosell(failing(), 'Test call'), /502/);
+		service.circuitBreaker.openedAt -= 60000;
+
+		let finishTrial;
+		const trialCall = () => new Promise((resolve) => {
+			finishTrial = resolve;
+		});
+		const otherCall = createFlakyCall([]);
+
+		const trial = service.callIdosell(trialCall, 'Trial call');
+		await assert.rejects(service.callIdosell(otherCall, 'Test call'), {code: 'CIRCUIT_OPEN'});
+		assert.strictEqual(otherCall.attempts, 0);
+
+		finishTrial({Results: []});
+		await trial;
+		assert.strictEqual(service.getCircuitBreakerStatus().state, 'closed');
+	});
+
+	await t.test('should release the trial when it fails with a non-retryable error', async() => {
+		const service = createResilientService();
+		const failing = () => createFlakyCall(_.times(3, () => createHttpError(502)));
+
+		await assert.rejects(service.callIdosell(failing(), 'Test call'), /502/);
+		await assert.rejects(service.callIdosell(failing(), 'Test call'), /502/);
+		service.circuitBreaker.openedAt -= 60000;
+
+		await assert.rejects(service.callIdosell(createFlakyCall([createHttpError(400)]), 'Trial'), /400/);
+		const apiCall = createFlakyCall([]);
+		await service.callIdosell(apiCall, 'Test call');
+
+		assert.strictEqual(apiCall.attempts, 1);
+		assert.strictEqual(service.getCircuitBreakerStatus().state, 'closed');
+	});
+
+	await t.test('should treat the empty result fault as an answered call', async() => {
+		const service = createResilientService();
+		service.idosellClient = createMockIdosellClient([[]]);
+		service.circuitBreaker.consecutiveFailures = 1;
+
+		const orders = await service.downloadOrdersByDateRange({
+			dateFrom: '2024-01-01 00:00:00',
+			dateTo: '2024-01-02 00:00:00',
+		});
+
+		assert.deepStrictEqual(orders, []);
+		assert.strictEqual(service.idosellClient.requests.length, 1);
+		assert.strictEqual(service.getCircuitBreakerStatus().consecutiveFailures, 0);
+	});
+});
+
+test('ExternalApiService - Sync Run History Tests', async(t) => {
+
+	await t.test('should record a successful incremental sync with its window and counts', async() => {
+		const {service, mocks} = createTestService();
+		service.idosellClient = createMockIdosellClient([[createIdosellOrder()]]);
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler({source: 'manual'});
+
+		const [run] = mocks.syncRunModel.runs;
+		assert.strictEqual(mocks.syncRunModel.runs.length, 1);
+		assert.strictEqual(run.shopId, 'shop-a');
+		assert.strictEqual(run.type, 'incremental');
+		assert.strictEqual(run.source, 'manual');
+		assert.strictEqual(run.status, 'success');
+		assert.deepStrictEqual(run.window, {...results.window, dateType: 'add'});
+		assert.deepStrictEqual(run.counts, {
+			downloaded: 1,
+			total: 1,
+			created: 1,
+			updated: 0,
+			skipped: 0,
+			anomalies: 0,
+		});
+		assert.deepStrictEqual(run.errors, []);
+		assert.strictEqual(run.failure, null);
+		assert(run.finishedAt >= run.startedAt);
+	});
+
+	await t.test('should keep every per-order error of a partially failed sync', async() => {
+		const orderModel = createMockOrderStore([], {failingIds: ['A', 'B']});
+		const {service, mocks} = createTestService({orderModel});
+		service.idosellClient = createMockIdosellClient([[
+			createIdosellOrder({orderId: 'A'}),
+			createIdosellOrder({orderId: 'B'}),
+		]]);
+
+		await service.downloadAndSaveNewlyAddedOrdersFromScheduler();
+
+		const [run] = mocks.syncRunModel.runs;
+		assert.strictEqual(run.status, 'completed_with_errors');
+		assert.deepStrictEqual(run.errors, [
+			'Failed to save order A: Write conflict',
+			'Failed to save order B: Write conflict',
+		]);
+	});
+
+	await t.test('should record a failed sync and rethrow its error', async() => {
+		const {service, mocks} = createTestService();
+		service.idosellClient = {
+			searchOrders: {
+				ordersRange: () => ({
+					page: () => ({
+						exec: async() => {
+							throw new Error('Invalid API key');
+						},
+					}),
+				}),
+			},
+		};
+
+		await assert.rejects(
+			() => service.downloadAndSaveNewlyAddedOrdersFromScheduler(),
+			/Invalid API key/,
+		);
+
+		const [run] = mocks.syncRunModel.runs;
+		assert.strictEqual(run.status, 'failed');
+		assert.strictEqual(run.window, null);
+		assert.deepStrictEqual(run.counts, {});
+		assert.match(run.failure.message, /Invalid API key/);
+		assert(run.failure.stack);
+	});
+
+	await t.test('should record backfills with the requested range', async() => {
+		const {service, mocks} = createTestService();
+		service.idosellClient = createMockIdosellClient([[createIdosellOrder()]]);
+
+		await service.backfillOrders({
+			dateFrom: '2024-01-01T00:00:00Z',
+			dateTo: '2024-01-01T23:59:59Z',
+		});
+
+		const [run] = mocks.syncRunModel.runs;
+		assert.strictEqual(run.type, 'backfill');
+		assert.strictEqual(run.source, 'backfill');
+		assert.deepStrictEqual(run.window, {
+			dateFrom: new Date('2024-01-01T00:00:00Z'),
+			dateTo: new Date('2024-01-01T23:59:59Z'),
+			dateType: 'add',
+			chunk: 'day',
+		});
+		assert.strictEqual(run.counts.created, 1);
+		assert.strictEqual(run.counts.totalChunks, 1);
+	});
+
+	await t.test('should record status monitoring with reconciliation counts and errors', async() => {
+		const {service, mocks} = createTestService();
+		service.getIncompleteOrders = async() => [];
+		service.reconcileStaleOrders = async() => ({
+			checked: 4,
+			updated: 1,
+			completed: 1,
+			missing: 0,
+			batches: 2,
+			errors: ['Failed to reconcile batch 2/2: ETIMEDOUT'],
+			anomalies: [],
+		});
+
+		await service.runStatusMonitoringJob();
+
+		const [run] = mocks.syncRunModel.runs;
+		assert.strictEqual(run.type, 'status_monitoring');
+		assert.strictEqual(run.status, 'completed_with_errors');
+		assert.deepStrictEqual(run.counts.reconciliation, {
+			checked: 4,
+			updated: 1,
+			completed: 1,
+			missing: 0,
+			batches: 2,
+		});
+		assert.deepStrictEqual(run.errors, ['Failed to reconcile batch 2/2: ETIMEDOUT']);
+	});
+
+	await t.test('should record the reconciliation job as its own run', async() => {
+		const {service, mocks} = createTestService();
+		let reconciliationOptions = null;
+		service.reconcileStaleOrders = async(options) => {
+			reconciliationOptions = options;
+			return {
+				checked: 3,
+				updated: 1,
+				completed: 0,
+				missing: 1,
+				batches: 1,
+				errors: [],
+				anomalies: [],
+			};
+		};
+
+		await service.runReconciliationJob({maxOrders: 100, source: 'manual'});
+
+		const [run] = mocks.syncRunModel.runs;
+		assert.strictEqual(run.type, 'reconciliation');
+		assert.strictEqual(run.source, 'manual');
+		assert.strictEqual(run.status, 'success');
+		assert.strictEqual(run.counts.missing, 1);
+		assert.deepStrictEqual(reconciliationOptions, {maxOrders: 100, source: 'manual'});
+	});
+
+	await t.test('should not fail the sync when the run cannot be recorded', async() => {
+		const syncRunModel = createMockSyncRunModel();
+		syncRunModel.create = async() => {
+			throw new Error('Database unavailable');
+		};
+		const {service} = createTestService({syncRunModel});
+		service.idosellClient = createMockIdosellClient();
+
+		const results = await service.downloadAndSaveNewlyAddedOrdersFromScheduler();
+
+		assert.strictEqual(results.success, true);
+	});
+});
+
+test('ExternalApiService - Bulk Save Tests', async(t) => {
+
+	/**
+	 * Order as saved by a previous sync of the given IdoSell order
+	 */
+	function createStoredOrder(idosellOrder) {
+		const {service} = createTestService();
+		return {
+			...service.transformOrderData(idosellOrder),
+			baseCurrency: 'PLN',
+			baseOrderProductsCost: 199.99,
+			exchangeRate: 1,
+			exchangeRateDate: null,
+			_id: 'stored-id',
+			createdAt: new Date('2024-01-01T10:00:00Z'),
+			updatedAt: new Date('2024-01-01T10:00:00Z'),
+		};
+	}
+
+	await t.test('should save each batch with one lookup and one bulk write', async() => {
+		const {service, mocks} = createTestService();
+		const orders = ['A', 'B', 'C'].map(orderId => createIdosellOrder({orderId}));
+
+		const results = await service.saveOrdersToDatabase(orders, {batchSize: 2});
+
+		assert.deepStrictEqual(_.map(mocks.orderModel.lookups, 'externalIds'), [['A', 'B'], ['C']]);
+		assert.strictEqual(mocks.orderModel.writes.length, 2);
+		assert.strictEqual(results.created, 3);
+		assert.strictEqual(results.updated, 0);
+		assert.strictEqual(mocks.orderEventModel.events.length, 3);
+	});
+
+	await t.test('should stop before the next batch once the signal is aborted', async() => {
+		const {service, mocks} = createTestService();
+		const orders = ['A', 'B', 'C'].map(orderId => createIdosellOrder({orderId}));
+		const controller = new AbortController();
+		const saveOrderBatch = service.saveOrderBatch.bind(service);
+		service.saveOrderBatch = async(...args) => {
+			await saveOrderBatch(...args);
+			controller.abort(new Error('Scheduler lease lost'));
+		};
+
+		await assert.rejects(
+			() => service.saveOrdersToDatabase(orders, {batchSize: 2, signal: controller.signal}),
+			/Scheduler lease lost/,
+		);
+
+		assert.strictEqual(mocks.orderModel.writes.length, 1);
+	});
+
+	await t.test('should skip orders that did not change', async() => {
+		const order = createIdosellOrder();
+		const orderModel = createMockOrderStore([createStoredOrder(order)]);
+		const {service} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase([order]);
+
+		assert.strictEqual(results.skipped, 1);
+		assert.strictEqual(results.updated, 0);
+		assert.deepStrictEqual(orderModel.writes[0].operations, []);
+	});
+
+	await t.test('should write only the fields that changed', async() => {
+		const orderModel = createMockOrderStore([createStoredOrder(createIdosellOrder())]);
+		const {service, mocks} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase([
+			createIdosellOrder({orderDetails: {orderStatus: 'packed'}}),
+		]);
+
+		const [operation] = orderModel.writes[0].operations;
+		assert.strictEqual(results.updated, 1);
+		assert.deepStrictEqual(_.keys(operation.update).sort(), ['raw', 'status']);
+		assert.strictEqual(operation.update.status, 'packed');
+		assert.strictEqual(mocks.orderEventModel.events[0].oldStatus, 'new');
+	});
+
+	await t.test('should store the base currency amount of new orders', async() => {
+		const {service, mocks} = createTestService();
+
+		await service.saveOrdersToDatabase([
+			createIdosellOrder(),
+			createIdosellOrder({
+				orderId: 'EXT124',
+				orderDetails: {payments: {orderCurrency: {currencyId: 'EUR', orderProductsCost: 100}}},
+			}),
+		]);
+
+		const [pln, eur] = _.map(mocks.orderModel.writes[0].operations, 'insert');
+		assert.strictEqual(pln.baseOrderProductsCost, 199.99);
+		assert.strictEqual(eur.currency, 'EUR');
+		assert.strictEqual(eur.baseCurrency, 'PLN');
+		assert.strictEqual(eur.baseOrderProductsCost, 430);
+		assert.strictEqual(eur.exchangeRate, 4.3);
+	});
+
+	await t.test('should update the base amount once a rate is available', async() => {
+		const order = createIdosellOrder();
+		const orderModel = createMockOrderStore([{
+			...createStoredOrder(order),
+			baseCurrency: null,
+			baseOrderProductsCost: null,
+			exchangeRate: null,
+		}]);
+		const {service} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase([order]);
+
+		const [operation] = orderModel.writes[0].operations;
+		assert.strictEqual(results.updated, 1);
+		assert.deepStrictEqual(operation.update, {
+			baseCurrency: 'PLN',
+			baseOrderProductsCost: 199.99,
+			exchangeRate: 1,
+		});
+	});
+
+	await t.test('should not update existing orders when updateExisting is false', async() => {
+		const orderModel = createMockOrderStore([{externalId: 'EXT123', status: 'new'}]);
+		const {service} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase(
+			[createIdosellOrder({orderDetails: {orderStatus: 'packed'}})],
+			{updateExisting: false},
+		);
+
+		assert.strictEqual(results.skipped, 1);
+		assert.deepStrictEqual(orderModel.writes[0].operations, []);
+	});
+
+	await t.test('should count orders created in the meantime as skipped', async() => {
+		const orderModel = createMockOrderStore([{externalId: 'EXT123', status: 'new'}]);
+		orderModel.getByExternalIds = async() => [];
+		const {service, mocks} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase([createIdosellOrder()]);
+
+		assert.strictEqual(results.created, 0);
+		assert.strictEqual(results.skipped, 1);
+		assert.strictEqual(mocks.orderEventModel.events.length, 0);
+	});
+
+	await t.test('should report per-order write errors and keep the other orders', async() => {
+		const orderModel = createMockOrderStore([], {failingIds: ['B']});
+		const {service} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase(
+			['A', 'B', 'C'].map(orderId => createIdosellOrder({orderId})),
+		);
+
+		assert.strictEqual(results.created, 2);
+		assert.deepStrictEqual(results.errors, ['Failed to save order B: Write conflict']);
+	});
+
+	await t.test('should report every order of a batch whose bulk write failed', async() => {
+		const orderModel = createMockOrderStore([], {writeThrows: 'Connection closed'});
+		const {service} = createTestService({orderModel});
+
+		const results = await service.saveOrdersToDatabase(
+			['A', 'B'].map(orderId => createIdosellOrder({orderId})),
+		);
+
+		assert.strictEqual(results.created, 0);
+		assert.deepStrictEqual(results.errors, [
+			'Failed to save order A: Connection closed',
+			'Failed to save order B: Connection closed',
+		]);
+	});
+});
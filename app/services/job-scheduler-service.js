@@ -0,0 +1,618 @@
+const _ = require('lodash');
+const cron = require('node-cron');
+const config = require('../config');
+const schedulerJobModel = require('../models/scheduler-job-model');
+
+/**
+ * Names of the built-in jobs
+ */
+const JOB_NAMES = {
+	ORDER_SYNC: 'order-sync', // Newly added orders of every shop
+	STATUS_MONITORING: 'status-monitoring', // Status changes of incomplete orders
+	RECONCILIATION: 'reconciliation', // Stale incomplete orders re-checked one by one
+	REPORT_GENERATION: 'report-generation', // Report schedules reloaded and registered
+	CLEANUP: 'cleanup', // Expired export artifacts removed
+};
+
+/**
+ * Outcomes of a job run
+ */
+const JOB_RUN_STATUSES = {
+	SUCCEEDED: 'succeeded',
+	FAILED: 'failed',
+	TIMED_OUT: 'timed_out',
+};
+
+/**
+ * How often stored job settings are re-read from the scheduler_jobs collection
+ */
+const SETTINGS_SYNC_SCHEDULE = '* * * * *';
+
+/**
+ * How far ahead the next run of a job is looked for
+ */
+const NEXT_RUN_HORIZON_MS = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fields of a 6-field cron expression - names may be written in full or by their first three letters
+ */
+const CRON_FIELDS = [
+	{name: 'second', min: 0, max: 59},
+	{name: 'minute', min: 0, max: 59},
+	{name: 'hour', min: 0, max: 23},
+	{name: 'day of month', min: 1, max: 31},
+	{
+		name: 'month',
+		min: 1,
+		max: 12,
+		names: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+			'september', 'october', 'november', 'december'],
+	},
+	{
+		name: 'day of week',
+		min: 0,
+		max: 7, // 0 and 7 are both Sunday
+		names: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+	},
+];
+
+/**
+ * Create an invalid cron expression error
+ * @param {string} expression - Cron expression
+ * @param {string} reason - What is wrong with it
+ * @returns {Error} Error with the INVALID_CRON_EXPRESSION code
+ */
+function createCronError(expression, reason) {
+	const error = new Error(`Invalid cron expression '${expression}': ${reason}`);
+	error.code = 'INVALID_CRON_EXPRESSION';
+	return error;
+}
+
+/**
+ * Read a single value of a cron field (a number or a month/week day name)
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition (see CRON_FIELDS)
+ * @returns {number|null} Value or null if it is not valid for the field
+ */
+function parseCronValue(value, field) {
+	const name = value.toLowerCase();
+	const nameIndex = _.findIndex(
+		field.names,
+		fullName => name === fullName || name === fullName.slice(0, 3),
+	);
+	if (nameIndex !== -1) {
+		return field.min + nameIndex;
+	}
+
+	const number = /^\d+$/.test(value) ? Number(value) : NaN;
+	return number >= field.min && number <= field.max ? number : null;
+}
+
+/**
+ * Expand a cron field to the values it fires on
+ * Like node-cron, a step keeps the values that are multiples of it (e.g. minutes 5-20/10 fire
+ * on 10 and 20), so the next run matches when the task actually fires
+ * @param {string} expression - Whole cron expression, for error messages
+ * @param {string} value - Field (e.g. '*', '1,15', '9-17', '*\/5', 'mon-fri')
+ * @param {Object} field - Field definition (see CRON_FIELDS)
+ * @returns {Set<number>} Values the field fires on
+ */
+function expandCronField(expression, value, field) {
+	const [list, step, ...rest] = value.split('/');
+	const stepSize = step === undefined ? 1 : Number(step);
+	if (rest.length > 0 || !(Number.isInteger(stepSize) && stepSize > 0)) {
+		throw createCronError(expression, `invalid step in ${field.name} '${value}'`);
+	}
+
+	const values = _.flatMap(list.split(','), part => {
+		if (part === '*') {
+			return _.range(field.min, field.name === 'day of week' ? 7 : field.max + 1);
+		}
+
+		const bounds = part.split('-').map(bound => parseCronValue(bound, field));
+		if (bounds.length > 2 || bounds.includes(null)) {
+			throw createCronError(expression, `invalid ${field.name} '${part}'`);
+		}
+
+		const [first, last = first] = bounds;
+		return _.range(Math.min(first, last), Math.max(first, last) + 1);
+	});
+
+	return new Set(values
+		.filter(fieldValue => fieldValue % stepSize === 0)
+		.map(fieldValue => (field.name === 'day of week' ? fieldValue % 7 : fieldValue)));
+}
+
+/**
+ * Expand a cron expression (5 fields, or 6 with seconds first) to the values of every field
+ * @param {string} expression - Cron expression
+ * @returns {Array<Set<number>>} Values of the second, minute, hour, day, month and week day fields
+ * @throws {Error} INVALID_CRON_EXPRESSION when the expression cannot be parsed
+ */
+function parseCronExpression(expression) {
+	const fields = String(expression).trim().split(/\s+/);
+	if (fields.length === 5) {
+		fields.unshift('0');
+	}
+
+	if (fields.length !== CRON_FIELDS.length) {
+		throw createCronError(expression, 'expected 5 or 6 fields');
+	}
+
+	return fields.map((value, index) => expandCronField(expression, value, CRON_FIELDS[index]));
+}
+
+/**
+ * Read the wall clock time of a timezone
+ * @param {Intl.DateTimeFormat} format - Numeric date format of the timezone
+ * @param {number} time - Timestamp
+ * @returns {Object} Local date components ({month, day, hour, minute, weekDay})
+ */
+function getWallClock(format, time) {
+	const parts = _.fromPairs(format.formatToParts(time)
+		.map(({type, value}) => [type, Number(value)]));
+
+	return {
+		month: parts.month,
+		day: parts.day,
+		hour: parts.hour,
+		minute: parts.minute,
+		weekDay: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+	};
+}
+
+/**
+ * Find when a cron expression fires next
+ * The day of month and the day of week must both match, as they do for node-cron.
+ * Hours the expression never fires in are skipped as a whole
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {string} timezone - Timezone the expression is evaluated in
+ * @param {Date} [from] - Only runs after this time (default: now)
+ * @returns {Date|null} Next run or null if there is none within a year
+ * @throws {Error} INVALID_CRON_EXPRESSION when the expression cannot be parsed
+ */
+function getNextRun(expression, timezone, from = new Date()) {
+	const [seconds, minutes, hours, days, months, weekDays] = parseCronExpression(expression);
+	const format = new Intl.DateTimeFormat('en-US', {
+		year: 'numeric',
+		month: 'numeric',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: 'numeric',
+		hourCycle: 'h23',
+		timeZone: timezone,
+	});
+	const secondValues = _.sortBy([...seconds]);
+	const until = from.getTime() + NEXT_RUN_HORIZON_MS;
+	let minute = Math.floor(from.getTime() / 60000) * 60000;
+
+	while (minute <= until) {
+		const local = getWallClock(format, minute);
+		const firesInHour = hours.has(local.hour)
+			&& days.has(local.day)
+			&& months.has(local.month)
+			&& weekDays.has(local.weekDay);
+
+		if (!firesInHour) {
+			minute += (60 - local.minute) * 60000;
+			continue;
+		}
+
+		if (minutes.has(local.minute)) {
+			const second = secondValues.find(value => minute + value * 1000 > from.getTime());
+			if (second !== undefined) {
+				return new Date(minute + second * 1000);
+			}
+		}
+		minute += 60000;
+	}
+
+	return null;
+}
+
+/**
+ * Job Scheduler Service - Registry and runner of the scheduled jobs
+ * Services register their jobs ({name, description, defaults, run}); each job gets its own node-cron
+ * task with its own cron expression, timezone, timeout and enabled flag. Settings are resolved as
+ * job defaults < the scheduler jobs file (config.scheduler.jobs) < the scheduler_jobs collection,
+ * which is re-read every minute, so stored changes apply without a restart.
+ *
+ * A run that exceeds its timeout is reported as timed out; the handler cannot be cancelled, so
+ * further runs of the job are skipped until it has settled.
+ *
+ * Jobs are paused and resumed through the stored enabled flag, so every app instance follows.
+ * Runs (lastRun) are tracked per instance.
+ */
+class JobSchedulerService {
+	/**
+	 * @param {Object} options - Scheduler options (defaults to the scheduler config)
+	 * @param {string} [options.timezone] - Timezone of jobs that do not set one
+	 * @param {Object} [options.jobs] - Job settings keyed by job name
+	 */
+	constructor(options = {}) {
+		const settings = config.scheduler || {};
+
+		this.timezone = options.timezone || settings.timezone || 'Europe/Warsaw';
+		this.configuredSettings = options.jobs || settings.jobs || {};
+		this.jobs = new Map(); // job name -> {definition, settings, task, lastRun, ...}
+		this.syncTask = null;
+	}
+
+	/**
+	 * Names of the built-in jobs
+	 */
+	static get JOB_NAMES() {
+		return JOB_NAMES;
+	}
+
+	/**
+	 * Outcomes of a job run
+	 */
+	static get JOB_RUN_STATUSES() {
+		return JOB_RUN_STATUSES;
+	}
+
+	/**
+	 * Find when a cron expression fires next
+	 * @param {string} expression - Cron expression
+	 * @param {string} timezone - Timezone the expression is evaluated in
+	 * @param {Date} [from] - Only runs after this time (default: now)
+	 * @returns {Date|null} Next run or null if there is none within a year
+	 */
+	static getNextRun(expression, timezone, from) {
+		return getNextRun(expression, timezone, from);
+	}
+
+	/**
+	 * Register a job
+	 * @param {Object} definition - Job definition
+	 * @param {string} definition.name - Unique job name
+	 * @param {string} definition.description - What the job does
+	 * @param {Object} definition.defaults - Default settings ({cron, timeoutMs, enabled, timezone, options})
+	 * @param {Function} definition.run - Async handler, called with the options setting
+	 * @param {Function} [definition.onDisable] - Called when the job gets disabled
+	 * @param {boolean} [definition.runOnStart] - Run once when the scheduler starts
+	 */
+	register(definition) {
+		if (this.jobs.has(definition.name)) {
+			throw new Error(`Job '${definition.name}' is already registered`);
+		}
+
+		this.jobs.set(definition.name, {
+			definition,
+			settings: null,
+			task: null,
+			isRunning: false,
+			lastRun: null,
+			nextRun: null,
+			error: null,
+		});
+	}
+
+	/**
+	 * Get a registered job
+	 * @param {string} name - Job name
+	 * @returns {Object} Registered job
+	 * @throws {Error} JOB_NOT_FOUND when no job has the name
+	 */
+	getJob(name) {
+		const job = this.jobs.get(name);
+		if (!job) {
+			const error = new Error(`Job '${name}' does not exist`);
+			error.code = 'JOB_NOT_FOUND';
+			throw error;
+		}
+		return job;
+	}
+
+	/**
+	 * Resolve the settings of a job
+	 * @param {Object} definition - Job definition
+	 * @param {Object} [stored] - Settings stored in scheduler_jobs
+	 * @returns {Object} Settings ({cron, timezone, timeoutMs, enabled, options})
+	 */
+	resolveSettings(definition, stored = {}) {
+		const layers = [
+			definition.defaults || {},
+			this.configuredSettings[definition.name] || {},
+			_.pick(stored, schedulerJobModel.JOB_SETTING_FIELDS),
+		];
+
+		return {
+			enabled: true,
+			timezone: this.timezone,
+			...Object.assign({}, ...layers),
+			options: Object.assign({}, ...layers.map(layer => layer.options)),
+		};
+	}
+
+	/**
+	 * Check that settings can be scheduled
+	 * The cron expression must also be one the next run can be computed for - node-cron accepts some
+	 * malformed fields (e.g. '*-3') that it then fires on unpredictably
+	 * @param {Object} settings - Job settings
+	 * @returns {string|null} Problem with the settings or null if they are valid
+	 */
+	static validateSettings(settings) {
+		if (!cron.validate(settings.cron || '')) {
+			return `Invalid cron expression: ${settings.cron}`;
+		}
+
+		try {
+			parseCronExpression(settings.cron);
+		} catch (error) {
+			return error.message;
+		}
+
+		try {
+			new Intl.DateTimeFormat('en-US', {timeZone: settings.timezone});
+		} catch {
+			return `Invalid timezone: ${settings.timezone}`;
+		}
+
+		if (!(settings.timeoutMs > 0)) {
+			return `Invalid timeout: ${settings.timeoutMs}`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Start every registered job and keep their settings in sync with scheduler_jobs
+	 */
+	async start() {
+		if (this.syncTask) {
+			console.log('⚠️  Job scheduler already running');
+			return;
+		}
+
+		this.syncTask = cron.schedule(SETTINGS_SYNC_SCHEDULE, async() => {
+			await this.syncSettings();
+		}, {
+			scheduled: false,
+		});
+		this.syncTask.start();
+
+		await this.syncSettings();
+
+		const scheduled = Array.from(this.jobs.values()).filter(job => job.task).length;
+		console.log(`✅ Job scheduler started: ${scheduled}/${this.jobs.size} job(s) scheduled`);
+
+		for (const [name, job] of this.jobs) {
+			if (job.definition.runOnStart && job.task) {
+				this.runJob(name, {trigger: 'start'});
+			}
+		}
+	}
+
+	/**
+	 * Stop the settings sync and every job task
+	 */
+	stop() {
+		if (this.syncTask) {
+			this.syncTask.stop();
+			this.syncTask = null;
+		}
+		for (const job of this.jobs.values()) {
+			if (job.task) {
+				job.task.stop();
+				job.task = null;
+			}
+		}
+		console.log('🛑 Job scheduler stopped');
+	}
+
+	/**
+	 * Apply the stored job settings - jobs whose settings changed are scheduled again
+	 * Without stored settings (e.g. the database is unreachable) the jobs keep their current settings,
+	 * or start from defaults and the jobs file
+	 */
+	async syncSettings() {
+		let storedSettings = null;
+
+		try {
+			storedSettings = _.keyBy(await schedulerJobModel.getAll(), 'name');
+		} catch (error) {
+			console.error('❌ Failed to read stored job settings:', error.message);
+		}
+
+		for (const job of this.jobs.values()) {
+			if (storedSettings || !job.settings) {
+				const stored = storedSettings && storedSettings[job.definition.name];
+				this.applySettings(job, this.resolveSettings(job.definition, stored));
+			}
+		}
+	}
+
+	/**
+	 * Schedule a job with new settings
+	 * @param {Object} job - Registered job
+	 * @param {Object} settings - Resolved settings
+	 */
+	applySettings(job, settings) {
+		if (job.settings && _.isEqual(job.settings, settings)) {
+			return;
+		}
+
+		const {name, onDisable} = job.definition;
+		const wasEnabled = !!job.task;
+
+		if (job.task) {
+			job.task.stop();
+			job.task = null;
+		}
+
+		job.settings = settings;
+		job.nextRun = null;
+		job.error = JobSchedulerService.validateSettings(settings);
+
+		if (job.error) {
+			console.error(`❌ Job '${name}' is not scheduled: ${job.error}`);
+		} else if (settings.enabled) {
+			job.task = cron.schedule(settings.cron, async() => {
+				await this.runJob(name);
+			}, {
+				scheduled: false,
+				timezone: settings.timezone,
+			});
+			job.task.start();
+		}
+
+		if (wasEnabled && !job.task && onDisable) {
+			onDisable();
+		}
+	}
+
+	/**
+	 * Run a job now, skipping it while its previous run has not settled
+	 * @param {string} name - Job name
+	 * @param {Object} options - Run options
+	 * @param {string} [options.trigger='schedule'] - What started the run
+	 * @returns {Promise<Object|null>} Run ({trigger, status, startedAt, finishedAt, durationMs, error})
+	 *   or null if the job was skipped
+	 */
+	async runJob(name, options = {}) {
+		const job = this.getJob(name);
+
+		if (job.isRunning) {
+			console.log(`⏭️  Skipping job '${name}' - previous run still running`);
+			return null;
+		}
+
+		const settings = job.settings || this.resolveSettings(job.definition);
+		const startedAt = new Date();
+		let timer = null;
+
+		job.isRunning = true;
+		const running = Promise.resolve()
+			.then(() => job.definition.run(settings.options))
+			.finally(() => {
+				job.isRunning = false;
+			});
+		const timeout = new Promise((resolve, reject) => {
+			timer = setTimeout(() => reject(Object.assign(
+				new Error(`Job did not finish within ${settings.timeoutMs}ms`),
+				{code: 'JOB_TIMEOUT'},
+			)), settings.timeoutMs);
+		});
+		// A timed-out handler still settles later; its outcome is no longer reported
+		running.catch(() => {});
+
+		let status = JOB_RUN_STATUSES.SUCCEEDED;
+		let failure = null;
+
+		try {
+			await Promise.race([running, timeout]);
+		} catch (error) {
+			failure = error;
+			status = error.code === 'JOB_TIMEOUT' ? JOB_RUN_STATUSES.TIMED_OUT : JOB_RUN_STATUSES.FAILED;
+		} finally {
+			clearTimeout(timer);
+		}
+
+		const finishedAt = new Date();
+		job.lastRun = {
+			trigger: options.trigger || 'schedule',
+			status,
+			startedAt,
+			finishedAt,
+			durationMs: finishedAt.getTime() - startedAt.getTime(),
+			error: failure && failure.message,
+		};
+
+		if (failure) {
+			console.error(`❌ Job '${name}' ${status === JOB_RUN_STATUSES.TIMED_OUT ? 'timed out' : 'failed'}:`, failure.message);
+		}
+
+		return job.lastRun;
+	}
+
+	/**
+	 * Start a manual run of a job without waiting for it to finish
+	 * Paused jobs can be run too
+	 * @param {string} name - Job name
+	 * @returns {Object} Job status, with the run in progress
+	 * @throws {Error} JOB_NOT_FOUND, or JOB_RUNNING while the previous run has not settled
+	 */
+	triggerJob(name) {
+		const job = this.getJob(name);
+
+		if (job.isRunning) {
+			const error = new Error(`Job '${name}' is already running`);
+			error.code = 'JOB_RUNNING';
+			throw error;
+		}
+
+		console.log(`▶️  Job '${name}' triggered manually`);
+		this.runJob(name, {trigger: 'manual'});
+
+		return this.getJobStatus(job);
+	}
+
+	/**
+	 * Pause or resume jobs on every app instance
+	 * The enabled flag is stored in scheduler_jobs and applied here right away; other instances
+	 * pick it up with their next settings sync
+	 * @param {Array<string>|undefined} names - Job names (default: every job)
+	 * @param {boolean} enabled - False pauses the jobs, true resumes them
+	 * @returns {Promise<Object>} Job scheduler status
+	 * @throws {Error} JOB_NOT_FOUND when a name is not registered
+	 */
+	async setJobsEnabled(names, enabled) {
+		const jobNames = names || Array.from(this.jobs.keys());
+		jobNames.forEach(name => this.getJob(name));
+
+		for (const name of jobNames) {
+			await schedulerJobModel.update(name, {enabled});
+		}
+		console.log(`${enabled ? '▶️  Resumed' : '⏸️  Paused'} job(s): ${jobNames.join(', ')}`);
+
+		await this.syncSettings();
+
+		return this.getStatus();
+	}
+
+	/**
+	 * Get the status of a job
+	 * A next run that cannot be computed is reported as the job error, so the status of the other
+	 * jobs (and the health check) is still available
+	 * @param {Object} job - Registered job
+	 * @returns {Object} Job status
+	 */
+	getJobStatus(job) {
+		if (job.task && (!job.nextRun || job.nextRun <= new Date())) {
+			try {
+				job.nextRun = getNextRun(job.settings.cron, job.settings.timezone);
+			} catch (error) {
+				console.error(`❌ Could not compute the next run of job '${job.definition.name}':`, error.message);
+				job.nextRun = null;
+				job.error = error.message;
+			}
+		}
+
+		return {
+			name: job.definition.name,
+			description: job.definition.description,
+			..._.pick(job.settings, ['cron', 'timezone', 'timeoutMs', 'enabled']),
+			isScheduled: !!job.task,
+			isRunning: job.isRunning,
+			lastRun: job.lastRun,
+			nextRun: job.task ? job.nextRun : null,
+			error: job.error,
+		};
+	}
+
+	/**
+	 * Get job scheduler status
+	 * @returns {Object} Status information
+	 */
+	getStatus() {
+		return {
+			isStarted: !!this.syncTask,
+			timezone: this.timezone,
+			jobs: Array.from(this.jobs.values(), job => this.getJobStatus(job)),
+		};
+	}
+}
+
+module.exports = JobSchedulerService;
@@ -0,0 +1,570 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const cron = require('node-cron');
+const {createMockSchedulerJobModel, silenceConsole} = require('../test-helpers');
+
+silenceConsole();
+
+/**
+ * Test setup - Creates JobSchedulerService with mocked dependencies
+ */
+function createTestScheduler(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './job-scheduler-service.js');
+	delete require.cache[servicePath];
+
+	// Create mocks
+	const mockCron = {
+		schedule: (schedule, callback, options) => {
+			const task = {
+				start: () => {
+					task.started = true;
+				},
+				stop: () => {
+					task.started = false;
+				},
+				started: false,
+				callback,
+				schedule,
+				options,
+			};
+			mockCron.tasks.push(task);
+			return task;
+		},
+		validate: cron.validate,
+		tasks: [],
+	};
+
+	const mockConfig = {
+		scheduler: {
+			timezone: 'Europe/Warsaw',
+			jobs: customMocks.configuredJobs || {},
+		},
+	};
+
+	const mockSchedulerJobModel = customMocks.schedulerJobModel || createMockSchedulerJobModel();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === 'node-cron') {
+			return mockCron;
+		}
+		if (id === '../config') {
+			return mockConfig;
+		}
+		if (id === '../models/scheduler-job-model') {
+			return mockSchedulerJobModel;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const JobSchedulerService = require('./job-scheduler-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		scheduler: new JobSchedulerService(customMocks.options),
+		mocks: {
+			cron: mockCron,
+			config: mockConfig,
+			schedulerJobModel: mockSchedulerJobModel,
+		},
+	};
+}
+
+/**
+ * Create a job definition recording its runs
+ * @param {Object} overrides - Definition fields to override
+ * @returns {Object} Job definition with a runs array
+ */
+function createJob(overrides = {}) {
+	const job = {
+		name: 'order-sync',
+		description: 'Download newly added orders',
+		defaults: {cron: '*/10 * * * *', timeoutMs: 1000, options: {lookbackMinutes: 20}},
+		runs: [],
+		run: async(options) => {
+			job.runs.push(options);
+			return {downloaded: 1};
+		},
+		...overrides,
+	};
+	return job;
+}
+
+/**
+ * Find the cron task of a job
+ * @param {Object} scheduler - JobSchedulerService
+ * @param {string} name - Job name
+ * @returns {Object|null} Mock cron task
+ */
+const taskOf = (scheduler, name) => scheduler.jobs.get(name).task;
+
+/**
+ * Status of a job
+ * @param {Object} scheduler - JobSchedulerService
+ * @param {string} name - Job name
+ * @returns {Object} Job status
+ */
+const statusOf = (scheduler, name) => scheduler.getStatus().jobs.find(job => job.name === name);
+
+/**
+ * Test Suite
+ */
+test('JobSchedulerService - Registry Tests', async(t) => {
+
+	await t.test('should reject a job registered twice', async() => {
+		const {scheduler} = createTestScheduler();
+		scheduler.register(createJob());
+
+		assert.throws(() => scheduler.register(createJob()), /already registered/);
+	});
+
+	await t.test('should layer defaults, the jobs file and stored settings', async() => {
+		const {scheduler} = createTestScheduler({
+			configuredJobs: {
+				'order-sync': {cron: '*/5 * * * *', timeoutMs: 2000, options: {dryRun: true}},
+			},
+		});
+
+		const settings = scheduler.resolveSettings(createJob(), {
+			name: 'order-sync',
+			timeoutMs: 3000,
+			options: {lookbackMinutes: 60},
+			updatedAt: new Date(),
+		});
+
+		assert.deepStrictEqual(settings, {
+			enabled: true,
+			timezone: 'Europe/Warsaw',
+			cron: '*/5 * * * *',
+			timeoutMs: 3000,
+			options: {lookbackMinutes: 60, dryRun: true},
+		});
+	});
+
+	await t.test('should prefer the timezone passed in options', async() => {
+		const {scheduler} = createTestScheduler({options: {timezone: 'UTC'}});
+
+		assert.strictEqual(scheduler.resolveSettings(createJob()).timezone, 'UTC');
+	});
+
+	await t.test('should explain invalid settings', async() => {
+		const {scheduler} = createTestScheduler();
+		const JobSchedulerService = scheduler.constructor;
+		const valid = {cron: '0 * * * *', timezone: 'UTC', timeoutMs: 1000};
+
+		assert.strictEqual(JobSchedulerService.validateSettings(valid), null);
+		assert.match(
+			JobSchedulerService.validateSettings({...valid, cron: 'every hour'}),
+			/Invalid cron expression/,
+		);
+		assert.match(
+			JobSchedulerService.validateSettings({...valid, timezone: 'Mars/Olympus'}),
+			/Invalid timezone/,
+		);
+		assert.match(JobSchedulerService.validateSettings({...valid, timeoutMs: 0}), /Invalid timeout/);
+	});
+
+	await t.test('should reject malformed expressions node-cron accepts', async() => {
+		const {scheduler} = createTestScheduler();
+		const JobSchedulerService = scheduler.constructor;
+
+		assert.strictEqual(cron.validate('*-3 * * * *'), true);
+		assert.strictEqual(
+			JobSchedulerService.validateSettings({cron: '*-3 * * * *', timezone: 'UTC', timeoutMs: 1000}),
+			"Invalid cron expression '*-3 * * * *': invalid minute '*-3'",
+		);
+	});
+});
+
+test('JobSchedulerService - Scheduling Tests', async(t) => {
+
+	await t.test('should schedule each job with its own cron and timezone', async() => {
+		const {scheduler} = createTestScheduler({
+			configuredJobs: {cleanup: {cron: '0 3 * * *', timezone: 'America/New_York'}},
+		});
+		scheduler.register(createJob());
+		scheduler.register(createJob({name: 'cleanup', defaults: {cron: '0 * * * *', timeoutMs: 1000}}));
+
+		await scheduler.start();
+
+		assert.strictEqual(taskOf(scheduler, 'order-sync').schedule, '*/10 * * * *');
+		assert.strictEqual(taskOf(scheduler, 'order-sync').options.timezone, 'Europe/Warsaw');
+		assert.strictEqual(taskOf(scheduler, 'cleanup').schedule, '0 3 * * *');
+		assert.strictEqual(taskOf(scheduler, 'cleanup').options.timezone, 'America/New_York');
+		assert.strictEqual(taskOf(scheduler, 'cleanup').started, true);
+		assert.strictEqual(scheduler.getStatus().isStarted, true);
+		scheduler.stop();
+	});
+
+	await t.test('should not schedule a disabled job', async() => {
+		const {scheduler} = createTestScheduler({configuredJobs: {'order-sync': {enabled: false}}});
+		scheduler.register(createJob());
+
+		await scheduler.start();
+
+		assert.strictEqual(taskOf(scheduler, 'order-sync'), null);
+		assert.strictEqual(statusOf(scheduler, 'order-sync').enabled, false);
+		assert.strictEqual(statusOf(scheduler, 'order-sync').isScheduled, false);
+		scheduler.stop();
+	});
+
+	await t.test('should report a job with invalid settings instead of scheduling it', async() => {
+		const {scheduler} = createTestScheduler({
+			configuredJobs: {'order-sync': {timezone: 'Mars/Olympus'}},
+		});
+		scheduler.register(createJob());
+
+		await scheduler.start();
+
+		const status = statusOf(scheduler, 'order-sync');
+		assert.strictEqual(status.isScheduled, false);
+		assert.match(status.error, /Invalid timezone: Mars\/Olympus/);
+		scheduler.stop();
+	});
+
+	await t.test('should apply stored settings changed while running', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		scheduler.register(createJob());
+		await scheduler.start();
+		const firstTask = taskOf(scheduler, 'order-sync');
+
+		await scheduler.syncSettings();
+		assert.strictEqual(taskOf(scheduler, 'order-sync'), firstTask);
+
+		await mocks.schedulerJobModel.update('order-sync', {cron: '15 * * * *', timezone: 'UTC'});
+		await scheduler.syncSettings();
+
+		assert.strictEqual(firstTask.started, false);
+		assert.strictEqual(taskOf(scheduler, 'order-sync').schedule, '15 * * * *');
+		assert.strictEqual(taskOf(scheduler, 'order-sync').options.timezone, 'UTC');
+		scheduler.stop();
+	});
+
+	await t.test('should call onDisable when a job gets disabled', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		let disabled = 0;
+		scheduler.register(createJob({onDisable: () => disabled++}));
+		await scheduler.start();
+
+		await mocks.schedulerJobModel.update('order-sync', {enabled: false});
+		await scheduler.syncSettings();
+
+		assert.strictEqual(taskOf(scheduler, 'order-sync'), null);
+		assert.strictEqual(disabled, 1);
+
+		await scheduler.syncSettings();
+		assert.strictEqual(disabled, 1);
+		scheduler.stop();
+	});
+
+	await t.test('should keep the current settings while stored settings cannot be read', async() => {
+		const schedulerJobModel = createMockSchedulerJobModel({
+			jobs: {'order-sync': {cron: '45 * * * *'}},
+		});
+		const {scheduler} = createTestScheduler({schedulerJobModel});
+		scheduler.register(createJob());
+		await scheduler.start();
+
+		schedulerJobModel.getAll = async() => {
+			throw new Error('Database not connected');
+		};
+		await scheduler.syncSettings();
+
+		assert.strictEqual(taskOf(scheduler, 'order-sync').schedule, '45 * * * *');
+		assert.strictEqual(taskOf(scheduler, 'order-sync').started, true);
+		scheduler.stop();
+	});
+
+	await t.test('should fall back to defaults when stored settings cannot be read at start', async() => {
+		const schedulerJobModel = createMockSchedulerJobModel({
+			getAllError: new Error('Database not connected'),
+		});
+		const {scheduler} = createTestScheduler({schedulerJobModel});
+		scheduler.register(createJob());
+
+		await scheduler.start();
+
+		assert.strictEqual(taskOf(scheduler, 'order-sync').schedule, '*/10 * * * *');
+		scheduler.stop();
+	});
+
+	await t.test('should run jobs marked runOnStart once on start', async() => {
+		const {scheduler} = createTestScheduler();
+		const job = createJob({name: 'report-generation', runOnStart: true});
+		scheduler.register(job);
+		scheduler.register(createJob());
+
+		await scheduler.start();
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.strictEqual(job.runs.length, 1);
+		assert.strictEqual(statusOf(scheduler, 'report-generation').lastRun.trigger, 'start');
+		assert.strictEqual(statusOf(scheduler, 'order-sync').lastRun, null);
+		scheduler.stop();
+	});
+
+	await t.test('should stop every task', async() => {
+		const {scheduler} = createTestScheduler();
+		scheduler.register(createJob());
+		await scheduler.start();
+		const task = taskOf(scheduler, 'order-sync');
+
+		scheduler.stop();
+
+		assert.strictEqual(task.started, false);
+		assert.strictEqual(scheduler.getStatus().isStarted, false);
+		assert.strictEqual(statusOf(scheduler, 'order-sync').isScheduled, false);
+	});
+});
+
+test('JobSchedulerService - Run Tests', async(t) => {
+
+	await t.test('should run a job on its schedule with the resolved options', async() => {
+		const {scheduler} = createTestScheduler({
+			configuredJobs: {'order-sync': {options: {lookbackMinutes: 45}}},
+		});
+		const job = createJob();
+		scheduler.register(job);
+		await scheduler.start();
+
+		await taskOf(scheduler, 'order-sync').callback();
+
+		assert.deepStrictEqual(job.runs, [{lookbackMinutes: 45}]);
+		const {lastRun} = statusOf(scheduler, 'order-sync');
+		assert.strictEqual(lastRun.trigger, 'schedule');
+		assert.strictEqual(lastRun.status, 'succeeded');
+		assert.strictEqual(lastRun.error, null);
+		assert(lastRun.finishedAt >= lastRun.startedAt);
+		scheduler.stop();
+	});
+
+	await t.test('should record a failed run', async() => {
+		const {scheduler} = createTestScheduler();
+		scheduler.register(createJob({
+			run: async() => {
+				throw new Error('API error');
+			},
+		}));
+
+		const run = await scheduler.runJob('order-sync', {trigger: 'manual'});
+
+		assert.strictEqual(run.status, 'failed');
+		assert.strictEqual(run.error, 'API error');
+		assert.strictEqual(run.trigger, 'manual');
+		assert.strictEqual(statusOf(scheduler, 'order-sync').isRunning, false);
+	});
+
+	await t.test('should time out a slow run and skip runs until it settles', async() => {
+		const {scheduler} = createTestScheduler({
+			configuredJobs: {'order-sync': {timeoutMs: 10}},
+		});
+		let finish = null;
+		const job = createJob({
+			run: () => new Promise(resolve => {
+				finish = resolve;
+			}),
+		});
+		scheduler.register(job);
+
+		const run = await scheduler.runJob('order-sync');
+
+		assert.strictEqual(run.status, 'timed_out');
+		assert.match(run.error, /did not finish within 10ms/);
+		assert.strictEqual(statusOf(scheduler, 'order-sync').isRunning, true);
+		assert.strictEqual(await scheduler.runJob('order-sync'), null);
+
+		finish();
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.strictEqual(statusOf(scheduler, 'order-sync').isRunning, false);
+		assert.strictEqual(statusOf(scheduler, 'order-sync').lastRun.status, 'timed_out');
+	});
+
+	await t.test('should reject an unknown job', async() => {
+		const {scheduler} = createTestScheduler();
+
+		await assert.rejects(
+			() => scheduler.runJob('missing'),
+			error => error.code === 'JOB_NOT_FOUND',
+		);
+	});
+});
+
+test('JobSchedulerService - Control Tests', async(t) => {
+
+	await t.test('should pause and resume every job through the stored enabled flag', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		scheduler.register(createJob());
+		scheduler.register(createJob({name: 'cleanup'}));
+		await scheduler.start();
+
+		const paused = await scheduler.setJobsEnabled(undefined, false);
+
+		assert.deepStrictEqual(
+			Object.values(mocks.schedulerJobModel.jobs).map(job => job.enabled),
+			[false, false],
+		);
+		assert(paused.jobs.every(job => !job.enabled && !job.isScheduled && job.nextRun === null));
+
+		const resumed = await scheduler.setJobsEnabled(['cleanup'], true);
+
+		assert.strictEqual(resumed.jobs.find(job => job.name === 'cleanup').isScheduled, true);
+		assert.strictEqual(resumed.jobs.find(job => job.name === 'order-sync').isScheduled, false);
+		scheduler.stop();
+	});
+
+	await t.test('should not store anything when a listed job is unknown', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		scheduler.register(createJob());
+
+		await assert.rejects(
+			() => scheduler.setJobsEnabled(['order-sync', 'missing'], false),
+			error => error.code === 'JOB_NOT_FOUND',
+		);
+		assert.deepStrictEqual(mocks.schedulerJobModel.jobs, {});
+	});
+
+	await t.test('should start a manual run without waiting for it', async() => {
+		const {scheduler} = createTestScheduler();
+		let finish = null;
+		scheduler.register(createJob({
+			run: () => new Promise(resolve => {
+				finish = resolve;
+			}),
+		}));
+
+		const job = scheduler.triggerJob('order-sync');
+
+		assert.strictEqual(job.isRunning, true);
+		assert.throws(() => scheduler.triggerJob('order-sync'), error => error.code === 'JOB_RUNNING');
+
+		await new Promise(resolve => setImmediate(resolve));
+		finish();
+		await new Promise(resolve => setImmediate(resolve));
+
+		const {lastRun} = statusOf(scheduler, 'order-sync');
+		assert.strictEqual(lastRun.trigger, 'manual');
+		assert.strictEqual(lastRun.status, 'succeeded');
+	});
+
+	await t.test('should report the next run of scheduled jobs', async() => {
+		const {scheduler} = createTestScheduler();
+		scheduler.register(createJob());
+		await scheduler.start();
+
+		const {nextRun} = statusOf(scheduler, 'order-sync');
+
+		assert(nextRun > new Date());
+		assert.strictEqual(nextRun.getUTCMinutes() % 10, 0);
+		assert.strictEqual(nextRun.getUTCSeconds(), 0);
+		scheduler.stop();
+	});
+
+	await t.test('should report a next run that cannot be computed as the job error', async() => {
+		const {scheduler} = createTestScheduler();
+		scheduler.register(createJob());
+		scheduler.register(createJob({name: 'cleanup'}));
+		await scheduler.start();
+		scheduler.jobs.get('order-sync').settings.cron = '*/5,7 * * * *';
+
+		const status = scheduler.getStatus();
+		const [orderSync, cleanup] = status.jobs;
+
+		assert.strictEqual(orderSync.nextRun, null);
+		assert.match(orderSync.error, /^Invalid cron expression '\*\/5,7 \* \* \* \*'/);
+		assert.strictEqual(orderSync.isScheduled, true);
+		assert(cleanup.nextRun > new Date());
+		assert.strictEqual(cleanup.error, null);
+		scheduler.stop();
+	});
+});
+
+test('JobSchedulerService - Next Run Tests', async(t) => {
+	const {scheduler} = createTestScheduler();
+	const {getNextRun} = scheduler.constructor;
+	const from = new Date('2026-10-19T10:07:30Z');
+
+	await t.test('should find the next matching minute', async() => {
+		assert.deepStrictEqual(
+			getNextRun('5,15,25,35,45,55 * * * *', 'UTC', from),
+			new Date('2026-10-19T10:15:00Z'),
+		);
+	});
+
+	await t.test('should evaluate the expression in the job timezone', async() => {
+		assert.deepStrictEqual(
+			getNextRun('0 3 * * *', 'America/New_York', from),
+			new Date('2026-10-20T07:00:00Z'),
+		);
+		assert.deepStrictEqual(
+			getNextRun('7,37 * * * *', 'Asia/Kolkata', from),
+			new Date('2026-10-19T10:37:00Z'),
+		);
+	});
+
+	await t.test('should support expressions with seconds', async() => {
+		assert.deepStrictEqual(
+			getNextRun('*/20 * * * * *', 'UTC', from),
+			new Date('2026-10-19T10:07:40Z'),
+		);
+	});
+
+	await t.test('should support ranges, lists and month and week day names', async() => {
+		assert.deepStrictEqual(
+			getNextRun('0 9 * * sat,Sunday', 'UTC', from),
+			new Date('2026-10-24T09:00:00Z'),
+		);
+		assert.deepStrictEqual(
+			getNextRun('0 9 * DEC MON-wed', 'UTC', from),
+			new Date('2026-12-01T09:00:00Z'),
+		);
+		assert.deepStrictEqual(
+			getNextRun('0 0 1 feb-mar *', 'UTC', from),
+			new Date('2027-02-01T00:00:00Z'),
+		);
+	});
+
+	await t.test('should treat week day 7 as Sunday', async() => {
+		assert.deepStrictEqual(
+			getNextRun('0 9 * * 7', 'UTC', from),
+			new Date('2026-10-25T09:00:00Z'),
+		);
+	});
+
+	await t.test('should keep the multiples of a step like node-cron does', async() => {
+		assert.deepStrictEqual(
+			getNextRun('5-20/10 * * * *', 'UTC', from),
+			new Date('2026-10-19T10:10:00Z'),
+		);
+		assert.deepStrictEqual(
+			getNextRun('0 0 1 */5 *', 'UTC', from),
+			new Date('2027-05-01T00:00:00Z'),
+		);
+	});
+
+	await t.test('should skip a local time that does not exist on the DST change', async() => {
+		assert.deepStrictEqual(
+			getNextRun('30 2 * * *', 'Europe/Warsaw', new Date('2027-03-27T12:00:00Z')),
+			new Date('2027-03-29T00:30:00Z'),
+		);
+	});
+
+	await t.test('should reject expressions it cannot parse', async() => {
+		assert.throws(() => getNextRun('0 9 * *', 'UTC', from), {code: 'INVALID_CRON_EXPRESSION'});
+		assert.throws(() => getNextRun('0 9 * * funday', 'UTC', from), /invalid day of week 'funday'/);
+		assert.throws(() => getNextRun('*/0 * * * *', 'UTC', from), /invalid step/);
+		assert.throws(() => getNextRun('0 24 * * *', 'UTC', from), /invalid hour '24'/);
+	});
+
+	await t.test('should give up on runs more than a year away', async() => {
+		assert.strictEqual(getNextRun('0 0 29 2 *', 'UTC', from), null);
+	});
+});
@@ -0,0 +1,51 @@
+const _ = require('lodash');
+
+/**
+ * NDJSON Export Service - Serializes export rows to newline-delimited JSON
+ * Every row becomes one JSON object keyed by column key, terminated by "\n".
+ * Numbers stay numbers, dates are ISO 8601 strings and missing values are null.
+ */
+class NdjsonExportService {
+	/**
+	 * Convert a raw column value to its JSON value
+	 * @param {Object} column - Export column
+	 * @param {*} value - Raw column value
+	 * @returns {*} JSON value
+	 */
+	static toJsonValue(column, value) {
+		if (_.isNil(value)) {
+			return null;
+		}
+		if (column.type === 'date') {
+			return new Date(value).toISOString();
+		}
+		if (column.type === 'history') {
+			return _.map(value, change => ({
+				status: change.status,
+				changedAt: change.changedAt ? new Date(change.changedAt).toISOString() : null,
+			}));
+		}
+		return value;
+	}
+
+	/**
+	 * Serialize batches of export rows to NDJSON chunks
+	 * An empty export produces no output
+	 * @param {AsyncIterable<Array<Array>>} rowBatches - Batches of rows (see OrderExportService)
+	 * @param {Array<Object>} columns - Export columns
+	 * @yields {string} NDJSON text chunks
+	 */
+	static async* serialize(rowBatches, columns) {
+		for await (const rows of rowBatches) {
+			const lines = _.map(rows, row => JSON.stringify(_.zipObject(
+				_.map(columns, 'key'),
+				_.map(columns, (column, index) => this.toJsonValue(column, row[index])),
+			)));
+
+			const chunk = `${_.join(lines, '\n')}\n`;
+			yield chunk;
+		}
+	}
+}
+
+module.exports = NdjsonExportService;
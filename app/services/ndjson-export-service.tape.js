@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OrderExportService = require('./order-export-service');
+const {mockOrders} = require('../test-helpers');
+
+/**
+ * Export orders to NDJSON and parse every line
+ * @param {Array<Object>} orders - Orders to export
+ * @param {Object} options - Export options
+ * @returns {Promise<Object>} Raw content and parsed records
+ */
+async function toNdjson(orders, options = {}) {
+	let content = '';
+	for await (const chunk of OrderExportService.generate('ndjson', orders, options)) {
+		content += chunk;
+	}
+	const records = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+	return {content, records};
+}
+
+/**
+ * Test Suite
+ */
+test('NdjsonExportService - Format Tests', async(t) => {
+
+	await t.test('should write one JSON object per line keyed by column', async() => {
+		const {content, records} = await toNdjson([mockOrders.order1, mockOrders.order2]);
+
+		assert.strictEqual(content.split('\n').length, 3);
+		assert(content.endsWith('\n'));
+		assert.strictEqual(records.length, 2);
+		assert.deepStrictEqual(records[0], {
+			id: '507f1f77bcf86cd799439011',
+			externalId: 'EXT123',
+			externalSerialNumber: 'SN123',
+			currency: 'EUR',
+			status: 'completed',
+			orderProductsCost: 299.99,
+			productsCount: 2,
+			productsDetails: 'Product 1 (Qty: 2); Product 2 (Qty: 1)',
+			externalCreatedAt: '2024-01-01T10:00:00.000Z',
+			externalUpdatedAt: '2024-01-02T15:30:00.000Z',
+			createdAt: '2024-01-01T10:00:00.000Z',
+			updatedAt: '2024-01-02T15:30:00.000Z',
+		});
+	});
+
+	await t.test('should keep numbers typed and turn missing values into null', async() => {
+		const {records: [record]} = await toNdjson([mockOrders.orderWithNulls], {
+			columns: ['orderProductsCost', 'productsCount', 'externalId', 'externalUpdatedAt', 'customerEmail'],
+		});
+
+		assert.deepStrictEqual(record, {
+			orderProductsCost: 0,
+			productsCount: 0,
+			externalId: null,
+			externalUpdatedAt: null,
+			customerEmail: null,
+		});
+	});
+
+	await t.test('should ignore CSV-only format options', async() => {
+		const {records: [record]} = await toNdjson([mockOrders.order1], {
+			columns: ['orderProductsCost', 'createdAt'],
+			decimalSeparator: 'comma',
+			dateFormat: 'DD.MM.YYYY',
+		});
+
+		assert.deepStrictEqual(record, {orderProductsCost: 299.99, createdAt: '2024-01-01T10:00:00.000Z'});
+	});
+
+	await t.test('should nest the status history', async() => {
+		const {records} = await toNdjson([mockOrders.order1, mockOrders.order2], {
+			columns: ['externalSerialNumber'],
+			includeHistory: true,
+			loadStatusHistory: async() => ({
+				'shop-a': {EXT123: [{newStatus: 'new', detectedAt: new Date('2024-01-01T10:00:00Z')}]},
+			}),
+		});
+
+		assert.deepStrictEqual(records[0].statusHistory, [
+			{status: 'new', changedAt: '2024-01-01T10:00:00.000Z'},
+		]);
+		assert.deepStrictEqual(records[1].statusHistory, []);
+	});
+
+	await t.test('should write one line per line item', async() => {
+		const order = {
+			...mockOrders.order1,
+			orderProducts: [
+				{productSku: 'TENT-2', productQuantity: 3, productUnitPrice: 19.99},
+				{productSku: 'MAT-1', productQuantity: 1, productUnitPrice: 5},
+			],
+		};
+
+		const {records} = await toNdjson([order], {
+			lineItems: true,
+			columns: ['externalSerialNumber', 'productSku', 'lineTotal'],
+		});
+
+		assert.deepStrictEqual(records, [
+			{externalSerialNumber: 'SN123', productSku: 'TENT-2', lineTotal: 59.97},
+			{externalSerialNumber: 'SN123', productSku: 'MAT-1', lineTotal: 5},
+		]);
+	});
+
+	await t.test('should produce no output for an empty export', async() => {
+		const {content} = await toNdjson([]);
+
+		assert.strictEqual(content, '');
+	});
+});
@@ -0,0 +1,343 @@
+const _ = require('lodash');
+const CsvExportService = require('./csv-export-service');
+const NdjsonExportService = require('./ndjson-export-service');
+const XmlExportService = require('./xml-export-service');
+const XlsxExportService = require('./xlsx-export-service');
+
+/**
+ * Orders exported (and looked up in the status history) at a time while streaming
+ */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Read an order field
+ * @param {string} path - Field path
+ * @returns {Function} Column value getter
+ */
+const orderField = path => order => _.get(order, path);
+
+/**
+ * Read a line item field
+ * @param {string} path - Field path
+ * @returns {Function} Column value getter
+ */
+const itemField = path => (order, {item}) => _.get(item, path);
+
+/**
+ * Exportable columns by key
+ * value(order, context) returns the raw value (undefined when missing) - serializers format it.
+ * The context holds the line item (line item mode) and the status history of the batch.
+ * type 'date' marks date values, 'history' the list of status changes ({status, changedAt}).
+ */
+const COLUMNS = {
+	id: {header: 'ID', value: orderField('id')},
+	externalId: {header: 'External ID', value: orderField('externalId')},
+	externalSerialNumber: {header: 'External Serial Number', value: orderField('externalSerialNumber')},
+	shopId: {header: 'Shop ID', value: orderField('shopId')},
+	currency: {header: 'Currency', value: orderField('currency')},
+	status: {header: 'Status', value: orderField('status')},
+	orderProductsCost: {header: 'Order Products Cost', value: orderField('orderProductsCost')},
+	baseCurrency: {header: 'Base Currency', value: orderField('baseCurrency')},
+	baseOrderProductsCost: {header: 'Base Order Products Cost', value: orderField('baseOrderProductsCost')},
+	exchangeRate: {header: 'Exchange Rate', value: orderField('exchangeRate')},
+	exchangeRateDate: {header: 'Exchange Rate Date', value: orderField('exchangeRateDate'), type: 'date'},
+	productsCount: {header: 'Products Count', value: order => _.size(_.get(order, 'orderProducts', []))},
+	productsDetails: {
+		header: 'Products Details',
+		value: order => OrderExportService.formatProductDetails(_.get(order, 'orderProducts')),
+		quoted: true, // Always quoted in CSV - product details are a list
+	},
+	paymentMethod: {header: 'Payment Method', value: orderField('paymentMethod')},
+	customerEmail: {header: 'Customer Email', value: orderField('customer.email')},
+	customerName: {
+		header: 'Customer Name',
+		value: order => _.join(_.compact([
+			_.get(order, 'customer.firstName'),
+			_.get(order, 'customer.lastName'),
+		]), ' ') || undefined,
+	},
+	customerCompany: {header: 'Customer Company', value: orderField('customer.company')},
+	deliveryCity: {header: 'Delivery City', value: orderField('delivery.city')},
+	deliveryCountry: {header: 'Delivery Country', value: orderField('delivery.country')},
+	courierName: {header: 'Courier', value: orderField('delivery.courierName')},
+	deliveryCost: {header: 'Delivery Cost', value: orderField('delivery.cost')},
+	orderDate: {header: 'Order Date', value: orderField('orderDate'), type: 'date'},
+	paymentDate: {header: 'Payment Date', value: orderField('paymentDate'), type: 'date'},
+	dispatchDate: {header: 'Dispatch Date', value: orderField('dispatchDate'), type: 'date'},
+	externalCreatedAt: {header: 'External Created At', value: orderField('externalCreatedAt'), type: 'date'},
+	externalUpdatedAt: {header: 'External Updated At', value: orderField('externalUpdatedAt'), type: 'date'},
+	createdAt: {header: 'Created At', value: orderField('createdAt'), type: 'date'},
+	updatedAt: {header: 'Updated At', value: orderField('updatedAt'), type: 'date'},
+	statusHistory: {
+		header: 'Status History',
+		value: (order, {statusHistory}) => _.map(
+			_.get(statusHistory, [order.shopId, order.externalId]),
+			event => ({
+				status: event.newStatus,
+				changedAt: event.externalChangedAt || event.detectedAt,
+			}),
+		),
+		type: 'history',
+		quoted: true,
+	},
+
+	// Line item columns - only filled in line item mode
+	productId: {header: 'Product ID', value: itemField('productId')},
+	productSku: {header: 'Product SKU', value: itemField('productSku')},
+	productName: {header: 'Product Name', value: itemField('productName')},
+	productSize: {header: 'Product Size', value: itemField('productSizeName')},
+	productQuantity: {header: 'Quantity', value: itemField('productQuantity')},
+	productUnitPrice: {header: 'Unit Price', value: itemField('productUnitPrice')},
+	productVat: {header: 'VAT Rate', value: itemField('productVat')},
+	lineTotal: {
+		header: 'Line Total',
+		value: (order, {item}) => {
+			const quantity = _.get(item, 'productQuantity');
+			const unitPrice = _.get(item, 'productUnitPrice');
+			if (!_.isNumber(quantity) || !_.isNumber(unitPrice)) {
+				return undefined;
+			}
+			return _.round(quantity * unitPrice, 2);
+		},
+	},
+	baseLineTotal: {
+		header: 'Base Line Total',
+		value: (order, {item}) => {
+			const quantity = _.get(item, 'productQuantity');
+			const unitPrice = _.get(item, 'productUnitPrice');
+			const rate = _.get(order, 'exchangeRate');
+			if (!_.isNumber(quantity) || !_.isNumber(unitPrice) || !_.isNumber(rate)) {
+				return undefined;
+			}
+			return _.round(quantity * unitPrice * rate, 2);
+		},
+	},
+};
+
+/**
+ * Columns of the standard order export, in order
+ */
+const DEFAULT_COLUMNS = [
+	'id',
+	'externalId',
+	'externalSerialNumber',
+	'currency',
+	'status',
+	'orderProductsCost',
+	'productsCount',
+	'productsDetails',
+	'externalCreatedAt',
+	'externalUpdatedAt',
+	'createdAt',
+	'updatedAt',
+];
+
+/**
+ * Columns of the line item export (one row per ordered product), in order
+ */
+const DEFAULT_LINE_ITEM_COLUMNS = [
+	'id',
+	'externalId',
+	'externalSerialNumber',
+	'currency',
+	'status',
+	'orderDate',
+	'productId',
+	'productSku',
+	'productName',
+	'productSize',
+	'productQuantity',
+	'productUnitPrice',
+	'productVat',
+	'lineTotal',
+];
+
+/**
+ * Export formats by name - media type, file extension and serializer
+ * Serializers turn batches of rows into a stream of text or Buffer chunks
+ */
+const EXPORT_FORMATS = {
+	csv: {
+		mediaType: 'text/csv',
+		contentType: 'text/csv; charset=utf-8',
+		extension: 'csv',
+		serializer: CsvExportService,
+	},
+	xlsx: {
+		mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+		contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+		extension: 'xlsx',
+		serializer: XlsxExportService,
+	},
+	ndjson: {
+		mediaType: 'application/x-ndjson',
+		contentType: 'application/x-ndjson; charset=utf-8',
+		extension: 'ndjson',
+		serializer: NdjsonExportService,
+	},
+	xml: {
+		mediaType: 'application/xml',
+		contentType: 'application/xml; charset=utf-8',
+		extension: 'xml',
+		serializer: XmlExportService,
+	},
+};
+
+/**
+ * Check a boolean export option that may still be a query string
+ * @param {boolean|string} value - Option value
+ * @returns {boolean} True if the option is set
+ */
+const isFlagSet = value => value === true || value === 'true';
+
+/**
+ * Order Export Service - Turns orders into export rows and streams them in the requested format
+ * Orders are read batch by batch, so exports of any size run in constant memory
+ */
+class OrderExportService {
+	/**
+	 * Keys of all exportable columns
+	 */
+	static get COLUMN_KEYS() {
+		return _.keys(COLUMNS);
+	}
+
+	/**
+	 * Names of the supported export formats
+	 */
+	static get FORMAT_NAMES() {
+		return _.keys(EXPORT_FORMATS);
+	}
+
+	/**
+	 * Get an export format
+	 * @param {string} name - Format name
+	 * @returns {Object} Format with mediaType, contentType and extension
+	 */
+	static getFormat(name) {
+		return _.omit(EXPORT_FORMATS[name], 'serializer');
+	}
+
+	/**
+	 * Pick the export format of a request
+	 * An explicit format wins, otherwise the Accept header decides (CSV when nothing matches)
+	 * @param {string} [format] - Format requested with ?format=
+	 * @param {Function} [accepts] - Content negotiation function, e.g. req.accepts bound to the request
+	 * @returns {string} Format name
+	 */
+	static negotiateFormat(format, accepts) {
+		if (format && EXPORT_FORMATS[format]) {
+			return format;
+		}
+
+		const mediaType = accepts ? accepts(_.map(EXPORT_FORMATS, 'mediaType')) : false;
+		return _.findKey(EXPORT_FORMATS, {mediaType}) || 'csv';
+	}
+
+	/**
+	 * Format ordered products for a single cell
+	 * @param {Array} products - Order products
+	 * @returns {string} Products as "Product N (Qty: X)" joined with "; "
+	 */
+	static formatProductDetails(products) {
+		if (_.isEmpty(products)) {
+			return 'No products';
+		}
+		return _.join(
+			_.map(products, (p, index) => `Product ${index + 1} (Qty: ${_.get(p, 'productQuantity', 'N/A')})`),
+			'; ',
+		);
+	}
+
+	/**
+	 * Resolve the columns of an export
+	 * @param {Object} options - Export options
+	 * @param {string|Array<string>} options.columns - Column keys in output order
+	 *   (default: DEFAULT_COLUMNS, or DEFAULT_LINE_ITEM_COLUMNS in line item mode)
+	 * @param {boolean} options.includeHistory - Add the statusHistory column
+	 * @param {boolean} options.lineItems - One row per ordered product instead of one per order
+	 * @returns {Array<Object>} Columns with key, header, value(), type and quoted flag
+	 * @throws {Error} If a column key is unknown
+	 */
+	static resolveColumns(options = {}) {
+		const requestedColumns = _.isString(options.columns) ? options.columns.split(',') : options.columns;
+		let columnKeys = requestedColumns;
+		if (_.isEmpty(columnKeys)) {
+			columnKeys = isFlagSet(options.lineItems) ? DEFAULT_LINE_ITEM_COLUMNS : DEFAULT_COLUMNS;
+		}
+
+		const unknownColumns = _.difference(columnKeys, _.keys(COLUMNS));
+		if (!_.isEmpty(unknownColumns)) {
+			throw new Error(`Unknown export columns: ${_.join(unknownColumns, ', ')}`);
+		}
+
+		const keys = isFlagSet(options.includeHistory) ? _.union(columnKeys, ['statusHistory']) : columnKeys;
+		return _.map(keys, key => ({key, ...COLUMNS[key]}));
+	}
+
+	/**
+	 * Turn orders into rows of raw column values, batch by batch
+	 * Orders are pulled from the source only as fast as the batches are consumed
+	 * @param {AsyncIterable|Iterable} orders - Orders (e.g. a MongoDB cursor)
+	 * @param {Array<Object>} columns - Export columns (see resolveColumns)
+	 * @param {Object} options - Row options
+	 * @param {boolean} options.lineItems - One row per ordered product (orders without products keep one row)
+	 * @param {Function} options.loadStatusHistory - Async function returning the status history
+	 *   of a batch of orders keyed by shopId, then externalId (required for the statusHistory column)
+	 * @param {number} options.batchSize - Orders per batch (default: 500)
+	 * @yields {Array<Array>} Rows of the batch, each an array of values in column order
+	 */
+	static async* generateRowBatches(orders, columns, options = {}) {
+		const {loadStatusHistory, batchSize = EXPORT_BATCH_SIZE} = options;
+		const lineItems = isFlagSet(options.lineItems);
+		const withHistory = _.some(columns, {key: 'statusHistory'});
+		let batch = [];
+
+		const toRows = async() => {
+			const statusHistory = withHistory ? await loadStatusHistory(batch) : null;
+			const rows = _.flatMap(batch, order => {
+				const items = lineItems && !_.isEmpty(order.orderProducts)
+					? order.orderProducts
+					: [null];
+				return _.map(items, item => {
+					return _.map(columns, column => column.value(order, {item, statusHistory}));
+				});
+			});
+			batch = [];
+			return rows;
+		};
+
+		for await (const order of orders) {
+			batch.push(order);
+
+			if (batch.length >= batchSize) {
+				yield await toRows();
+			}
+		}
+
+		if (!_.isEmpty(batch)) {
+			yield await toRows();
+		}
+	}
+
+	/**
+	 * Export orders in the given format, chunk by chunk
+	 * @param {string} format - Format name (see FORMAT_NAMES)
+	 * @param {AsyncIterable|Iterable} orders - Orders (e.g. a MongoDB cursor)
+	 * @param {Object} options - Export options (see resolveColumns and generateRowBatches),
+	 *   plus the options of the format serializer
+	 * @yields {string|Buffer} Export chunks
+	 */
+	static async* generate(format, orders, options = {}) {
+		const {serializer} = EXPORT_FORMATS[format];
+		const columns = this.resolveColumns(options);
+		const rowBatches = this.generateRowBatches(orders, columns, options);
+
+		yield* serializer.serialize(rowBatches, columns, {
+			...options,
+			lineItems: isFlagSet(options.lineItems),
+		});
+	}
+}
+
+module.exports = OrderExportService;
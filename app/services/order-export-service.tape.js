@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OrderExportService = require('./order-export-service');
+const {mockOrders} = require('../test-helpers');
+
+/**
+ * Collect the items produced by an async generator
+ * @param {AsyncGenerator} generator - Generator to drain
+ * @returns {Promise<Array>} Items
+ */
+async function collect(generator) {
+	const items = [];
+	for await (const item of generator) {
+		items.push(item);
+	}
+	return items;
+}
+
+/**
+ * Build orders with increasing serial numbers
+ * @param {number} count - Number of orders
+ * @returns {Array<Object>} Orders
+ */
+function buildOrders(count) {
+	return Array.from({length: count}, (_, index) => ({
+		...mockOrders.order1,
+		externalId: `EXT${index}`,
+		externalSerialNumber: `SN${index}`,
+	}));
+}
+
+/**
+ * Build an accepts() function that picks the first offered media type listed in the Accept header
+ * @param {Array<string>} acceptedTypes - Media types of the Accept header
+ * @returns {Function} Content negotiation function
+ */
+function acceptsOnly(acceptedTypes) {
+	return offered => offered.find(type => acceptedTypes.includes(type)) || false;
+}
+
+/**
+ * Test Suite
+ */
+test('OrderExportService - Column Tests', async(t) => {
+
+	await t.test('should use the standard columns by default', async() => {
+		const columns = OrderExportService.resolveColumns();
+
+		assert.strictEqual(columns.length, 12);
+		assert.strictEqual(columns[0].key, 'id');
+		assert.strictEqual(columns[11].key, 'updatedAt');
+	});
+
+	await t.test('should accept a comma-separated column list', async() => {
+		const columns = OrderExportService.resolveColumns({columns: 'status,externalSerialNumber'});
+
+		assert.deepStrictEqual(columns.map(column => column.key), ['status', 'externalSerialNumber']);
+		assert.strictEqual(columns[1].header, 'External Serial Number');
+	});
+
+	await t.test('should reject unknown columns', async() => {
+		assert.throws(
+			() => OrderExportService.resolveColumns({columns: ['id', 'password']}),
+			{message: 'Unknown export columns: password'},
+		);
+	});
+
+	await t.test('should append the status history column once', async() => {
+		const columns = OrderExportService.resolveColumns({
+			columns: ['id', 'statusHistory'],
+			includeHistory: 'true',
+		});
+
+		assert.deepStrictEqual(columns.map(column => column.key), ['id', 'statusHistory']);
+	});
+
+	await t.test('should use the line item columns by default in line item mode', async() => {
+		const keys = OrderExportService.resolveColumns({lineItems: 'true'}).map(column => column.key);
+
+		assert(keys.includes('productSku'));
+		assert(!keys.includes('productsDetails'));
+	});
+
+	await t.test('should keep raw values and leave formatting to the serializers', async() => {
+		const columns = OrderExportService.resolveColumns({
+			columns: ['orderProductsCost', 'externalCreatedAt', 'customerName', 'currency'],
+		});
+
+		const rowBatches = OrderExportService.generateRowBatches([mockOrders.order1], columns);
+		const [[row]] = await collect(rowBatches);
+
+		assert.strictEqual(row[0], 299.99);
+		assert(row[1] instanceof Date);
+		assert.strictEqual(row[2], undefined);
+		assert.strictEqual(row[3], 'EUR');
+	});
+
+	await t.test('should export base currency amounts', async() => {
+		const order = {
+			...mockOrders.order1,
+			baseCurrency: 'PLN',
+			baseOrderProductsCost: 1296.56,
+			exchangeRate: 4.3221,
+			exchangeRateDate: new Date('2024-01-01T00:00:00Z'),
+			orderProducts: [{productQuantity: 2, productUnitPrice: 99.99}],
+		};
+		const columns = OrderExportService.resolveColumns({
+			columns: ['baseCurrency', 'baseOrderProductsCost', 'exchangeRate', 'baseLineTotal'],
+			lineItems: true,
+		});
+
+		const rowBatches = OrderExportService.generateRowBatches([order], columns, {
+			lineItems: true,
+		});
+		const [[row]] = await collect(rowBatches);
+
+		assert.deepStrictEqual(row, ['PLN', 1296.56, 4.3221, 864.33]);
+	});
+});
+
+test('OrderExportService - Format Negotiation Tests', async(t) => {
+
+	await t.test('should prefer the format query parameter', async() => {
+		const format = OrderExportService.negotiateFormat('xml', acceptsOnly(['application/x-ndjson']));
+
+		assert.strictEqual(format, 'xml');
+	});
+
+	await t.test('should map the Accept header to a format', async() => {
+		const spreadsheet = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+		assert.strictEqual(OrderExportService.negotiateFormat(undefined, acceptsOnly([spreadsheet])), 'xlsx');
+		assert.strictEqual(
+			OrderExportService.negotiateFormat(undefined, acceptsOnly(['application/x-ndjson'])),
+			'ndjson',
+		);
+		assert.strictEqual(OrderExportService.negotiateFormat(undefined, acceptsOnly(['application/xml'])), 'xml');
+	});
+
+	await t.test('should fall back to CSV', async() => {
+		assert.strictEqual(OrderExportService.negotiateFormat(), 'csv');
+		assert.strictEqual(OrderExportService.negotiateFormat(undefined, acceptsOnly(['text/html'])), 'csv');
+	});
+
+	await t.test('should describe every format without exposing its serializer', async() => {
+		assert.deepStrictEqual(OrderExportService.FORMAT_NAMES, ['csv', 'xlsx', 'ndjson', 'xml']);
+		assert.deepStrictEqual(OrderExportService.getFormat('ndjson'), {
+			mediaType: 'application/x-ndjson',
+			contentType: 'application/x-ndjson; charset=utf-8',
+			extension: 'ndjson',
+		});
+	});
+});
+
+test('OrderExportService - Streaming Tests', async(t) => {
+
+	await t.test('should produce one batch of rows per batch of orders', async() => {
+		const columns = OrderExportService.resolveColumns({columns: ['externalSerialNumber']});
+
+		const orders = buildOrders(5);
+
+		const rowBatches = OrderExportService.generateRowBatches(orders, columns, {batchSize: 2});
+		const batches = await collect(rowBatches);
+
+		assert.deepStrictEqual(batches, [[['SN0'], ['SN1']], [['SN2'], ['SN3']], [['SN4']]]);
+	});
+
+	await t.test('should pull orders only as chunks are consumed', async() => {
+		let pulled = 0;
+		const source = (async function* () {
+			for (const order of buildOrders(10)) {
+				pulled++;
+				yield order;
+			}
+		})();
+
+		const generator = OrderExportService.generate('csv', source, {batchSize: 2});
+		await generator.next();
+
+		assert.strictEqual(pulled, 2);
+
+		// Stopping early closes the source, like a client aborting the download
+		await generator.return();
+		assert.strictEqual((await source.next()).done, true);
+	});
+
+	await t.test('should load status history once per batch', async() => {
+		const batches = [];
+
+		await collect(OrderExportService.generate('ndjson', buildOrders(5), {
+			batchSize: 2,
+			includeHistory: true,
+			loadStatusHistory: async(orders) => {
+				batches.push(orders.map(order => order.externalId));
+				return {};
+			},
+		}));
+
+		assert.deepStrictEqual(batches, [['EXT0', 'EXT1'], ['EXT2', 'EXT3'], ['EXT4']]);
+	});
+
+	await t.test('should give the same output whatever the batch size', async() => {
+		const orders = buildOrders(7);
+
+		for (const format of ['csv', 'ndjson', 'xml']) {
+			const batched = await collect(OrderExportService.generate(format, orders, {
+				batchSize: 3,
+			}));
+			const single = await collect(OrderExportService.generate(format, orders));
+
+			assert.strictEqual(batched.join(''), single.join(''), `${format} output differs`);
+		}
+	});
+});
@@ -1,126 +1,296 @@
-const cron = require('node-cron');
+const _ = require('lodash');
 const config = require('../config');
 const ExternalApiService = require('./external-api-service');
+const {JOB_NAMES} = require('./job-scheduler-service');
+const SchedulerLeaseService = require('./scheduler-lease-service');
+const {STATUS_SOURCES} = require('../models/order-event-model');
+
 /**
- * Order Scheduler Service - Scheduler for checking newly added orders at regular intervals
+ * Order Scheduler Service - Runs the scheduled order jobs of a single shop
+ * The jobs themselves are scheduled by JobSchedulerService (see createJobs). Every app instance
+ * schedules the same jobs, so a run first takes the shop's lease in scheduler_locks and is skipped
+ * while another instance holds it. Tasks of one shop never overlap - a task starting while another
+ * one runs is skipped.
  */
 class OrderSchedulerService {
-	constructor() {
-		this.externalApiService = new ExternalApiService();
+	/**
+	 * @param {Object} shop - Shop configuration (default: first configured shop)
+	 * @param {Object} options - Lock options
+	 * @param {string} [options.lockOwner] - Lease owner ID (default: host, pid and a random suffix)
+	 * @param {number} [options.lockTtlMs] - Lease duration, renewed every third of it while running
+	 */
+	constructor(shop = config.shops[0], options = {}) {
+		this.shopId = shop.id;
+		this.externalApiService = new ExternalApiService(shop);
 		this.isRunning = false;
-		this.scheduledTask = null;
+		this.currentTask = null;
 		this.lookbackMinutes = config.scheduler.lookbackMinutes;
+		this.schedulerLease = new SchedulerLeaseService(`order-scheduler:${shop.id}`, {
+			label: `shop '${shop.id}'`,
+			owner: options.lockOwner,
+			ttlMs: options.lockTtlMs,
+		});
 	}
 
 	/**
-	 * Start the scheduler
-	 * @param {Object} options - Scheduling options
-	 * @param {number} [options.intervalMinutes] - Run every X minutes (defaults to env var or 10)
-	 * @param {string} [options.timezone='Europe/Warsaw'] - Timezone for scheduling
+	 * Build the order job definitions for JobSchedulerService
+	 * Each job runs for every shop in turn. Without a cron setting, order sync runs every
+	 * SCHEDULER_INTERVAL_MINUTES and status monitoring halfway between two syncs.
+	 * @param {Array<OrderSchedulerService>} orderSchedulers - Schedulers of every shop
+	 * @returns {Array<Object>} Job definitions
 	 */
-	start(options = {}) {
-		const intervalMinutes = options.intervalMinutes || config.scheduler.intervalMinutes;
-		const timezone = options.timezone || 'Europe/Warsaw';
+	static createJobs(orderSchedulers) {
+		const intervalMinutes = config.scheduler.intervalMinutes || 10;
+		// Minutes halfway between two syncs, listed because node-cron ignores the start of a
+		// stepped range ('5-59/10' fires on 10, 20, ...)
+		const monitoringMinutes = _.range(Math.ceil(intervalMinutes / 2), 60, intervalMinutes);
 
-		if (this.scheduledTask) {
-			console.log('⚠️  Scheduler already running');
-			return;
+		return [
+			{
+				name: JOB_NAMES.ORDER_SYNC,
+				description: 'Download newly added orders of every shop',
+				defaults: {
+					cron: `*/${intervalMinutes} * * * *`,
+					timeoutMs: 15 * 60 * 1000,
+				},
+				run: options => OrderSchedulerService.runForEachShop(
+					orderSchedulers,
+					orderScheduler => orderScheduler.runOrderSync(options),
+				),
+			},
+			{
+				name: JOB_NAMES.STATUS_MONITORING,
+				description: 'Check incomplete orders of every shop for status changes',
+				defaults: {
+					cron: `${monitoringMinutes.join(',')} * * * *`,
+					timeoutMs: 15 * 60 * 1000,
+					options: {
+						lookbackMinutes: 15, // Don't check orders updated in the last 15 minutes
+						modifiedLookbackHours: 1, // Check for orders modified in the last hour
+					},
+				},
+				run: options => OrderSchedulerService.runForEachShop(
+					orderSchedulers,
+					orderScheduler => orderScheduler.runStatusMonitoring(options),
+				),
+			},
+			{
+				name: JOB_NAMES.RECONCILIATION,
+				description: 'Re-check stale incomplete orders of every shop one by one',
+				defaults: {
+					cron: '7,37 * * * *',
+					timeoutMs: 30 * 60 * 1000,
+				},
+				run: options => OrderSchedulerService.runForEachShop(
+					orderSchedulers,
+					orderScheduler => orderScheduler.runReconciliation(options),
+				),
+			},
+		];
+	}
+
+	/**
+	 * Run a task for every shop in turn - a failing shop does not stop the others
+	 * @param {Array<OrderSchedulerService>} orderSchedulers - Schedulers of every shop
+	 * @param {Function} run - Runs the task with a scheduler and resolves to its outcome
+	 * @returns {Promise<Object>} Outcome of every shop ({shops: [{shopId, status, reason}]})
+	 * @throws {Error} When the task failed for any shop
+	 */
+	static async runForEachShop(orderSchedulers, run) {
+		const shops = [];
+
+		for (const orderScheduler of orderSchedulers) {
+			try {
+				const {status, reason} = await run(orderScheduler);
+				shops.push({shopId: orderScheduler.shopId, status, reason});
+			} catch (error) {
+				shops.push({shopId: orderScheduler.shopId, status: 'failed', reason: error.message});
+			}
 		}
 
-		if (!this.externalApiService.isReady()) {
-			console.log('⚠️  API not configured. Scheduler will not start.');
-			return;
+		const failed = shops.filter(shop => shop.status === 'failed');
+		if (failed.length > 0) {
+			throw new Error(`Failed for ${failed.map(shop => `shop '${shop.shopId}' (${shop.reason})`).join(', ')}`);
 		}
 
-		const schedule = `*/${intervalMinutes} * * * *`;
+		return {shops};
+	}
 
-		this.scheduledTask = cron.schedule(schedule, async() => {
-			await this.runScheduledTask();
-		}, {
-			scheduled: false,
-			timezone,
-		});
+	/**
+	 * Sync newly added orders (order-sync job)
+	 * @param {Object} options - Job options
+	 * @param {number} [options.lookbackMinutes] - Lookback used before the first sync of the shop
+	 * @returns {Promise<Object>} Outcome ({status: 'completed'|'skipped', reason, result})
+	 */
+	async runOrderSync(options = {}) {
+		return this.runExclusive('order sync', signal => this.syncNewOrders(
+			STATUS_SOURCES.SCHEDULER,
+			{...options, signal},
+		));
+	}
+
+	/**
+	 * Check incomplete orders for status changes (status-monitoring job)
+	 * Stale orders are left to the reconciliation job
+	 * @param {Object} options - Monitoring options (see ExternalApiService.monitorOrderStatuses)
+	 * @returns {Promise<Object>} Outcome ({status: 'completed'|'skipped', reason, result})
+	 */
+	async runStatusMonitoring(options = {}) {
+		return this.runExclusive('status monitoring', signal => this.runStatusMonitoringTask(
+			STATUS_SOURCES.SCHEDULER,
+			{...options, reconcile: false, signal},
+		));
+	}
 
-		this.scheduledTask.start();
-		console.log(`✅ Scheduler started: every ${intervalMinutes} minute(s)`);
+	/**
+	 * Re-check stale incomplete orders (reconciliation job)
+	 * @param {Object} options - Reconciliation options (see ExternalApiService.reconcileStaleOrders)
+	 * @returns {Promise<Object>} Outcome ({status: 'completed'|'skipped', reason, result})
+	 */
+	async runReconciliation(options = {}) {
+		return this.runExclusive('reconciliation', signal => this.externalApiService.runReconciliationJob({
+			...options,
+			source: STATUS_SOURCES.SCHEDULER,
+			signal,
+		}));
 	}
 
 	/**
-	 * Stop the scheduler
+	 * Run order sync followed by status monitoring (with reconciliation)
+	 * @param {string} [source='scheduler'] - Status history source for detected transitions
 	 */
-	stop() {
-		if (this.scheduledTask) {
-			this.scheduledTask.stop();
-			this.scheduledTask = null;
-			console.log('🛑 Scheduler stopped');
+	async runScheduledTask(source = STATUS_SOURCES.SCHEDULER) {
+		try {
+			await this.runExclusive('scheduled run', async signal => {
+				await this.downloadNewOrders(source, signal);
+				signal.throwIfAborted();
+				await this.runStatusMonitoringTask(source, {signal});
+			});
+		} catch (error) {
+			console.error('❌ Scheduled tasks failed:', error.message);
 		}
 	}
 
 	/**
-	 * Run the scheduled download task
+	 * Run a task of this shop - skipped while another task of the shop runs, while the IdoSell
+	 * circuit is open or while another instance holds the shop's lease
+	 * @param {string} label - Task name used in logs and the status
+	 * @param {Function} task - Async task, called with an AbortSignal that aborts when the lease is lost
+	 * @returns {Promise<Object>} Outcome ({status: 'completed'|'skipped', reason, result})
 	 */
-	async runScheduledTask() {
+	async runExclusive(label, task) {
+		if (!this.externalApiService.isReady()) {
+			console.log(`⏭️  Skipping ${label} for shop '${this.shopId}' - API not configured`);
+			return {status: 'skipped', reason: 'API not configured'};
+		}
+
 		if (this.isRunning) {
-			console.log('⏭️  Skipping run - previous task still running');
-			return;
+			console.log(`⏭️  Skipping ${label} for shop '${this.shopId}' - previous task still running`);
+			return {status: 'skipped', reason: 'Previous task still running'};
+		}
+
+		const circuitBreaker = this.externalApiService.getCircuitBreakerStatus();
+		if (circuitBreaker.state === 'open') {
+			console.log(`⏭️  Skipping ${label} for shop '${this.shopId}' - IdoSell circuit open until ${circuitBreaker.retryAt}`);
+			return {status: 'skipped', reason: `IdoSell circuit open until ${circuitBreaker.retryAt}`};
 		}
 
 		this.isRunning = true;
+		this.currentTask = label;
 
 		try {
-			await this.downloadNewOrders();
-			await this.runStatusMonitoringTask();
-		} catch (error) {
-			console.error('❌ Scheduled tasks failed:', error.message);
+			let result = null;
+			const ran = await this.schedulerLease.run(async signal => {
+				result = await task(signal);
+			});
+
+			return ran
+				? {status: 'completed', result}
+				: {status: 'skipped', reason: 'Scheduler lease held by another instance'};
 		} finally {
 			this.isRunning = false;
+			this.currentTask = null;
 		}
 	}
 
+	/**
+	 * Read the current holder of the shop's scheduler lease
+	 * @returns {Promise<Object>} Scheduler status
+	 */
+	async refreshLockStatus() {
+		await this.schedulerLease.refresh();
+		return this.getStatus();
+	}
+
 	/**
 	 * Sync newly added orders from external API
+	 * @param {string} [source='scheduler'] - Status history source for detected transitions
+	 * @param {AbortSignal} [signal] - Stops the sync when the scheduler lease is lost
 	 */
-	async downloadNewOrders() {
-		console.log('📥 Downloading new orders...');
+	async downloadNewOrders(source = STATUS_SOURCES.SCHEDULER, signal) {
 		try {
-			const results = await this.externalApiService
-				.downloadAndSaveNewlyAddedOrdersFromScheduler({
-					minutes: this.lookbackMinutes,
-					dateType: this.externalApiService.DATE_TYPES.ADD,
-					updateExisting: true,
-				});
-
-			console.log(`Downloading new orders completed: ${results.downloaded} downloaded, ${results.created} created, ${results.updated} updated`);
+			await this.syncNewOrders(source, {signal});
 		} catch (error) {
 			console.error('❌ Scheduler run failed:', error.message);
-		} finally {
-			this.isRunning = false;
 		}
 	}
 
+	/**
+	 * Download and save newly added orders
+	 * @param {string} [source='scheduler'] - Status history source for detected transitions
+	 * @param {Object} options - Sync options
+	 * @param {number} [options.lookbackMinutes] - Lookback used before the first sync of the shop
+	 * @param {AbortSignal} [options.signal] - Stops the sync when the scheduler lease is lost
+	 * @returns {Promise<Object>} Sync results
+	 */
+	async syncNewOrders(source = STATUS_SOURCES.SCHEDULER, options = {}) {
+		console.log(`📥 Downloading new orders for shop '${this.shopId}'...`);
+
+		const results = await this.externalApiService
+			.downloadAndSaveNewlyAddedOrdersFromScheduler({
+				minutes: options.lookbackMinutes || this.lookbackMinutes,
+				dateType: this.externalApiService.DATE_TYPES.ADD,
+				updateExisting: true,
+				source,
+				signal: options.signal,
+			});
+
+		console.log(`Downloading new orders completed: ${results.downloaded} downloaded, ${results.created} created, ${results.updated} updated`);
+		return results;
+	}
+
 	/**
 	 * Get scheduler status
 	 * @returns {Object} Status information
 	 */
 	getStatus() {
 		return {
-			isScheduled: !!this.scheduledTask,
+			shopId: this.shopId,
 			isRunning: this.isRunning,
-			intervalMinutes: config.scheduler.intervalMinutes,
+			currentTask: this.currentTask,
 			lookbackMinutes: this.lookbackMinutes,
 			apiReady: this.externalApiService.isReady(),
+			circuitBreaker: this.externalApiService.getCircuitBreakerStatus(),
+			lock: this.schedulerLease.getStatus(),
 		};
 	}
 
 	/**
 	 * Run the order status monitoring task
 	 * Checks incomplete orders and updates their statuses
+	 * @param {string} [source='scheduler'] - Status history source for detected transitions
+	 * @param {Object} options - Monitoring options (see ExternalApiService.monitorOrderStatuses)
+	 * @returns {Promise<Object>} Monitoring results
 	 */
-	async runStatusMonitoringTask() {
+	async runStatusMonitoringTask(source = STATUS_SOURCES.SCHEDULER, options = {}) {
+		const {lookbackMinutes = 15, modifiedLookbackHours = 1, ...monitoringOptions} = options;
+
 		try {
-			await this.externalApiService.runStatusMonitoringJob({
-				lookbackMinutes: 15, // Don't check orders updated in last 15 minutes
-				modifiedLookbackHours: 1, // Check for orders modified in last hour
+			return await this.externalApiService.runStatusMonitoringJob({
+				lookbackMinutes, // Don't check orders updated within this many minutes
+				modifiedLookbackHours, // Check for orders modified within this many hours
+				...monitoringOptions,
+				source,
 			});
 		} catch (error) {
 			console.error('❌ Status monitoring failed:', error.message);
@@ -132,24 +302,19 @@ class OrderSchedulerService {
 	 * Run status monitoring immediately (for debugging)
 	 */
 	async runStatusMonitoringNow() {
-		if (this.isRunning) {
-			console.log('⏭️  Skipping status monitoring - scheduler is currently running');
-			return;
-		}
-
-		this.isRunning = true;
 		try {
-			console.log('🔍 Running status monitoring now...');
-			await this.runStatusMonitoringTask();
+			await this.runExclusive('status monitoring', signal => {
+				console.log('🔍 Running status monitoring now...');
+				return this.runStatusMonitoringTask(STATUS_SOURCES.MANUAL, {signal});
+			});
 		} catch (error) {
 			console.error('❌ Status monitoring test failed:', error.message);
-		} finally {
-			this.isRunning = false;
 		}
 	}
 
 	/**
-	 * Run all scheduled tasks immediately (for debugging)
+	 * Run all order tasks immediately (for debugging)
+	 * Order sync, then status monitoring with reconciliation
 	 */
 	async runAllTasksNow() {
 		if (this.isRunning) {
@@ -158,16 +323,19 @@ class OrderSchedulerService {
 		}
 
 		console.log('🚀 Running all scheduled tasks now...');
-		await this.runScheduledTasks();
+		await this.runScheduledTask(STATUS_SOURCES.MANUAL);
 	}
 
 	/**
 	 * Run download immediately (for debugging)
-	 * Uses the configured lookbackMinutes value
+	 * Only syncs newly added orders, using the configured lookbackMinutes value
+	 * @returns {Promise<Object>} Outcome ({status: 'completed'|'skipped', reason, result})
 	 */
 	async runNow() {
-		console.log('🚀 Running download now...');
-		await this.runScheduledTask();
+		return this.runExclusive('order sync', signal => {
+			console.log('🚀 Running download now...');
+			return this.syncNewOrders(STATUS_SOURCES.MANUAL, {signal});
+		});
 	}
 }
 
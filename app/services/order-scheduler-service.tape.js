@@ -1,6 +1,9 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const path = require('path');
+const {createMockSchedulerLockModel, silenceConsole} = require('../test-helpers');
+
+silenceConsole();
 
 /**
  * Test setup - Creates OrderSchedulerService with mocked dependencies
@@ -9,28 +12,9 @@ function createTestScheduler(customMocks = {}) {
 	// Clear require cache
 	const servicePath = path.resolve(__dirname, './order-scheduler-service.js');
 	delete require.cache[servicePath];
+	delete require.cache[path.resolve(__dirname, './scheduler-lease-service.js')];
 
 	// Create mocks
-	const mockCron = customMocks.cron || {
-		schedule: (schedule, callback, options) => {
-			const task = {
-				start: () => {
-					task.started = true;
-				},
-				stop: () => {
-					task.started = false;
-				},
-				started: false,
-				callback,
-				schedule,
-				options,
-			};
-			mockCron.lastScheduledTask = task;
-			return task;
-		},
-		lastScheduledTask: null,
-	};
-
 	const mockExternalApiService = customMocks.externalApiService || {
 		isReady: () => true,
 		downloadAndSaveNewlyAddedOrdersFromScheduler: async() => ({
@@ -42,24 +26,29 @@ function createTestScheduler(customMocks = {}) {
 			checked: 10,
 			updated: 2,
 		}),
+		runReconciliationJob: async() => ({
+			checked: 3,
+			updated: 1,
+		}),
+		getCircuitBreakerStatus: () => ({name: 'idosell:shop-a', state: 'closed', retryAt: null}),
 		DATE_TYPES: {ADD: 'add'},
 	};
 
 	const mockConfig = customMocks.config || {
+		shops: [{id: 'shop-a', shopUrl: 'https://shop.example.com', apiKey: 'test-key'}],
 		scheduler: {
 			intervalMinutes: 10,
 			lookbackMinutes: 30,
 		},
 	};
 
+	const mockSchedulerLockModel = customMocks.schedulerLockModel || createMockSchedulerLockModel();
+
 	// Mock the dependencies
 	const Module = require('module');
 	const originalRequire = Module.prototype.require;
 
 	Module.prototype.require = function(id) {
-		if (id === 'node-cron') {
-			return mockCron;
-		}
 		if (id === '../config') {
 			return mockConfig;
 		}
@@ -68,6 +57,9 @@ function createTestScheduler(customMocks = {}) {
 				return mockExternalApiService;
 			};
 		}
+		if (id === '../models/scheduler-lock-model') {
+			return mockSchedulerLockModel;
+		}
 		return originalRequire.apply(this, arguments);
 	};
 
@@ -78,11 +70,11 @@ function createTestScheduler(customMocks = {}) {
 	Module.prototype.require = originalRequire;
 
 	return {
-		service: new OrderSchedulerService(),
+		service: new OrderSchedulerService(mockConfig.shops[0], customMocks.options),
 		mocks: {
-			cron: mockCron,
 			externalApiService: mockExternalApiService,
 			config: mockConfig,
+			schedulerLockModel: mockSchedulerLockModel,
 		},
 	};
 }
@@ -96,7 +88,7 @@ test('OrderSchedulerService - Initialization Tests', async(t) => {
 		const {service, mocks} = createTestScheduler();
 
 		assert.strictEqual(service.isRunning, false);
-		assert.strictEqual(service.scheduledTask, null);
+		assert.strictEqual(service.currentTask, null);
 		assert.strictEqual(service.lookbackMinutes, mocks.config.scheduler.lookbackMinutes);
 	});
 
@@ -108,68 +100,135 @@ test('OrderSchedulerService - Initialization Tests', async(t) => {
 	});
 });
 
-test('OrderSchedulerService - Scheduler Lifecycle Tests', async(t) => {
-
-	await t.test('should start scheduler with default options', async() => {
-		const {service, mocks} = createTestScheduler();
-
-		service.start();
+test('OrderSchedulerService - Job Tests', async(t) => {
+
+	/**
+	 * Create the order jobs of two shops
+	 * @returns {Object} Jobs keyed by name and the schedulers of both shops
+	 */
+	const createJobs = () => {
+		const first = createTestScheduler();
+		const second = createTestScheduler();
+		second.service.shopId = 'shop-b';
+		const orderSchedulers = [first.service, second.service];
+		const jobs = first.service.constructor.createJobs(orderSchedulers);
+
+		return {
+			jobs: Object.fromEntries(jobs.map(job => [job.name, job])),
+			first,
+			second,
+		};
+	};
 
-		assert(service.scheduledTask);
-		assert.strictEqual(service.scheduledTask.started, true);
-		assert.strictEqual(mocks.cron.lastScheduledTask.schedule, '*/10 * * * *');
-		assert.strictEqual(mocks.cron.lastScheduledTask.options.timezone, 'Europe/Warsaw');
+	await t.test('should define the order jobs with staggered default schedules', async() => {
+		const {jobs} = createJobs();
+
+		assert.deepStrictEqual(Object.keys(jobs), ['order-sync', 'status-monitoring', 'reconciliation']);
+		assert.strictEqual(jobs['order-sync'].defaults.cron, '*/10 * * * *');
+		assert.strictEqual(jobs['status-monitoring'].defaults.cron, '5,15,25,35,45,55 * * * *');
+		assert.strictEqual(jobs.reconciliation.defaults.cron, '7,37 * * * *');
+		assert.deepStrictEqual(jobs['status-monitoring'].defaults.options, {
+			lookbackMinutes: 15,
+			modifiedLookbackHours: 1,
+		});
+		Object.values(jobs).forEach(job => assert(job.defaults.timeoutMs > 0));
 	});
 
-	await t.test('should start scheduler with custom options', async() => {
-		const {service, mocks} = createTestScheduler();
+	await t.test('should sync new orders of every shop with the job lookback', async() => {
+		const {jobs, first, second} = createJobs();
+		const calls = [];
+		[first, second].forEach(({service, mocks}) => {
+			const {externalApiService} = mocks;
+			externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async(params) => {
+				const {minutes, source} = params;
+				calls.push({shopId: service.shopId, minutes, source});
+				return {downloaded: 1, created: 1, updated: 0};
+			};
+		});
 
-		service.start({intervalMinutes: 5, timezone: 'UTC'});
+		const result = await jobs['order-sync'].run({lookbackMinutes: 60});
 
-		assert.strictEqual(mocks.cron.lastScheduledTask.schedule, '*/5 * * * *');
-		assert.strictEqual(mocks.cron.lastScheduledTask.options.timezone, 'UTC');
+		assert.deepStrictEqual(calls, [
+			{shopId: 'shop-a', minutes: 60, source: 'scheduler'},
+			{shopId: 'shop-b', minutes: 60, source: 'scheduler'},
+		]);
+		assert.deepStrictEqual(result.shops.map(shop => shop.status), ['completed', 'completed']);
 	});
 
-	await t.test('should not start scheduler if already running', async() => {
-		const {service} = createTestScheduler();
-
-		service.start();
-		const firstTask = service.scheduledTask;
+	await t.test('should monitor statuses without reconciling stale orders', async() => {
+		const {jobs, first} = createJobs();
+		let capturedParams = null;
+		first.mocks.externalApiService.runStatusMonitoringJob = async(params) => {
+			capturedParams = params;
+			return {checked: 1, updated: 0};
+		};
 
-		service.start(); // Try to start again
+		await jobs['status-monitoring'].run({lookbackMinutes: 30, modifiedLookbackHours: 2});
 
-		assert.strictEqual(service.scheduledTask, firstTask); // Should be the same task
+		assert.strictEqual(capturedParams.lookbackMinutes, 30);
+		assert.strictEqual(capturedParams.modifiedLookbackHours, 2);
+		assert.strictEqual(capturedParams.reconcile, false);
+		assert.strictEqual(capturedParams.source, 'scheduler');
 	});
 
-	await t.test('should not start scheduler if API not ready', async() => {
-		const mockExternalApiService = {
-			isReady: () => false,
+	await t.test('should run reconciliation as its own job', async() => {
+		const {jobs, first} = createJobs();
+		let capturedParams = null;
+		first.mocks.externalApiService.runReconciliationJob = async(params) => {
+			capturedParams = params;
+			return {checked: 3, updated: 1};
 		};
-		const {service} = createTestScheduler({externalApiService: mockExternalApiService});
 
-		service.start();
+		await jobs.reconciliation.run({staleAfterHours: 48});
 
-		assert.strictEqual(service.scheduledTask, null);
+		const {signal, ...params} = capturedParams;
+		assert.deepStrictEqual(params, {staleAfterHours: 48, source: 'scheduler'});
+		assert(signal instanceof AbortSignal);
 	});
 
-	await t.test('should stop scheduler', async() => {
-		const {service} = createTestScheduler();
+	await t.test('should run the other shops and fail the job when a shop fails', async() => {
+		const {jobs, first, second} = createJobs();
+		let secondRan = false;
+		first.mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async() => {
+			throw new Error('API error');
+		};
+		second.mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async() => {
+			secondRan = true;
+			return {downloaded: 0, created: 0, updated: 0};
+		};
 
-		service.start();
-		assert(service.scheduledTask);
+		await assert.rejects(() => jobs['order-sync'].run({}), /shop 'shop-a' \(API error\)/);
+		assert.strictEqual(secondRan, true);
+		assert.strictEqual(first.service.isRunning, false);
+	});
+
+	await t.test('should report a shop skipped while another of its tasks runs', async() => {
+		const {jobs, first} = createJobs();
+		first.service.isRunning = true;
 
-		service.stop();
+		const result = await jobs.reconciliation.run({});
 
-		assert.strictEqual(service.scheduledTask, null);
+		assert.deepStrictEqual(result.shops[0], {
+			shopId: 'shop-a',
+			status: 'skipped',
+			reason: 'Previous task still running',
+		});
+		assert.strictEqual(result.shops[1].status, 'completed');
 	});
 
-	await t.test('should handle stop when not running', async() => {
-		const {service} = createTestScheduler();
+	await t.test('should report the running task', async() => {
+		const {service, mocks} = createTestScheduler();
+		let statusDuringRun = null;
+		mocks.externalApiService.runReconciliationJob = async() => {
+			statusDuringRun = service.getStatus();
+			return {checked: 0, updated: 0};
+		};
 
-		// Should not throw
-		service.stop();
+		await service.runReconciliation();
 
-		assert.strictEqual(service.scheduledTask, null);
+		assert.strictEqual(statusDuringRun.isRunning, true);
+		assert.strictEqual(statusDuringRun.currentTask, 'reconciliation');
+		assert.strictEqual(service.getStatus().currentTask, null);
 	});
 });
 
@@ -215,6 +274,26 @@ test('OrderSchedulerService - Task Execution Tests', async(t) => {
 		assert.strictEqual(service.isRunning, true); // Should remain true
 	});
 
+	await t.test('should skip execution while the IdoSell circuit is open', async() => {
+		const {service, mocks} = createTestScheduler();
+
+		mocks.externalApiService.getCircuitBreakerStatus = () => ({
+			state: 'open',
+			retryAt: '2024-01-15T10:01:00.000Z',
+		});
+
+		let downloadCalled = false;
+		mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async() => {
+			downloadCalled = true;
+			return {downloaded: 0, created: 0, updated: 0};
+		};
+
+		await service.runScheduledTask();
+
+		assert.strictEqual(downloadCalled, false);
+		assert.strictEqual(service.isRunning, false);
+	});
+
 	await t.test('should handle errors in scheduled task', async() => {
 		const {service, mocks} = createTestScheduler();
 
@@ -278,15 +357,16 @@ test('OrderSchedulerService - Status Monitoring Tests', async(t) => {
 	await t.test('should run status monitoring immediately', async() => {
 		const {service, mocks} = createTestScheduler();
 
-		let monitoringCalled = false;
-		mocks.externalApiService.runStatusMonitoringJob = async() => {
-			monitoringCalled = true;
+		let monitoringParams = null;
+		mocks.externalApiService.runStatusMonitoringJob = async(params) => {
+			monitoringParams = params;
 			return {checked: 5, updated: 1};
 		};
 
 		await service.runStatusMonitoringNow();
 
-		assert.strictEqual(monitoringCalled, true);
+		assert.strictEqual(monitoringParams.source, 'manual');
+		assert(monitoringParams.signal instanceof AbortSignal);
 		assert.strictEqual(service.isRunning, false);
 	});
 
@@ -309,26 +389,31 @@ test('OrderSchedulerService - Status Monitoring Tests', async(t) => {
 
 test('OrderSchedulerService - Status and Utility Tests', async(t) => {
 
-	await t.test('should return correct status when not scheduled', async() => {
+	await t.test('should return correct status when idle', async() => {
 		const {service, mocks} = createTestScheduler();
 
 		const status = service.getStatus();
 
-		assert.strictEqual(status.isScheduled, false);
 		assert.strictEqual(status.isRunning, false);
-		assert.strictEqual(status.intervalMinutes, mocks.config.scheduler.intervalMinutes);
+		assert.strictEqual(status.currentTask, null);
 		assert.strictEqual(status.lookbackMinutes, mocks.config.scheduler.lookbackMinutes);
 		assert.strictEqual(status.apiReady, true);
 	});
 
-	await t.test('should return correct status when scheduled', async() => {
+	await t.test('should report the shop it schedules', async() => {
 		const {service} = createTestScheduler();
 
-		service.start();
-		const status = service.getStatus();
+		assert.strictEqual(service.getStatus().shopId, 'shop-a');
+	});
 
-		assert.strictEqual(status.isScheduled, true);
-		assert.strictEqual(status.isRunning, false);
+	await t.test('should report the IdoSell circuit breaker', async() => {
+		const {service} = createTestScheduler();
+
+		assert.deepStrictEqual(service.getStatus().circuitBreaker, {
+			name: 'idosell:shop-a',
+			state: 'closed',
+			retryAt: null,
+		});
 	});
 
 	await t.test('should return correct status when running', async() => {
@@ -340,42 +425,60 @@ test('OrderSchedulerService - Status and Utility Tests', async(t) => {
 		assert.strictEqual(status.isRunning, true);
 	});
 
-	await t.test('should run all tasks now', async() => {
-		const {service} = createTestScheduler();
+	await t.test('should only download orders when run now', async() => {
+		const {service, mocks} = createTestScheduler();
 
-		let taskExecuted = false;
-		// Mock the runScheduledTask method
-		service.runScheduledTask = async() => {
-			taskExecuted = true;
+		const calls = [];
+		mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async(params) => {
+			calls.push(['download', params.source, params.signal instanceof AbortSignal]);
+			return {downloaded: 2, created: 1, updated: 1};
+		};
+		mocks.externalApiService.runStatusMonitoringJob = async(params) => {
+			calls.push(['monitoring', params.source]);
+			return {checked: 0, updated: 0};
 		};
 
-		await service.runNow();
+		const outcome = await service.runNow();
 
-		assert.strictEqual(taskExecuted, true);
+		assert.deepStrictEqual(calls, [['download', 'manual', true]]);
+		assert.deepStrictEqual(outcome, {
+			status: 'completed',
+			result: {downloaded: 2, created: 1, updated: 1},
+		});
+		assert.strictEqual(service.isRunning, false);
 	});
 
 	await t.test('should run all tasks immediately', async() => {
-		const {service} = createTestScheduler();
+		const {service, mocks} = createTestScheduler();
 
-		let taskExecuted = false;
-		// Mock the runScheduledTasks method (note: there's a typo in the original code)
-		service.runScheduledTasks = async() => {
-			taskExecuted = true;
+		const calls = [];
+		mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async(params) => {
+			calls.push(['download', params.source]);
+			return {downloaded: 0, created: 0, updated: 0};
+		};
+		mocks.externalApiService.runStatusMonitoringJob = async(params) => {
+			calls.push(['monitoring', params.source, params.reconcile]);
+			return {checked: 0, updated: 0};
 		};
 
 		await service.runAllTasksNow();
 
-		assert.strictEqual(taskExecuted, true);
+		assert.deepStrictEqual(calls, [
+			['download', 'manual'],
+			['monitoring', 'manual', undefined],
+		]);
+		assert.strictEqual(service.isRunning, false);
 	});
 
 	await t.test('should skip run all tasks if already running', async() => {
-		const {service} = createTestScheduler();
+		const {service, mocks} = createTestScheduler();
 
 		service.isRunning = true;
 
 		let taskExecuted = false;
-		service.runScheduledTasks = async() => {
+		mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async() => {
 			taskExecuted = true;
+			return {downloaded: 0, created: 0, updated: 0};
 		};
 
 		await service.runAllTasksNow();
@@ -384,6 +487,257 @@ test('OrderSchedulerService - Status and Utility Tests', async(t) => {
 	});
 });
 
+test('OrderSchedulerService - Scheduler Lease Tests', async(t) => {
+
+	/**
+	 * Create a scheduler counting its downloads
+	 * @param {Object} customMocks - Mocks and options passed to createTestScheduler
+	 * @returns {Object} Scheduler with a downloads counter
+	 */
+	const createCountingScheduler = (customMocks = {}) => {
+		const scheduler = createTestScheduler(customMocks);
+		const {externalApiService} = scheduler.mocks;
+		scheduler.downloads = 0;
+		externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async() => {
+			scheduler.downloads++;
+			await new Promise(resolve => setTimeout(resolve, customMocks.runMs || 0));
+			return {downloaded: 0, created: 0, updated: 0};
+		};
+		return scheduler;
+	};
+
+	await t.test('should hold the shop lease while running and release it afterwards', async() => {
+		const scheduler = createCountingScheduler({options: {lockOwner: 'app-1'}});
+		const {service, mocks} = scheduler;
+
+		await service.runScheduledTask();
+
+		assert.strictEqual(scheduler.downloads, 1);
+		assert.deepStrictEqual(mocks.schedulerLockModel.calls, [
+			['acquire', 'order-scheduler:shop-a', 'app-1'],
+			['release', 'order-scheduler:shop-a', 'app-1'],
+		]);
+		assert.deepStrictEqual(mocks.schedulerLockModel.locks, {});
+		assert.strictEqual(service.getStatus().lock.isHeld, false);
+	});
+
+	await t.test('should run the window once when two instances fire together', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const first = createCountingScheduler({
+			schedulerLockModel,
+			runMs: 20,
+			options: {lockOwner: 'app-1'},
+		});
+		const second = createCountingScheduler({
+			schedulerLockModel,
+			runMs: 20,
+			options: {lockOwner: 'app-2'},
+		});
+
+		await Promise.all([first.service.runScheduledTask(), second.service.runScheduledTask()]);
+
+		assert.strictEqual(first.downloads + second.downloads, 1);
+		assert.strictEqual(second.service.isRunning, false);
+	});
+
+	await t.test('should skip the run and report the holder while another instance holds the lease', async() => {
+		const expiresAt = new Date(Date.now() + 60000);
+		const scheduler = createCountingScheduler({
+			schedulerLockModel: createMockSchedulerLockModel({
+				locks: {'order-scheduler:shop-a': {owner: 'app-2', expiresAt}},
+			}),
+			options: {lockOwner: 'app-1', lockTtlMs: 120000},
+		});
+
+		await scheduler.service.runScheduledTask();
+
+		assert.strictEqual(scheduler.downloads, 0);
+		assert.strictEqual(scheduler.service.isRunning, false);
+		const {lock} = scheduler.service.getStatus();
+		assert.strictEqual(lock.name, 'order-scheduler:shop-a');
+		assert.strictEqual(lock.owner, 'app-1');
+		assert.strictEqual(lock.ttlMs, 120000);
+		assert.strictEqual(lock.isHeld, false);
+		assert.strictEqual(lock.holder, 'app-2');
+		assert.strictEqual(lock.expiresAt, expiresAt);
+		assert(lock.checkedAt instanceof Date);
+	});
+
+	await t.test('should take over the expired lease of a crashed instance', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel({
+			locks: {'order-scheduler:shop-a': {owner: 'app-2', expiresAt: new Date(Date.now() - 1000)}},
+		});
+		const scheduler = createCountingScheduler({
+			schedulerLockModel,
+			options: {lockOwner: 'app-1'},
+		});
+
+		await scheduler.service.runScheduledTask();
+
+		assert.strictEqual(scheduler.downloads, 1);
+		assert.deepStrictEqual(schedulerLockModel.locks, {});
+	});
+
+	await t.test('should renew the lease during a long run', async() => {
+		const {service, mocks} = createCountingScheduler({
+			runMs: 80,
+			options: {lockOwner: 'app-1', lockTtlMs: 60},
+		});
+
+		let leaseDuringRun = null;
+		mocks.externalApiService.runStatusMonitoringJob = async() => {
+			leaseDuringRun = service.getStatus().lock;
+			return {checked: 0, updated: 0};
+		};
+
+		await service.runScheduledTask();
+
+		const renewals = mocks.schedulerLockModel.calls.filter(([call]) => call === 'renew');
+		assert(renewals.length >= 2);
+		assert.strictEqual(leaseDuringRun.isHeld, true);
+		assert.strictEqual(leaseDuringRun.holder, 'app-1');
+	});
+
+	await t.test('should wait for a renewal in flight before releasing the lease', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const renew = schedulerLockModel.renew;
+		schedulerLockModel.renew = async(...args) => {
+			await new Promise(resolve => setTimeout(resolve, 30));
+			return renew(...args);
+		};
+		const {service, mocks} = createTestScheduler({
+			schedulerLockModel,
+			options: {lockOwner: 'app-1', lockTtlMs: 30},
+		});
+		mocks.externalApiService.runReconciliationJob = async() => {
+			await new Promise(resolve => setTimeout(resolve, 15));
+			return {checked: 0, updated: 0};
+		};
+
+		const warnings = [];
+		const {warn} = console;
+		console.warn = message => warnings.push(message);
+		try {
+			const outcome = await service.runReconciliation();
+			assert.strictEqual(outcome.status, 'completed');
+		} finally {
+			console.warn = warn;
+		}
+
+		assert.deepStrictEqual(schedulerLockModel.calls.map(([call]) => call), ['acquire', 'renew', 'release']);
+		assert.deepStrictEqual(warnings, []);
+		assert.deepStrictEqual(schedulerLockModel.locks, {});
+	});
+
+	await t.test('should stop the run once another instance took over the lease', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const {service, mocks} = createTestScheduler({
+			schedulerLockModel,
+			options: {lockOwner: 'app-1', lockTtlMs: 30},
+		});
+
+		let signalDuringRun = null;
+		mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async(options) => {
+			signalDuringRun = options.signal;
+			schedulerLockModel.locks['order-scheduler:shop-a'].owner = 'app-2';
+			await new Promise(resolve => options.signal.addEventListener('abort', resolve));
+			options.signal.throwIfAborted();
+		};
+
+		await assert.rejects(
+			() => service.runOrderSync(),
+			(error) => error.code === 'LEASE_LOST' && error.message.includes("shop 'shop-a'"),
+		);
+
+		assert.strictEqual(signalDuringRun.aborted, true);
+		assert.strictEqual(service.isRunning, false);
+		assert.strictEqual(schedulerLockModel.locks['order-scheduler:shop-a'].owner, 'app-2');
+	});
+
+	await t.test('should fail a run that ignored the signal after the lease was lost', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const {service, mocks} = createTestScheduler({
+			schedulerLockModel,
+			options: {lockOwner: 'app-1', lockTtlMs: 30},
+		});
+
+		mocks.externalApiService.runReconciliationJob = async() => {
+			delete schedulerLockModel.locks['order-scheduler:shop-a'];
+			await new Promise(resolve => setTimeout(resolve, 40));
+			return {checked: 3, updated: 1};
+		};
+
+		await assert.rejects(() => service.runReconciliation(), {code: 'LEASE_LOST'});
+	});
+
+	await t.test('should not start status monitoring after the lease was lost during the sync', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const {service, mocks} = createTestScheduler({
+			schedulerLockModel,
+			options: {lockOwner: 'app-1', lockTtlMs: 30},
+		});
+
+		let monitoringCalled = false;
+		mocks.externalApiService.downloadAndSaveNewlyAddedOrdersFromScheduler = async(options) => {
+			delete schedulerLockModel.locks['order-scheduler:shop-a'];
+			await new Promise(resolve => options.signal.addEventListener('abort', resolve));
+			options.signal.throwIfAborted();
+		};
+		mocks.externalApiService.runStatusMonitoringJob = async() => {
+			monitoringCalled = true;
+			return {checked: 0, updated: 0};
+		};
+
+		await service.runScheduledTask();
+
+		assert.strictEqual(monitoringCalled, false);
+		assert.strictEqual(service.isRunning, false);
+	});
+
+	await t.test('should skip the run when the lock cannot be read', async() => {
+		const scheduler = createCountingScheduler({
+			schedulerLockModel: createMockSchedulerLockModel({
+				acquireError: new Error('Database not connected'),
+			}),
+		});
+
+		await scheduler.service.runScheduledTask();
+
+		assert.strictEqual(scheduler.downloads, 0);
+		assert.strictEqual(scheduler.service.isRunning, false);
+	});
+
+	await t.test('should hold the lease for manual status monitoring', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel({
+			locks: {'order-scheduler:shop-a': {owner: 'app-2', expiresAt: new Date(Date.now() + 60000)}},
+		});
+		const {service, mocks} = createTestScheduler({schedulerLockModel, options: {lockOwner: 'app-1'}});
+
+		let monitoringCalled = false;
+		mocks.externalApiService.runStatusMonitoringJob = async() => {
+			monitoringCalled = true;
+			return {checked: 0, updated: 0};
+		};
+
+		await service.runStatusMonitoringNow();
+
+		assert.strictEqual(monitoringCalled, false);
+	});
+
+	await t.test('should refresh the lease holder for health checks', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const {service} = createTestScheduler({schedulerLockModel, options: {lockOwner: 'app-1'}});
+
+		const idle = await service.refreshLockStatus();
+		await schedulerLockModel.acquire('order-scheduler:shop-a', 'app-2', 60000);
+		const held = await service.refreshLockStatus();
+
+		assert.strictEqual(idle.lock.holder, null);
+		assert.strictEqual(held.lock.holder, 'app-2');
+		assert.strictEqual(held.lock.isHeld, false);
+	});
+});
+
 test('OrderSchedulerService - Error Handling Tests', async(t) => {
 
 	await t.test('should handle external API service errors gracefully', async() => {
@@ -395,6 +749,7 @@ test('OrderSchedulerService - Error Handling Tests', async(t) => {
 			runStatusMonitoringJob: async() => {
 				throw new Error('Database error');
 			},
+			getCircuitBreakerStatus: () => ({state: 'closed', retryAt: null}),
 			DATE_TYPES: {ADD: 'add'},
 		};
 
@@ -431,4 +786,5 @@ test('OrderSchedulerService - Error Handling Tests', async(t) => {
 test.after(() => {
 	const servicePath = path.resolve(__dirname, './order-scheduler-service.js');
 	delete require.cache[servicePath];
+	delete require.cache[path.resolve(__dirname, './scheduler-lease-service.js')];
 });
@@ -0,0 +1,346 @@
+const _ = require('lodash');
+const config = require('../config');
+const orderEventModel = require('../models/order-event-model');
+
+/**
+ * Event types sent on the order stream
+ */
+const STREAM_EVENT_TYPES = {
+	ORDER_CREATED: 'order.created', // First sighting of an order
+	ORDER_STATUS_CHANGED: 'order.status_changed', // A stored order moved to another status
+};
+
+/**
+ * Events read from the event log per query of a poll
+ */
+const POLL_BATCH_SIZE = 500;
+
+/**
+ * Order Stream Service - Pushes order status changes to Server-Sent Events clients
+ * The order_events collection is the event log: the service polls it for newly recorded
+ * transitions (also those recorded by CLI processes) and fans them out to every connected client
+ * whose filters match. Event IDs are order_events IDs, so a client reconnecting with
+ * Last-Event-ID first gets the events it missed from the log. A resume replays the overlap window
+ * before the last event too, so events may repeat after a reconnect - clients skip known IDs.
+ */
+class OrderStreamService {
+	/**
+	 * @param {Object} options - Stream options (defaults to the orderStream config)
+	 * @param {number} [options.pollIntervalMs] - How often the event log is checked
+	 * @param {number} [options.heartbeatIntervalMs] - How often idle connections get a heartbeat
+	 * @param {number} [options.overlapMs] - How far each poll looks back for events recorded late
+	 * @param {number} [options.backlogLimit] - Most missed events replayed to a resuming client
+	 * @param {number} [options.retryMs] - Reconnection delay suggested to clients
+	 */
+	constructor(options = {}) {
+		const settings = config.orderStream || {};
+
+		this.pollIntervalMs = options.pollIntervalMs || settings.pollIntervalMs || 2000;
+		this.heartbeatIntervalMs = options.heartbeatIntervalMs ||
+			settings.heartbeatIntervalMs ||
+			15000;
+		this.overlapMs = options.overlapMs || settings.overlapMs || 10000;
+		this.backlogLimit = options.backlogLimit || settings.backlogLimit || 500;
+		this.retryMs = options.retryMs || settings.retryMs || 3000;
+		this.clients = new Set();
+		this.pollTimer = null;
+		this.heartbeatTimer = null;
+		this.isPolling = false;
+		this.pollFrom = null;
+		this.sentEventIds = new Map();
+		this.lastEventId = null;
+	}
+
+	/**
+	 * Event types sent on the stream
+	 */
+	static get EVENT_TYPES() {
+		return STREAM_EVENT_TYPES;
+	}
+
+	/**
+	 * Turn a recorded status transition into a stream event
+	 * @param {Object} event - order_events entry
+	 * @returns {Object} Stream event ({id, type, data})
+	 */
+	static toStreamEvent(event) {
+		return {
+			id: event.id,
+			type: event.oldStatus === null
+				? STREAM_EVENT_TYPES.ORDER_CREATED
+				: STREAM_EVENT_TYPES.ORDER_STATUS_CHANGED,
+			data: {
+				id: event.id,
+				..._.pick(event, [
+					'shopId',
+					'externalId',
+					'oldStatus',
+					'newStatus',
+					'source',
+					'externalChangedAt',
+					'detectedAt',
+				]),
+			},
+		};
+	}
+
+	/**
+	 * Check a stream event against the filters of a connection
+	 * @param {Object} streamEvent - Stream event
+	 * @param {Object} filters - Connection filters ({shopIds, statuses, types}, each optional)
+	 * @returns {boolean} True if the connection wants the event
+	 */
+	static matchesFilters(streamEvent, filters) {
+		const {shopIds, statuses, types} = filters;
+
+		return (!shopIds || shopIds.includes(streamEvent.data.shopId)) &&
+			(!statuses || statuses.includes(streamEvent.data.newStatus)) &&
+			(!types || types.includes(streamEvent.type));
+	}
+
+	/**
+	 * Format a stream event as an SSE message
+	 * @param {Object} streamEvent - Stream event
+	 * @returns {string} SSE message
+	 */
+	static formatMessage(streamEvent) {
+		return `id: ${streamEvent.id}\nevent: ${streamEvent.type}\ndata: ${JSON.stringify(streamEvent.data)}\n\n`;
+	}
+
+	/**
+	 * Build the event log query options of connection filters
+	 * @param {Object} filters - Connection filters
+	 * @returns {Object} Options for orderEventModel.getStatusChangesAfter
+	 */
+	static getLogFilters(filters) {
+		const options = _.pick(filters, ['shopIds', 'statuses']);
+
+		if (filters.types && filters.types.length === 1) {
+			options.created = filters.types[0] === STREAM_EVENT_TYPES.ORDER_CREATED;
+		}
+
+		return options;
+	}
+
+	/**
+	 * Start polling the event log and sending heartbeats
+	 */
+	start() {
+		if (this.pollTimer) {
+			console.log('⚠️  Order stream already running');
+			return;
+		}
+
+		// Only transitions recorded from now on are pushed live; older ones are served on resume
+		this.pollFrom = new Date();
+
+		this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+		this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatIntervalMs);
+
+		console.log(`✅ Order stream started: polling every ${this.pollIntervalMs}ms, heartbeat every ${this.heartbeatIntervalMs}ms`);
+	}
+
+	/**
+	 * Stop polling and close every open connection, so the server can shut down
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+		if (this.heartbeatTimer) {
+			clearInterval(this.heartbeatTimer);
+			this.heartbeatTimer = null;
+		}
+
+		for (const client of this.clients) {
+			client.res.end();
+		}
+		this.clients.clear();
+
+		console.log('🛑 Order stream stopped');
+	}
+
+	/**
+	 * Write a reset event, asking the client to reload its data instead of resuming
+	 * @param {Object} res - Express response
+	 * @param {string} reason - Why the stream cannot resume
+	 */
+	static writeReset(res, reason) {
+		res.write(`event: reset\ndata: ${JSON.stringify({reason})}\n\n`);
+	}
+
+	/**
+	 * Open a stream on an HTTP response
+	 * A resuming client first gets the events recorded since lastEventId, looking back overlapMs
+	 * like live polling does, since an event recorded late by another process can sort before it.
+	 * Live events arriving meanwhile are held back and sent afterwards, so the order of the log is
+	 * kept. When more events were missed than backlogLimit or lastEventId is unknown, the client
+	 * gets a reset event instead and should reload its data.
+	 * @param {Object} req - Express request
+	 * @param {Object} res - Express response
+	 * @param {Object} options - Stream options
+	 * @param {Object} options.filters - Connection filters ({shopIds, statuses, types}, each optional)
+	 * @param {string} options.lastEventId - ID of the last event the client received
+	 * @returns {Promise<Object>} Connected client
+	 */
+	async openStream(req, res, options = {}) {
+		const filters = options.filters || {};
+		const client = {
+			res,
+			filters,
+			pending: options.lastEventId ? [] : null,
+			connectedAt: new Date(),
+		};
+
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream; charset=utf-8',
+			'Cache-Control': 'no-cache, no-transform',
+			Connection: 'keep-alive',
+			'X-Accel-Buffering': 'no', // Keep reverse proxies from buffering the stream
+		});
+		res.write(`retry: ${this.retryMs}\n\n`);
+
+		this.clients.add(client);
+		req.on('close', () => this.clients.delete(client));
+
+		if (!options.lastEventId) {
+			return client;
+		}
+
+		try {
+			const lastEvent = await orderEventModel.getById(options.lastEventId);
+			const missed = lastEvent
+				? (await orderEventModel.getStatusChangesAfter({
+					...OrderStreamService.getLogFilters(filters),
+					since: new Date(lastEvent.detectedAt.getTime() - this.overlapMs),
+					limit: this.backlogLimit + 2,
+				})).filter(event => event.id !== lastEvent.id)
+				: [];
+
+			if (!lastEvent) {
+				OrderStreamService.writeReset(res, 'The last event ID is unknown - reload the orders');
+			} else if (missed.length > this.backlogLimit) {
+				OrderStreamService.writeReset(
+					res,
+					`More than ${this.backlogLimit} events were missed - reload the orders`,
+				);
+			} else {
+				missed.forEach(event => res.write(
+					OrderStreamService.formatMessage(OrderStreamService.toStreamEvent(event)),
+				));
+			}
+
+			const replayedIds = new Set(missed.map(event => event.id));
+			client.pending
+				.filter(streamEvent => !replayedIds.has(streamEvent.id))
+				.forEach(streamEvent => res.write(OrderStreamService.formatMessage(streamEvent)));
+			client.pending = null;
+		} catch (error) {
+			console.error('❌ Failed to replay missed order events:', error.message);
+			this.clients.delete(client);
+			res.end();
+		}
+
+		return client;
+	}
+
+	/**
+	 * Send a stream event to every connection whose filters match
+	 * @param {Object} streamEvent - Stream event
+	 */
+	broadcast(streamEvent) {
+		for (const client of this.clients) {
+			if (!OrderStreamService.matchesFilters(streamEvent, client.filters)) {
+				continue;
+			}
+
+			if (client.pending) {
+				client.pending.push(streamEvent);
+			} else {
+				client.res.write(OrderStreamService.formatMessage(streamEvent));
+			}
+		}
+	}
+
+	/**
+	 * Send a heartbeat comment, so proxies and clients keep idle connections open
+	 */
+	sendHeartbeat() {
+		for (const client of this.clients) {
+			client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+		}
+	}
+
+	/**
+	 * Push the transitions recorded since the last poll
+	 * Each poll looks back overlapMs, since a transition can be recorded with an earlier time than
+	 * one already seen (e.g. by a CLI process); events already sent are skipped.
+	 */
+	async poll() {
+		if (this.isPolling) {
+			return;
+		}
+
+		// Nobody is listening - new clients only want what is recorded after they connect
+		if (this.clients.size === 0) {
+			this.pollFrom = new Date();
+			return;
+		}
+
+		this.isPolling = true;
+
+		try {
+			const polledAt = new Date();
+			const since = new Date(this.pollFrom.getTime() - this.overlapMs);
+			let after = null;
+			let events;
+
+			do {
+				events = await orderEventModel.getStatusChangesAfter(
+					after ? {after, limit: POLL_BATCH_SIZE} : {since, limit: POLL_BATCH_SIZE},
+				);
+
+				for (const event of events) {
+					after = {detectedAt: event.detectedAt, id: event.id};
+					if (this.sentEventIds.has(event.id)) {
+						continue;
+					}
+
+					this.sentEventIds.set(event.id, event.detectedAt);
+					this.lastEventId = event.id;
+					this.broadcast(OrderStreamService.toStreamEvent(event));
+				}
+			} while (events.length === POLL_BATCH_SIZE);
+
+			// Forget events that no later poll looks back to
+			this.pollFrom = polledAt;
+			const forgetBefore = new Date(polledAt.getTime() - this.overlapMs - 1000);
+			for (const [id, recordedAt] of this.sentEventIds) {
+				if (recordedAt < forgetBefore) {
+					this.sentEventIds.delete(id);
+				}
+			}
+		} catch (error) {
+			console.error('❌ Order stream poll failed:', error.message);
+		} finally {
+			this.isPolling = false;
+		}
+	}
+
+	/**
+	 * Get stream status
+	 * @returns {Object} Stream status
+	 */
+	getStatus() {
+		return {
+			isStarted: !!this.pollTimer,
+			clients: this.clients.size,
+			lastEventId: this.lastEventId,
+			pollIntervalMs: this.pollIntervalMs,
+			heartbeatIntervalMs: this.heartbeatIntervalMs,
+		};
+	}
+}
+
+module.exports = OrderStreamService;
@@ -0,0 +1,417 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {EventEmitter} = require('events');
+const {ObjectId} = require('mongodb');
+
+/**
+ * Build an event ID recorded at the given time
+ * @param {Date} recordedAt - Time encoded in the ID
+ * @param {number} sequence - Distinguishes IDs of the same second
+ * @returns {ObjectId} Event ID
+ */
+function createEventId(recordedAt, sequence) {
+	const seconds = Math.floor(recordedAt.getTime() / 1000).toString(16).padStart(8, '0');
+	return new ObjectId(`${seconds}${sequence.toString(16).padStart(16, '0')}`);
+}
+
+/**
+ * Create a mock order event model backed by an in-memory event log
+ * @returns {Object} Mock order event model
+ */
+function createMockOrderEventModel() {
+	let sequence = 0;
+
+	const model = {
+		events: [],
+		queries: [],
+
+		/**
+		 * Append a status transition to the log
+		 * @param {Object} event - Transition fields
+		 * @param {Date} recordedAt - Time the event is recorded at and encoded in its ID (default: now)
+		 * @returns {Object} Stored event
+		 */
+		record(event, recordedAt = new Date()) {
+			const _id = createEventId(recordedAt, ++sequence);
+			const stored = {
+				_id,
+				id: _id.toString(),
+				type: 'status_changed',
+				shopId: 'shop-a',
+				oldStatus: null,
+				newStatus: 'new',
+				source: 'scheduler',
+				externalChangedAt: null,
+				detectedAt: recordedAt,
+				...event,
+			};
+			model.events.push(stored);
+			return stored;
+		},
+
+		getById: async(id) => model.events.find(event => event.id === id) || null,
+
+		getStatusChangesAfter: async(options = {}) => {
+			model.queries.push(options);
+			const compare = (a, b) => a.detectedAt - b.detectedAt || a.id.localeCompare(b.id);
+
+			return model.events
+				.filter(event => !options.after || compare(event, options.after) > 0)
+				.filter(event => !options.since || event.detectedAt >= options.since)
+				.filter(event => !options.shopIds || options.shopIds.includes(event.shopId))
+				.filter(event => !options.statuses || options.statuses.includes(event.newStatus))
+				.filter(event => options.created === undefined ||
+					(event.oldStatus === null) === options.created)
+				.sort(compare)
+				.slice(0, options.limit || 500);
+		},
+	};
+
+	return model;
+}
+
+/**
+ * Create a fake SSE connection (request and response)
+ * @returns {Object} Connection with req, res and the written messages
+ */
+function createConnection() {
+	const req = new EventEmitter();
+	const res = {
+		status: null,
+		headers: null,
+		chunks: [],
+		ended: false,
+		writeHead(status, headers) {
+			this.status = status;
+			this.headers = headers;
+		},
+		write(chunk) {
+			this.chunks.push(chunk);
+		},
+		end() {
+			this.ended = true;
+		},
+	};
+
+	return {
+		req,
+		res,
+		/**
+		 * Parse the events written so far
+		 * @returns {Array<Object>} Events ({id, event, data})
+		 */
+		getEvents() {
+			return res.chunks
+				.filter(chunk => chunk.startsWith('id:') || chunk.startsWith('event:'))
+				.map(chunk => {
+					const fields = {};
+					for (const line of chunk.trim().split('\n')) {
+						const separator = line.indexOf(': ');
+						fields[line.slice(0, separator)] = line.slice(separator + 2);
+					}
+					return {...fields, data: JSON.parse(fields.data)};
+				});
+		},
+	};
+}
+
+/**
+ * Test setup - Creates OrderStreamService with a mocked event log
+ */
+function createTestService(options = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './order-stream-service.js');
+	delete require.cache[servicePath];
+
+	const mockOrderEventModel = createMockOrderEventModel();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../config') {
+			return {orderStream: {}};
+		}
+		if (id === '../models/order-event-model') {
+			return mockOrderEventModel;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const OrderStreamService = require('./order-stream-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	const service = new OrderStreamService(options);
+	// Poll from a known point instead of start(), which would also start the timers
+	service.pollFrom = new Date();
+
+	return {
+		OrderStreamService,
+		service,
+		mocks: {orderEventModel: mockOrderEventModel},
+	};
+}
+
+/**
+ * Test Suite
+ */
+test('OrderStreamService - Connection Tests', async(t) => {
+
+	await t.test('should open an event stream and forget closed connections', async() => {
+		const {service} = createTestService({retryMs: 5000});
+		const connection = createConnection();
+
+		await service.openStream(connection.req, connection.res);
+
+		assert.strictEqual(connection.res.status, 200);
+		assert.strictEqual(connection.res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+		assert.strictEqual(connection.res.headers['Cache-Control'], 'no-cache, no-transform');
+		assert.deepStrictEqual(connection.res.chunks, ['retry: 5000\n\n']);
+		assert.strictEqual(service.getStatus().clients, 1);
+
+		connection.req.emit('close');
+
+		assert.strictEqual(service.getStatus().clients, 0);
+	});
+
+	await t.test('should send heartbeats to every connection', async() => {
+		const {service} = createTestService();
+		const first = createConnection();
+		const second = createConnection();
+		await service.openStream(first.req, first.res);
+		await service.openStream(second.req, second.res);
+
+		service.sendHeartbeat();
+
+		assert.match(first.res.chunks[1], /^: heartbeat \d{4}-\d{2}-\d{2}T.*\n\n$/);
+		assert.match(second.res.chunks[1], /^: heartbeat /);
+	});
+
+	await t.test('should close every connection when stopped', async() => {
+		const {service} = createTestService();
+		const connection = createConnection();
+		await service.openStream(connection.req, connection.res);
+
+		service.stop();
+
+		assert.strictEqual(connection.res.ended, true);
+		assert.strictEqual(service.getStatus().clients, 0);
+	});
+});
+
+test('OrderStreamService - Live Event Tests', async(t) => {
+
+	await t.test('should push created and status changed events as they are recorded', async() => {
+		const {service, mocks} = createTestService();
+		const connection = createConnection();
+		await service.openStream(connection.req, connection.res);
+
+		const created = mocks.orderEventModel.record({externalId: 'EXT1'});
+		const changed = mocks.orderEventModel.record({
+			externalId: 'EXT2',
+			oldStatus: 'new',
+			newStatus: 'packed',
+		});
+		await service.poll();
+
+		assert.deepStrictEqual(connection.getEvents().map(({id, event}) => ({id, event})), [
+			{id: created.id, event: 'order.created'},
+			{id: changed.id, event: 'order.status_changed'},
+		]);
+		assert.deepStrictEqual(connection.getEvents()[1].data, {
+			id: changed.id,
+			shopId: 'shop-a',
+			externalId: 'EXT2',
+			oldStatus: 'new',
+			newStatus: 'packed',
+			source: 'scheduler',
+			externalChangedAt: null,
+			detectedAt: changed.detectedAt.toISOString(),
+		});
+		assert.strictEqual(service.getStatus().lastEventId, changed.id);
+	});
+
+	await t.test('should only send the events matching the filters of each connection', async() => {
+		const {service, mocks} = createTestService();
+		const byShop = createConnection();
+		const byStatus = createConnection();
+		const byType = createConnection();
+		await service.openStream(byShop.req, byShop.res, {filters: {shopIds: ['shop-b']}});
+		await service.openStream(byStatus.req, byStatus.res, {
+			filters: {statuses: ['finished', 'canceled']},
+		});
+		await service.openStream(byType.req, byType.res, {filters: {types: ['order.created']}});
+
+		mocks.orderEventModel.record({externalId: 'EXT1', shopId: 'shop-b'});
+		mocks.orderEventModel.record({externalId: 'EXT2', oldStatus: 'packed', newStatus: 'finished'});
+		mocks.orderEventModel.record({externalId: 'EXT3', oldStatus: 'new', newStatus: 'packed'});
+		await service.poll();
+
+		const externalIds = connection => connection.getEvents().map(({data}) => data.externalId);
+		assert.deepStrictEqual(externalIds(byShop), ['EXT1']);
+		assert.deepStrictEqual(externalIds(byStatus), ['EXT2']);
+		assert.deepStrictEqual(externalIds(byType), ['EXT1']);
+	});
+
+	await t.test('should send events recorded late once and never repeat them', async() => {
+		const {service, mocks} = createTestService({overlapMs: 10000});
+		const connection = createConnection();
+		await service.openStream(connection.req, connection.res);
+
+		mocks.orderEventModel.record({externalId: 'EXT1'});
+		await service.poll();
+		// Recorded by another process with an ID from before the last poll
+		mocks.orderEventModel.record({externalId: 'EXT2'}, new Date(Date.now() - 5000));
+		await service.poll();
+		await service.poll();
+
+		assert.deepStrictEqual(
+			connection.getEvents().map(({data}) => data.externalId),
+			['EXT1', 'EXT2'],
+		);
+	});
+
+	await t.test('should page through bursts larger than one query', async() => {
+		const {service, mocks} = createTestService();
+		const connection = createConnection();
+		await service.openStream(connection.req, connection.res);
+
+		for (let index = 0; index < 501; index++) {
+			mocks.orderEventModel.record({externalId: `EXT${index}`});
+		}
+		await service.poll();
+
+		assert.strictEqual(connection.getEvents().length, 501);
+		assert.deepStrictEqual(
+			mocks.orderEventModel.queries.map(query => !!query.after),
+			[false, true],
+		);
+	});
+
+	await t.test('should not push older events to clients connecting later', async() => {
+		const {service, mocks} = createTestService({overlapMs: 1});
+		mocks.orderEventModel.record({externalId: 'EXT1'}, new Date(Date.now() - 60000));
+		await service.poll();
+
+		const connection = createConnection();
+		await service.openStream(connection.req, connection.res);
+		await service.poll();
+
+		assert.deepStrictEqual(connection.getEvents(), []);
+	});
+});
+
+test('OrderStreamService - Resume Tests', async(t) => {
+
+	await t.test('should replay the events missed since the last event ID', async() => {
+		const {service, mocks} = createTestService();
+		const seen = mocks.orderEventModel.record({externalId: 'EXT1'}, new Date(Date.now() - 60000));
+		mocks.orderEventModel.record(
+			{externalId: 'EXT2', shopId: 'shop-b'},
+			new Date(Date.now() - 50000),
+		);
+		mocks.orderEventModel.record({externalId: 'EXT3'}, new Date(Date.now() - 40000));
+		const connection = createConnection();
+
+		await service.openStream(connection.req, connection.res, {
+			filters: {shopIds: ['shop-a'], types: ['order.created']},
+			lastEventId: seen.id,
+		});
+
+		assert.deepStrictEqual(connection.getEvents().map(({data}) => data.externalId), ['EXT3']);
+		assert.deepStrictEqual(mocks.orderEventModel.queries[0], {
+			shopIds: ['shop-a'],
+			created: true,
+			since: new Date(seen.detectedAt.getTime() - 10000),
+			limit: 502,
+		});
+	});
+
+	await t.test('should replay events another process recorded late with a lower ID', async() => {
+		const {service, mocks} = createTestService({overlapMs: 10000});
+		const seen = mocks.orderEventModel.record({externalId: 'EXT1'});
+		// Recorded after the last event the client got, but with an earlier time and ID
+		const late = mocks.orderEventModel.record({externalId: 'EXT2'}, new Date(Date.now() - 2000));
+		const connection = createConnection();
+
+		assert(late.id < seen.id);
+
+		await service.openStream(connection.req, connection.res, {lastEventId: seen.id});
+
+		assert.deepStrictEqual(connection.getEvents().map(({data}) => data.externalId), ['EXT2']);
+	});
+
+	await t.test('should ask the client to reload when the last event ID is unknown', async() => {
+		const {service} = createTestService();
+		const connection = createConnection();
+
+		await service.openStream(connection.req, connection.res, {
+			lastEventId: '65a1b2c3d4e5f6a7b8c9d0e1',
+		});
+
+		const events = connection.getEvents();
+		assert.strictEqual(events.length, 1);
+		assert.strictEqual(events[0].event, 'reset');
+		assert.strictEqual(events[0].data.reason, 'The last event ID is unknown - reload the orders');
+		assert.strictEqual(service.getStatus().clients, 1);
+	});
+
+	await t.test('should send live events arriving during the replay after it', async() => {
+		const {OrderStreamService, service, mocks} = createTestService();
+		const seen = mocks.orderEventModel.record({externalId: 'EXT1'});
+		const missed = mocks.orderEventModel.record({externalId: 'EXT2'});
+		const connection = createConnection();
+
+		const getStatusChangesAfter = mocks.orderEventModel.getStatusChangesAfter;
+		mocks.orderEventModel.getStatusChangesAfter = async(options) => {
+			const events = await getStatusChangesAfter(options);
+			// Broadcast while the replay query is running - once already replayed, once new
+			service.broadcast(OrderStreamService.toStreamEvent(missed));
+			service.broadcast(OrderStreamService.toStreamEvent(
+				mocks.orderEventModel.record({externalId: 'EXT3'}),
+			));
+			return events;
+		};
+
+		await service.openStream(connection.req, connection.res, {lastEventId: seen.id});
+
+		assert.deepStrictEqual(
+			connection.getEvents().map(({data}) => data.externalId),
+			['EXT2', 'EXT3'],
+		);
+	});
+
+	await t.test('should ask the client to reload when too many events were missed', async() => {
+		const {service, mocks} = createTestService({backlogLimit: 2});
+		const seen = mocks.orderEventModel.record({externalId: 'EXT1'});
+		['EXT2', 'EXT3', 'EXT4'].forEach(externalId => mocks.orderEventModel.record({externalId}));
+		const connection = createConnection();
+
+		await service.openStream(connection.req, connection.res, {lastEventId: seen.id});
+
+		const events = connection.getEvents();
+		assert.strictEqual(events.length, 1);
+		assert.strictEqual(events[0].event, 'reset');
+		assert.strictEqual(events[0].data.reason, 'More than 2 events were missed - reload the orders');
+	});
+
+	await t.test('should close the connection when the log cannot be read', async() => {
+		const {service, mocks} = createTestService();
+		mocks.orderEventModel.getById = async() => {
+			throw new Error('Connection lost');
+		};
+		const connection = createConnection();
+
+		await service.openStream(connection.req, connection.res, {
+			lastEventId: '65a1b2c3d4e5f6a7b8c9d0e1',
+		});
+
+		assert.strictEqual(connection.res.ended, true);
+		assert.strictEqual(service.getStatus().clients, 0);
+	});
+});
@@ -0,0 +1,193 @@
+const cron = require('node-cron');
+const reportScheduleModel = require('../models/report-schedule-model');
+const ReportService = require('./report-service');
+const SchedulerLeaseService = require('./scheduler-lease-service');
+const {JOB_NAMES} = require('./job-scheduler-service');
+
+/**
+ * Report Scheduler Service - Registers a node-cron task per enabled report schedule
+ * The report-generation job re-reads the schedules (every minute by default), so changes made
+ * through the API apply without a restart.
+ *
+ * Every app instance runs the report-generation job, but only the one holding its lease in
+ * scheduler_locks registers report tasks - the others stop theirs. Each report run also takes the
+ * lease of its schedule, so an occurrence is not delivered twice while the tasks move between
+ * instances.
+ */
+class ReportSchedulerService {
+	/**
+	 * @param {Object} reportService - Service running the reports (default: ReportService)
+	 * @param {Object} options - Lock options
+	 * @param {string} [options.lockOwner] - Lease owner ID (default: host, pid and a random suffix)
+	 * @param {number} [options.lockTtlMs] - Lease duration, renewed every third of it while running
+	 */
+	constructor(reportService = new ReportService(), options = {}) {
+		this.reportService = reportService;
+		this.tasks = new Map(); // schedule ID -> {task, schedule}
+		this.runningScheduleIds = new Set();
+		this.leaseOptions = {owner: options.lockOwner, ttlMs: options.lockTtlMs};
+		this.syncLease = new SchedulerLeaseService(`scheduler-job:${JOB_NAMES.REPORT_GENERATION}`, {
+			label: 'report schedules',
+			...this.leaseOptions,
+		});
+		this.scheduleLeases = new Map(); // schedule ID -> SchedulerLeaseService
+	}
+
+	/**
+	 * Build the report job definition for JobSchedulerService
+	 * Disabling the job stops every registered report task
+	 * @returns {Array<Object>} Job definitions
+	 */
+	getJobs() {
+		return [{
+			name: JOB_NAMES.REPORT_GENERATION,
+			description: 'Reload the report schedules and register a cron task per enabled schedule',
+			defaults: {
+				cron: '* * * * *',
+				timeoutMs: 60 * 1000,
+			},
+			runOnStart: true,
+			run: () => this.runScheduleSync(),
+			onDisable: () => this.stop(),
+		}];
+	}
+
+	/**
+	 * Stop every registered report task
+	 */
+	stop() {
+		for (const {task} of this.tasks.values()) {
+			task.stop();
+		}
+		this.tasks.clear();
+		console.log('🛑 Report scheduler stopped');
+	}
+
+	/**
+	 * Sync the schedules while holding the report-generation lease
+	 * Without the lease the report tasks are left to the instance holding it
+	 */
+	async runScheduleSync() {
+		const ran = await this.syncLease.run(() => this.syncSchedules(), {
+			holdMs: SchedulerLeaseService.OCCURRENCE_HOLD_MS,
+		});
+
+		if (!ran && this.tasks.size > 0) {
+			console.log('⏭️  Report schedules are run by another instance - stopping the local report tasks');
+			this.stop();
+		}
+	}
+
+	/**
+	 * Register tasks for new enabled schedules, re-register changed ones and drop the rest
+	 */
+	async syncSchedules() {
+		try {
+			const schedules = await reportScheduleModel.getAll({enabled: true});
+			const scheduleIds = new Set(schedules.map(schedule => schedule.id));
+
+			for (const [id, {task}] of this.tasks) {
+				if (!scheduleIds.has(id)) {
+					task.stop();
+					this.tasks.delete(id);
+					this.scheduleLeases.delete(id);
+				}
+			}
+
+			for (const schedule of schedules) {
+				const registered = this.tasks.get(schedule.id);
+				const updatedAt = schedule.updatedAt.getTime();
+				if (registered && registered.schedule.updatedAt.getTime() === updatedAt) {
+					continue;
+				}
+				if (registered) {
+					registered.task.stop();
+				}
+				this.registerSchedule(schedule);
+			}
+		} catch (error) {
+			console.error('❌ Failed to sync report schedules:', error.message);
+		}
+	}
+
+	/**
+	 * Register the cron task of a report schedule
+	 * @param {Object} schedule - Report schedule
+	 */
+	registerSchedule(schedule) {
+		if (!cron.validate(schedule.cron)) {
+			console.error(`❌ Report schedule '${schedule.name}' has an invalid cron expression: ${schedule.cron}`);
+			return;
+		}
+
+		const task = cron.schedule(schedule.cron, async() => {
+			await this.runSchedule(schedule);
+		}, {
+			scheduled: false,
+			timezone: schedule.timezone,
+		});
+
+		task.start();
+		this.tasks.set(schedule.id, {task, schedule});
+	}
+
+	/**
+	 * Get the lease of a report schedule
+	 * @param {Object} schedule - Report schedule
+	 * @returns {SchedulerLeaseService} Lease keyed by the schedule ID
+	 */
+	getScheduleLease(schedule) {
+		if (!this.scheduleLeases.has(schedule.id)) {
+			const lease = new SchedulerLeaseService(`report-schedule:${schedule.id}`, {
+				label: `report '${schedule.name}'`,
+				...this.leaseOptions,
+			});
+			this.scheduleLeases.set(schedule.id, lease);
+		}
+
+		return this.scheduleLeases.get(schedule.id);
+	}
+
+	/**
+	 * Run a scheduled report while holding the lease of its schedule
+	 * Skipped while its previous run is still going or another instance runs the same occurrence
+	 * @param {Object} schedule - Report schedule
+	 */
+	async runSchedule(schedule) {
+		if (this.runningScheduleIds.has(schedule.id)) {
+			console.log(`⏭️  Skipping report '${schedule.name}' - previous run still running`);
+			return;
+		}
+
+		this.runningScheduleIds.add(schedule.id);
+
+		try {
+			const lease = this.getScheduleLease(schedule);
+			await lease.run(() => this.reportService.runReport(schedule), {
+				holdMs: SchedulerLeaseService.OCCURRENCE_HOLD_MS,
+			});
+		} catch (error) {
+			console.error(`❌ Report '${schedule.name}' could not be recorded:`, error.message);
+		} finally {
+			this.runningScheduleIds.delete(schedule.id);
+		}
+	}
+
+	/**
+	 * Get report scheduler status
+	 * @returns {Object} Status information
+	 */
+	getStatus() {
+		return {
+			schedules: Array.from(this.tasks.values(), ({schedule}) => ({
+				id: schedule.id,
+				name: schedule.name,
+				cron: schedule.cron,
+				timezone: schedule.timezone,
+				isRunning: this.runningScheduleIds.has(schedule.id),
+			})),
+		};
+	}
+}
+
+module.exports = ReportSchedulerService;
@@ -0,0 +1,346 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+	mockReportSchedules,
+	mockReportDeliveries,
+	createMockReportScheduleModel,
+	createMockSchedulerLockModel,
+	silenceConsole,
+} = require('../test-helpers');
+
+silenceConsole();
+
+/**
+ * Test setup - Creates ReportSchedulerService with mocked dependencies
+ */
+function createTestScheduler(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './report-scheduler-service.js');
+	delete require.cache[servicePath];
+	delete require.cache[path.resolve(__dirname, './scheduler-lease-service.js')];
+
+	// Create mocks
+	const mockCron = {
+		schedule: (schedule, callback, options) => {
+			const task = {
+				start: () => {
+					task.started = true;
+				},
+				stop: () => {
+					task.started = false;
+				},
+				started: false,
+				callback,
+				schedule,
+				options,
+			};
+			mockCron.tasks.push(task);
+			return task;
+		},
+		validate: expression => expression.split(' ').length === 5,
+		tasks: [],
+	};
+
+	const mockReportScheduleModel = customMocks.reportScheduleModel
+		|| createMockReportScheduleModel({schedules: Object.values(mockReportSchedules)});
+
+	const mockSchedulerLockModel = customMocks.schedulerLockModel || createMockSchedulerLockModel();
+
+	const mockReportService = {
+		runs: [],
+		runReport: customMocks.runReport || (async(schedule) => {
+			mockReportService.runs.push(schedule.name);
+			return mockReportDeliveries.delivered;
+		}),
+	};
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === 'node-cron') {
+			return mockCron;
+		}
+		if (id === '../models/report-schedule-model') {
+			return mockReportScheduleModel;
+		}
+		if (id === '../models/scheduler-lock-model') {
+			return mockSchedulerLockModel;
+		}
+		if (id === './report-service') {
+			return function MockReportService() {
+				return mockReportService;
+			};
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const ReportSchedulerService = require('./report-scheduler-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		scheduler: new ReportSchedulerService(undefined, customMocks.options),
+		mocks: {
+			cron: mockCron,
+			reportScheduleModel: mockReportScheduleModel,
+			reportService: mockReportService,
+			schedulerLockModel: mockSchedulerLockModel,
+		},
+	};
+}
+
+const {dailyFinance, weeklyArchive} = mockReportSchedules;
+
+/**
+ * Test Suite
+ */
+test('ReportSchedulerService - Sync Tests', async(t) => {
+
+	await t.test('should register a task per enabled schedule when the report job runs', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		const [job] = scheduler.getJobs();
+
+		await job.run();
+
+		assert.strictEqual(job.name, 'report-generation');
+		assert.deepStrictEqual(job.defaults, {cron: '* * * * *', timeoutMs: 60000});
+		assert.strictEqual(job.runOnStart, true);
+
+		const [reportTask] = mocks.cron.tasks;
+		assert.strictEqual(mocks.cron.tasks.length, 1);
+		assert.strictEqual(reportTask.schedule, dailyFinance.cron);
+		assert.deepStrictEqual(reportTask.options, {scheduled: false, timezone: 'Europe/Warsaw'});
+		assert.strictEqual(reportTask.started, true);
+
+		assert.deepStrictEqual(scheduler.getStatus(), {
+			schedules: [{
+				id: dailyFinance.id,
+				name: dailyFinance.name,
+				cron: dailyFinance.cron,
+				timezone: 'Europe/Warsaw',
+				isRunning: false,
+			}],
+		});
+	});
+
+	await t.test('should stop every report task when the report job gets disabled', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		const [job] = scheduler.getJobs();
+
+		await job.run();
+		job.onDisable();
+
+		assert.strictEqual(mocks.cron.tasks[0].started, false);
+		assert.deepStrictEqual(scheduler.getStatus().schedules, []);
+	});
+
+	await t.test('should keep unchanged schedules registered', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+
+		await scheduler.syncSchedules();
+		await scheduler.syncSchedules();
+
+		assert.strictEqual(mocks.cron.tasks.length, 1);
+	});
+
+	await t.test('should re-register schedules that changed', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+		const {schedules} = mocks.reportScheduleModel;
+
+		await scheduler.syncSchedules();
+		Object.assign(schedules[dailyFinance.id], {
+			cron: '30 7 * * *',
+			updatedAt: new Date('2024-01-06T10:00:00Z'),
+		});
+		await scheduler.syncSchedules();
+
+		const [previousTask, task] = mocks.cron.tasks;
+		assert.strictEqual(previousTask.started, false);
+		assert.strictEqual(task.schedule, '30 7 * * *');
+		assert.strictEqual(task.started, true);
+		assert.strictEqual(scheduler.getStatus().schedules[0].cron, '30 7 * * *');
+	});
+
+	await t.test('should register schedules once they are enabled', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+
+		await scheduler.syncSchedules();
+		mocks.reportScheduleModel.schedules[weeklyArchive.id].enabled = true;
+		await scheduler.syncSchedules();
+
+		assert.deepStrictEqual(
+			scheduler.getStatus().schedules.map(schedule => schedule.name),
+			['daily-finance', 'weekly-archive'],
+		);
+	});
+
+	await t.test('should drop disabled and deleted schedules', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+
+		await scheduler.syncSchedules();
+		delete mocks.reportScheduleModel.schedules[dailyFinance.id];
+		await scheduler.syncSchedules();
+
+		assert.strictEqual(mocks.cron.tasks[0].started, false);
+		assert.deepStrictEqual(scheduler.getStatus().schedules, []);
+	});
+
+	await t.test('should skip schedules with an invalid cron expression', async() => {
+		const reportScheduleModel = createMockReportScheduleModel({
+			schedules: [{...dailyFinance, cron: 'every day'}],
+		});
+		const {scheduler, mocks} = createTestScheduler({reportScheduleModel});
+
+		await scheduler.syncSchedules();
+
+		assert.strictEqual(mocks.cron.tasks.length, 0);
+		assert.deepStrictEqual(scheduler.getStatus().schedules, []);
+	});
+
+	await t.test('should keep registered tasks when the schedules cannot be read', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+
+		await scheduler.syncSchedules();
+		mocks.reportScheduleModel.getAll = async() => {
+			throw new Error('Connection lost');
+		};
+		await scheduler.syncSchedules();
+
+		assert.strictEqual(mocks.cron.tasks[0].started, true);
+		assert.strictEqual(scheduler.getStatus().schedules.length, 1);
+	});
+
+	await t.test('should stop every task', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+
+		await scheduler.syncSchedules();
+		scheduler.stop();
+
+		assert(mocks.cron.tasks.every(task => !task.started));
+		assert.deepStrictEqual(scheduler.getStatus(), {schedules: []});
+	});
+});
+
+test('ReportSchedulerService - Run Tests', async(t) => {
+
+	await t.test('should run the report when its task fires', async() => {
+		const {scheduler, mocks} = createTestScheduler();
+
+		await scheduler.syncSchedules();
+		await mocks.cron.tasks[0].callback();
+
+		assert.deepStrictEqual(mocks.reportService.runs, ['daily-finance']);
+	});
+
+	await t.test('should skip a report while its previous run is still going', async() => {
+		let finishRun;
+		let runStarted;
+		const started = new Promise((resolve) => {
+			runStarted = resolve;
+		});
+		const {scheduler, mocks} = createTestScheduler({
+			runReport: async(schedule) => {
+				mocks.reportService.runs.push(schedule.name);
+				runStarted();
+				await new Promise((resolve) => {
+					finishRun = resolve;
+				});
+			},
+		});
+
+		const firstRun = scheduler.runSchedule(dailyFinance);
+		assert.strictEqual(scheduler.runningScheduleIds.has(dailyFinance.id), true);
+		await started;
+		await scheduler.runSchedule(dailyFinance);
+		finishRun();
+		await firstRun;
+
+		assert.deepStrictEqual(mocks.reportService.runs, ['daily-finance']);
+		assert.strictEqual(scheduler.runningScheduleIds.size, 0);
+	});
+
+	await t.test('should survive reports that cannot be recorded', async() => {
+		const {scheduler} = createTestScheduler({
+			runReport: async() => {
+				throw new Error('Connection lost');
+			},
+		});
+
+		await scheduler.runSchedule(dailyFinance);
+
+		assert.strictEqual(scheduler.runningScheduleIds.size, 0);
+	});
+});
+
+test('ReportSchedulerService - Scheduler Lease Tests', async(t) => {
+
+	/**
+	 * Create the schedulers of two app instances sharing one lock model
+	 * @param {Object} customMocks - Mocks shared by both instances
+	 * @returns {Array<Object>} Scheduler and mocks of each instance
+	 */
+	const createInstances = (customMocks = {}) => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		return ['app-1', 'app-2'].map(lockOwner => createTestScheduler({
+			...customMocks,
+			schedulerLockModel,
+			options: {lockOwner},
+		}));
+	};
+
+	await t.test('should deliver a report once when every instance fires it', async() => {
+		const [first, second] = createInstances();
+
+		await Promise.all([
+			first.scheduler.runSchedule(dailyFinance),
+			second.scheduler.runSchedule(dailyFinance),
+		]);
+		// An instance whose clock runs a little behind fires after the first run has finished
+		await second.scheduler.runSchedule(dailyFinance);
+
+		const runs = [...first.mocks.reportService.runs, ...second.mocks.reportService.runs];
+		assert.deepStrictEqual(runs, ['daily-finance']);
+		const lock = first.mocks.schedulerLockModel.locks[`report-schedule:${dailyFinance.id}`];
+		assert.strictEqual(lock.owner, 'app-1');
+	});
+
+	await t.test('should run the next occurrence on the instance holding the report lease', async() => {
+		const [first, second] = createInstances();
+
+		await first.scheduler.runSchedule(dailyFinance);
+		await first.scheduler.runSchedule(dailyFinance);
+		await second.scheduler.runSchedule(dailyFinance);
+
+		assert.deepStrictEqual(first.mocks.reportService.runs, ['daily-finance', 'daily-finance']);
+		assert.deepStrictEqual(second.mocks.reportService.runs, []);
+	});
+
+	await t.test('should register the report tasks on one instance only', async() => {
+		const [first, second] = createInstances();
+		const firstJob = first.scheduler.getJobs()[0];
+		const secondJob = second.scheduler.getJobs()[0];
+
+		await firstJob.run();
+		await secondJob.run();
+
+		assert.strictEqual(first.scheduler.getStatus().schedules.length, 1);
+		assert.deepStrictEqual(second.scheduler.getStatus().schedules, []);
+		assert.strictEqual(second.mocks.cron.tasks.length, 0);
+	});
+
+	await t.test('should stop the local report tasks once another instance holds the lease', async() => {
+		const [first, second] = createInstances();
+
+		await second.scheduler.syncSchedules();
+		await first.scheduler.getJobs()[0].run();
+		await second.scheduler.getJobs()[0].run();
+
+		assert.strictEqual(second.mocks.cron.tasks[0].started, false);
+		assert.deepStrictEqual(second.scheduler.getStatus().schedules, []);
+	});
+});
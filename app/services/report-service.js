@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const {Readable} = require('stream');
+const {pipeline} = require('stream/promises');
+const config = require('../config');
+const orderModel = require('../models/order-model');
+const orderEventModel = require('../models/order-event-model');
+const reportScheduleModel = require('../models/report-schedule-model');
+const reportDeliveryModel = require('../models/report-delivery-model');
+const OrderExportService = require('./order-export-service');
+const SmtpClientService = require('./smtp-client-service');
+
+const {REPORT_TARGET_TYPES} = reportScheduleModel;
+const {REPORT_DELIVERY_STATUSES, REPORT_TRIGGERS} = reportDeliveryModel;
+
+/**
+ * Report Service - Runs a report schedule: exports the matching orders, delivers the file
+ * to a local directory or by email and records the delivery
+ */
+class ReportService {
+	/**
+	 * @param {Object} options - Report options (defaults to the reports config)
+	 * @param {string} [options.outputDir] - Base directory of directory targets
+	 * @param {Object} [options.smtpClient] - SMTP client (default: SmtpClientService from the smtp config)
+	 */
+	constructor(options = {}) {
+		this.outputDir = options.outputDir || config.reports.outputDir;
+		this.smtpClient = options.smtpClient || new SmtpClientService();
+	}
+
+	/**
+	 * Get the order filters of a report run
+	 * A lookback window replaces the fixed order date range of the schedule
+	 * @param {Object} schedule - Report schedule
+	 * @param {Date} runAt - Run time
+	 * @returns {Object} Order filters
+	 */
+	getReportFilters(schedule, runAt) {
+		if (!schedule.lookbackHours) {
+			return {...schedule.filters};
+		}
+
+		return {
+			...schedule.filters,
+			dateFrom: new Date(runAt.getTime() - schedule.lookbackHours * 60 * 60 * 1000),
+			dateTo: runAt,
+		};
+	}
+
+	/**
+	 * Get the file name of a report run
+	 * @param {Object} schedule - Report schedule
+	 * @param {Date} runAt - Run time
+	 * @returns {string} File name (e.g. daily-finance-2024-01-06T06-00-00.csv)
+	 */
+	getFileName(schedule, runAt) {
+		const {extension} = OrderExportService.getFormat(schedule.format);
+		const timestamp = runAt.toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+		return `${schedule.name}-${timestamp}.${extension}`;
+	}
+
+	/**
+	 * Run a report schedule and record the delivery
+	 * Delivery failures are recorded rather than thrown
+	 * @param {Object} schedule - Report schedule
+	 * @param {string} [trigger='schedule'] - What triggered the run (see REPORT_TRIGGERS)
+	 * @returns {Promise<Object>} Recorded delivery
+	 */
+	async runReport(schedule, trigger = REPORT_TRIGGERS.SCHEDULE) {
+		const startedAt = new Date();
+		const fileName = this.getFileName(schedule, startedAt);
+		const counter = {orderCount: 0};
+
+		console.log(`📨 Running report '${schedule.name}' (${schedule.format} to ${schedule.target.type})...`);
+
+		const filters = this.getReportFilters(schedule, startedAt);
+		const orders = this.countOrders(orderModel.getCursor(filters), counter);
+		const chunks = OrderExportService.generate(schedule.format, orders, {
+			...schedule.options,
+			loadStatusHistory: batch => orderEventModel.getStatusHistoryByShop(batch),
+		});
+
+		const delivery = {
+			scheduleId: schedule.id,
+			scheduleName: schedule.name,
+			trigger,
+			format: schedule.format,
+			fileName,
+			startedAt,
+		};
+
+		try {
+			const result = schedule.target.type === REPORT_TARGET_TYPES.SMTP
+				? await this.deliverBySmtp(schedule, chunks, fileName, startedAt)
+				: await this.deliverToDirectory(schedule, chunks, fileName);
+
+			Object.assign(delivery, {
+				status: REPORT_DELIVERY_STATUSES.DELIVERED,
+				target: result.target,
+				size: result.size,
+			});
+			console.log(
+				`✅ Report '${schedule.name}' delivered: ${counter.orderCount} order(s), ${result.size} bytes`,
+			);
+		} catch (error) {
+			Object.assign(delivery, {
+				status: REPORT_DELIVERY_STATUSES.FAILED,
+				target: {type: schedule.target.type},
+				size: null,
+				failure: {message: error.message, code: error.code || null},
+			});
+			console.error(`❌ Report '${schedule.name}' failed:`, error.message);
+		}
+
+		const recorded = await reportDeliveryModel.create({
+			...delivery,
+			orderCount: counter.orderCount,
+			finishedAt: new Date(),
+		});
+		await reportScheduleModel.recordRun(schedule.id, {
+			lastRunAt: startedAt,
+			lastStatus: recorded.status,
+		});
+
+		return recorded;
+	}
+
+	/**
+	 * Write a report to its directory below the output directory
+	 * The file is written under a temporary name and only renamed once complete
+	 * @param {Object} schedule - Report schedule
+	 * @param {AsyncGenerator<string|Buffer>} chunks - Report chunks
+	 * @param {string} fileName - Report file name
+	 * @returns {Promise<Object>} Delivery target ({type, path}) and size
+	 */
+	async deliverToDirectory(schedule, chunks, fileName) {
+		const directory = path.join(this.outputDir, path.basename(schedule.target.directory || '.'));
+		const reportPath = path.join(directory, fileName);
+		const partialPath = `${reportPath}.part`;
+
+		await fs.promises.mkdir(directory, {recursive: true});
+
+		try {
+			await pipeline(Readable.from(chunks), fs.createWriteStream(partialPath));
+			await fs.promises.rename(partialPath, reportPath);
+		} catch (error) {
+			await fs.promises.rm(partialPath, {force: true});
+			throw error;
+		}
+
+		const {size} = await fs.promises.stat(reportPath);
+
+		return {
+			target: {type: REPORT_TARGET_TYPES.DIRECTORY, path: reportPath},
+			size,
+		};
+	}
+
+	/**
+	 * Email a report as an attachment
+	 * @param {Object} schedule - Report schedule
+	 * @param {AsyncGenerator<string|Buffer>} chunks - Report chunks
+	 * @param {string} fileName - Report file name
+	 * @param {Date} runAt - Run time
+	 * @returns {Promise<Object>} Delivery target ({type, to, messageId, response}) and size
+	 */
+	async deliverBySmtp(schedule, chunks, fileName, runAt) {
+		const buffers = [];
+		for await (const chunk of chunks) {
+			buffers.push(Buffer.from(chunk));
+		}
+		const content = Buffer.concat(buffers);
+
+		const {to, subject} = schedule.target;
+		const result = await this.smtpClient.sendMail({
+			to,
+			subject: subject || `Orders report '${schedule.name}' - ${runAt.toISOString().slice(0, 10)}`,
+			text: [
+				`Attached is the orders report '${schedule.name}' generated at ${runAt.toISOString()}.`,
+				schedule.description || '',
+			].join('\n').trim(),
+			attachments: [{
+				filename: fileName,
+				content,
+				contentType: OrderExportService.getFormat(schedule.format).contentType,
+			}],
+		});
+
+		return {
+			target: {
+				type: REPORT_TARGET_TYPES.SMTP,
+				to,
+				messageId: result.messageId,
+				response: result.response,
+			},
+			size: content.length,
+		};
+	}
+
+	/**
+	 * Pass orders through while counting them
+	 * @param {AsyncIterable} orders - Orders (e.g. a MongoDB cursor)
+	 * @param {Object} counter - Object whose orderCount is incremented
+	 * @yields {Object} The same orders
+	 */
+	async* countOrders(orders, counter) {
+		for await (const order of orders) {
+			counter.orderCount++;
+			yield order;
+		}
+	}
+}
+
+module.exports = ReportService;
@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	mockReportSchedules,
+	createMockOrderModel,
+	createMockOrderEventModel,
+	createMockReportScheduleModel,
+	createMockReportDeliveryModel,
+	createTestSmtpServer,
+	getMailAttachments,
+} = require('../test-helpers');
+
+/**
+ * Test setup - Creates ReportService with mocked models and a temporary output directory
+ */
+function createTestReportService(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './report-service.js');
+	delete require.cache[servicePath];
+
+	const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+	const mockOrderModel = customMocks.orderModel || createMockOrderModel();
+	const mockOrderEventModel = createMockOrderEventModel();
+	const mockReportScheduleModel = createMockReportScheduleModel({
+		schedules: Object.values(mockReportSchedules),
+	});
+	const mockReportDeliveryModel = createMockReportDeliveryModel();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../models/order-model') {
+			return mockOrderModel;
+		}
+		if (id === '../models/order-event-model') {
+			return mockOrderEventModel;
+		}
+		if (id === '../models/report-schedule-model') {
+			return mockReportScheduleModel;
+		}
+		if (id === '../models/report-delivery-model') {
+			return mockReportDeliveryModel;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const ReportService = require('./report-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		service: new ReportService({outputDir, smtpClient: customMocks.smtpClient}),
+		outputDir,
+		mocks: {
+			orderModel: mockOrderModel,
+			reportScheduleModel: mockReportScheduleModel,
+			reportDeliveryModel: mockReportDeliveryModel,
+		},
+	};
+}
+
+const {dailyFinance, weeklyArchive} = mockReportSchedules;
+
+/**
+ * Test Suite
+ */
+test('ReportService - Filter Tests', async(t) => {
+
+	await t.test('should replace the date range with the lookback window', async() => {
+		const {service} = createTestReportService();
+		const runAt = new Date('2024-01-06T05:00:00Z');
+
+		const filters = service.getReportFilters({
+			...dailyFinance,
+			filters: {shopId: 'shop-a', dateFrom: new Date('2020-01-01T00:00:00Z')},
+		}, runAt);
+
+		assert.deepStrictEqual(filters, {
+			shopId: 'shop-a',
+			dateFrom: new Date('2024-01-05T05:00:00Z'),
+			dateTo: runAt,
+		});
+	});
+
+	await t.test('should keep the stored filters without a lookback window', async() => {
+		const {service} = createTestReportService();
+
+		const schedule = {...weeklyArchive, filters: {minWorth: 100}};
+		const filters = service.getReportFilters(schedule, new Date());
+
+		assert.deepStrictEqual(filters, {minWorth: 100});
+	});
+
+	await t.test('should name report files after the schedule, run time and format', async() => {
+		const {service} = createTestReportService();
+
+		const fileName = service.getFileName(weeklyArchive, new Date('2024-01-08T01:00:00.123Z'));
+
+		assert.strictEqual(fileName, 'weekly-archive-2024-01-08T01-00-00.ndjson');
+	});
+});
+
+test('ReportService - Directory Delivery Tests', async(t) => {
+
+	await t.test('should write the report to its directory and record the delivery', async() => {
+		const {service, outputDir, mocks} = createTestReportService();
+
+		const delivery = await service.runReport(weeklyArchive);
+
+		assert.strictEqual(delivery.status, 'delivered');
+		assert.strictEqual(delivery.trigger, 'schedule');
+		assert.strictEqual(delivery.orderCount, 2);
+		assert.strictEqual(delivery.target.type, 'directory');
+		assert.strictEqual(path.dirname(delivery.target.path), path.join(outputDir, 'archive'));
+
+		const content = fs.readFileSync(delivery.target.path, 'utf8');
+		assert.strictEqual(content.trim().split('\n').length, 2);
+		assert.strictEqual(delivery.size, Buffer.byteLength(content));
+		assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'archive')), [delivery.fileName]);
+
+		assert.strictEqual(mocks.reportDeliveryModel.deliveries.length, 1);
+		assert.deepStrictEqual(mocks.reportScheduleModel.runs, [{
+			id: weeklyArchive.id,
+			lastRunAt: delivery.startedAt,
+			lastStatus: 'delivered',
+		}]);
+	});
+
+	await t.test('should write to the output directory itself without a target directory', async() => {
+		const {service, outputDir} = createTestReportService();
+
+		const delivery = await service.runReport({...weeklyArchive, target: {type: 'directory', directory: null}});
+
+		assert.strictEqual(path.dirname(delivery.target.path), outputDir);
+	});
+
+	await t.test('should record a failed delivery and remove the partial file', async() => {
+		const orderModel = createMockOrderModel({getAllThrows: 'Cursor killed'});
+		const {service, outputDir, mocks} = createTestReportService({orderModel});
+
+		const delivery = await service.runReport(weeklyArchive, 'manual');
+
+		assert.strictEqual(delivery.status, 'failed');
+		assert.strictEqual(delivery.trigger, 'manual');
+		assert.deepStrictEqual(delivery.failure, {message: 'Cursor killed', code: null});
+		assert.deepStrictEqual(delivery.target, {type: 'directory'});
+		assert.strictEqual(delivery.size, null);
+		assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'archive')), []);
+		assert.strictEqual(mocks.reportScheduleModel.runs[0].lastStatus, 'failed');
+	});
+});
+
+test('ReportService - SMTP Delivery Tests', async(t) => {
+
+	await t.test('should email the report through the SMTP server', async() => {
+		const SmtpClientService = require('./smtp-client-service');
+		const server = createTestSmtpServer();
+		const port = await server.listen();
+		const smtpClient = new SmtpClientService({
+			host: '127.0.0.1',
+			port,
+			from: 'reports@formasint.local',
+			timeoutMs: 2000,
+		});
+		const {service} = createTestReportService({smtpClient});
+
+		try {
+			const delivery = await service.runReport(dailyFinance);
+
+			assert.strictEqual(delivery.status, 'delivered');
+			assert.strictEqual(delivery.target.type, 'smtp');
+			assert.deepStrictEqual(delivery.target.to, ['finance@example.com']);
+			assert.strictEqual(delivery.target.response, '250 2.0.0 Ok: queued as TEST1');
+
+			const [received] = server.messages;
+			assert.deepStrictEqual(received.to, ['finance@example.com']);
+			assert(received.data.includes('Subject: Orders report \'daily-finance\' - '));
+
+			const attachment = getMailAttachments(received.data)[delivery.fileName];
+			assert.strictEqual(attachment.length, delivery.size);
+			assert(attachment.toString('utf8').startsWith('External Serial Number,Order Products Cost'));
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should use the subject of the target', async() => {
+		const messages = [];
+		const smtpClient = {
+			sendMail: async(message) => {
+				messages.push(message);
+				return {messageId: '<id@localhost>', accepted: message.to, response: '250 Ok'};
+			},
+		};
+		const {service} = createTestReportService({smtpClient});
+
+		await service.runReport({...dailyFinance, target: {...dailyFinance.target, subject: 'Daily orders'}});
+
+		assert.strictEqual(messages[0].subject, 'Daily orders');
+		assert(messages[0].text.includes('Orders of the previous day for finance'));
+		assert.strictEqual(messages[0].attachments[0].contentType, 'text/csv; charset=utf-8');
+	});
+
+	await t.test('should write the description into the plain text body as entered', async() => {
+		const messages = [];
+		const smtpClient = {
+			sendMail: async(message) => {
+				messages.push(message);
+				return {messageId: '<id@localhost>', accepted: message.to, response: '250 Ok'};
+			},
+		};
+		const {service} = createTestReportService({smtpClient});
+
+		await service.runReport({...dailyFinance, description: 'Orders & returns <EU>'});
+
+		assert(messages[0].text.endsWith('\nOrders & returns <EU>'));
+	});
+
+	await t.test('should record rejected deliveries with the SMTP error', async() => {
+		const smtpClient = {
+			sendMail: async() => {
+				const error = new Error('SMTP RCPT rejected: 550 5.1.1 No such user');
+				error.code = 'SMTP_REJECTED';
+				throw error;
+			},
+		};
+		const {service} = createTestReportService({smtpClient});
+
+		const delivery = await service.runReport(dailyFinance);
+
+		assert.strictEqual(delivery.status, 'failed');
+		assert.deepStrictEqual(delivery.failure, {
+			message: 'SMTP RCPT rejected: 550 5.1.1 No such user',
+			code: 'SMTP_REJECTED',
+		});
+	});
+});
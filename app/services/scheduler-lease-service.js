@@ -0,0 +1,230 @@
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../config');
+const schedulerLockModel = require('../models/scheduler-lock-model');
+
+/**
+ * Identifies this process as a scheduler lease owner
+ */
+const LOCK_OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * How long a lease of a cron occurrence is kept after it was taken, so instances firing the same
+ * occurrence a little later skip it - shorter than a minute, the smallest interval of a 5-field
+ * cron expression. The holder itself can take its lease again at any time.
+ */
+const OCCURRENCE_HOLD_MS = 50 * 1000;
+
+/**
+ * Scheduler Lease Service - Runs a scheduled task while holding its lease in scheduler_locks
+ * Every app instance schedules the same tasks, so a run first takes the lease and is skipped while
+ * another instance holds it. The lease is renewed every third of its TTL while the task runs; once
+ * a renewal finds it lost, the task's signal is aborted.
+ */
+class SchedulerLeaseService {
+	/**
+	 * @param {string} name - Lock name
+	 * @param {Object} options - Lease options
+	 * @param {string} [options.label] - What the lease guards, used in logs (default: the lock name)
+	 * @param {string} [options.owner] - Lease owner ID (default: host, pid and a random suffix)
+	 * @param {number} [options.ttlMs] - Lease duration, renewed every third of it while running
+	 */
+	constructor(name, options = {}) {
+		this.name = name;
+		this.label = options.label || `'${name}'`;
+		this.owner = options.owner || LOCK_OWNER;
+		this.ttlMs = options.ttlMs || ((config.scheduler || {}).lockTtlSeconds * 1000) || 300000;
+		this.lease = null;
+		this.abortController = null;
+		this.pendingRenewal = null;
+		this.holder = null;
+		this.checkedAt = null;
+	}
+
+	/**
+	 * How long a lease of a cron occurrence is kept after it was taken
+	 */
+	static get OCCURRENCE_HOLD_MS() {
+		return OCCURRENCE_HOLD_MS;
+	}
+
+	/**
+	 * Run a task while holding the lease
+	 * The task is skipped when another instance holds the lease or the lock cannot be read.
+	 * Once a renewal finds the lease lost, the task's signal is aborted and the run fails with
+	 * LEASE_LOST, even if the task ignored the signal and finished.
+	 * @param {Function} task - Async task, called with an AbortSignal
+	 * @param {Object} options - Run options
+	 * @param {number} [options.holdMs] - Keep the lease this long after it was acquired, so other
+	 *   instances firing the same occurrence a little later skip it instead of running it again
+	 * @returns {Promise<boolean>} True if the task ran
+	 * @throws {Error} LEASE_LOST when the lease was lost during the run
+	 */
+	async run(task, options = {}) {
+		const lease = await this.acquire();
+		if (!lease) {
+			return false;
+		}
+
+		const abortController = new AbortController();
+		this.abortController = abortController;
+		const renewTimer = setInterval(() => {
+			// A slow renewal is not overlapped by the next one
+			if (!this.pendingRenewal) {
+				this.pendingRenewal = this.renew().finally(() => {
+					this.pendingRenewal = null;
+				});
+			}
+		}, Math.floor(this.ttlMs / 3));
+
+		try {
+			await task(abortController.signal);
+			abortController.signal.throwIfAborted();
+			return true;
+		} finally {
+			clearInterval(renewTimer);
+			// A renewal still in flight would otherwise find the lease released and report it lost
+			await this.pendingRenewal;
+			this.abortController = null;
+			await this.release(lease.acquiredAt.getTime() + (options.holdMs || 0) - Date.now());
+		}
+	}
+
+	/**
+	 * Acquire the lease
+	 * Expired leases (e.g. of a crashed instance) are taken over
+	 * @returns {Promise<Object|null>} Lease or null if it is not available
+	 */
+	async acquire() {
+		try {
+			const lease = await schedulerLockModel.acquire(this.name, this.owner, this.ttlMs);
+
+			if (!lease) {
+				await this.refresh();
+				const holder = this.holder
+					? ` by ${this.holder.owner} until ${this.holder.expiresAt.toISOString()}`
+					: '';
+				console.log(`⏭️  Skipping run for ${this.label} - scheduler lease held${holder}`);
+				return null;
+			}
+
+			if (lease.takenOverFrom) {
+				console.warn(`♻️  Took over expired scheduler lease of ${this.label} from ${lease.takenOverFrom}`);
+			}
+
+			this.setLease(lease);
+			return lease;
+		} catch (error) {
+			console.error(`❌ Could not acquire scheduler lease for ${this.label}:`, error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Extend the held lease, so a long run keeps it
+	 */
+	async renew() {
+		if (!this.lease) {
+			return;
+		}
+
+		try {
+			const lease = await schedulerLockModel.renew(this.name, this.owner, this.ttlMs);
+
+			if (!lease) {
+				console.warn(`⚠️ Scheduler lease of ${this.label} was lost - stopping the run`);
+				this.lease = null;
+				this.abortRun();
+				await this.refresh();
+				return;
+			}
+
+			this.setLease(lease);
+		} catch (error) {
+			console.error(`❌ Could not renew scheduler lease for ${this.label}:`, error.message);
+		}
+	}
+
+	/**
+	 * Stop the task running under the lease - another instance may already run it
+	 */
+	abortRun() {
+		if (!this.abortController) {
+			return;
+		}
+
+		const error = new Error(`Scheduler lease of ${this.label} was lost - run stopped`);
+		error.code = 'LEASE_LOST';
+		this.abortController.abort(error);
+	}
+
+	/**
+	 * Release the held lease, so the next run of any instance can take it
+	 * @param {number} [keepMs=0] - Let the lease expire by itself after this long instead
+	 */
+	async release(keepMs = 0) {
+		if (!this.lease) {
+			return;
+		}
+
+		try {
+			if (keepMs > 0) {
+				await schedulerLockModel.renew(this.name, this.owner, keepMs);
+				return;
+			}
+
+			await schedulerLockModel.release(this.name, this.owner);
+			this.holder = null;
+			this.checkedAt = new Date();
+		} catch (error) {
+			// The lease expires by itself
+			console.error(`❌ Could not release scheduler lease for ${this.label}:`, error.message);
+		} finally {
+			this.lease = null;
+		}
+	}
+
+	/**
+	 * Remember a lease held by this instance
+	 * @param {Object} lease - Lease
+	 */
+	setLease(lease) {
+		this.lease = lease;
+		this.holder = {owner: lease.owner, expiresAt: lease.expiresAt};
+		this.checkedAt = new Date();
+	}
+
+	/**
+	 * Read the current holder of the lease
+	 * @returns {Promise<Object>} Lease status
+	 */
+	async refresh() {
+		try {
+			const lease = await schedulerLockModel.get(this.name);
+			this.holder = lease ? {owner: lease.owner, expiresAt: lease.expiresAt} : null;
+			this.checkedAt = new Date();
+		} catch (error) {
+			console.error(`❌ Could not read scheduler lease for ${this.label}:`, error.message);
+		}
+
+		return this.getStatus();
+	}
+
+	/**
+	 * Get lease status
+	 * @returns {Object} Status information
+	 */
+	getStatus() {
+		return {
+			name: this.name,
+			owner: this.owner,
+			ttlMs: this.ttlMs,
+			isHeld: !!this.lease,
+			holder: this.holder && this.holder.owner,
+			expiresAt: this.holder && this.holder.expiresAt,
+			checkedAt: this.checkedAt,
+		};
+	}
+}
+
+module.exports = SchedulerLeaseService;
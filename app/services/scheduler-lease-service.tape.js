@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {createMockSchedulerLockModel, silenceConsole} = require('../test-helpers');
+
+silenceConsole();
+
+/**
+ * Test setup - Creates SchedulerLeaseService with a mocked lock model
+ */
+function createTestLease(customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './scheduler-lease-service.js');
+	delete require.cache[servicePath];
+
+	const mockConfig = {scheduler: {}};
+	const mockSchedulerLockModel = customMocks.schedulerLockModel || createMockSchedulerLockModel();
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../config') {
+			return mockConfig;
+		}
+		if (id === '../models/scheduler-lock-model') {
+			return mockSchedulerLockModel;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const SchedulerLeaseService = require('./scheduler-lease-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		lease: new SchedulerLeaseService('report-schedule:1', {
+			label: "report 'daily'",
+			owner: customMocks.owner || 'app-1',
+			ttlMs: customMocks.ttlMs,
+		}),
+		SchedulerLeaseService,
+		mocks: {
+			schedulerLockModel: mockSchedulerLockModel,
+		},
+	};
+}
+
+/**
+ * Test Suite
+ */
+test('SchedulerLeaseService - Run Tests', async(t) => {
+
+	await t.test('should default the lease duration to five minutes', async() => {
+		const {lease} = createTestLease();
+
+		assert.strictEqual(lease.ttlMs, 300000);
+		assert.deepStrictEqual(lease.getStatus(), {
+			name: 'report-schedule:1',
+			owner: 'app-1',
+			ttlMs: 300000,
+			isHeld: false,
+			holder: null,
+			expiresAt: null,
+			checkedAt: null,
+		});
+	});
+
+	await t.test('should run the task and release the lease', async() => {
+		const {lease, mocks} = createTestLease();
+		let statusDuringRun = null;
+
+		const ran = await lease.run(async(signal) => {
+			assert(signal instanceof AbortSignal);
+			statusDuringRun = lease.getStatus();
+		});
+
+		assert.strictEqual(ran, true);
+		assert.strictEqual(statusDuringRun.isHeld, true);
+		assert.deepStrictEqual(mocks.schedulerLockModel.locks, {});
+		assert.strictEqual(lease.getStatus().isHeld, false);
+	});
+
+	await t.test('should keep the lease for the hold time of an occurrence', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const {lease, SchedulerLeaseService} = createTestLease({schedulerLockModel});
+		const other = createTestLease({schedulerLockModel, owner: 'app-2'}).lease;
+		const runs = [];
+
+		const holdMs = SchedulerLeaseService.OCCURRENCE_HOLD_MS;
+
+		await lease.run(async() => runs.push('app-1'), {holdMs});
+		const held = schedulerLockModel.locks['report-schedule:1'];
+		await other.run(async() => runs.push('app-2'));
+		await lease.run(async() => runs.push('app-1'));
+
+		assert.deepStrictEqual(runs, ['app-1', 'app-1']);
+		assert.strictEqual(held.owner, 'app-1');
+		assert(held.expiresAt.getTime() <= held.acquiredAt.getTime() + holdMs);
+		assert(held.expiresAt.getTime() > Date.now() + holdMs - 5000);
+		assert.deepStrictEqual(schedulerLockModel.locks, {});
+	});
+
+	await t.test('should report the holder when the run is skipped', async() => {
+		const expiresAt = new Date(Date.now() + 60000);
+		const {lease} = createTestLease({
+			schedulerLockModel: createMockSchedulerLockModel({
+				locks: {'report-schedule:1': {owner: 'app-2', expiresAt}},
+			}),
+		});
+
+		const ran = await lease.run(async() => assert.fail('should not run'));
+
+		assert.strictEqual(ran, false);
+		assert.strictEqual(lease.getStatus().holder, 'app-2');
+		assert.strictEqual(lease.getStatus().expiresAt, expiresAt);
+	});
+
+	await t.test('should fail the run with LEASE_LOST once the lease was taken over', async() => {
+		const schedulerLockModel = createMockSchedulerLockModel();
+		const {lease} = createTestLease({schedulerLockModel, ttlMs: 30});
+
+		await assert.rejects(
+			() => lease.run(async(signal) => {
+				schedulerLockModel.locks['report-schedule:1'].owner = 'app-2';
+				await new Promise(resolve => signal.addEventListener('abort', resolve));
+			}),
+			(error) => error.code === 'LEASE_LOST' && error.message.includes("report 'daily'"),
+		);
+	});
+});
@@ -0,0 +1,406 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Line length of base64 encoded attachments (RFC 2045)
+ */
+const BASE64_LINE_LENGTH = 76;
+
+/**
+ * SMTP Client Service - Minimal SMTP client for sending reports with an attachment
+ * Speaks ESMTP over plain TCP or implicit TLS, upgrades with STARTTLS when the server offers it
+ * and authenticates with AUTH PLAIN or LOGIN when credentials are configured. Credentials are only
+ * sent over TLS unless requireTls is turned off.
+ */
+class SmtpClientService {
+	/**
+	 * @param {Object} options - SMTP options (defaults to the smtp config)
+	 * @param {string} [options.host] - SMTP server host
+	 * @param {number} [options.port] - SMTP server port
+	 * @param {boolean} [options.secure] - Connect with implicit TLS (port 465)
+	 * @param {boolean} [options.startTls] - Upgrade plain connections when STARTTLS is offered
+	 * @param {boolean} [options.requireTls] - Refuse to authenticate over an unencrypted connection
+	 * @param {boolean} [options.rejectUnauthorized] - Reject servers with untrusted certificates
+	 * @param {string} [options.user] - Username for AUTH
+	 * @param {string} [options.password] - Password for AUTH
+	 * @param {string} [options.from] - Default sender address
+	 * @param {number} [options.timeoutMs] - Connect and socket inactivity timeout
+	 */
+	constructor(options = {}) {
+		const smtp = {...config.smtp, ...options};
+
+		this.host = smtp.host;
+		this.port = smtp.port || (smtp.secure ? 465 : 25);
+		this.secure = !!smtp.secure;
+		this.startTls = smtp.startTls !== false;
+		this.requireTls = smtp.requireTls !== false;
+		this.rejectUnauthorized = smtp.rejectUnauthorized !== false;
+		this.user = smtp.user;
+		this.password = smtp.password;
+		this.from = smtp.from;
+		this.timeoutMs = smtp.timeoutMs || 30000;
+		this.clientName = os.hostname() || 'localhost';
+	}
+
+	/**
+	 * Check if a server to send to is configured
+	 * @returns {boolean} True if SMTP is configured
+	 */
+	isConfigured() {
+		return !!(this.host && this.from);
+	}
+
+	/**
+	 * Send an email
+	 * @param {Object} message - Email message
+	 * @param {string} [message.from] - Sender address (defaults to the configured sender)
+	 * @param {Array<string>} message.to - Recipient addresses
+	 * @param {string} message.subject - Subject line
+	 * @param {string} message.text - Plain text body
+	 * @param {Array<Object>} [message.attachments] - Attachments ({filename, content, contentType})
+	 * @returns {Promise<Object>} Delivery result ({messageId, accepted, response})
+	 */
+	async sendMail(message) {
+		const from = message.from || this.from;
+		if (!this.host || !from) {
+			throw new Error('SMTP is not configured (SMTP_HOST and SMTP_FROM are required)');
+		}
+
+		const messageId = `<${crypto.randomUUID()}@${this.clientName}>`;
+		const data = SmtpClientService.buildMessage({...message, from, messageId});
+
+		const connection = await this.connect();
+
+		try {
+			await connection.expect(220);
+			let extensions = await this.greet(connection);
+			let encrypted = this.secure;
+
+			if (!encrypted && this.startTls && extensions.has('STARTTLS')) {
+				await connection.command('STARTTLS', 220);
+				await connection.upgrade({
+					servername: this.host,
+					rejectUnauthorized: this.rejectUnauthorized,
+				});
+				encrypted = true;
+				// Servers may advertise other extensions (e.g. AUTH) once the connection is encrypted
+				extensions = await this.greet(connection);
+			}
+
+			if (this.user) {
+				if (!encrypted && this.requireTls) {
+					const error = new Error('SMTP server does not offer STARTTLS - refusing to send credentials unencrypted (set SMTP_REQUIRE_TLS=false to allow)');
+					error.code = 'SMTP_TLS_REQUIRED';
+					throw error;
+				}
+				await this.authenticate(connection, extensions);
+			}
+
+			await connection.command(`MAIL FROM:<${from}>`, 250);
+			for (const recipient of message.to) {
+				await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+			}
+			await connection.command('DATA', 354);
+			const body = `${SmtpClientService.dotStuff(data)}\r\n.`;
+			const response = await connection.command(body, 250, 'message');
+
+			await connection.command('QUIT', 221).catch(() => {});
+
+			return {
+				messageId,
+				accepted: message.to,
+				response,
+			};
+		} finally {
+			connection.close();
+		}
+	}
+
+	/**
+	 * Say EHLO (or HELO to servers without ESMTP) and collect the advertised extensions
+	 * @param {Object} connection - SMTP connection
+	 * @returns {Promise<Set<string>>} Extension keywords (upper case, e.g. STARTTLS, AUTH PLAIN)
+	 */
+	async greet(connection) {
+		try {
+			const reply = await connection.command(`EHLO ${this.clientName}`, 250);
+			// Drop the greeting line and the reply code of every extension line ("250-" or "250 ")
+			const lines = reply.split('\r\n').slice(1).map(line => line.slice(4).toUpperCase());
+			const extensions = new Set(lines.map(line => line.split(' ')[0]));
+			for (const line of lines.filter(line => line.startsWith('AUTH'))) {
+				for (const mechanism of line.split(/[ =]/).slice(1)) {
+					extensions.add(`AUTH ${mechanism}`);
+				}
+			}
+			return extensions;
+		} catch (error) {
+			if (!error.responseCode) {
+				throw error;
+			}
+			await connection.command(`HELO ${this.clientName}`, 250);
+			return new Set();
+		}
+	}
+
+	/**
+	 * Authenticate with AUTH PLAIN, or AUTH LOGIN if that is all the server offers
+	 * @param {Object} connection - SMTP connection
+	 * @param {Set<string>} extensions - Advertised extensions
+	 */
+	async authenticate(connection, extensions) {
+		const encode = value => Buffer.from(value, 'utf8').toString('base64');
+
+		if (extensions.has('AUTH LOGIN') && !extensions.has('AUTH PLAIN')) {
+			await connection.command('AUTH LOGIN', 334);
+			await connection.command(encode(this.user), 334, 'AUTH');
+			await connection.command(encode(this.password || ''), 235, 'AUTH');
+			return;
+		}
+
+		const credentials = encode(`\0${this.user}\0${this.password || ''}`);
+		await connection.command(`AUTH PLAIN ${credentials}`, 235, 'AUTH');
+	}
+
+	/**
+	 * Open a connection to the SMTP server
+	 * Fails with SMTP_TIMEOUT when the connection (and with implicit TLS the handshake) takes longer
+	 * than the timeout
+	 * @returns {Promise<Object>} SMTP connection with expect, command, upgrade and close
+	 */
+	connect() {
+		return new Promise((resolve, reject) => {
+			const socket = this.secure
+				? tls.connect({
+					host: this.host,
+					port: this.port,
+					servername: this.host,
+					rejectUnauthorized: this.rejectUnauthorized,
+				})
+				: net.connect({host: this.host, port: this.port});
+
+			const onError = (error) => reject(error);
+			const onTimeout = () => {
+				const error = new Error(`Could not connect to SMTP server within ${this.timeoutMs}ms`);
+				error.code = 'SMTP_TIMEOUT';
+				socket.destroy(error);
+			};
+
+			socket.setTimeout(this.timeoutMs);
+			socket.once('error', onError);
+			socket.once('timeout', onTimeout);
+			socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+				socket.removeListener('error', onError);
+				socket.removeListener('timeout', onTimeout);
+				resolve(this.createConnection(socket));
+			});
+		});
+	}
+
+	/**
+	 * Wrap a socket in a reply reader
+	 * Replies are read line by line; a reply ends with the line whose code is followed by a space
+	 * @param {Object} initialSocket - Connected socket
+	 * @returns {Object} SMTP connection
+	 */
+	createConnection(initialSocket) {
+		const timeoutMs = this.timeoutMs;
+		let socket = null;
+		let buffer = '';
+		let lines = [];
+		let pending = null;
+		let failure = null;
+		const replies = [];
+
+		const settle = () => {
+			if (!pending) {
+				return;
+			}
+			const {resolve, reject} = pending;
+			if (replies.length > 0) {
+				pending = null;
+				resolve(replies.shift());
+			} else if (failure) {
+				pending = null;
+				reject(failure);
+			}
+		};
+
+		const onData = (data) => {
+			buffer += data.toString('utf8');
+			let index;
+			while ((index = buffer.indexOf('\r\n')) !== -1) {
+				const line = buffer.slice(0, index);
+				buffer = buffer.slice(index + 2);
+				lines.push(line);
+				if (/^\d{3}(?: |$)/.test(line)) {
+					replies.push({code: parseInt(line.slice(0, 3), 10), text: lines.join('\r\n')});
+					lines = [];
+				}
+			}
+			settle();
+		};
+
+		const onError = (error) => {
+			failure = failure || error;
+			settle();
+		};
+
+		const onClose = () => onError(new Error('SMTP connection closed unexpectedly'));
+
+		const onTimeout = () => {
+			const error = new Error(`SMTP server did not respond within ${timeoutMs}ms`);
+			error.code = 'SMTP_TIMEOUT';
+			onError(error);
+			socket.destroy();
+		};
+
+		const attach = (nextSocket) => {
+			socket = nextSocket;
+			socket.setTimeout(timeoutMs);
+			socket.on('data', onData);
+			socket.on('error', onError);
+			socket.on('close', onClose);
+			socket.on('timeout', onTimeout);
+		};
+
+		const detach = () => {
+			socket.removeListener('data', onData);
+			socket.removeListener('error', onError);
+			socket.removeListener('close', onClose);
+			socket.removeListener('timeout', onTimeout);
+		};
+
+		const readReply = () => new Promise((resolve, reject) => {
+			pending = {resolve, reject};
+			settle();
+		});
+
+		const expect = async(expectedCodes, label = 'greeting') => {
+			const reply = await readReply();
+			if (![].concat(expectedCodes).includes(reply.code)) {
+				const error = new Error(`SMTP ${label} rejected: ${reply.text}`);
+				error.code = 'SMTP_REJECTED';
+				error.responseCode = reply.code;
+				error.response = reply.text;
+				throw error;
+			}
+			return reply.text;
+		};
+
+		attach(initialSocket);
+
+		return {
+			expect,
+
+			// The label names the command in errors, so credentials and message data stay out of them
+			command: async(line, expectedCodes, label = line.split(' ')[0]) => {
+				socket.write(`${line}\r\n`);
+				return expect(expectedCodes, label);
+			},
+
+			upgrade: (options) => new Promise((resolve, reject) => {
+				detach();
+				const secureSocket = tls.connect({socket, ...options}, () => {
+					secureSocket.removeListener('error', reject);
+					attach(secureSocket);
+					resolve();
+				});
+				secureSocket.once('error', reject);
+			}),
+
+			close: () => {
+				detach();
+				socket.on('error', () => {});
+				socket.end();
+			},
+		};
+	}
+
+	/**
+	 * Escape lines starting with a dot (RFC 5321 section 4.5.2)
+	 * @param {string} data - Message data with CRLF line endings
+	 * @returns {string} Transparent message data
+	 */
+	static dotStuff(data) {
+		return data.replace(/(^|\r\n)\./g, '$1..');
+	}
+
+	/**
+	 * Encode content as base64 split into lines
+	 * @param {string|Buffer} content - Content to encode
+	 * @returns {Array<string>} Base64 lines
+	 */
+	static encodeBase64Lines(content) {
+		const encoded = Buffer.from(content).toString('base64');
+		return encoded.match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g')) || [];
+	}
+
+	/**
+	 * Encode a header value with non-ASCII characters as an RFC 2047 encoded word
+	 * @param {string} value - Header value
+	 * @returns {string} Header-safe value
+	 */
+	static encodeHeader(value) {
+		if (/^[\x20-\x7e]*$/.test(value)) {
+			return value;
+		}
+		return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+	}
+
+	/**
+	 * Build a MIME message with a plain text body and base64 encoded attachments
+	 * @param {Object} message - Email message (see sendMail) with from and messageId
+	 * @returns {string} Message with CRLF line endings
+	 */
+	static buildMessage(message) {
+		const boundary = `=_report_${crypto.randomBytes(12).toString('hex')}`;
+		const attachments = message.attachments || [];
+		const textPart = [
+			'Content-Type: text/plain; charset=utf-8',
+			'Content-Transfer-Encoding: base64',
+			'',
+			...SmtpClientService.encodeBase64Lines(message.text || ''),
+		];
+
+		const headers = [
+			`From: ${message.from}`,
+			`To: ${message.to.join(', ')}`,
+			`Subject: ${SmtpClientService.encodeHeader(message.subject || '')}`,
+			`Date: ${new Date().toUTCString()}`,
+			`Message-ID: ${message.messageId}`,
+			'MIME-Version: 1.0',
+		];
+
+		if (attachments.length === 0) {
+			return [...headers, ...textPart].join('\r\n');
+		}
+
+		const parts = attachments.map(attachment => {
+			const filename = SmtpClientService.encodeHeader(attachment.filename);
+
+			return [
+				`--${boundary}`,
+				`Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+				'Content-Transfer-Encoding: base64',
+				`Content-Disposition: attachment; filename="${filename}"`,
+				'',
+				...SmtpClientService.encodeBase64Lines(attachment.content),
+			].join('\r\n');
+		});
+
+		return [
+			...headers,
+			`Content-Type: multipart/mixed; boundary="${boundary}"`,
+			'',
+			`--${boundary}`,
+			...textPart,
+			...parts,
+			`--${boundary}--`,
+		].join('\r\n');
+	}
+}
+
+module.exports = SmtpClientService;
@@ -0,0 +1,270 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SmtpClientService = require('./smtp-client-service');
+const {createTestSmtpServer, getMailAttachments} = require('../test-helpers');
+
+/**
+ * Start a test SMTP server and create a client connected to it
+ * @param {Object} serverOptions - Test SMTP server options
+ * @param {Object} clientOptions - SMTP client options
+ * @returns {Promise<Object>} Server and client
+ */
+async function createTestClient(serverOptions = {}, clientOptions = {}) {
+	const server = createTestSmtpServer(serverOptions);
+	const port = await server.listen();
+	const client = new SmtpClientService({
+		host: '127.0.0.1',
+		port,
+		from: 'reports@formasint.local',
+		timeoutMs: 2000,
+		...clientOptions,
+	});
+
+	return {server, client};
+}
+
+const message = {
+	to: ['finance@example.com', 'ops@example.com'],
+	subject: 'Orders report',
+	text: 'Attached is the orders report.',
+	attachments: [{
+		filename: 'orders.csv',
+		content: 'External Serial Number\nSN123',
+		contentType: 'text/csv; charset=utf-8',
+	}],
+};
+
+/**
+ * Test Suite
+ */
+test('SmtpClientService - Message Tests', async(t) => {
+
+	await t.test('should escape lines starting with a dot', async() => {
+		assert.strictEqual(SmtpClientService.dotStuff('.first\r\nsecond\r\n.\r\n..x'), '..first\r\nsecond\r\n..\r\n...x');
+	});
+
+	await t.test('should encode non-ASCII header values', async() => {
+		assert.strictEqual(SmtpClientService.encodeHeader('Orders'), 'Orders');
+		assert.strictEqual(SmtpClientService.encodeHeader('Zamówienia'), '=?UTF-8?B?WmFtw7N3aWVuaWE=?=');
+	});
+
+	await t.test('should build a multipart message with a base64 attachment', async() => {
+		const data = SmtpClientService.buildMessage({
+			...message,
+			from: 'reports@formasint.local',
+			messageId: '<test@localhost>',
+		});
+
+		assert(data.includes('From: reports@formasint.local\r\n'));
+		assert(data.includes('To: finance@example.com, ops@example.com\r\n'));
+		assert(data.includes('Message-ID: <test@localhost>\r\n'));
+		assert.match(data, /Content-Type: multipart\/mixed; boundary="=_report_[a-f0-9]{24}"/);
+		assert(data.includes('Content-Disposition: attachment; filename="orders.csv"'));
+		assert.strictEqual(
+			getMailAttachments(data)['orders.csv'].toString('utf8'),
+			'External Serial Number\nSN123',
+		);
+		assert(data.split('\r\n').every(line => line.length <= 998));
+	});
+
+	await t.test('should build a plain message without attachments', async() => {
+		const data = SmtpClientService.buildMessage({
+			to: ['finance@example.com'],
+			subject: 'Hello',
+			text: 'Body',
+			from: 'reports@formasint.local',
+			messageId: '<test@localhost>',
+		});
+
+		assert(data.includes('Content-Type: text/plain; charset=utf-8'));
+		assert(!data.includes('multipart'));
+	});
+});
+
+test('SmtpClientService - Delivery Tests', async(t) => {
+
+	await t.test('should deliver a message to every recipient', async() => {
+		const {server, client} = await createTestClient();
+
+		try {
+			const result = await client.sendMail(message);
+
+			assert.match(result.messageId, /^<[0-9a-f-]{36}@.+>$/);
+			assert.deepStrictEqual(result.accepted, message.to);
+			assert.strictEqual(result.response, '250 2.0.0 Ok: queued as TEST1');
+
+			assert.strictEqual(server.messages.length, 1);
+			const [received] = server.messages;
+			assert.strictEqual(received.from, 'reports@formasint.local');
+			assert.deepStrictEqual(received.to, message.to);
+			assert(received.data.includes(`Message-ID: ${result.messageId}`));
+			assert.strictEqual(
+				getMailAttachments(received.data)['orders.csv'].toString('utf8'),
+				'External Serial Number\nSN123',
+			);
+			assert.deepStrictEqual(server.commands.map(command => command.split(' ')[0]), [
+				'EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT',
+			]);
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should authenticate with AUTH PLAIN after STARTTLS', async() => {
+		const {server, client} = await createTestClient(
+			{auth: 'PLAIN LOGIN', password: 'secret', startTls: true},
+			{user: 'reports', password: 'secret', rejectUnauthorized: false},
+		);
+
+		try {
+			await client.sendMail(message);
+
+			assert.deepStrictEqual(server.logins, [{user: 'reports', password: 'secret'}]);
+			assert.deepStrictEqual(server.commands.slice(0, 4).map(command => command.split(' ')[0]), [
+				'EHLO', 'STARTTLS', 'EHLO', 'AUTH',
+			]);
+			assert(server.commands[3].startsWith('AUTH PLAIN '));
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should fall back to AUTH LOGIN advertised after STARTTLS', async() => {
+		const {server, client} = await createTestClient(
+			{auth: 'LOGIN', password: 'secret', startTls: true},
+			{user: 'reports', password: 'secret', rejectUnauthorized: false},
+		);
+
+		try {
+			await client.sendMail(message);
+
+			assert.deepStrictEqual(server.logins, [{user: 'reports', password: 'secret'}]);
+			assert(server.commands.includes('AUTH LOGIN'));
+			assert.strictEqual(server.messages.length, 1);
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should refuse to send credentials without STARTTLS', async() => {
+		const {server, client} = await createTestClient(
+			{auth: 'PLAIN', password: 'secret'},
+			{user: 'reports', password: 'secret'},
+		);
+
+		try {
+			await assert.rejects(client.sendMail(message), {code: 'SMTP_TLS_REQUIRED'});
+			assert.deepStrictEqual(server.logins, []);
+			assert.strictEqual(server.messages.length, 0);
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should send credentials unencrypted when TLS is not required', async() => {
+		const {server, client} = await createTestClient(
+			{auth: 'PLAIN', password: 'secret'},
+			{user: 'reports', password: 'secret', requireTls: false},
+		);
+
+		try {
+			await client.sendMail(message);
+
+			assert.deepStrictEqual(server.logins, [{user: 'reports', password: 'secret'}]);
+			assert.strictEqual(server.messages.length, 1);
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should fail on bad credentials without leaking them', async() => {
+		const {server, client} = await createTestClient(
+			{auth: 'PLAIN', password: 'secret'},
+			{user: 'reports', password: 'wrong', requireTls: false},
+		);
+
+		try {
+			await assert.rejects(client.sendMail(message), (error) => {
+				assert.strictEqual(error.code, 'SMTP_REJECTED');
+				assert.strictEqual(error.responseCode, 535);
+				assert.strictEqual(error.message, 'SMTP AUTH rejected: 535 5.7.8 Bad credentials');
+				return true;
+			});
+			assert.strictEqual(server.messages.length, 0);
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should fall back to HELO when EHLO is not supported', async() => {
+		const {server, client} = await createTestClient({reject: {EHLO: '502 5.5.2 Command not recognized'}});
+
+		try {
+			await client.sendMail(message);
+
+			assert.strictEqual(server.commands[1].split(' ')[0], 'HELO');
+			assert.strictEqual(server.messages.length, 1);
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should report rejected recipients', async() => {
+		const {server, client} = await createTestClient({reject: {RCPT: '550 5.1.1 No such user'}});
+
+		try {
+			await assert.rejects(client.sendMail(message), {
+				code: 'SMTP_REJECTED',
+				responseCode: 550,
+				message: 'SMTP RCPT rejected: 550 5.1.1 No such user',
+			});
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should time out when the server does not answer', async() => {
+		const {server, client} = await createTestClient({silent: true}, {timeoutMs: 100});
+
+		try {
+			await assert.rejects(client.sendMail(message), {
+				code: 'SMTP_TIMEOUT',
+				message: 'SMTP server did not respond within 100ms',
+			});
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should time out when the TLS handshake does not complete', async() => {
+		const {server, client} = await createTestClient(
+			{silent: true},
+			{secure: true, timeoutMs: 100},
+		);
+
+		try {
+			await assert.rejects(client.sendMail(message), {
+				code: 'SMTP_TIMEOUT',
+				message: 'Could not connect to SMTP server within 100ms',
+			});
+		} finally {
+			await server.close();
+		}
+	});
+
+	await t.test('should fail when nothing listens on the port', async() => {
+		const {server, client} = await createTestClient();
+		await server.close();
+
+		await assert.rejects(client.sendMail(message), {code: 'ECONNREFUSED'});
+	});
+
+	await t.test('should require a host and sender address', async() => {
+		const client = new SmtpClientService({host: '', from: ''});
+
+		assert.strictEqual(client.isConfigured(), false);
+		await assert.rejects(client.sendMail(message), {
+			message: 'SMTP is not configured (SMTP_HOST and SMTP_FROM are required)',
+		});
+	});
+});
@@ -1,6 +1,20 @@
 const ProgressBar = require('progress');
 const _ = require('lodash');
 
+/**
+ * Network error codes that indicate a transient connection problem
+ */
+const RETRYABLE_NETWORK_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ECONNABORTED',
+	'ETIMEDOUT',
+	'EAI_AGAIN',
+	'ENOTFOUND',
+	'EPIPE',
+	'ERR_NETWORK',
+];
+
 /**
  * Utility Service - Common utilities and helpers
  */
@@ -96,8 +110,9 @@ class UtilsService {
 	 * Safely increment progress bar with error handling
 	 * @param {ProgressBar} progressBar - Progress bar instance
 	 * @param {Object} tokens - Optional custom tokens for the progress bar
+	 * @param {number} count - Number of processed items (default: 1)
 	 */
-	static tickProgress(progressBar, tokens = {}) {
+	static tickProgress(progressBar, tokens = {}, count = 1) {
 		if (!progressBar || typeof progressBar.tick !== 'function') {
 			console.warn('Invalid progress bar instance provided to tickProgress');
 			return;
@@ -105,9 +120,9 @@ class UtilsService {
 
 		try {
 			if (_.isEmpty(tokens)) {
-				progressBar.tick();
+				progressBar.tick(count);
 			} else {
-				progressBar.tick(tokens);
+				progressBar.tick(count, tokens);
 			}
 		} catch (error) {
 			console.warn('Error updating progress bar:', error.message);
@@ -138,6 +153,31 @@ class UtilsService {
 		return Math.round(progressBar.ratio * 100);
 	}
 
+	/**
+	 * Calculate the progress of a long-running operation without a terminal progress bar
+	 * Mirrors the :percent and :etas tokens of the progress bars
+	 * @param {number} current - Number of processed items
+	 * @param {number|null} total - Total number of items (null if unknown)
+	 * @param {Date} startedAt - When the operation started
+	 * @returns {Object} Progress with processed, total, percent (0-100) and etaSeconds (null if unknown)
+	 */
+	static calculateProgress(current, total, startedAt) {
+		if (!_.isNumber(total) || total <= 0) {
+			return {processed: current, total, percent: total === 0 ? 100 : 0, etaSeconds: null};
+		}
+
+		const ratio = _.clamp(current / total, 0, 1);
+		const elapsedMs = Date.now() - new Date(startedAt).getTime();
+		const etaSeconds = ratio > 0 ? Math.round((elapsedMs / ratio - elapsedMs) / 1000) : null;
+
+		return {
+			processed: current,
+			total,
+			percent: Math.round(ratio * 100),
+			etaSeconds,
+		};
+	}
+
 	/**
 	 * Check if error is IdoSell empty result error (not a real error, just no data)
 	 * @param {Error} error - Error object to check
@@ -149,15 +189,131 @@ class UtilsService {
 			error.cause.faultString === 'Wyszukiwarka zamówień: zwrócono pusty wynik';
 	}
 
+	/**
+	 * Check if an IdoSell API error is transient and worth retrying
+	 * Network failures, timeouts, 408/429 and 5xx responses are retryable; IdoSell faults
+	 * (including the empty result fault) and other 4xx responses are not
+	 * @param {Error} error - Error object to check
+	 * @returns {boolean} True if the call may succeed when repeated
+	 */
+	static isRetryableIdosellError(error) {
+		if (!error || this.isIdosellEmptyResultError(error)) {
+			return false;
+		}
+
+		const sources = _.compact([error, error.cause]);
+
+		if (_.some(sources, source => _.has(source, 'faultCode'))) {
+			return false;
+		}
+
+		const status = _.find(
+			_.flatMap(sources, source => [_.get(source, 'response.status'), source.status, source.statusCode]),
+			_.isNumber,
+		);
+		if (status !== undefined) {
+			return status === 408 || status === 429 || status >= 500;
+		}
+
+		return _.some(sources, source => RETRYABLE_NETWORK_CODES.includes(source.code)) ||
+			/timeout|timed out|socket hang up/i.test(error.message);
+	}
+
+	/**
+	 * Stop a long-running task between steps once it was aborted
+	 * @param {AbortSignal} [signal] - Abort signal of the task (optional)
+	 * @throws {Error} The abort reason when the signal was aborted
+	 */
+	static throwIfAborted(signal) {
+		if (signal) {
+			signal.throwIfAborted();
+		}
+	}
+
+	/**
+	 * Get the delay before the next retry - exponential backoff with full jitter
+	 * @param {number} attempt - Zero-based number of the failed attempt
+	 * @param {number} baseDelayMs - Delay cap for the first retry
+	 * @param {number} maxDelayMs - Upper bound for any delay
+	 * @returns {number} Delay in milliseconds
+	 */
+	static getBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+		const cap = Math.min(maxDelayMs, baseDelayMs * (2 ** attempt));
+		return Math.round(Math.random() * cap);
+	}
+
+	/**
+	 * Call the IdoSell API with retries and an optional circuit breaker
+	 * Only retryable errors are repeated; a call that still fails afterwards counts as one
+	 * breaker failure. The empty result fault means the API answered, so it counts as a success.
+	 * @param {Function} apiCall - Async function that makes the IdoSell API call
+	 * @param {Object} options - Retry options
+	 * @param {number} options.retries - Retries after the first attempt (default: 3)
+	 * @param {number} options.baseDelayMs - Backoff delay cap for the first retry (default: 500)
+	 * @param {number} options.maxDelayMs - Upper bound for backoff delays (default: 10000)
+	 * @param {CircuitBreakerService} options.circuitBreaker - Breaker guarding the API (optional)
+	 * @param {string} options.label - Call description for logs
+	 * @returns {Promise<Object>} API response
+	 */
+	static async callIdosellWithRetry(apiCall, options = {}) {
+		const {
+			retries = 3,
+			baseDelayMs = 500,
+			maxDelayMs = 10000,
+			circuitBreaker = null,
+			label = 'IdoSell API call',
+		} = options;
+
+		// A half-open trial covers all attempts of this call
+		let isTrial = false;
+
+		for (let attempt = 0; ; attempt++) {
+			if (circuitBreaker && !isTrial) {
+				isTrial = circuitBreaker.assertCanRequest();
+			}
+
+			try {
+				const result = await apiCall();
+				if (circuitBreaker) {
+					circuitBreaker.recordSuccess();
+				}
+				return result;
+			} catch (error) {
+				if (this.isIdosellEmptyResultError(error)) {
+					if (circuitBreaker) {
+						circuitBreaker.recordSuccess();
+					}
+					throw error;
+				}
+
+				const retryable = this.isRetryableIdosellError(error);
+
+				if (!retryable || attempt >= retries) {
+					if (retryable && circuitBreaker) {
+						circuitBreaker.recordFailure(error);
+					} else if (isTrial) {
+						circuitBreaker.releaseTrial();
+					}
+					throw error;
+				}
+
+				const delay = this.getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+				console.warn(`⚠️ ${label} failed (attempt ${attempt + 1}/${retries + 1}): ${error.message} - retrying in ${delay}ms`);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+	}
+
 	/**
 	 * Handle IdoSell API call with proper empty result error handling
 	 * @param {Function} apiCall - Async function that makes the IdoSell API call
 	 * @param {string} logMessage - Message to log when empty results are found
+	 * @param {Object} retryOptions - Retry and circuit breaker options (see callIdosellWithRetry)
 	 * @returns {Promise<Array>} Results array or empty array if no results
 	 */
-	static async handleIdosellApiCall(apiCall, logMessage = 'No results found from API') {
+	static async handleIdosellApiCall(apiCall, logMessage = 'No results found from API', retryOptions = {retries: 0}) {
 		try {
-			const result = await apiCall();
+			const result = await this.callIdosellWithRetry(apiCall, retryOptions);
 			return result.Results || [];
 		} catch (error) {
 			if (this.isIdosellEmptyResultError(error)) {
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const config = require('../config');
+const webhookSubscriptionModel = require('../models/webhook-subscription-model');
+const webhookDeliveryModel = require('../models/webhook-delivery-model');
+const UtilsService = require('./utils-service');
+
+const {WEBHOOK_DELIVERY_STATUSES} = webhookDeliveryModel;
+
+/**
+ * Characters of a receiver response body kept in the delivery log
+ */
+const MAX_LOGGED_RESPONSE_LENGTH = 500;
+
+/**
+ * Time on top of the receiver timeout after which a delivery still marked as delivering is
+ * considered abandoned by its worker
+ */
+const STALLED_DELIVERY_MARGIN_MS = 60000;
+
+/**
+ * Addresses webhooks are not delivered to - unspecified, loopback, private (RFC 1918 and unique
+ * local), carrier-grade NAT and link-local (e.g. the 169.254.169.254 cloud metadata endpoint)
+ * addresses. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+/**
+ * Webhook Service - Queues order lifecycle events for webhook subscriptions and delivers them
+ * Events are stored as one delivery per subscription; the worker POSTs each delivery as signed JSON
+ * and retries failed deliveries with exponential backoff until maxAttempts is reached.
+ *
+ * Receivers verify a delivery by computing HMAC-SHA256 over `${X-Webhook-Timestamp}.${body}`
+ * with the subscription secret and comparing it to the X-Webhook-Signature header (sha256=<hex>).
+ *
+ * Receivers on private, loopback or link-local addresses are refused, both when the URL is
+ * validated and when its host is resolved before each attempt, unless allowPrivateTargets is set.
+ */
+class WebhookService {
+	/**
+	 * @param {Object} options - Worker options (defaults to the webhooks config)
+	 * @param {number} [options.pollIntervalMs] - How often the delivery queue is checked
+	 * @param {number} [options.timeoutMs] - How long a receiver has to answer
+	 * @param {number} [options.maxAttempts] - Attempts before a delivery is marked failed
+	 * @param {number} [options.retryBaseDelayMs] - Backoff delay cap for the first retry
+	 * @param {number} [options.retryMaxDelayMs] - Upper bound for any retry delay
+	 * @param {boolean} [options.allowPrivateTargets] - Deliver to private, loopback and link-local
+	 *   addresses (e.g. receivers in the same network)
+	 */
+	constructor(options = {}) {
+		const settings = config.webhooks || {};
+
+		this.pollIntervalMs = options.pollIntervalMs || settings.pollIntervalMs || 5000;
+		this.timeoutMs = options.timeoutMs || settings.timeoutMs || 10000;
+		this.maxAttempts = options.maxAttempts || settings.maxAttempts || 8;
+		this.retryBaseDelayMs = options.retryBaseDelayMs || settings.retryBaseDelayMs || 30000;
+		this.retryMaxDelayMs = options.retryMaxDelayMs || settings.retryMaxDelayMs || 3600000;
+		this.allowPrivateTargets = !!(options.allowPrivateTargets || settings.allowPrivateTargets);
+		this.pollTimer = null;
+		this.isRunning = false;
+	}
+
+	/**
+	 * Generate a secret for a new webhook subscription
+	 * @returns {string} Secret
+	 */
+	static generateSecret() {
+		return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+	}
+
+	/**
+	 * Check if an IP address is private, loopback or link-local
+	 * @param {string} address - IPv4 or IPv6 address
+	 * @returns {boolean} True if webhooks must not be delivered to the address
+	 */
+	static isPrivateAddress(address) {
+		const family = net.isIP(address);
+		return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+	}
+
+	/**
+	 * Check if a URL points to a local host name or a private, loopback or link-local IP address
+	 * Host names are not resolved - deliveries check the addresses they resolve to
+	 * @param {string} url - Webhook URL
+	 * @returns {boolean} True if webhooks must not be delivered to the URL
+	 */
+	static isPrivateUrl(url) {
+		let hostname;
+		try {
+			hostname = new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+		} catch {
+			return false;
+		}
+
+		return hostname === 'localhost'
+			|| hostname.endsWith('.localhost')
+			|| WebhookService.isPrivateAddress(hostname);
+	}
+
+	/**
+	 * Sign a webhook payload
+	 * @param {string} secret - Subscription secret
+	 * @param {number} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+	 * @param {string} body - JSON body
+	 * @returns {string} Signature header value (sha256=<hex>)
+	 */
+	static sign(secret, timestamp, body) {
+		const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+		return `sha256=${digest}`;
+	}
+
+	/**
+	 * Queue an event for every enabled subscription of its type
+	 * @param {string} type - Event type (one of WEBHOOK_EVENT_TYPES)
+	 * @param {Object} data - Event data
+	 * @returns {Promise<Array>} Queued deliveries
+	 */
+	async emit(type, data) {
+		const subscriptions = await webhookSubscriptionModel.getEnabledForEvent(type);
+		if (subscriptions.length === 0) {
+			return [];
+		}
+
+		const event = {
+			id: `evt_${crypto.randomUUID()}`,
+			type,
+			createdAt: new Date().toISOString(),
+			data,
+		};
+
+		return webhookDeliveryModel.createMany(subscriptions.map(subscription => ({
+			subscriptionId: subscription.id,
+			subscriptionName: subscription.name,
+			event,
+		})));
+	}
+
+	/**
+	 * Queue a delivery again with the original event payload
+	 * @param {string} deliveryId - Webhook delivery ID
+	 * @returns {Promise<Object|null>} New delivery or null if the delivery does not exist
+	 */
+	async replayDelivery(deliveryId) {
+		const delivery = await webhookDeliveryModel.getById(deliveryId);
+		if (!delivery) {
+			return null;
+		}
+
+		const subscription = await webhookSubscriptionModel.getById(delivery.subscriptionId);
+		if (!subscription) {
+			const error = new Error('The webhook subscription of this delivery no longer exists');
+			error.code = 'WEBHOOK_SUBSCRIPTION_NOT_FOUND';
+			throw error;
+		}
+
+		const [replay] = await webhookDeliveryModel.createMany([{
+			subscriptionId: subscription.id,
+			subscriptionName: subscription.name,
+			event: delivery.event,
+			replayOf: delivery.id,
+		}]);
+
+		return replay;
+	}
+
+	/**
+	 * Start the delivery worker
+	 */
+	start() {
+		if (this.pollTimer) {
+			console.log('⚠️  Webhook worker already running');
+			return;
+		}
+
+		this.requeueInterruptedDeliveries();
+
+		this.pollTimer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+
+		console.log(`✅ Webhook worker started: polling every ${this.pollIntervalMs}ms, up to ${this.maxAttempts} attempts per delivery`);
+	}
+
+	/**
+	 * Stop the delivery worker
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+		console.log('🛑 Webhook worker stopped');
+	}
+
+	/**
+	 * Put deliveries left in flight by a stopped process back in the queue
+	 * Other instances may be sending deliveries right now, so only attempts older than the
+	 * receiver timeout plus a margin are requeued. Runs on start and before every queue pass, so
+	 * deliveries of an instance that just crashed are picked up once they stall.
+	 */
+	async requeueInterruptedDeliveries() {
+		try {
+			const stalledMs = this.timeoutMs + STALLED_DELIVERY_MARGIN_MS;
+			const stalledBefore = new Date(Date.now() - stalledMs);
+			const count = await webhookDeliveryModel.requeueDelivering(stalledBefore);
+			if (count > 0) {
+				console.log(`🔁 Requeued ${count} interrupted webhook delivery(ies)`);
+			}
+		} catch (error) {
+			console.error('❌ Failed to requeue webhook deliveries:', error.message);
+		}
+	}
+
+	/**
+	 * Send due deliveries one after another until none is due
+	 */
+	async processQueue() {
+		if (this.isRunning) {
+			return;
+		}
+
+		this.isRunning = true;
+
+		try {
+			await this.requeueInterruptedDeliveries();
+
+			let delivery;
+			while ((delivery = await webhookDeliveryModel.claimNext())) {
+				await this.deliver(delivery);
+			}
+		} catch (error) {
+			console.error('❌ Webhook queue processing failed:', error.message);
+		} finally {
+			this.isRunning = false;
+		}
+	}
+
+	/**
+	 * Send a claimed delivery and record the attempt
+	 * @param {Object} delivery - Claimed webhook delivery
+	 * @returns {Promise<Object>} Updated delivery
+	 */
+	async deliver(delivery) {
+		const subscription = await webhookSubscriptionModel.getById(delivery.subscriptionId);
+		const attemptedAt = new Date();
+
+		if (!subscription) {
+			console.warn(`⚠️ Webhook delivery ${delivery.id} dropped: subscription ${delivery.subscriptionId} no longer exists`);
+			return webhookDeliveryModel.recordAttempt(delivery.id, {
+				attemptedAt,
+				responseStatus: null,
+				responseBody: null,
+				error: 'Subscription no longer exists',
+				durationMs: 0,
+			}, {status: WEBHOOK_DELIVERY_STATUSES.FAILED, nextAttemptAt: null});
+		}
+
+		const attempt = await this.send(subscription, delivery, attemptedAt);
+		const attemptNumber = delivery.attempts + 1;
+
+		if (attempt.error === null) {
+			console.log(`📨 Webhook ${delivery.eventType} delivered to ${subscription.name} (${attempt.responseStatus})`);
+			return webhookDeliveryModel.recordAttempt(
+				delivery.id,
+				attempt,
+				{status: WEBHOOK_DELIVERY_STATUSES.DELIVERED, nextAttemptAt: null},
+			);
+		}
+
+		if (attemptNumber >= this.maxAttempts) {
+			console.error(`❌ Webhook ${delivery.eventType} to ${subscription.name} failed after ${attemptNumber} attempt(s): ${attempt.error}`);
+			return webhookDeliveryModel.recordAttempt(
+				delivery.id,
+				attempt,
+				{status: WEBHOOK_DELIVERY_STATUSES.FAILED, nextAttemptAt: null},
+			);
+		}
+
+		const delay = UtilsService.getBackoffDelay(
+			attemptNumber - 1,
+			this.retryBaseDelayMs,
+			this.retryMaxDelayMs,
+		);
+		console.warn(`⚠️ Webhook ${delivery.eventType} to ${subscription.name} failed (attempt ${attemptNumber}/${this.maxAttempts}): ${attempt.error} - retrying in ${delay}ms`);
+
+		return webhookDeliveryModel.recordAttempt(delivery.id, attempt, {
+			status: WEBHOOK_DELIVERY_STATUSES.PENDING,
+			nextAttemptAt: new Date(attemptedAt.getTime() + delay),
+		});
+	}
+
+	/**
+	 * Refuse a receiver on a private, loopback or link-local address
+	 * The host is resolved, so names pointing to such addresses are refused as well
+	 * @param {string} url - Webhook URL
+	 * @throws {Error} PRIVATE_WEBHOOK_TARGET when the receiver is not public
+	 */
+	async checkTarget(url) {
+		if (this.allowPrivateTargets) {
+			return;
+		}
+
+		const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+		let target = hostname;
+
+		if (!WebhookService.isPrivateUrl(url)) {
+			const addresses = await dns.promises.lookup(hostname, {all: true});
+			const privateAddress = addresses.find(
+				({address}) => WebhookService.isPrivateAddress(address),
+			);
+			if (!privateAddress) {
+				return;
+			}
+			target = `${hostname} (${privateAddress.address})`;
+		}
+
+		const error = new Error(`Receiver ${target} is a private, loopback or link-local address`);
+		error.code = 'PRIVATE_WEBHOOK_TARGET';
+		throw error;
+	}
+
+	/**
+	 * POST a delivery to the subscription URL
+	 * Any 2xx answer counts as delivered; other statuses, network errors, timeouts and receivers on
+	 * private addresses are failures
+	 * @param {Object} subscription - Webhook subscription
+	 * @param {Object} delivery - Webhook delivery
+	 * @param {Date} attemptedAt - Start of the attempt
+	 * @returns {Promise<Object>} Attempt ({attemptedAt, responseStatus, responseBody, error, durationMs})
+	 */
+	async send(subscription, delivery, attemptedAt) {
+		const body = JSON.stringify(delivery.event);
+		const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+		try {
+			await this.checkTarget(subscription.url);
+
+			const response = await fetch(subscription.url, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'User-Agent': 'formasint-orders-webhooks',
+					'X-Webhook-Id': delivery.id,
+					'X-Webhook-Event': delivery.eventType,
+					'X-Webhook-Timestamp': String(timestamp),
+					'X-Webhook-Signature': WebhookService.sign(subscription.secret, timestamp, body),
+				},
+				body,
+				redirect: 'manual',
+				signal: AbortSignal.timeout(this.timeoutMs),
+			});
+			const responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+
+			return {
+				attemptedAt,
+				responseStatus: response.status,
+				responseBody,
+				error: response.ok ? null : `Receiver answered with status ${response.status}`,
+				durationMs: Date.now() - attemptedAt.getTime(),
+			};
+		} catch (error) {
+			return {
+				attemptedAt,
+				responseStatus: null,
+				responseBody: null,
+				error: error.name === 'TimeoutError'
+					? `No answer within ${this.timeoutMs}ms`
+					: (error.cause && error.cause.message) || error.message,
+				durationMs: Date.now() - attemptedAt.getTime(),
+			};
+		}
+	}
+
+	/**
+	 * Get worker status
+	 * @returns {Object} Worker status
+	 */
+	getStatus() {
+		return {
+			isStarted: !!this.pollTimer,
+			isRunning: this.isRunning,
+			pollIntervalMs: this.pollIntervalMs,
+			timeoutMs: this.timeoutMs,
+			maxAttempts: this.maxAttempts,
+		};
+	}
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,457 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const crypto = require('crypto');
+const {
+	mockWebhookSubscriptions,
+	mockWebhookDeliveries,
+	createMockWebhookSubscriptionModel,
+	createMockWebhookDeliveryModel,
+	createTestWebhookReceiver,
+	silenceConsole,
+} = require('../test-helpers');
+
+silenceConsole();
+
+/**
+ * Test setup - Creates WebhookService with in-memory models
+ */
+function createTestService(options = {}, customMocks = {}) {
+	// Clear require cache
+	const servicePath = path.resolve(__dirname, './webhook-service.js');
+	delete require.cache[servicePath];
+
+	const mockSubscriptionModel = createMockWebhookSubscriptionModel({
+		subscriptions: customMocks.subscriptions || Object.values(mockWebhookSubscriptions),
+	});
+	const mockDeliveryModel = createMockWebhookDeliveryModel({
+		deliveries: customMocks.deliveries || [],
+	});
+
+	// Mock the dependencies
+	const Module = require('module');
+	const originalRequire = Module.prototype.require;
+
+	Module.prototype.require = function(id) {
+		if (id === '../config') {
+			return {webhooks: {}};
+		}
+		if (id === '../models/webhook-subscription-model') {
+			return mockSubscriptionModel;
+		}
+		if (id === '../models/webhook-delivery-model') {
+			return mockDeliveryModel;
+		}
+		if (id === 'dns' && customMocks.dns) {
+			return customMocks.dns;
+		}
+		return originalRequire.apply(this, arguments);
+	};
+
+	// Import the service with mocks in place
+	const WebhookService = require('./webhook-service');
+
+	// Restore original require
+	Module.prototype.require = originalRequire;
+
+	return {
+		WebhookService,
+		// Test receivers listen on 127.0.0.1
+		service: new WebhookService({timeoutMs: 1000, allowPrivateTargets: true, ...options}),
+		mocks: {
+			subscriptionModel: mockSubscriptionModel,
+			deliveryModel: mockDeliveryModel,
+		},
+	};
+}
+
+/**
+ * Start a webhook receiver and point the ERP subscription at it
+ * @param {Object} mocks - Mocks returned by createTestService
+ * @param {Object} options - Receiver options (see createTestWebhookReceiver)
+ * @returns {Promise<Object>} Running receiver
+ */
+async function startReceiver(mocks, options = {}) {
+	const receiver = createTestWebhookReceiver(options);
+	const port = await receiver.listen();
+	mocks.subscriptionModel.subscriptions[mockWebhookSubscriptions.erp.id].url =
+		`http://127.0.0.1:${port}/hooks/orders`;
+	return receiver;
+}
+
+/**
+ * Make every queued delivery due again
+ * @param {Object} mocks - Mocks returned by createTestService
+ */
+function makeDeliveriesDue(mocks) {
+	for (const delivery of mocks.deliveryModel.deliveries) {
+		if (delivery.nextAttemptAt) {
+			delivery.nextAttemptAt = new Date(0);
+		}
+	}
+}
+
+const completedEventData = {
+	shopId: 'shop-a',
+	externalId: 'EXT123',
+	oldStatus: 'packed',
+	newStatus: 'finished',
+	source: 'scheduler',
+};
+
+/**
+ * Test Suite
+ */
+test('WebhookService - Event Tests', async(t) => {
+
+	await t.test('should queue an event for each enabled subscription of its type', async() => {
+		const {service, mocks} = createTestService();
+		mocks.subscriptionModel.subscriptions[mockWebhookSubscriptions.audit.id].enabled = true;
+
+		const deliveries = await service.emit('order.completed', completedEventData);
+
+		assert.deepStrictEqual(deliveries.map(delivery => delivery.subscriptionName), [
+			'erp-sync',
+			'audit-log',
+		]);
+		assert.strictEqual(deliveries[0].eventId, deliveries[1].eventId);
+		assert.match(deliveries[0].eventId, /^evt_[0-9a-f-]{36}$/);
+		assert.strictEqual(deliveries[0].status, 'pending');
+		assert.deepStrictEqual(deliveries[0].event.data, completedEventData);
+	});
+
+	await t.test('should skip disabled subscriptions and other event types', async() => {
+		const {service, mocks} = createTestService();
+
+		const deliveries = await service.emit('order.created', completedEventData);
+
+		assert.deepStrictEqual(deliveries, []);
+		assert.strictEqual(mocks.deliveryModel.deliveries.length, 0);
+	});
+});
+
+test('WebhookService - Delivery Tests', async(t) => {
+
+	await t.test('should POST signed JSON and mark the delivery delivered', async() => {
+		const {service, mocks} = createTestService();
+		const receiver = await startReceiver(mocks);
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			await service.processQueue();
+
+			const [request] = receiver.requests;
+			const {headers, body} = request;
+			const expectedSignature = crypto
+				.createHmac('sha256', mockWebhookSubscriptions.erp.secret)
+				.update(`${headers['x-webhook-timestamp']}.${body}`)
+				.digest('hex');
+
+			assert.strictEqual(receiver.requests.length, 1);
+			assert.strictEqual(request.method, 'POST');
+			assert.strictEqual(request.url, '/hooks/orders');
+			assert.strictEqual(headers['content-type'], 'application/json');
+			assert.strictEqual(headers['x-webhook-id'], queued.id);
+			assert.strictEqual(headers['x-webhook-event'], 'order.completed');
+			assert.strictEqual(headers['x-webhook-signature'], `sha256=${expectedSignature}`);
+			assert.deepStrictEqual(JSON.parse(body), queued.event);
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			assert.strictEqual(delivery.status, 'delivered');
+			assert.strictEqual(delivery.attempts, 1);
+			assert.strictEqual(delivery.attemptLog[0].responseStatus, 200);
+			assert.strictEqual(delivery.attemptLog[0].responseBody, 'ok');
+			assert.strictEqual(delivery.attemptLog[0].error, null);
+			assert(delivery.deliveredAt instanceof Date);
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should reschedule failed attempts with backoff', async() => {
+		const {service, mocks} = createTestService({retryBaseDelayMs: 60000});
+		const receiver = await startReceiver(mocks, {statuses: [503]});
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			await service.processQueue();
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			const {attemptedAt} = delivery.attemptLog[0];
+
+			assert.strictEqual(delivery.status, 'pending');
+			assert.strictEqual(delivery.attempts, 1);
+			assert.strictEqual(delivery.attemptLog[0].responseStatus, 503);
+			assert.strictEqual(delivery.attemptLog[0].error, 'Receiver answered with status 503');
+			assert(delivery.nextAttemptAt >= attemptedAt);
+			assert(delivery.nextAttemptAt <= new Date(attemptedAt.getTime() + 60000));
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should deliver once the receiver recovers', async() => {
+		const {service, mocks} = createTestService();
+		const receiver = await startReceiver(mocks, {statuses: [500, 502, 200]});
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			for (let round = 0; round < 3; round++) {
+				makeDeliveriesDue(mocks);
+				await service.processQueue();
+			}
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			assert.strictEqual(receiver.requests.length, 3);
+			assert.strictEqual(delivery.status, 'delivered');
+			assert.strictEqual(delivery.attempts, 3);
+			assert.deepStrictEqual(
+				delivery.attemptLog.map(attempt => attempt.responseStatus),
+				[500, 502, 200],
+			);
+			// Every attempt is signed with its own timestamp but carries the same event
+			assert.strictEqual(new Set(receiver.requests.map(request => request.body)).size, 1);
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should mark the delivery failed after the last attempt', async() => {
+		const {service, mocks} = createTestService({maxAttempts: 3});
+		const receiver = await startReceiver(mocks, {statuses: [500]});
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			for (let round = 0; round < 5; round++) {
+				makeDeliveriesDue(mocks);
+				await service.processQueue();
+			}
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			assert.strictEqual(receiver.requests.length, 3);
+			assert.strictEqual(delivery.status, 'failed');
+			assert.strictEqual(delivery.attempts, 3);
+			assert.strictEqual(delivery.nextAttemptAt, null);
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should record receivers that time out or cannot be reached', async() => {
+		const {service, mocks} = createTestService({timeoutMs: 50});
+		const receiver = await startReceiver(mocks, {delayMs: 500});
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			await service.processQueue();
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			assert.strictEqual(delivery.status, 'pending');
+			assert.strictEqual(delivery.attemptLog[0].responseStatus, null);
+			assert.strictEqual(delivery.attemptLog[0].error, 'No answer within 50ms');
+		} finally {
+			await receiver.close();
+		}
+
+		// The receiver is gone now - the connection is refused
+		makeDeliveriesDue(mocks);
+		await service.processQueue();
+
+		const [delivery] = mocks.deliveryModel.deliveries;
+		assert.strictEqual(delivery.attempts, 2);
+		assert.match(delivery.attemptLog[1].error, /ECONNREFUSED/);
+	});
+
+	await t.test('should fail deliveries of deleted subscriptions without sending them', async() => {
+		const {service, mocks} = createTestService();
+		const receiver = await startReceiver(mocks);
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			await mocks.subscriptionModel.delete(mockWebhookSubscriptions.erp.id);
+			await service.processQueue();
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			assert.strictEqual(receiver.requests.length, 0);
+			assert.strictEqual(delivery.status, 'failed');
+			assert.strictEqual(delivery.attemptLog[0].error, 'Subscription no longer exists');
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should requeue deliveries interrupted by a restart', async() => {
+		const {service, mocks} = createTestService({}, {
+			deliveries: [{...mockWebhookDeliveries.delivered, status: 'delivering'}],
+		});
+
+		await service.requeueInterruptedDeliveries();
+
+		assert.strictEqual(mocks.deliveryModel.deliveries[0].status, 'pending');
+	});
+
+	await t.test('should leave deliveries another instance is still sending', async() => {
+		const now = Date.now();
+		const {service, mocks} = createTestService({timeoutMs: 1000}, {
+			deliveries: [
+				{...mockWebhookDeliveries.delivered, id: 'recent', status: 'delivering', lastAttemptAt: new Date(now - 5000)},
+				{...mockWebhookDeliveries.delivered, id: 'stalled', status: 'delivering', lastAttemptAt: new Date(now - 65000)},
+			],
+		});
+
+		await service.requeueInterruptedDeliveries();
+
+		const [recent, stalled] = mocks.deliveryModel.deliveries;
+		assert.strictEqual(recent.status, 'delivering');
+		assert.strictEqual(stalled.status, 'pending');
+	});
+});
+
+test('WebhookService - Replay Tests', async(t) => {
+
+	await t.test('should queue a new delivery with the original event', async() => {
+		const {service, mocks} = createTestService({}, {
+			deliveries: [mockWebhookDeliveries.failed],
+		});
+		const receiver = await startReceiver(mocks);
+
+		try {
+			const replay = await service.replayDelivery(mockWebhookDeliveries.failed.id);
+			await service.processQueue();
+
+			assert.strictEqual(replay.replayOf, mockWebhookDeliveries.failed.id);
+			assert.strictEqual(replay.status, 'pending');
+			assert.deepStrictEqual(replay.event, mockWebhookDeliveries.failed.event);
+			assert.strictEqual(receiver.requests.length, 1);
+			assert.strictEqual(receiver.requests[0].headers['x-webhook-id'], replay.id);
+			assert.deepStrictEqual(
+				JSON.parse(receiver.requests[0].body),
+				mockWebhookDeliveries.failed.event,
+			);
+			assert.strictEqual((await mocks.deliveryModel.getById(replay.id)).status, 'delivered');
+			// The original delivery keeps its own log
+			assert.strictEqual(
+				(await mocks.deliveryModel.getById(mockWebhookDeliveries.failed.id)).status,
+				'failed',
+			);
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should return null for unknown deliveries', async() => {
+		const {service} = createTestService();
+
+		assert.strictEqual(await service.replayDelivery('65a1b2c3d4e5f6a7b8c9dfff'), null);
+	});
+
+	await t.test('should refuse to replay deliveries of deleted subscriptions', async() => {
+		const {service} = createTestService({}, {
+			subscriptions: [],
+			deliveries: [mockWebhookDeliveries.failed],
+		});
+
+		await assert.rejects(
+			() => service.replayDelivery(mockWebhookDeliveries.failed.id),
+			{code: 'WEBHOOK_SUBSCRIPTION_NOT_FOUND'},
+		);
+	});
+});
+
+test('WebhookService - Target Tests', async(t) => {
+
+	await t.test('should recognize private, loopback and link-local addresses', async() => {
+		const {WebhookService} = createTestService();
+
+		for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1',
+			'169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+			assert.strictEqual(WebhookService.isPrivateAddress(address), true, address);
+		}
+		for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'erp.example.com']) {
+			assert.strictEqual(WebhookService.isPrivateAddress(address), false, address);
+		}
+	});
+
+	await t.test('should recognize URLs of local hosts and private addresses', async() => {
+		const {WebhookService} = createTestService();
+
+		for (const url of ['http://localhost:3000/hooks', 'http://api.localhost/hooks',
+			'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/', 'http://[::ffff:127.0.0.1]/', 'http://2130706433/',
+			'https://10.0.0.5/hooks']) {
+			assert.strictEqual(WebhookService.isPrivateUrl(url), true, url);
+		}
+		for (const url of ['https://erp.example.com/hooks/orders', 'https://93.184.216.34/hooks',
+			'https://[::ffff:5db8:d822]/hooks']) {
+			assert.strictEqual(WebhookService.isPrivateUrl(url), false, url);
+		}
+	});
+
+	await t.test('should not deliver to receivers on private addresses', async() => {
+		const {service, mocks} = createTestService({allowPrivateTargets: false});
+		const receiver = await startReceiver(mocks);
+
+		try {
+			const [queued] = await service.emit('order.completed', completedEventData);
+			await service.processQueue();
+
+			const delivery = await mocks.deliveryModel.getById(queued.id);
+			assert.deepStrictEqual(receiver.requests, []);
+			assert.strictEqual(delivery.status, 'pending');
+			assert.strictEqual(
+				delivery.attemptLog[0].error,
+				'Receiver 127.0.0.1 is a private, loopback or link-local address',
+			);
+		} finally {
+			await receiver.close();
+		}
+	});
+
+	await t.test('should not deliver to host names resolving to private addresses', async() => {
+		const lookups = [];
+		const dns = {
+			promises: {
+				lookup: async(hostname, options) => {
+					lookups.push([hostname, options]);
+					return [{address: '203.0.113.10', family: 4}, {address: '10.0.0.7', family: 4}];
+				},
+			},
+		};
+		const {service, mocks} = createTestService({allowPrivateTargets: false}, {dns});
+
+		const [queued] = await service.emit('order.completed', completedEventData);
+		await service.processQueue();
+
+		const delivery = await mocks.deliveryModel.getById(queued.id);
+		assert.deepStrictEqual(lookups, [['erp.example.com', {all: true}]]);
+		assert.strictEqual(
+			delivery.attemptLog[0].error,
+			'Receiver erp.example.com (10.0.0.7) is a private, loopback or link-local address',
+		);
+	});
+});
+
+test('WebhookService - Signature Tests', async(t) => {
+
+	await t.test('should sign the timestamp and body with the secret', async() => {
+		const {WebhookService} = createTestService();
+		const body = '{"id":"evt_1"}';
+
+		assert.strictEqual(
+			WebhookService.sign('secret', 1704067200, body),
+			`sha256=${crypto.createHmac('sha256', 'secret').update(`1704067200.${body}`).digest('hex')}`,
+		);
+		assert.notStrictEqual(
+			WebhookService.sign('secret', 1704067201, body),
+			WebhookService.sign('secret', 1704067200, body),
+		);
+	});
+
+	await t.test('should generate distinct secrets', async() => {
+		const {WebhookService} = createTestService();
+
+		const secret = WebhookService.generateSecret();
+
+		assert.match(secret, /^whsec_[\w-]{32}$/);
+		assert.notStrictEqual(secret, WebhookService.generateSecret());
+	});
+});
@@ -0,0 +1,357 @@
+const zlib = require('zlib');
+const _ = require('lodash');
+const CsvExportService = require('./csv-export-service');
+const XmlExportService = require('./xml-export-service');
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Package parts written before the worksheet - everything except the rows is static
+ */
+const STATIC_PARTS = {
+	'[Content_Types].xml': `${XML_DECLARATION}` +
+		'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+		'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+		'<Default Extension="xml" ContentType="application/xml"/>' +
+		'<Override PartName="/xl/workbook.xml" ' +
+		'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+		'<Override PartName="/xl/worksheets/sheet1.xml" ' +
+		'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+		'<Override PartName="/xl/styles.xml" ' +
+		'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+		'</Types>',
+	'_rels/.rels': `${XML_DECLARATION}` +
+		`<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+		`<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+		'</Relationships>',
+	'xl/workbook.xml': `${XML_DECLARATION}` +
+		`<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIPS_NS}">` +
+		'<sheets><sheet name="Orders" sheetId="1" r:id="rId1"/></sheets>' +
+		'</workbook>',
+	'xl/_rels/workbook.xml.rels': `${XML_DECLARATION}` +
+		`<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+		`<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+		`<Relationship Id="rId2" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>` +
+		'</Relationships>',
+	'xl/styles.xml': `${XML_DECLARATION}` +
+		`<styleSheet xmlns="${SPREADSHEET_NS}">` +
+		'<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+		'<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+		'<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+		'<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+		'<fill><patternFill patternType="gray125"/></fill></fills>' +
+		'<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+		'<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+		'<cellXfs count="3">' +
+		'<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+		'<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+		'<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+		'</cellXfs>' +
+		'<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+		'</styleSheet>',
+};
+
+const SHEET_PART = 'xl/worksheets/sheet1.xml';
+
+/**
+ * Cell style indexes in styles.xml
+ */
+const CELL_STYLES = {
+	DATE: 1,
+	HEADER: 2,
+};
+
+/**
+ * Rows of a worksheet (including the header row)
+ */
+const MAX_SHEET_ROWS = 1048576;
+
+/**
+ * Excel stores dates as days since 1899-12-30 - 25569 days before the Unix epoch
+ */
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Convert a date to the MS-DOS time and date fields of a ZIP header
+ * @param {Date} date - Date to convert
+ * @returns {Object} DOS time and date
+ */
+function toDosDateTime(date) {
+	const seconds = Math.floor(date.getUTCSeconds() / 2); // DOS times have a two second resolution
+	const year = date.getUTCFullYear() - 1980;
+
+	return {
+		time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | seconds,
+		date: (year << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+	};
+}
+
+/**
+ * Minimal streaming ZIP writer (deflate, no ZIP64)
+ * Entries added with startEntry() are compressed chunk by chunk and end with a data descriptor,
+ * so their size does not have to be known up front.
+ */
+class ZipStream {
+	constructor() {
+		this.offset = 0;
+		this.entries = [];
+		this.current = null;
+		this.modified = toDosDateTime(new Date());
+	}
+
+	/**
+	 * Count written bytes
+	 * @param {Buffer} buffer - Bytes about to be written
+	 * @returns {Buffer} The same bytes
+	 */
+	track(buffer) {
+		this.offset += buffer.length;
+		return buffer;
+	}
+
+	/**
+	 * Build the local file header of an entry
+	 * @param {Object} entry - ZIP entry
+	 * @returns {Buffer} Local file header
+	 */
+	localHeader(entry) {
+		const header = Buffer.alloc(30);
+		header.writeUInt32LE(0x04034b50, 0);
+		header.writeUInt16LE(20, 4); // Version needed to extract
+		header.writeUInt16LE(entry.flags, 6);
+		header.writeUInt16LE(8, 8); // Deflate
+		header.writeUInt16LE(this.modified.time, 10);
+		header.writeUInt16LE(this.modified.date, 12);
+		header.writeUInt32LE(entry.crc, 14);
+		header.writeUInt32LE(entry.compressedSize, 18);
+		header.writeUInt32LE(entry.size, 22);
+		header.writeUInt16LE(entry.name.length, 26);
+		header.writeUInt16LE(0, 28); // Extra field length
+		return Buffer.concat([header, entry.name]);
+	}
+
+	/**
+	 * Add a complete entry
+	 * @param {string} name - Path inside the archive
+	 * @param {string} content - Entry content
+	 * @returns {Buffer} Bytes to write
+	 */
+	addFile(name, content) {
+		const data = Buffer.from(content, 'utf8');
+		const compressed = zlib.deflateRawSync(data);
+		const entry = {
+			name: Buffer.from(name, 'utf8'),
+			flags: 0,
+			crc: zlib.crc32(data),
+			compressedSize: compressed.length,
+			size: data.length,
+			offset: this.offset,
+		};
+
+		this.entries.push(entry);
+		return this.track(Buffer.concat([this.localHeader(entry), compressed]));
+	}
+
+	/**
+	 * Start an entry whose content is written with writeEntryData()
+	 * @param {string} name - Path inside the archive
+	 * @returns {Buffer} Bytes to write
+	 */
+	startEntry(name) {
+		this.current = {
+			name: Buffer.from(name, 'utf8'),
+			flags: 0x08, // Sizes and CRC follow the data in a data descriptor
+			crc: 0,
+			compressedSize: 0,
+			size: 0,
+			offset: this.offset,
+		};
+
+		this.entries.push(this.current);
+		return this.track(this.localHeader(this.current));
+	}
+
+	/**
+	 * Compress a chunk of the current entry
+	 * Every chunk is a sync-flushed deflate segment, so the segments concatenate to one stream
+	 * @param {string} content - Chunk content
+	 * @returns {Buffer} Bytes to write
+	 */
+	writeEntryData(content) {
+		const data = Buffer.from(content, 'utf8');
+		const compressed = zlib.deflateRawSync(data, {finishFlush: zlib.constants.Z_SYNC_FLUSH});
+
+		this.current.crc = zlib.crc32(data, this.current.crc);
+		this.current.size += data.length;
+		this.current.compressedSize += compressed.length;
+		return this.track(compressed);
+	}
+
+	/**
+	 * Finish the current entry - terminates the deflate stream and writes the data descriptor
+	 * @returns {Buffer} Bytes to write
+	 */
+	finishEntry() {
+		const finalBlock = zlib.deflateRawSync(Buffer.alloc(0));
+		this.current.compressedSize += finalBlock.length;
+
+		const descriptor = Buffer.alloc(16);
+		descriptor.writeUInt32LE(0x08074b50, 0);
+		descriptor.writeUInt32LE(this.current.crc, 4);
+		descriptor.writeUInt32LE(this.current.compressedSize, 8);
+		descriptor.writeUInt32LE(this.current.size, 12);
+
+		this.current = null;
+		return this.track(Buffer.concat([finalBlock, descriptor]));
+	}
+
+	/**
+	 * Finish the archive - writes the central directory
+	 * @returns {Buffer} Bytes to write
+	 */
+	finish() {
+		const centralDirectoryOffset = this.offset;
+		const headers = _.map(this.entries, entry => {
+			const header = Buffer.alloc(46);
+			header.writeUInt32LE(0x02014b50, 0);
+			header.writeUInt16LE(20, 4); // Version made by
+			header.writeUInt16LE(20, 6); // Version needed to extract
+			header.writeUInt16LE(entry.flags, 8);
+			header.writeUInt16LE(8, 10); // Deflate
+			header.writeUInt16LE(this.modified.time, 12);
+			header.writeUInt16LE(this.modified.date, 14);
+			header.writeUInt32LE(entry.crc, 16);
+			header.writeUInt32LE(entry.compressedSize, 20);
+			header.writeUInt32LE(entry.size, 24);
+			header.writeUInt16LE(entry.name.length, 28);
+			header.writeUInt32LE(entry.offset, 42);
+			return Buffer.concat([header, entry.name]);
+		});
+		const centralDirectory = Buffer.concat(headers);
+
+		const end = Buffer.alloc(22);
+		end.writeUInt32LE(0x06054b50, 0);
+		end.writeUInt16LE(this.entries.length, 8);
+		end.writeUInt16LE(this.entries.length, 10);
+		end.writeUInt32LE(centralDirectory.length, 12);
+		end.writeUInt32LE(centralDirectoryOffset, 16);
+
+		return this.track(Buffer.concat([centralDirectory, end]));
+	}
+}
+
+/**
+ * XLSX Export Service - Serializes export rows to an Excel workbook with a single "Orders" sheet
+ * Numbers are numeric cells, dates are date cells (UTC) and text uses inline strings,
+ * so the worksheet can be streamed without a shared string table.
+ */
+class XlsxExportService {
+	/**
+	 * Get the column letters of a zero-based column index
+	 * @param {number} index - Column index
+	 * @returns {string} Column letters (A, B, ..., Z, AA, ...)
+	 */
+	static columnName(index) {
+		let name = '';
+		for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+			name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+		}
+		return name;
+	}
+
+	/**
+	 * Format an inline string cell
+	 * @param {string} ref - Cell reference
+	 * @param {*} text - Cell text
+	 * @param {number} [style] - Cell style index
+	 * @returns {string} Cell XML
+	 */
+	static stringCell(ref, text, style) {
+		const styleAttribute = style ? ` s="${style}"` : '';
+		const escaped = XmlExportService.escapeXml(text);
+		return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escaped}</t></is></c>`;
+	}
+
+	/**
+	 * Format a typed cell
+	 * @param {Object} column - Export column
+	 * @param {*} value - Raw column value
+	 * @param {string} ref - Cell reference
+	 * @returns {string} Cell XML (empty for missing values)
+	 */
+	static formatCell(column, value, ref) {
+		if (column.type === 'history') {
+			return this.stringCell(ref, CsvExportService.formatStatusHistory(value));
+		}
+		if (_.isNil(value)) {
+			return '';
+		}
+		if (column.type === 'date') {
+			const serial = new Date(value).getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS;
+			return `<c r="${ref}" s="${CELL_STYLES.DATE}"><v>${serial}</v></c>`;
+		}
+		if (_.isFinite(value)) {
+			return `<c r="${ref}"><v>${value}</v></c>`;
+		}
+		if (_.isBoolean(value)) {
+			return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+		}
+		return this.stringCell(ref, value);
+	}
+
+	/**
+	 * Serialize batches of export rows to XLSX (ZIP) chunks
+	 * @param {AsyncIterable<Array<Array>>} rowBatches - Batches of rows (see OrderExportService)
+	 * @param {Array<Object>} columns - Export columns
+	 * @yields {Buffer} Workbook chunks
+	 * @throws {Error} If the export has more rows than a worksheet can hold
+	 */
+	static async* serialize(rowBatches, columns) {
+		const zip = new ZipStream();
+		const columnNames = _.map(columns, (column, index) => this.columnName(index));
+
+		for (const [name, content] of Object.entries(STATIC_PARTS)) {
+			yield zip.addFile(name, content);
+		}
+
+		const headerCells = _.map(columns, (column, index) => {
+			return this.stringCell(`${columnNames[index]}1`, column.header, CELL_STYLES.HEADER);
+		});
+
+		yield zip.startEntry(SHEET_PART);
+		yield zip.writeEntryData(
+			`${XML_DECLARATION}<worksheet xmlns="${SPREADSHEET_NS}">` +
+			'<sheetViews><sheetView workbookViewId="0">' +
+			'<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+			'</sheetView></sheetViews>' +
+			`<sheetData><row r="1">${_.join(headerCells, '')}</row>`,
+		);
+
+		let rowNumber = 1;
+		for await (const rows of rowBatches) {
+			if (rowNumber + rows.length > MAX_SHEET_ROWS) {
+				throw new Error(`XLSX exports are limited to ${MAX_SHEET_ROWS - 1} rows`);
+			}
+
+			const rowsXml = _.map(rows, row => {
+				rowNumber++;
+				const cells = _.map(columns, (column, index) => {
+					return this.formatCell(column, row[index], `${columnNames[index]}${rowNumber}`);
+				});
+				return `<row r="${rowNumber}">${_.join(cells, '')}</row>`;
+			});
+
+			yield zip.writeEntryData(_.join(rowsXml, ''));
+		}
+
+		yield zip.writeEntryData('</sheetData></worksheet>');
+		yield zip.finishEntry();
+		yield zip.finish();
+	}
+}
+
+module.exports = XlsxExportService;
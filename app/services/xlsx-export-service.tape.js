@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const XlsxExportService = require('./xlsx-export-service');
+const OrderExportService = require('./order-export-service');
+const {mockOrders} = require('../test-helpers');
+
+/**
+ * Export orders to an XLSX file
+ * @param {Array<Object>} orders - Orders to export
+ * @param {Object} options - Export options
+ * @returns {Promise<Buffer>} Workbook bytes
+ */
+async function toXlsx(orders, options = {}) {
+	const chunks = [];
+	for await (const chunk of OrderExportService.generate('xlsx', orders, options)) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Read every entry of a ZIP archive through its central directory, checking sizes and CRCs
+ * @param {Buffer} archive - ZIP bytes
+ * @returns {Object} Entry content (utf8) by path
+ */
+function readZip(archive) {
+	const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+	const entryCount = archive.readUInt16LE(endOffset + 10);
+	let offset = archive.readUInt32LE(endOffset + 16);
+	const entries = {};
+
+	for (let i = 0; i < entryCount; i++) {
+		assert.strictEqual(archive.readUInt32LE(offset), 0x02014b50);
+		const crc = archive.readUInt32LE(offset + 16);
+		const compressedSize = archive.readUInt32LE(offset + 20);
+		const size = archive.readUInt32LE(offset + 24);
+		const nameLength = archive.readUInt16LE(offset + 28);
+		const localOffset = archive.readUInt32LE(offset + 42);
+		const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+		const dataOffset = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+		const data = zlib.inflateRawSync(archive.subarray(dataOffset, dataOffset + compressedSize));
+
+		assert.strictEqual(data.length, size, `${name} size`);
+		assert.strictEqual(zlib.crc32(data), crc, `${name} CRC`);
+
+		entries[name] = data.toString('utf8');
+		offset += 46 + nameLength;
+	}
+
+	return entries;
+}
+
+/**
+ * Get the cells of a worksheet row
+ * @param {string} sheet - Worksheet XML
+ * @param {number} rowNumber - Row number (1-based)
+ * @returns {Array<string>} Cell XML
+ */
+function getRowCells(sheet, rowNumber) {
+	const row = sheet.match(new RegExp(`<row r="${rowNumber}">(.*?)</row>`))[1];
+	return row.match(/<c [^>]*>.*?<\/c>/g);
+}
+
+/**
+ * Test Suite
+ */
+test('XlsxExportService - Cell Tests', async(t) => {
+
+	await t.test('should name columns like Excel', async() => {
+		assert.strictEqual(XlsxExportService.columnName(0), 'A');
+		assert.strictEqual(XlsxExportService.columnName(25), 'Z');
+		assert.strictEqual(XlsxExportService.columnName(26), 'AA');
+		assert.strictEqual(XlsxExportService.columnName(701), 'ZZ');
+		assert.strictEqual(XlsxExportService.columnName(702), 'AAA');
+	});
+
+	await t.test('should write numbers as numeric cells', async() => {
+		assert.strictEqual(XlsxExportService.formatCell({}, 299.99, 'B2'), '<c r="B2"><v>299.99</v></c>');
+	});
+
+	await t.test('should write dates as styled date serials', async() => {
+		const cell = XlsxExportService.formatCell({type: 'date'}, new Date('2024-01-01T12:00:00Z'), 'C2');
+
+		assert.strictEqual(cell, '<c r="C2" s="1"><v>45292.5</v></c>');
+	});
+
+	await t.test('should write escaped inline strings', async() => {
+		const cell = XlsxExportService.formatCell({}, 'A & <B>', 'D2');
+
+		assert.strictEqual(cell, '<c r="D2" t="inlineStr"><is><t xml:space="preserve">A &amp; &lt;B&gt;</t></is></c>');
+	});
+
+	await t.test('should leave missing values out', async() => {
+		assert.strictEqual(XlsxExportService.formatCell({}, undefined, 'E2'), '');
+		assert.strictEqual(XlsxExportService.formatCell({type: 'date'}, null, 'E2'), '');
+	});
+});
+
+test('XlsxExportService - Workbook Tests', async(t) => {
+
+	await t.test('should produce a valid workbook package', async() => {
+		const entries = readZip(await toXlsx([mockOrders.order1]));
+
+		assert.deepStrictEqual(Object.keys(entries), [
+			'[Content_Types].xml',
+			'_rels/.rels',
+			'xl/workbook.xml',
+			'xl/_rels/workbook.xml.rels',
+			'xl/styles.xml',
+			'xl/worksheets/sheet1.xml',
+		]);
+		assert(entries['xl/workbook.xml'].includes('<sheet name="Orders" sheetId="1" r:id="rId1"/>'));
+		assert(entries['xl/worksheets/sheet1.xml'].endsWith('</sheetData></worksheet>'));
+	});
+
+	await t.test('should write a bold header row and typed cells', async() => {
+		const entries = readZip(await toXlsx([mockOrders.order1, mockOrders.orderWithNulls], {
+			columns: ['externalSerialNumber', 'orderProductsCost', 'externalCreatedAt', 'externalId'],
+		}));
+		const sheet = entries['xl/worksheets/sheet1.xml'];
+
+		assert.deepStrictEqual(getRowCells(sheet, 1), [
+			'<c r="A1" s="2" t="inlineStr"><is><t xml:space="preserve">External Serial Number</t></is></c>',
+			'<c r="B1" s="2" t="inlineStr"><is><t xml:space="preserve">Order Products Cost</t></is></c>',
+			'<c r="C1" s="2" t="inlineStr"><is><t xml:space="preserve">External Created At</t></is></c>',
+			'<c r="D1" s="2" t="inlineStr"><is><t xml:space="preserve">External ID</t></is></c>',
+		]);
+		assert.deepStrictEqual(getRowCells(sheet, 2), [
+			'<c r="A2" t="inlineStr"><is><t xml:space="preserve">SN123</t></is></c>',
+			'<c r="B2"><v>299.99</v></c>',
+			'<c r="C2" s="1"><v>45292.41666666667</v></c>',
+			'<c r="D2" t="inlineStr"><is><t xml:space="preserve">EXT123</t></is></c>',
+		]);
+		assert.deepStrictEqual(getRowCells(sheet, 3), [
+			'<c r="A3" t="inlineStr"><is><t xml:space="preserve">SN789</t></is></c>',
+			'<c r="B3"><v>0</v></c>',
+		]);
+	});
+
+	await t.test('should write a row per batch across several chunks', async() => {
+		const orders = Array.from({length: 5}, (_, index) => ({
+			...mockOrders.order1,
+			externalSerialNumber: `SN${index}`,
+		}));
+
+		const entries = readZip(await toXlsx(orders, {columns: ['externalSerialNumber'], batchSize: 2}));
+		const sheet = entries['xl/worksheets/sheet1.xml'];
+
+		assert.strictEqual(sheet.match(/<row /g).length, 6);
+		assert(sheet.includes('<row r="6"><c r="A6" t="inlineStr"><is><t xml:space="preserve">SN4</t>'));
+	});
+
+	await t.test('should write only the header row for an empty export', async() => {
+		const entries = readZip(await toXlsx([]));
+
+		assert.strictEqual(entries['xl/worksheets/sheet1.xml'].match(/<row /g).length, 1);
+	});
+
+	await t.test('should write the status history as text', async() => {
+		const entries = readZip(await toXlsx([mockOrders.order1], {
+			columns: ['statusHistory'],
+			loadStatusHistory: async() => ({
+				'shop-a': {EXT123: [{newStatus: 'new', detectedAt: new Date('2024-01-01T10:00:00Z')}]},
+			}),
+		}));
+
+		assert(entries['xl/worksheets/sheet1.xml'].includes(
+			'<c r="A2" t="inlineStr"><is><t xml:space="preserve">new@2024-01-01T10:00:00.000Z</t></is></c>',
+		));
+	});
+});
@@ -0,0 +1,82 @@
+const _ = require('lodash');
+
+/**
+ * Characters not allowed in XML 1.0 documents
+ */
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * XML Export Service - Serializes export rows to an XML document
+ * <orders> holds one <order> (or <orderLine> in line item mode) per row with one element per column.
+ * Dates are ISO 8601, missing values are empty elements and the status history is nested.
+ */
+class XmlExportService {
+	/**
+	 * Escape text for XML element content and attributes
+	 * @param {*} value - Value to escape
+	 * @returns {string} Escaped text
+	 */
+	static escapeXml(value) {
+		return String(value)
+			.replace(INVALID_XML_CHARACTERS, '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;')
+			.replace(/'/g, '&apos;');
+	}
+
+	/**
+	 * Format a column value as an XML element
+	 * @param {Object} column - Export column
+	 * @param {*} value - Raw column value
+	 * @returns {string} XML element named after the column key
+	 */
+	static formatElement(column, value) {
+		if (column.type === 'history') {
+			const changes = _.map(value, change => {
+				const changedAt = change.changedAt ? new Date(change.changedAt).toISOString() : '';
+				return `<statusChange changedAt="${changedAt}">${this.escapeXml(change.status)}</statusChange>`;
+			});
+			return `<${column.key}>${_.join(changes, '')}</${column.key}>`;
+		}
+
+		if (_.isNil(value)) {
+			return `<${column.key}/>`;
+		}
+
+		const text = column.type === 'date' ? new Date(value).toISOString() : this.escapeXml(value);
+		return `<${column.key}>${text}</${column.key}>`;
+	}
+
+	/**
+	 * Serialize batches of export rows to XML chunks
+	 * @param {AsyncIterable<Array<Array>>} rowBatches - Batches of rows (see OrderExportService)
+	 * @param {Array<Object>} columns - Export columns
+	 * @param {Object} options - XML options
+	 * @param {boolean} options.lineItems - Rows are line items (<orderLine> instead of <order>)
+	 * @yields {string} XML text chunks
+	 */
+	static async* serialize(rowBatches, columns, options = {}) {
+		const rowElement = options.lineItems ? 'orderLine' : 'order';
+
+		const documentStart = '<?xml version="1.0" encoding="UTF-8"?>\n<orders>\n';
+		yield documentStart;
+
+		for await (const rows of rowBatches) {
+			const elements = _.map(rows, row => {
+				const fields = _.map(columns, (column, index) => {
+					return this.formatElement(column, row[index]);
+				});
+				return `<${rowElement}>${_.join(fields, '')}</${rowElement}>\n`;
+			});
+
+			yield _.join(elements, '');
+		}
+
+		const documentEnd = '</orders>\n';
+		yield documentEnd;
+	}
+}
+
+module.exports = XmlExportService;
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XmlExportService = require('./xml-export-service');
+const OrderExportService = require('./order-export-service');
+const {mockOrders} = require('../test-helpers');
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+/**
+ * Export orders to an XML string
+ * @param {Array<Object>} orders - Orders to export
+ * @param {Object} options - Export options
+ * @returns {Promise<string>} XML document
+ */
+async function toXml(orders, options = {}) {
+	let xml = '';
+	for await (const chunk of OrderExportService.generate('xml', orders, options)) {
+		xml += chunk;
+	}
+	return xml;
+}
+
+/**
+ * Test Suite
+ */
+test('XmlExportService - Escaping Tests', async(t) => {
+
+	await t.test('should escape markup characters', async() => {
+		assert.strictEqual(
+			XmlExportService.escapeXml('<b>"Tom" & \'Jerry\'</b>'),
+			'&lt;b&gt;&quot;Tom&quot; &amp; &apos;Jerry&apos;&lt;/b&gt;',
+		);
+	});
+
+	await t.test('should drop characters XML 1.0 does not allow', async() => {
+		assert.strictEqual(XmlExportService.escapeXml('SN\u00001\u001F\tA'), 'SN1\tA');
+	});
+
+	await t.test('should escape order values', async() => {
+		const order = {...mockOrders.order1, externalSerialNumber: 'SN <1> & "2"'};
+
+		const xml = await toXml([order], {columns: ['externalSerialNumber']});
+
+		assert(xml.includes('<externalSerialNumber>SN &lt;1&gt; &amp; &quot;2&quot;</externalSerialNumber>'));
+	});
+});
+
+test('XmlExportService - Format Tests', async(t) => {
+
+	await t.test('should write one order element per order', async() => {
+		const xml = await toXml([mockOrders.order1, mockOrders.orderWithNulls], {
+			columns: ['externalSerialNumber', 'orderProductsCost', 'externalId', 'externalCreatedAt'],
+		});
+
+		assert.strictEqual(xml, [
+			XML_DECLARATION,
+			'<orders>',
+			'<order><externalSerialNumber>SN123</externalSerialNumber><orderProductsCost>299.99</orderProductsCost>' +
+				'<externalId>EXT123</externalId><externalCreatedAt>2024-01-01T10:00:00.000Z</externalCreatedAt></order>',
+			'<order><externalSerialNumber>SN789</externalSerialNumber><orderProductsCost>0</orderProductsCost>' +
+				'<externalId/><externalCreatedAt/></order>',
+			'</orders>',
+			'',
+		].join('\n'));
+	});
+
+	await t.test('should write an empty orders element for an empty export', async() => {
+		const xml = await toXml([]);
+
+		assert.strictEqual(xml, `${XML_DECLARATION}\n<orders>\n</orders>\n`);
+	});
+
+	await t.test('should nest the status history', async() => {
+		const xml = await toXml([mockOrders.order1, mockOrders.order2], {
+			columns: ['externalSerialNumber', 'statusHistory'],
+			loadStatusHistory: async() => ({
+				'shop-a': {
+					EXT123: [
+						{newStatus: 'new', externalChangedAt: new Date('2024-01-01T10:00:00Z')},
+						{newStatus: 'completed', detectedAt: new Date('2024-01-02T15:30:00Z')},
+					],
+				},
+			}),
+		});
+
+		assert(xml.includes(
+			'<statusHistory><statusChange changedAt="2024-01-01T10:00:00.000Z">new</statusChange>' +
+			'<statusChange changedAt="2024-01-02T15:30:00.000Z">completed</statusChange></statusHistory>',
+		));
+		assert(xml.includes('<externalSerialNumber>SN456</externalSerialNumber><statusHistory></statusHistory>'));
+	});
+
+	await t.test('should write orderLine elements in line item mode', async() => {
+		const order = {
+			...mockOrders.order1,
+			orderProducts: [{productSku: 'TENT-2'}, {productSku: 'MAT-1'}],
+		};
+
+		const xml = await toXml([order], {lineItems: 'true', columns: ['externalSerialNumber', 'productSku']});
+
+		assert(xml.includes(
+			'<orderLine><externalSerialNumber>SN123</externalSerialNumber><productSku>TENT-2</productSku></orderLine>\n' +
+			'<orderLine><externalSerialNumber>SN123</externalSerialNumber><productSku>MAT-1</productSku></orderLine>\n',
+		));
+		assert(!xml.includes('<order>'));
+	});
+});
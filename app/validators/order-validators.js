@@ -1,4 +1,8 @@
-const {validationResult, query, param} = require('express-validator');
+const {validationResult, query, param, body, header} = require('express-validator');
+const cron = require('node-cron');
+const config = require('../config');
+const OrderExportService = require('../services/order-export-service');
+const WebhookService = require('../services/webhook-service');
 
 /**
  * Order Route Validators
@@ -6,38 +10,422 @@ const {validationResult, query, param} = require('express-validator');
  */
 
 /**
- * Express-validator middleware for CSV download filters
+ * Validation chains for order worth filters
+ * @param {Function} location - express-validator location (query or body)
+ * @returns {Array} Validation chains
  */
-const validateCSVFilters = [
-	query('minWorth')
+const worthRules = (location) => [
+	location('minWorth')
 		.optional()
 		.isFloat({min: 0, max: 1000000})
 		.withMessage('Minimum worth must be a number between 0 and 1,000,000')
 		.toFloat(),
-	query('maxWorth')
+	location('maxWorth')
 		.optional()
 		.isFloat({min: 0, max: 1000000})
 		.withMessage('Maximum worth must be a number between 0 and 1,000,000')
 		.toFloat(),
+];
+
+/**
+ * Shared validation chains for order worth filters
+ */
+const worthFilterRules = worthRules(query);
+
+/**
+ * Validation chain for the currency the worth filters (and order stats) work in
+ * @param {Function} location - express-validator location (query or body)
+ * @returns {Object} Validation chain
+ */
+const currencyModeRule = location => location('currencyMode')
+	.optional()
+	.isIn(['native', 'base'])
+	.withMessage('Currency mode must be native (order currency) or base (base currency)');
+
+/**
+ * Date range query parameters accepted by the order list endpoint
+ */
+const DATE_RANGE_FILTERS = [
+	['dateFrom', 'dateTo'],
+	['createdFrom', 'createdTo'],
+	['updatedFrom', 'updatedTo'],
+];
+
+/**
+ * Split a comma-separated query value into a list (single values stay strings)
+ * @param {string} value - Raw query value
+ * @returns {string|Array<string>} Single value or list of values
+ */
+const splitCommaList = (value) => (typeof value === 'string' && value.includes(',') ? value.split(',') : value);
+
+/**
+ * Validation chain for the shop filter (shop ID or comma-separated list of shop IDs)
+ * @param {Function} location - express-validator location (query or body)
+ * @returns {Object} Validation chain
+ */
+const shopRule = (location) => location('shopId')
+	.optional()
+	.matches(/^[a-zA-Z0-9\-_]+(,[a-zA-Z0-9\-_]+)*$/)
+	.withMessage('Shop ID must be a shop ID or a comma-separated list of shop IDs')
+	.customSanitizer(splitCommaList);
+
+/**
+ * Shared validation chain for the shop filter
+ */
+const shopFilterRule = shopRule(query);
+
+/**
+ * Export preset, report schedule and report directory names - letters, numbers, hyphens and underscores
+ */
+const NAME_PATTERN = /^[a-zA-Z0-9\-_]{1,50}$/;
+
+/**
+ * Date formats accepted for CSV exports - 'iso' or a moment.js pattern without literal text
+ */
+const DATE_FORMAT_PATTERN = /^(iso|[YMDHhmsSAaZ .,:/\-_T]{1,40})$/;
+
+/**
+ * Check that every requested export column exists
+ * @param {Array<string>} columns - Column keys
+ * @returns {boolean} True if all columns are known
+ * @throws {Error} If a column is unknown
+ */
+const isKnownColumnList = (columns) => {
+	const columnKeys = OrderExportService.COLUMN_KEYS;
+	const unknownColumns = columns.filter(column => !columnKeys.includes(column));
+	if (unknownColumns.length > 0) {
+		throw new Error(`Unknown columns: ${unknownColumns.join(', ')}`);
+	}
+	return true;
+};
+
+/**
+ * Validation chain for the export format (downloads fall back to the Accept header without it)
+ * @param {Function} location - express-validator location (query or body)
+ * @returns {Object} Validation chain
+ */
+const exportFormatRule = (location) => location('format')
+	.optional()
+	.isIn(OrderExportService.FORMAT_NAMES)
+	.withMessage(`Format must be one of ${OrderExportService.FORMAT_NAMES.join(', ')}`);
+
+/**
+ * Shared validation chains for CSV format options
+ * @param {Function} location - express-validator location (query or body)
+ * @param {string} prefix - Field name prefix (e.g. 'options.' for preset bodies)
+ * @returns {Array} Validation chains
+ */
+const csvFormatRules = (location, prefix = '') => [
+	location(`${prefix}columns`)
+		.optional()
+		.customSanitizer(value => (typeof value === 'string' ? value.split(',') : value))
+		.isArray({min: 1, max: 50})
+		.withMessage('Columns must be a list of 1 to 50 column names')
+		.custom(isKnownColumnList),
+	location(`${prefix}delimiter`)
+		.optional()
+		.isIn(['comma', 'semicolon', 'tab'])
+		.withMessage('Delimiter must be one of comma, semicolon or tab'),
+	location(`${prefix}decimalSeparator`)
+		.optional()
+		.isIn(['dot', 'comma'])
+		.withMessage('Decimal separator must be either dot or comma'),
+	location(`${prefix}dateFormat`)
+		.optional()
+		.matches(DATE_FORMAT_PATTERN)
+		.withMessage('Date format must be iso or a date pattern such as DD.MM.YYYY HH:mm'),
+	location([`${prefix}bom`, `${prefix}lineItems`, `${prefix}includeHistory`])
+		.optional()
+		.isBoolean()
+		.withMessage('bom, lineItems and includeHistory must be true or false')
+		.toBoolean(),
+];
+
+/**
+ * Shared validation chains for export filters, preset, format and format options
+ * @param {Function} location - express-validator location (query or body)
+ * @returns {Array} Validation chains
+ */
+const exportFilterRules = (location) => [
+	shopRule(location),
+	...worthRules(location),
+	currencyModeRule(location),
+	location('preset')
+		.optional()
+		.matches(NAME_PATTERN)
+		.withMessage('Preset must be a preset name of up to 50 letters, numbers, hyphens or underscores'),
+	exportFormatRule(location),
+	...csvFormatRules(location),
+	location(['dateFrom', 'dateTo'])
+		.optional()
+		.isISO8601()
+		.withMessage('Dates must be valid ISO 8601 dates')
+		.toDate(),
+];
+
+/**
+ * Report export filter validation errors and reject inverted worth and date ranges
+ * @param {string} source - Request property holding the filters ('query' or 'body')
+ * @param {string} message - Message of the validation error response
+ * @returns {Function} Express middleware
+ */
+const checkExportFilters = (source, message) => (req, res, next) => {
+	const errors = validationResult(req);
+	if (!errors.isEmpty()) {
+		return res.status(400).json({
+			success: false,
+			message,
+			errors: errors.array(),
+		});
+	}
+
+	// Additional validation: minWorth should not be greater than maxWorth
+	const {minWorth, maxWorth, dateFrom, dateTo} = req[source];
+	if (minWorth !== undefined && maxWorth !== undefined && minWorth > maxWorth) {
+		return res.status(400).json({
+			success: false,
+			message: 'Minimum worth cannot be greater than maximum worth',
+		});
+	}
+
+	if (dateFrom !== undefined && dateTo !== undefined && dateFrom > dateTo) {
+		return res.status(400).json({
+			success: false,
+			message: 'dateFrom cannot be later than dateTo',
+		});
+	}
+
+	next();
+};
+
+/**
+ * Express-validator middleware for export download filters and format options
+ */
+const validateCSVFilters = [
+	...exportFilterRules(query),
+	checkExportFilters('query', 'Invalid filter parameters'),
+];
+
+/**
+ * Express-validator middleware for queueing an export job
+ * Takes the filters and options of the export download as JSON body fields
+ */
+const validateExportJob = [
+	...exportFilterRules(body),
+	checkExportFilters('body', 'Invalid export job'),
+];
+
+/**
+ * Express-validator middleware for export job IDs
+ */
+const validateExportJobId = [
+	param('id')
+		.isMongoId()
+		.withMessage('Export job ID must be a valid 24-character hex identifier'),
 	(req, res, next) => {
 		const errors = validationResult(req);
 		if (!errors.isEmpty()) {
 			return res.status(400).json({
 				success: false,
-				message: 'Invalid filter parameters',
+				message: 'Invalid export job ID',
 				errors: errors.array(),
 			});
 		}
+		next();
+	},
+];
 
-		// Additional validation: minWorth should not be greater than maxWorth
-		const {minWorth, maxWorth} = req.query;
-		if (minWorth !== undefined && maxWorth !== undefined && minWorth > maxWorth) {
+/**
+ * Express-validator middleware for export artifact downloads
+ */
+const validateExportDownload = [
+	param('id')
+		.isMongoId()
+		.withMessage('Export job ID must be a valid 24-character hex identifier'),
+	query('token')
+		.matches(/^[a-f0-9]{64}$/)
+		.withMessage('Download token is missing or malformed'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
 			return res.status(400).json({
 				success: false,
-				message: 'Minimum worth cannot be greater than maximum worth',
+				message: 'Invalid download link',
+				errors: errors.array(),
 			});
 		}
+		next();
+	},
+];
+
+/**
+ * Check that a timezone is known to the runtime (IANA name such as Europe/Warsaw)
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if the timezone is known
+ */
+const isKnownTimezone = (timezone) => {
+	try {
+		Intl.DateTimeFormat('en-US', {timeZone: timezone});
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+/**
+ * Shared validation chains for the order filters of the list and stats endpoints
+ */
+const orderFilterRules = [
+	query('status')
+		.optional()
+		.matches(/^[a-z_]+(,[a-z_]+)*$/)
+		.withMessage('Status must be a status name or a comma-separated list of status names')
+		.customSanitizer(splitCommaList),
+	query('currency')
+		.optional()
+		.matches(/^[A-Z]{3}(,[A-Z]{3})*$/)
+		.withMessage('Currency must be an ISO 4217 code or a comma-separated list of codes')
+		.customSanitizer(splitCommaList),
+	shopFilterRule,
+	...worthFilterRules,
+	currencyModeRule(query),
+	query(DATE_RANGE_FILTERS.flat())
+		.optional()
+		.isISO8601()
+		.withMessage('Dates must be valid ISO 8601 dates')
+		.toDate(),
+];
+
+/**
+ * Report order filter validation errors and reject inverted worth and date ranges
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const checkOrderFilters = (req, res, next) => {
+	const errors = validationResult(req);
+	if (!errors.isEmpty()) {
+		return res.status(400).json({
+			success: false,
+			message: 'Invalid filter parameters',
+			errors: errors.array(),
+		});
+	}
 
+	const {minWorth, maxWorth} = req.query;
+	if (minWorth !== undefined && maxWorth !== undefined && minWorth > maxWorth) {
+		return res.status(400).json({
+			success: false,
+			message: 'Minimum worth cannot be greater than maximum worth',
+		});
+	}
+
+	for (const [fromKey, toKey] of DATE_RANGE_FILTERS) {
+		const from = req.query[fromKey];
+		const to = req.query[toKey];
+		if (from !== undefined && to !== undefined && from > to) {
+			return res.status(400).json({
+				success: false,
+				message: `${fromKey} cannot be later than ${toKey}`,
+			});
+		}
+	}
+
+	next();
+};
+
+/**
+ * Express-validator middleware for the JSON order list filters and pagination
+ */
+const validateOrderListFilters = [
+	query('limit')
+		.optional()
+		.isInt({min: 1, max: 200})
+		.withMessage('Limit must be an integer between 1 and 200')
+		.toInt(),
+	query('cursor')
+		.optional()
+		.isMongoId()
+		.withMessage('Cursor must be a value returned by a previous page'),
+	...orderFilterRules,
+	checkOrderFilters,
+];
+
+/**
+ * Express-validator middleware for the filters of the live order stream
+ * A stream resumes after the Last-Event-ID header (sent by EventSource on reconnects)
+ * or the lastEventId query parameter
+ */
+const validateOrderStreamFilters = [
+	shopFilterRule,
+	query('status')
+		.optional()
+		.matches(/^[a-z_]+(,[a-z_]+)*$/)
+		.withMessage('Status must be a status name or a comma-separated list of status names')
+		.customSanitizer(splitCommaList),
+	query('type')
+		.optional()
+		.matches(/^(order\.created|order\.status_changed)(,(order\.created|order\.status_changed))*$/)
+		.withMessage('Type must be order.created, order.status_changed or a comma-separated list of both')
+		.customSanitizer(splitCommaList),
+	query('lastEventId')
+		.optional()
+		.isMongoId()
+		.withMessage('Last event ID must be a valid 24-character hex identifier'),
+	header('Last-Event-ID')
+		.optional()
+		.isMongoId()
+		.withMessage('Last-Event-ID must be a valid 24-character hex identifier'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid filter parameters',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for the order stats filters and aggregation options
+ */
+const validateOrderStatsFilters = [
+	...orderFilterRules,
+	query('interval')
+		.optional()
+		.isIn(['day', 'week', 'month'])
+		.withMessage('Interval must be one of: day, week, month'),
+	query('timezone')
+		.optional()
+		.custom(isKnownTimezone)
+		.withMessage('Timezone must be an IANA timezone such as Europe/Warsaw'),
+	query('topProducts')
+		.optional()
+		.isInt({min: 1, max: 100})
+		.withMessage('Top products must be an integer between 1 and 100')
+		.toInt(),
+	checkOrderFilters,
+];
+
+/**
+ * Express-validator middleware for order ID route parameter
+ */
+const validateOrderId = [
+	param('id')
+		.isMongoId()
+		.withMessage('Order ID must be a valid 24-character hex identifier'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid order ID',
+				errors: errors.array(),
+			});
+		}
 		next();
 	},
 ];
@@ -53,6 +441,16 @@ const validateExternalSerialNumber = [
 		.matches(/^[a-zA-Z0-9\-_]+$/)
 		.withMessage('External serial number can only contain letters, numbers, hyphens, and underscores')
 		.escape(), // Sanitize for security
+	query('shopId')
+		.optional()
+		.matches(/^[a-zA-Z0-9\-_]+$/)
+		.withMessage('Shop ID can only contain letters, numbers, hyphens, and underscores'),
+	query('preset')
+		.optional()
+		.matches(NAME_PATTERN)
+		.withMessage('Preset must be a preset name of up to 50 letters, numbers, hyphens or underscores'),
+	exportFormatRule(query),
+	...csvFormatRules(query),
 	(req, res, next) => {
 		const errors = validationResult(req);
 		if (!errors.isEmpty()) {
@@ -67,6 +465,482 @@ const validateExternalSerialNumber = [
 ];
 
 
+/**
+ * Express-validator middleware for order anomaly list filters
+ */
+const validateAnomalyFilters = [
+	shopFilterRule,
+	query('state')
+		.optional()
+		.isIn(['open', 'acknowledged'])
+		.withMessage('State must be either open or acknowledged'),
+	query('type')
+		.optional()
+		.isIn(['reopened', 'illegal_transition'])
+		.withMessage('Type must be either reopened or illegal_transition'),
+	query('externalId')
+		.optional()
+		.trim()
+		.isLength({min: 1, max: 100})
+		.withMessage('External ID must be between 1 and 100 characters')
+		.escape(),
+	query('limit')
+		.optional()
+		.isInt({min: 1, max: 200})
+		.withMessage('Limit must be an integer between 1 and 200')
+		.toInt(),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid filter parameters',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for acknowledging an order anomaly
+ */
+const validateAnomalyAcknowledgement = [
+	param('id')
+		.isMongoId()
+		.withMessage('Anomaly ID must be a valid MongoDB ObjectId'),
+	body('acknowledgedBy')
+		.optional()
+		.isString()
+		.trim()
+		.isLength({min: 1, max: 100})
+		.withMessage('acknowledgedBy must be between 1 and 100 characters')
+		.escape(),
+	body('note')
+		.optional()
+		.isString()
+		.trim()
+		.isLength({max: 500})
+		.withMessage('Note cannot be longer than 500 characters')
+		.escape(),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid anomaly acknowledgement',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for sync run history filters
+ */
+const validateSyncRunFilters = [
+	shopFilterRule,
+	query('type')
+		.optional()
+		.isIn(['incremental', 'status_monitoring', 'reconciliation', 'backfill'])
+		.withMessage('Type must be one of incremental, status_monitoring, reconciliation or backfill'),
+	query('status')
+		.optional()
+		.isIn(['success', 'completed_with_errors', 'failed'])
+		.withMessage('Status must be one of success, completed_with_errors or failed'),
+	query(['startedFrom', 'startedTo'])
+		.optional()
+		.isISO8601()
+		.withMessage('Dates must be valid ISO 8601 dates')
+		.toDate(),
+	query('limit')
+		.optional()
+		.isInt({min: 1, max: 200})
+		.withMessage('Limit must be an integer between 1 and 200')
+		.toInt(),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid filter parameters',
+				errors: errors.array(),
+			});
+		}
+
+		const {startedFrom, startedTo} = req.query;
+		if (startedFrom !== undefined && startedTo !== undefined && startedFrom > startedTo) {
+			return res.status(400).json({
+				success: false,
+				message: 'startedFrom cannot be after startedTo',
+			});
+		}
+
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for the export preset name
+ */
+const validateExportPresetName = [
+	param('name')
+		.matches(NAME_PATTERN)
+		.withMessage('Preset name must be up to 50 letters, numbers, hyphens or underscores'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid export preset name',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for saving an export preset
+ */
+const validateExportPreset = [
+	param('name')
+		.matches(NAME_PATTERN)
+		.withMessage('Preset name must be up to 50 letters, numbers, hyphens or underscores'),
+	body('description')
+		.optional()
+		.isString()
+		.trim()
+		.isLength({max: 200})
+		.withMessage('Description cannot be longer than 200 characters')
+		.escape(),
+	body('options')
+		.isObject()
+		.withMessage('Options must be an object of CSV format options'),
+	...csvFormatRules(body, 'options.'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid export preset',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for creating or replacing a report schedule
+ * Takes the filters and options of the export download plus the schedule and delivery target
+ */
+const validateReportSchedule = [
+	body('name')
+		.matches(NAME_PATTERN)
+		.withMessage('Name must be up to 50 letters, numbers, hyphens or underscores'),
+	body('description')
+		.optional()
+		.isString()
+		.trim()
+		.isLength({max: 200})
+		.withMessage('Description cannot be longer than 200 characters'),
+	body('cron')
+		.isString()
+		.custom(expression => cron.validate(expression))
+		.withMessage('Cron must be a valid cron expression (e.g. 0 6 * * 1-5)'),
+	body('timezone')
+		.optional()
+		.custom(isKnownTimezone)
+		.withMessage('Timezone must be an IANA timezone such as Europe/Warsaw'),
+	body('enabled')
+		.optional()
+		.isBoolean()
+		.withMessage('Enabled must be true or false')
+		.toBoolean(),
+	body('lookbackHours')
+		.optional()
+		.isInt({min: 1, max: 8784})
+		.withMessage('Lookback hours must be an integer between 1 and 8784')
+		.toInt(),
+	...exportFilterRules(body),
+	body('target.type')
+		.isIn(['directory', 'smtp'])
+		.withMessage('Target type must be either directory or smtp'),
+	body('target.directory')
+		.if(body('target.type').equals('directory'))
+		.optional()
+		.matches(NAME_PATTERN)
+		.withMessage('Target directory must be up to 50 letters, numbers, hyphens or underscores'),
+	body('target.to')
+		.if(body('target.type').equals('smtp'))
+		.isArray({min: 1, max: 20})
+		.withMessage('Target recipients must be a list of 1 to 20 email addresses'),
+	body('target.to.*')
+		.if(body('target.type').equals('smtp'))
+		.isEmail()
+		.withMessage('Target recipients must be valid email addresses'),
+	body('target.subject')
+		.if(body('target.type').equals('smtp'))
+		.optional()
+		.isString()
+		.trim()
+		.isLength({min: 1, max: 200})
+		.withMessage('Target subject must be 1 to 200 characters long'),
+	checkExportFilters('body', 'Invalid report schedule'),
+];
+
+/**
+ * Express-validator middleware for report schedule IDs
+ */
+const validateReportScheduleId = [
+	param('id')
+		.isMongoId()
+		.withMessage('Report schedule ID must be a valid 24-character hex identifier'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid report schedule ID',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for report delivery log filters
+ */
+const validateReportDeliveryFilters = [
+	query('scheduleId')
+		.optional()
+		.isMongoId()
+		.withMessage('Schedule ID must be a valid 24-character hex identifier'),
+	query('status')
+		.optional()
+		.isIn(['delivered', 'failed'])
+		.withMessage('Status must be either delivered or failed'),
+	query('limit')
+		.optional()
+		.isInt({min: 1, max: 200})
+		.withMessage('Limit must be an integer between 1 and 200')
+		.toInt(),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid filter parameters',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Event types a webhook subscription can filter on ('*' matches every event)
+ */
+const WEBHOOK_EVENT_FILTERS = [
+	'*',
+	'order.created',
+	'order.status_changed',
+	'order.completed',
+	'order.cancelled',
+];
+
+/**
+ * Check that a webhook URL does not point to a private, loopback or link-local address
+ * Any address is allowed when the webhooks config allows private targets
+ * @param {string} url - Webhook URL
+ * @returns {boolean} True if webhooks may be delivered to the URL
+ */
+const isPublicWebhookUrl = (url) => {
+	if ((config.webhooks || {}).allowPrivateTargets) {
+		return true;
+	}
+	return !WebhookService.isPrivateUrl(url);
+};
+
+/**
+ * Express-validator middleware for creating or replacing a webhook subscription
+ * The secret is optional - a new subscription without one gets a generated secret
+ */
+const validateWebhookSubscription = [
+	body('name')
+		.matches(NAME_PATTERN)
+		.withMessage('Name must be up to 50 letters, numbers, hyphens or underscores'),
+	body('description')
+		.optional()
+		.isString()
+		.trim()
+		.isLength({max: 200})
+		.withMessage('Description cannot be longer than 200 characters')
+		.escape(),
+	body('url')
+		.isURL({protocols: ['http', 'https'], require_protocol: true, require_tld: false})
+		.withMessage('URL must be an absolute http or https URL')
+		.bail()
+		.custom(isPublicWebhookUrl)
+		.withMessage('URL must not point to a private, loopback or link-local address'),
+	body('events')
+		.isArray({min: 1, max: WEBHOOK_EVENT_FILTERS.length})
+		.withMessage('Events must be a list of event types'),
+	body('events.*')
+		.isIn(WEBHOOK_EVENT_FILTERS)
+		.withMessage(`Events must be one of: ${WEBHOOK_EVENT_FILTERS.join(', ')}`),
+	body('secret')
+		.optional()
+		.isString()
+		.isLength({min: 16, max: 200})
+		.withMessage('Secret must be 16 to 200 characters long'),
+	body('enabled')
+		.optional()
+		.isBoolean()
+		.withMessage('Enabled must be true or false')
+		.toBoolean(),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid webhook subscription',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for webhook subscription IDs
+ */
+const validateWebhookSubscriptionId = [
+	param('id')
+		.isMongoId()
+		.withMessage('Webhook subscription ID must be a valid 24-character hex identifier'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid webhook subscription ID',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for webhook delivery IDs
+ */
+const validateWebhookDeliveryId = [
+	param('id')
+		.isMongoId()
+		.withMessage('Webhook delivery ID must be a valid 24-character hex identifier'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid webhook delivery ID',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for webhook delivery log filters
+ */
+const validateWebhookDeliveryFilters = [
+	query('subscriptionId')
+		.optional()
+		.isMongoId()
+		.withMessage('Subscription ID must be a valid 24-character hex identifier'),
+	query('status')
+		.optional()
+		.isIn(['pending', 'delivering', 'delivered', 'failed'])
+		.withMessage('Status must be one of: pending, delivering, delivered, failed'),
+	query('eventType')
+		.optional()
+		.isIn(WEBHOOK_EVENT_FILTERS.slice(1))
+		.withMessage(`Event type must be one of: ${WEBHOOK_EVENT_FILTERS.slice(1).join(', ')}`),
+	query('eventId')
+		.optional()
+		.matches(/^evt_[0-9a-f-]{36}$/)
+		.withMessage('Event ID must be an evt_ identifier'),
+	query('limit')
+		.optional()
+		.isInt({min: 1, max: 200})
+		.withMessage('Limit must be an integer between 1 and 200')
+		.toInt(),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid filter parameters',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Scheduled job names (e.g. order-sync) - whether the job exists is checked by the scheduler
+ */
+const JOB_NAME_PATTERN = /^[a-z][a-z0-9-]{0,49}$/;
+
+/**
+ * Express-validator middleware for scheduled job names
+ */
+const validateSchedulerJobName = [
+	param('name')
+		.matches(JOB_NAME_PATTERN)
+		.withMessage('Job name must be up to 50 lowercase letters, numbers or hyphens'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid job name',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
+
+/**
+ * Express-validator middleware for the jobs to pause or resume (all jobs when none are listed)
+ */
+const validateSchedulerJobSelection = [
+	body('jobs')
+		.optional()
+		.isArray({min: 1, max: 20})
+		.withMessage('Jobs must be a list of job names'),
+	body('jobs.*')
+		.matches(JOB_NAME_PATTERN)
+		.withMessage('Job name must be up to 50 lowercase letters, numbers or hyphens'),
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid job selection',
+				errors: errors.array(),
+			});
+		}
+		next();
+	},
+];
 
 /**
  * Basic request sanitization middleware
@@ -84,10 +958,11 @@ const sanitizeRequest = (req, res, next) => {
  */
 const checkCSVDownloadLimits = (req, res, next) => {
 	// Additional business logic for CSV downloads
-	const {minWorth, maxWorth} = req.query;
+	const {minWorth, maxWorth, dateFrom, dateTo} = req.query;
 
 	// Warn if requesting very large datasets
-	if ((minWorth === undefined || minWorth === 0) && maxWorth === undefined) {
+	if ((minWorth === undefined || minWorth === 0) && maxWorth === undefined &&
+		dateFrom === undefined && dateTo === undefined) {
 		console.log(`📊 Full dataset CSV download requested from ${req.ip}`);
 	}
 
@@ -98,6 +973,27 @@ module.exports = {
 	// Express-validator middleware
 	validateCSVFilters,
 	validateExternalSerialNumber,
+	validateOrderListFilters,
+	validateOrderStatsFilters,
+	validateOrderStreamFilters,
+	validateOrderId,
+	validateAnomalyFilters,
+	validateAnomalyAcknowledgement,
+	validateSyncRunFilters,
+	validateExportPresetName,
+	validateExportPreset,
+	validateExportJob,
+	validateExportJobId,
+	validateExportDownload,
+	validateReportSchedule,
+	validateReportScheduleId,
+	validateReportDeliveryFilters,
+	validateWebhookSubscription,
+	validateWebhookSubscriptionId,
+	validateWebhookDeliveryId,
+	validateWebhookDeliveryFilters,
+	validateSchedulerJobName,
+	validateSchedulerJobSelection,
 
 	// Additional middleware
 	sanitizeRequest,
@@ -3,8 +3,23 @@
  */
 const DeveloperModalService = (() => {
 	// Private variables
+	// Session storage, so credentials are dropped when the tab is closed
+	const SESSION_STORAGE_KEY = 'formasint-orders-api-session';
+	const DEFAULT_AUTH_MESSAGE = 'Sign in with an API key with the exporter role to download orders.';
+	const JOBS_ADMIN_MESSAGE = 'Sign in with an admin API key to see and control scheduled jobs.';
+	// Job status is refreshed while the modal is open
+	const JOB_POLL_INTERVAL_MS = 5000;
+	const EVENTS_SIGNED_OUT_MESSAGE = 'Sign in to follow order status changes as they happen.';
+	const MAX_SHOWN_EVENTS = 20;
+	const STREAM_RECONNECT_DELAY_MS = 5000;
 	let isInitialized = false;
 	let isModalOpen = false;
+	let jobPollTimer = null;
+	// Live order stream - open while the modal is
+	let eventSource = null;
+	let streamReconnectTimer = null;
+	let lastStreamEventId = null;
+	let shownEvents = [];
 
 	// Private DOM elements
 	let developerButton = null;
@@ -12,6 +27,19 @@ const DeveloperModalService = (() => {
 	let backdrop = null;
 	let closeButton = null;
 	let apiStatusElement = null;
+	let authMessageElement = null;
+	let signedOutElement = null;
+	let signedInElement = null;
+	let apiKeyInput = null;
+	let signInButton = null;
+	let signOutButton = null;
+	let jobsMessageElement = null;
+	let jobListElement = null;
+	let jobActionsElement = null;
+	let pauseJobsButton = null;
+	let resumeJobsButton = null;
+	let eventsMessageElement = null;
+	let eventListElement = null;
 
 	// Private methods
 	function bindElements() {
@@ -20,6 +48,390 @@ const DeveloperModalService = (() => {
 		backdrop = document.getElementById('developer-modal-backdrop');
 		closeButton = document.getElementById('developer-modal-close');
 		apiStatusElement = document.getElementById('api-status');
+		authMessageElement = document.getElementById('auth-message');
+		signedOutElement = document.getElementById('auth-signed-out');
+		signedInElement = document.getElementById('auth-signed-in');
+		apiKeyInput = document.getElementById('api-key-input');
+		signInButton = document.getElementById('sign-in-btn');
+		signOutButton = document.getElementById('sign-out-btn');
+		jobsMessageElement = document.getElementById('jobs-message');
+		jobListElement = document.getElementById('job-list');
+		jobActionsElement = document.getElementById('job-actions');
+		pauseJobsButton = document.getElementById('pause-jobs-btn');
+		resumeJobsButton = document.getElementById('resume-jobs-btn');
+		eventsMessageElement = document.getElementById('events-message');
+		eventListElement = document.getElementById('event-list');
+	}
+
+	function getStoredSession() {
+		try {
+			const session = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+			if (session && session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+				sessionStorage.removeItem(SESSION_STORAGE_KEY);
+				return null;
+			}
+			return session;
+		} catch (_error) {
+			return null;
+		}
+	}
+
+	function storeSession(session) {
+		try {
+			if (session) {
+				sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+			} else {
+				sessionStorage.removeItem(SESSION_STORAGE_KEY);
+			}
+		} catch (_error) {
+			// Silent fail - the session then only lasts until the page is reloaded
+		}
+	}
+
+	function renderAuthState(message, isError = false) {
+		if (!authMessageElement || !signedOutElement || !signedInElement) return;
+
+		const session = getStoredSession();
+
+		if (message) {
+			authMessageElement.textContent = message;
+		} else if (session) {
+			authMessageElement.textContent = `Signed in as ${session.name} (${session.role})`;
+		} else {
+			authMessageElement.textContent = DEFAULT_AUTH_MESSAGE;
+		}
+
+		authMessageElement.classList.toggle('error', isError);
+		signedOutElement.style.display = session ? 'none' : '';
+		signedInElement.style.display = session ? '' : 'none';
+	}
+
+	async function signIn() {
+		const apiKey = apiKeyInput ? apiKeyInput.value.trim() : '';
+		if (!apiKey) {
+			renderAuthState('Please enter an API key', true);
+			return;
+		}
+
+		try {
+			if (signInButton) signInButton.disabled = true;
+
+			// Exchange the API key for a session token, so the key itself is not kept in the browser
+			const headers = {Authorization: `Bearer ${apiKey}`};
+			const response = await fetch('/api/auth/token', {method: 'POST', headers});
+
+			if (response.status === 401) {
+				throw new Error('API key is invalid or has been revoked');
+			}
+
+			// Session tokens are disabled on this server - fall back to sending the API key
+			if (response.status === 503) {
+				const meResponse = await fetch('/api/auth/me', {headers});
+				if (!meResponse.ok) {
+					throw new Error(`HTTP error! status: ${meResponse.status}`);
+				}
+
+				const {data} = await meResponse.json();
+				storeSession({
+					credential: apiKey,
+					name: data.name,
+					role: data.role,
+					expiresAt: null,
+				});
+			} else if (response.ok) {
+				const {data} = await response.json();
+				storeSession({
+					credential: data.token,
+					name: data.name,
+					role: data.role,
+					expiresAt: data.expiresAt,
+				});
+			} else {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+
+			apiKeyInput.value = '';
+			renderAuthState();
+			checkApiStatus();
+			loadJobStatus();
+			openEventStream();
+		} catch (error) {
+			console.error('Error signing in:', error);
+			renderAuthState(error.message || 'Failed to sign in. Please try again.', true);
+		} finally {
+			if (signInButton) signInButton.disabled = false;
+		}
+	}
+
+	function signOut() {
+		storeSession(null);
+		renderAuthState();
+		loadJobStatus();
+		openEventStream();
+	}
+
+	function formatTime(value) {
+		if (!value) return '—';
+		return new Date(value).toLocaleString(undefined, {
+			month: 'short',
+			day: 'numeric',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit',
+		});
+	}
+
+	function getJobState(job) {
+		if (job.error) return {label: 'Invalid settings', modifier: 'error'};
+		if (job.isRunning) return {label: 'Running', modifier: 'running'};
+		if (!job.enabled) return {label: 'Paused', modifier: 'paused'};
+		return {label: 'Scheduled', modifier: 'scheduled'};
+	}
+
+	function createJobButton(job, action, text) {
+		const button = document.createElement('button');
+		button.className = 'developer-filter-clear-btn';
+		button.textContent = text;
+		button.dataset.action = action;
+		button.dataset.job = job.name;
+		button.setAttribute('aria-label', `${text} ${job.name}`);
+		return button;
+	}
+
+	// Built with textContent only - job names and errors come from the server
+	function createJobElement(job) {
+		const state = getJobState(job);
+		const item = document.createElement('div');
+		item.className = 'developer-job';
+		item.dataset.testid = `job-${job.name}`;
+
+		const header = document.createElement('div');
+		header.className = 'developer-job__header';
+		const name = document.createElement('span');
+		name.className = 'developer-info__label';
+		name.textContent = job.name;
+		const stateElement = document.createElement('span');
+		stateElement.className = `developer-job__state developer-job__state--${state.modifier}`;
+		stateElement.textContent = state.label;
+		header.append(name, stateElement);
+
+		const details = document.createElement('p');
+		details.className = 'developer-job__details';
+		const lastRun = job.lastRun
+			? `${job.lastRun.status.replace('_', ' ')} ${formatTime(job.lastRun.finishedAt)}`
+			: 'never';
+		details.textContent = `${job.cron || ''} · Last run: ${lastRun} · Next run: ${formatTime(job.nextRun)}`;
+		details.title = job.error || (job.lastRun && job.lastRun.error) || job.description || '';
+
+		const actions = document.createElement('div');
+		actions.className = 'developer-job__actions';
+		const runButton = createJobButton(job, 'run', 'Run now');
+		runButton.disabled = job.isRunning;
+		actions.append(
+			runButton,
+			job.enabled ? createJobButton(job, 'pause', 'Pause') : createJobButton(job, 'resume', 'Resume'),
+		);
+
+		item.append(header, details, actions);
+		return item;
+	}
+
+	function renderJobs(status, message, isError = false) {
+		if (!jobsMessageElement || !jobListElement) return;
+
+		const jobs = status ? status.jobs : [];
+		const pausedCount = jobs.filter(job => !job.enabled).length;
+
+		jobsMessageElement.textContent = message || `${jobs.length} job(s), ${pausedCount} paused`;
+		jobsMessageElement.classList.toggle('error', isError);
+
+		jobListElement.replaceChildren(...jobs.map(createJobElement));
+		jobListElement.style.display = jobs.length ? '' : 'none';
+		if (jobActionsElement) {
+			jobActionsElement.style.display = status ? '' : 'none';
+		}
+	}
+
+	async function requestJobs(path, options = {}) {
+		const response = await fetch(`/api/scheduler${path}`, {
+			...options,
+			headers: {
+				'Content-Type': 'application/json',
+				...controller.getAuthHeaders(),
+			},
+		});
+		const body = await response.json().catch(() => ({}));
+
+		if (response.status === 401) {
+			storeSession(null);
+			renderAuthState('Your session has expired. Please sign in again.', true);
+			throw new Error(JOBS_ADMIN_MESSAGE);
+		}
+		if (!response.ok) {
+			throw new Error(body.message || `HTTP error! status: ${response.status}`);
+		}
+
+		return body;
+	}
+
+	async function loadJobStatus() {
+		const session = getStoredSession();
+		if (!session || session.role !== 'admin') {
+			renderJobs(null, JOBS_ADMIN_MESSAGE);
+			return;
+		}
+
+		try {
+			const {data} = await requestJobs('/jobs');
+			renderJobs(data);
+		} catch (error) {
+			renderJobs(null, error.message, true);
+		}
+	}
+
+	async function runJobAction(action, jobNames) {
+		try {
+			if (action === 'run') {
+				await requestJobs(`/jobs/${encodeURIComponent(jobNames[0])}/run`, {method: 'POST'});
+			} else {
+				await requestJobs(`/${action}`, {
+					method: 'POST',
+					body: JSON.stringify(jobNames ? {jobs: jobNames} : {}),
+				});
+			}
+			await loadJobStatus();
+		} catch (error) {
+			console.error(`Error trying to ${action} scheduled jobs:`, error);
+			if (jobsMessageElement) {
+				jobsMessageElement.textContent = error.message;
+				jobsMessageElement.classList.add('error');
+			}
+		}
+	}
+
+	// Built with textContent only - order data comes from the server
+	function createEventElement(event) {
+		const item = document.createElement('li');
+		item.className = 'developer-event';
+
+		const text = document.createElement('span');
+		text.textContent = event.oldStatus
+			? `${event.shopId} · ${event.externalId}: ${event.oldStatus} → ${event.newStatus}`
+			: `${event.shopId} · ${event.externalId}: new order (${event.newStatus})`;
+		const time = document.createElement('span');
+		time.className = 'developer-event__time';
+		time.textContent = formatTime(event.detectedAt);
+
+		item.append(text, time);
+		return item;
+	}
+
+	function renderEvents(message, isError = false) {
+		if (!eventsMessageElement || !eventListElement) return;
+
+		eventsMessageElement.textContent = message || (shownEvents.length
+			? `Latest ${shownEvents.length} order event(s)`
+			: 'Waiting for order events...');
+		eventsMessageElement.classList.toggle('error', isError);
+
+		eventListElement.replaceChildren(...shownEvents.map(createEventElement));
+		eventListElement.style.display = shownEvents.length ? '' : 'none';
+	}
+
+	function handleStreamEvent(message) {
+		// A resumed stream replays a short overlap window, so an event can arrive twice
+		if (shownEvents.some(event => event.id === message.lastEventId)) return;
+
+		lastStreamEventId = message.lastEventId;
+		shownEvents = [JSON.parse(message.data), ...shownEvents].slice(0, MAX_SHOWN_EVENTS);
+		renderEvents();
+	}
+
+	function closeEventStream() {
+		if (streamReconnectTimer) {
+			clearTimeout(streamReconnectTimer);
+			streamReconnectTimer = null;
+		}
+		if (eventSource) {
+			eventSource.close();
+			eventSource = null;
+		}
+	}
+
+	async function openEventStream() {
+		closeEventStream();
+
+		if (!getStoredSession()) {
+			lastStreamEventId = null;
+			shownEvents = [];
+			renderEvents(EVENTS_SIGNED_OUT_MESSAGE);
+			return;
+		}
+
+		try {
+			// EventSource cannot send the Authorization header - the stream is opened with a
+			// short-lived token in the URL instead
+			const response = await fetch('/api/orders/stream/token', {
+				method: 'POST',
+				headers: controller.getAuthHeaders(),
+			});
+
+			if (response.status === 401) {
+				storeSession(null);
+				renderAuthState('Your session has expired. Please sign in again.', true);
+				throw new Error(EVENTS_SIGNED_OUT_MESSAGE);
+			}
+			if (response.status === 503) {
+				throw new Error('Live order events need session tokens, which are disabled on this server.');
+			}
+			if (!response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+
+			const {data} = await response.json();
+
+			// The modal may have been closed or the stream reopened while the token was requested
+			if (!isModalOpen || eventSource) return;
+
+			const params = new URLSearchParams({access_token: data.token});
+			if (lastStreamEventId) {
+				params.set('lastEventId', lastStreamEventId);
+			}
+
+			eventSource = new EventSource(`/api/orders/stream?${params}`);
+			eventSource.addEventListener('open', () => renderEvents());
+			eventSource.addEventListener('order.created', handleStreamEvent);
+			eventSource.addEventListener('order.status_changed', handleStreamEvent);
+			eventSource.addEventListener('reset', () => {
+				shownEvents = [];
+				renderEvents('Too many events were missed - showing new events from now on.');
+			});
+			eventSource.addEventListener('error', () => {
+				// The browser reconnects by itself unless the server refused the connection,
+				// e.g. because the token expired - then reconnect with a new token
+				if (eventSource && eventSource.readyState === EventSource.CLOSED) {
+					eventSource = null;
+					renderEvents('Connection lost - reconnecting...', true);
+					streamReconnectTimer = setTimeout(openEventStream, STREAM_RECONNECT_DELAY_MS);
+				}
+			});
+		} catch (error) {
+			console.error('Error opening the order event stream:', error);
+			renderEvents(error.message, true);
+		}
+	}
+
+	function startJobPolling() {
+		stopJobPolling();
+		loadJobStatus();
+		jobPollTimer = setInterval(loadJobStatus, JOB_POLL_INTERVAL_MS);
+	}
+
+	function stopJobPolling() {
+		if (jobPollTimer) {
+			clearInterval(jobPollTimer);
+			jobPollTimer = null;
+		}
 	}
 
 	function setupEventListeners() {
@@ -54,6 +466,43 @@ const DeveloperModalService = (() => {
 			}
 		});
 
+		// Sign in with the API key
+		signInButton?.addEventListener('click', (e) => {
+			e.preventDefault();
+			signIn();
+		});
+
+		apiKeyInput?.addEventListener('keypress', (e) => {
+			if (e.key === 'Enter') {
+				signIn();
+			}
+		});
+
+		signOutButton?.addEventListener('click', (e) => {
+			e.preventDefault();
+			signOut();
+		});
+
+		// Run, pause or resume a single job
+		jobListElement?.addEventListener('click', (e) => {
+			const button = e.target.closest('button[data-action]');
+			if (!button) return;
+
+			e.preventDefault();
+			button.disabled = true;
+			runJobAction(button.dataset.action, [button.dataset.job]);
+		});
+
+		pauseJobsButton?.addEventListener('click', (e) => {
+			e.preventDefault();
+			runJobAction('pause');
+		});
+
+		resumeJobsButton?.addEventListener('click', (e) => {
+			e.preventDefault();
+			runJobAction('resume');
+		});
+
 		// Prevent scroll when modal is open
 		document.addEventListener('keydown', (e) => {
 			if (
@@ -85,10 +534,12 @@ const DeveloperModalService = (() => {
 
 			const response = await fetch('/api/orders/download-csv', {
 				method: 'HEAD', // Just check if endpoint exists
+				headers: controller.getAuthHeaders(),
 			});
 
-			if (response.ok || response.status === 405) {
-				// 405 means method not allowed but endpoint exists
+			if (response.ok || [401, 403, 405].includes(response.status)) {
+				// 401/403 mean the endpoint exists but needs other credentials, 405 that it exists
+				// but does not allow the method
 				apiStatusElement.textContent = 'Online';
 				apiStatusElement.className = 'developer-info__value api-status online';
 			} else {
@@ -110,6 +561,7 @@ const DeveloperModalService = (() => {
 
 			bindElements();
 			setupEventListeners();
+			renderAuthState();
 
 			isInitialized = true;
 		},
@@ -132,8 +584,11 @@ const DeveloperModalService = (() => {
 				closeButton?.focus();
 			}, 300);
 
-			// Check API status when modal opens
+			// Show whether the session is still valid and check API status when modal opens
+			renderAuthState();
 			checkApiStatus();
+			startJobPolling();
+			openEventStream();
 
 			console.log('Developer tools modal opened');
 		},
@@ -151,6 +606,9 @@ const DeveloperModalService = (() => {
 			// Re-enable body scroll
 			updateBodyScroll(false);
 
+			stopJobPolling();
+			closeEventStream();
+
 			// Return focus to the developer button
 			developerButton?.focus();
 
@@ -161,6 +619,26 @@ const DeveloperModalService = (() => {
 		isOpen() {
 			return isModalOpen;
 		},
+
+		// Get the Authorization header of the signed-in session (empty when signed out)
+		getAuthHeaders() {
+			const session = getStoredSession();
+			return session ? {Authorization: `Bearer ${session.credential}`} : {};
+		},
+
+		// Ask for credentials, e.g. after the API rejected the session
+		promptForCredentials(message) {
+			storeSession(null);
+
+			if (!isModalOpen) {
+				controller.openModal();
+			}
+
+			renderAuthState(message, true);
+			setTimeout(() => {
+				apiKeyInput?.focus();
+			}, 300);
+		},
 	};
 
 	return controller;
@@ -43,6 +43,24 @@ const OrderService = (() => {
 		}, 3000);
 	}
 
+	// Turn rejected credentials into an error and ask for an API key
+	function checkAuthorization(response) {
+		let message = null;
+
+		if (response.status === 401) {
+			message = 'Please sign in with an API key to download orders';
+			DeveloperModalService.promptForCredentials(message);
+		} else if (response.status === 403) {
+			message = 'Your API key needs the exporter role to download orders';
+		}
+
+		if (message) {
+			const error = new Error(message);
+			error.isAuthError = true;
+			throw error;
+		}
+	}
+
 	function updateDownloadButton(downloading) {
 		const button = document.getElementById('download-orders-btn');
 		if (!button) return;
@@ -227,9 +245,12 @@ const OrderService = (() => {
 					method: 'GET',
 					headers: {
 						Accept: 'text/csv',
+						...DeveloperModalService.getAuthHeaders(),
 					},
 				});
 
+				checkAuthorization(response);
+
 				if (!response.ok) {
 					throw new Error(`HTTP error! status: ${response.status}`);
 				}
@@ -271,7 +292,10 @@ const OrderService = (() => {
 
 			} catch (error) {
 				console.error('Error downloading CSV:', error);
-				showNotification('Failed to download CSV file. Please try again.', 'error');
+				showNotification(
+					error.isAuthError ? error.message : 'Failed to download CSV file. Please try again.',
+					'error',
+				);
 			} finally {
 				isDownloading = false;
 				updateDownloadButton(false);
@@ -306,9 +330,12 @@ const OrderService = (() => {
 					method: 'GET',
 					headers: {
 						Accept: 'text/csv',
+						...DeveloperModalService.getAuthHeaders(),
 					},
 				});
 
+				checkAuthorization(response);
+
 				if (response.status === 404) {
 					throw new Error(`Order with serial number '${externalSerialNumber}' not found`);
 				}